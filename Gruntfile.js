@@ -48,7 +48,8 @@ module.exports = function(grunt) {
                     'node_modules/openpgp/dist/openpgp.min.js',
                     'node_modules/openpgp/dist/openpgp.worker.min.js',
                     'src/lib/forge/forge.min.js',
-                    'dist/js/pbkdf2-worker.min.js'
+                    'dist/js/pbkdf2-worker.min.js',
+                    'dist/js/attachment-worker.min.js'
                 ],
                 dest: 'test/lib/'
             },
@@ -78,7 +79,7 @@ module.exports = function(grunt) {
             tpl: {
                 expand: true,
                 cwd: 'src/tpl/',
-                src: ['read-sandbox.html'],
+                src: ['read-sandbox.html', 'preview-sandbox.html'],
                 dest: 'dist/tpl/'
             },
             app: {
@@ -144,6 +145,12 @@ module.exports = function(grunt) {
                 },
                 options: browserifyOpt
             },
+            attachmentWorker: {
+                files: {
+                    'dist/js/attachment-worker.browserified.js': ['src/js/email/attachment-worker.js']
+                },
+                options: browserifyOpt
+            },
             mailreaderWorker: {
                 files: {
                     'dist/js/mailreader-parser-worker.browserified.js': ['node_modules/mailreader/src/mailreader-parser-worker-browserify.js']
@@ -178,10 +185,21 @@ module.exports = function(grunt) {
                         'test/unit/service/newsletter-service-test.js',
                         'test/unit/service/mail-config-service-test.js',
                         'test/unit/service/invitation-dao-test.js',
+                        'test/unit/service/settings-test.js',
+                        'test/unit/service/signatures-test.js',
                         'test/unit/email/outbox-bo-test.js',
                         'test/unit/email/email-dao-test.js',
                         'test/unit/email/account-test.js',
                         'test/unit/email/search-test.js',
+                        'test/unit/email/search-index-test.js',
+                        'test/unit/email/drafts-test.js',
+                        'test/unit/email/identities-test.js',
+                        'test/unit/email/sync-scheduler-test.js',
+                        'test/unit/email/pgpbuilder-test.js',
+                        'test/unit/email/plainbuilder-test.js',
+                        'test/unit/email/attachment-test.js',
+                        'test/unit/email/html-test.js',
+                        'test/unit/email/thread-test.js',
                         'test/unit/controller/login/add-account-ctrl-test.js',
                         'test/unit/controller/login/create-account-ctrl-test.js',
                         'test/unit/controller/login/validate-phone-ctrl-test.js',
@@ -198,6 +216,7 @@ module.exports = function(grunt) {
                         'test/unit/controller/app/set-passphrase-ctrl-test.js',
                         'test/unit/controller/app/contacts-ctrl-test.js',
                         'test/unit/controller/app/read-ctrl-test.js',
+                        'test/unit/controller/app/preview-ctrl-test.js',
                         'test/unit/controller/app/navigation-ctrl-test.js',
                         'test/unit/controller/app/mail-list-ctrl-test.js',
                         'test/unit/controller/app/write-ctrl-test.js',
@@ -260,6 +279,7 @@ module.exports = function(grunt) {
                 src: [
                     'src/lib/underscore/underscore.js',
                     'node_modules/jquery/dist/jquery.min.js',
+                    'node_modules/dompurify/purify.js',
                     'src/lib/angular/angular.js',
                     'src/lib/angular/angular-route.js',
                     'src/lib/angular/angular-animate.js',
@@ -289,10 +309,22 @@ module.exports = function(grunt) {
                 ],
                 dest: 'dist/js/read-sandbox.min.js'
             },
+            previewSandbox: {
+                src: [
+                    'node_modules/dompurify/purify.js',
+                    'node_modules/pdfjs-dist/build/pdf.combined.js',
+                    'src/js/controller/app/preview-sandbox.js'
+                ],
+                dest: 'dist/js/preview-sandbox.min.js'
+            },
             pbkdf2Worker: {
                 src: ['dist/js/pbkdf2-worker.browserified.js'],
                 dest: 'dist/js/pbkdf2-worker.min.js'
             },
+            attachmentWorker: {
+                src: ['dist/js/attachment-worker.browserified.js'],
+                dest: 'dist/js/attachment-worker.min.js'
+            },
             mailreaderWorker: {
                 src: ['dist/js/mailreader-parser-worker.browserified.js'],
                 dest: 'dist/js/mailreader-parser-worker.min.js'
@@ -305,6 +337,7 @@ module.exports = function(grunt) {
                 src: [
                     'src/lib/underscore/underscore.js',
                     'node_modules/jquery/dist/jquery.min.js',
+                    'node_modules/dompurify/purify.js',
                     'src/lib/angular/angular.js',
                     'src/lib/angular/angular-route.js',
                     'src/lib/angular/angular-mocks.js',
@@ -325,6 +358,7 @@ module.exports = function(grunt) {
                 src: [
                     'src/lib/underscore/underscore.js',
                     'node_modules/jquery/dist/jquery.min.js',
+                    'node_modules/dompurify/purify.js',
                     'src/lib/angular/angular.js',
                     'src/lib/angular/angular-mocks.js',
                     'src/lib/lawnchair/lawnchair-git.js',
@@ -361,11 +395,25 @@ module.exports = function(grunt) {
                     sourceMapName: 'dist/js/read-sandbox.min.js.map'
                 }
             },
+            previewSandbox: {
+                files: {
+                    'dist/js/preview-sandbox.min.js': ['dist/js/preview-sandbox.min.js']
+                },
+                options: {
+                    sourceMap: true,
+                    sourceMapName: 'dist/js/preview-sandbox.min.js.map'
+                }
+            },
             pbkdf2Worker: {
                 files: {
                     'dist/js/pbkdf2-worker.min.js': ['dist/js/pbkdf2-worker.min.js']
                 }
             },
+            attachmentWorker: {
+                files: {
+                    'dist/js/attachment-worker.min.js': ['dist/js/attachment-worker.min.js']
+                }
+            },
             mailreaderWorker: {
                 files: {
                     'dist/js/mailreader-parser-worker.min.js': ['dist/js/mailreader-parser-worker.min.js']
@@ -536,7 +584,10 @@ module.exports = function(grunt) {
                         'js/crypto/pbkdf2-worker.browserified.js',
                         'js/pbkdf2-worker.browserified.js',
                         'js/pbkdf2-worker.min.js.map',
+                        'js/attachment-worker.browserified.js',
+                        'js/attachment-worker.min.js.map',
                         'js/read-sandbox.min.js.map',
+                        'js/preview-sandbox.min.js.map',
                         'js/mailreader-parser-worker.browserified.js',
                         'js/mailreader-parser-worker.min.js.map',
                         'js/tcp-socket-tls-worker.browserified.js',
@@ -614,13 +665,16 @@ module.exports = function(grunt) {
     grunt.registerTask('dist-js-app', [
         'browserify:app',
         'browserify:pbkdf2Worker',
+        'browserify:attachmentWorker',
         'browserify:mailreaderWorker',
         'browserify:tlsWorker',
         'exorcise:app',
         'ngtemplates',
         'concat:app',
         'concat:readSandbox',
+        'concat:previewSandbox',
         'concat:pbkdf2Worker',
+        'concat:attachmentWorker',
         'concat:mailreaderWorker',
         'concat:tlsWorker',
         'manifest'
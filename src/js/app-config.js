@@ -49,7 +49,15 @@ appCfg.config = {
     outboxMailboxName: 'Outbox',
     outboxMailboxType: 'Outbox',
     connDocTimeout: 5000,
-    imapUpdateBatchSize: 25
+    imapUpdateBatchSize: 25,
+    imapSearchFetchLimit: 100,
+    searchIndexStoreDelay: 5000,
+    draftAutosaveDelay: 3000,
+    undoSendDelay: 10000,
+    outboxRetryDelay: 30000,
+    outboxMaxRetryDelay: 3600000,
+    syncInterval: 60000, // how often the folders other than the inbox are polled
+    syncFolderBudget: 5 // the number of folders that are synced per interval, one after the other on the IMAP connection of the account
 };
 
 // parse manifest to get configurations for current runtime
@@ -83,11 +91,14 @@ appCfg.string = {
     fallbackSubject: '(no subject)',
     invitationSubject: 'Invitation to a private conversation',
     invitationMessage: 'Hi,\n\nI use Whiteout Mail to send and receive encrypted email. I would like to exchange encrypted messages with you as well.\n\nPlease install the Whiteout Mail application. This application makes it easy to read and write messages securely with PGP encryption applied.\n\nGo to the Whiteout Networks homepage to learn more and to download the application: https://whiteout.io\n\n',
-    signature: '\n\n\n--\nSent from Whiteout Mail - https://whiteout.io\n\nMy PGP key: ',
+    signature: 'Sent from Whiteout Mail - https://whiteout.io\n\nMy PGP key: ',
     webSite: 'http://whiteout.io',
     verificationSubject: '[whiteout] New public key uploaded',
     sendBtnClear: 'Send',
     sendBtnSecure: 'Send securely',
+    sendBtnSplit: 'Send securely where possible',
+    forwardPlaintextTitle: 'Forward in the plain?',
+    forwardPlaintextMessage: 'The forwarded message was encrypted, but not all recipients have a PGP key. Their copy of the message and its attachments will be sent unencrypted.',
     updatePublicKeyTitle: 'Public Key Updated',
     updatePublicKeyMsgNewKey: '{0} updated his key and may not be able to read encrypted messages sent with his old key. Update the key?',
     updatePublicKeyMsgRemovedKey: '{0} revoked his key and may no longer be able to read encrypted messages. Remove the key?',
@@ -112,5 +123,10 @@ appCfg.string = {
     connDocNoInbox: 'We could not detect an IMAP inbox folder on {0}.  Please have a look at the FAQ for information on how to fix this error.',
     connDocGenericError: 'There was an error connecting to {0}: {1}',
     logoutTitle: 'Logout',
-    logoutMessage: 'Are you sure you want to logout?'
+    logoutMessage: 'Are you sure you want to logout?',
+    createFolderPrompt: 'Folder name:',
+    createSubfolderPrompt: 'Name of the new folder in {0}:',
+    renameFolderPrompt: 'New name of {0}:',
+    deleteFolderTitle: 'Delete folder',
+    deleteFolderMessage: 'Are you sure you want to delete {0} and all of its messages?'
 };
\ No newline at end of file
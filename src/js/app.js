@@ -97,6 +97,18 @@ app.config(function($routeProvider, $animateProvider) {
     $animateProvider.classNameFilter(/lightbox/);
 });
 
+// every account has its own services, the controllers are instantiated with the ones of the selected account
+app.config(function($provide) {
+    $provide.decorator('$controller', function($delegate, $injector) {
+        return function(expression, locals) {
+            var args = Array.prototype.slice.call(arguments);
+            // explicit locals, e.g. $scope, take precedence
+            args[1] = angular.extend({}, $injector.get('account').services(), locals);
+            return $delegate.apply(this, args);
+        };
+    });
+});
+
 app.run(function($rootScope) {
     // global state... inherited to all child scopes
     $rootScope.state = {};
@@ -114,6 +126,7 @@ app.controller('PrivateKeyUploadCtrl', require('./controller/app/privatekey-uplo
 app.controller('PublicKeyImportCtrl', require('./controller/app/publickey-import'));
 app.controller('ContactsCtrl', require('./controller/app/contacts'));
 app.controller('AboutCtrl', require('./controller/app/about'));
+app.controller('PreviewCtrl', require('./controller/app/preview'));
 app.controller('DialogCtrl', require('./controller/app/dialog'));
 app.controller('ActionBarCtrl', require('./controller/app/action-bar'));
 app.controller('StatusDisplayCtrl', require('./controller/app/status-display'));
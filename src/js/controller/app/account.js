@@ -1,6 +1,6 @@
 'use strict';
 
-var AccountCtrl = function($scope, $q, auth, keychain, pgp, appConfig, download, dialog) {
+var AccountCtrl = function($scope, $q, auth, keychain, pgp, settings, signatures, identities, appConfig, download, dialog) {
     var userId = auth.emailAddress;
     if (!userId) {
         return;
@@ -28,6 +28,10 @@ var AccountCtrl = function($scope, $q, auth, keychain, pgp, appConfig, download,
     $scope.fingerprint = fpr.slice(0, 4) + ' ' + fpr.slice(4, 8) + ' ' + fpr.slice(8, 12) + ' ' + fpr.slice(12, 16) + ' ' + fpr.slice(16, 20) + ' ' + fpr.slice(20, 24) + ' ' + fpr.slice(24, 28) + ' ' + fpr.slice(28, 32) + ' ' + fpr.slice(32, 36) + ' ' + fpr.slice(36);
     $scope.keysize = keyParams.bitSize;
     $scope.publicKeyUrl = appConfig.config.keyServerUrl + '/' + userId;
+    $scope.signPlaintext = settings.get('signPlaintext');
+    $scope.signatures = signatures.list();
+    $scope.signaturePlacement = signatures.getPlacement();
+    listIdentities();
 
     //
     // scope functions
@@ -53,6 +57,201 @@ var AccountCtrl = function($scope, $q, auth, keychain, pgp, appConfig, download,
         }).catch(dialog.error);
     };
 
+    /**
+     * Changes if messages that can not be encrypted are signed by default
+     */
+    $scope.setSignPlaintext = function(sign) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return settings.set('signPlaintext', sign);
+
+        }).catch(dialog.error);
+    };
+
+    //
+    // Signatures
+    //
+
+    /**
+     * Opens the form to edit a copy of a signature
+     * @param {Object} signature The signature to edit, undefined to add a new one
+     */
+    $scope.editSignature = function(signature) {
+        $scope.editedSignature = _.clone(signature || {
+            name: '',
+            text: '',
+            html: ''
+        });
+    };
+
+    /**
+     * Closes the signature form without saving
+     */
+    $scope.cancelSignature = function() {
+        $scope.editedSignature = undefined;
+    };
+
+    /**
+     * Saves the signature that is edited in the form
+     */
+    $scope.saveSignature = function() {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return signatures.save($scope.editedSignature);
+
+        }).then(function() {
+            $scope.signatures = signatures.list();
+            $scope.editedSignature = undefined;
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Removes a signature, e.g. the Whiteout Mail signature that is created by default
+     */
+    $scope.removeSignature = function(signature) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return signatures.remove(signature.id);
+
+        }).then(function() {
+            $scope.signatures = signatures.list();
+            listIdentities();
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Changes the signature that the writer inserts for an identity
+     * @param {Object} identity The identity
+     * @param {String} id The id of the signature, undefined for no signature
+     */
+    $scope.setDefaultSignature = function(identity, id) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return signatures.setDefault(identity.address, id);
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Changes if the signature is inserted above or below the quote in replies and forwards
+     * @param {String} placement 'above' or 'below'
+     */
+    $scope.setSignaturePlacement = function(placement) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return signatures.setPlacement(placement);
+
+        }).catch(dialog.error);
+    };
+
+    //
+    // Identities
+    //
+
+    /**
+     * Opens the form to edit a copy of an identity
+     * @param {Object} identity The identity to edit, undefined to add a new one
+     */
+    $scope.editIdentity = function(identity) {
+        $scope.editedIdentity = _.clone(identity || {
+            name: auth.realname,
+            address: '',
+            replyTo: ''
+        });
+        $scope.keyImport = undefined;
+    };
+
+    /**
+     * Closes the identity form without saving
+     */
+    $scope.cancelIdentity = function() {
+        $scope.editedIdentity = undefined;
+    };
+
+    /**
+     * Saves the identity that is edited in the form
+     */
+    $scope.saveIdentity = function() {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return identities.save($scope.editedIdentity);
+
+        }).then(function() {
+            $scope.editedIdentity = undefined;
+            listIdentities();
+
+        }).catch(dialog.error);
+    };
+
+    $scope.removeIdentity = function(identity) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return identities.remove(identity.id);
+
+        }).then(function() {
+            return signatures.setDefault(identity.address, undefined);
+
+        }).then(listIdentities).catch(dialog.error);
+    };
+
+    /**
+     * Opens the form to import a private key for the edited identity
+     */
+    $scope.startKeyImport = function() {
+        $scope.keyImport = {
+            privateKeyArmored: '',
+            passphrase: ''
+        };
+    };
+
+    /**
+     * Imports a private key for the edited identity to sign with
+     * @param {String} privateKeyArmored The private key
+     * @param {String} passphrase The passphrase of the key
+     */
+    $scope.importIdentityKey = function(privateKeyArmored, passphrase) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return identities.importKey({
+                privateKeyArmored: privateKeyArmored,
+                passphrase: passphrase
+            });
+
+        }).then(function(keyId) {
+            $scope.identityKeys = identities.listKeys();
+            $scope.editedIdentity.keyId = keyId;
+            $scope.keyImport = undefined;
+
+        }).catch(dialog.error);
+    };
+
+    function listIdentities() {
+        $scope.identities = identities.list();
+        $scope.identityKeys = identities.listKeys();
+        $scope.defaultSignatureIds = {};
+        $scope.identities.forEach(function(identity) {
+            $scope.defaultSignatureIds[identity.address] = (signatures.getDefault(identity.address) || {}).id;
+        });
+    }
+
 };
 
 module.exports = AccountCtrl;
\ No newline at end of file
@@ -2,7 +2,7 @@
 
 var JUNK_FOLDER_TYPE = 'Junk';
 
-var ActionBarCtrl = function($scope, $q, email, dialog, status) {
+var ActionBarCtrl = function($scope, $q, dialog, status) {
 
     //
     // scope functions
@@ -27,22 +27,16 @@ var ActionBarCtrl = function($scope, $q, email, dialog, status) {
             resolve();
 
         }).then(function() {
-            return email.moveMessage({
-                folder: currentFolder(),
+            return emailOf(message).moveMessage({
+                folder: folderOf(message),
                 destination: destination,
                 message: message
             });
 
         }).then(function() {
-            status.update('Online');
+            updateStatus();
 
         }).catch(function(err) {
-            // show errors where appropriate
-            if (err.code === 42) {
-                $scope.select(message);
-                status.update('Unable to move message in offline mode!');
-                return;
-            }
             status.update('Error during move!');
             return dialog.error(err);
         });
@@ -91,21 +85,15 @@ var ActionBarCtrl = function($scope, $q, email, dialog, status) {
             resolve();
 
         }).then(function() {
-            return email.deleteMessage({
-                folder: currentFolder(),
+            return emailOf(message).deleteMessage({
+                folder: folderOf(message),
                 message: message
             });
 
         }).then(function() {
-            status.update('Online');
+            updateStatus();
 
         }).catch(function(err) {
-            // show errors where appropriate
-            if (err.code === 42) {
-                $scope.select(message);
-                status.update('Unable to delete message in offline mode!');
-                return;
-            }
             status.update('Error during delete!');
             return dialog.error(err);
         });
@@ -143,22 +131,16 @@ var ActionBarCtrl = function($scope, $q, email, dialog, status) {
             resolve();
 
         }).then(function() {
-            return email.setFlags({
-                folder: currentFolder(),
+            return emailOf(message).setFlags({
+                folder: folderOf(message),
                 message: message
             });
 
         }).then(function() {
-            status.update('Online');
+            updateStatus();
 
         }).catch(function(err) {
-            if (err.code === 42) {
-                // offline, restore
-                message.unread = originalState;
-                status.update('Unable to mark message in offline mode!');
-                return;
-            }
-
+            message.unread = originalState;
             status.update('Error on sync!');
             return dialog.error(err);
         });
@@ -193,22 +175,16 @@ var ActionBarCtrl = function($scope, $q, email, dialog, status) {
             resolve();
 
         }).then(function() {
-            return email.setFlags({
-                folder: currentFolder(),
+            return emailOf(message).setFlags({
+                folder: folderOf(message),
                 message: message
             });
 
         }).then(function() {
-            status.update('Online');
+            updateStatus();
 
         }).catch(function(err) {
-            if (err.code === 42) {
-                // offline, restore
-                message.unread = originalState;
-                status.update('Unable to ' + (flagged ? 'add star to' : 'remove star from') + ' message in offline mode!');
-                return;
-            }
-
+            message.flagged = originalState;
             status.update('Error on sync!');
             return dialog.error(err);
         });
@@ -249,6 +225,27 @@ var ActionBarCtrl = function($scope, $q, email, dialog, status) {
         return $scope.state.nav.currentFolder;
     }
 
+    /**
+     * The folder of a message from the mail list, e.g. the inbox of its account in the unified inbox
+     */
+    function folderOf(message) {
+        return $scope.state.mailList.folderOf(message);
+    }
+
+    /**
+     * The email data access object of the account of a message from the mail list
+     */
+    function emailOf(message) {
+        return $scope.state.mailList.emailOf(message);
+    }
+
+    /**
+     * Changes made while offline are applied when the client connects
+     */
+    function updateStatus() {
+        status.update($scope.account && $scope.account.online ? 'Online' : 'Offline mode, changes are synced when online');
+    }
+
     function getCheckMessages() {
         return currentFolder().messages.filter(function(message) {
             return message.checked;
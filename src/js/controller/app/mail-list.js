@@ -11,13 +11,78 @@ var INIT_DISPLAY_LEN = 50,
     FOLDER_TYPE_INBOX = 'Inbox',
     NOTIFICATION_INBOX_TIMEOUT = 5000;
 
-var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, notification, email, keychain, dialog, search, dummy) {
+var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, notification, account, email, keychain, dialog, search, thread, dummy) {
 
     //
     // scope state
     //
 
-    $scope.state.mailList = {};
+    $scope.state.mailList = {
+        threaded: false,
+        toggleThreads: function(threaded) {
+            this.threaded = (typeof threaded === 'undefined') ? !this.threaded : threaded;
+            expandedThreads = {};
+            if (currentFolder() && currentFolder().messages) {
+                displayFirstMessages();
+            }
+        },
+        globalSearch: false,
+        toggleGlobalSearch: function(globalSearch) {
+            this.globalSearch = (typeof globalSearch === 'undefined') ? !this.globalSearch : globalSearch;
+            if (lastQuery) {
+                // repeat the search in the new scope
+                $scope.displaySearchResults(lastQuery);
+            }
+        },
+        /**
+         * The folder of a displayed message, which is not the current folder in global search mode and in the unified inbox
+         */
+        folderOf: function(message) {
+            return $scope.folderOf(message);
+        },
+        /**
+         * The email data access object of the account of a displayed message
+         */
+        emailOf: function(message) {
+            return emailOf(message);
+        }
+    };
+
+    /**
+     * The conversations of the current folder, only built in threaded mode
+     */
+    $scope.threads = [];
+
+    /**
+     * Maps a thread id to true if the conversation is expanded in the list
+     */
+    var expandedThreads = {};
+
+    /**
+     * Maps the uid of a message to its conversation
+     */
+    var threadsByUid = {};
+
+    /**
+     * Maps the uid of a search result to true if it was found only on the server
+     */
+    $scope.serverResults = {};
+
+    /**
+     * The folders of the displayed messages in global search mode, in the order of displayMessages.
+     * Empty when the messages of the current folder are displayed.
+     */
+    $scope.resultFolders = [];
+
+    /**
+     * The query of the most recent search
+     */
+    var lastQuery;
+
+    /**
+     * The folder whose messages are displayed, and if older messages of it are being loaded from the server
+     */
+    var displayedFolder, loadingOlder;
 
     /**
      * Gathers unread notifications to be cancelled later
@@ -32,6 +97,17 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
      * Set the route to a message which will go to read mode
      */
     $scope.navigate = function(message) {
+        var folder = $scope.folderOf(message),
+            acc = isUnified() && account.accountOf(folder);
+        if (acc && acc !== $scope.account) {
+            // a message of another account in the unified inbox, so switch to that account
+            $scope.state.nav.switchAccount(acc, folder, message.uid);
+            return;
+        }
+        if (folder && folder !== currentFolder()) {
+            // a global search result from another folder, so open that folder first
+            $location.search('folder', $scope.account.folders.indexOf(folder));
+        }
         $location.search('uid', message.uid);
     };
 
@@ -45,9 +121,7 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
         }
 
         // select the message specified by the uid in the url
-        $scope.select(_.findWhere(currentFolder().messages, {
-            uid: uid
-        }));
+        $scope.select(findMessage(uid));
     });
 
     //
@@ -59,15 +133,15 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
             resolve();
 
         }).then(function() {
-            return email.getBody({
-                folder: currentFolder(),
+            return emailOf(message).getBody({
+                folder: $scope.folderOf(message),
                 message: message
             });
 
         }).then(function() {
             // automatically decrypt if it's the selected message
             if (message === currentMessage()) {
-                return email.decryptBody({
+                return emailOf(message).decryptBody({
                     message: message
                 });
             }
@@ -128,6 +202,47 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
         }).catch(dialog.error);
     };
 
+    /**
+     * Returns the conversation a message in the list belongs to. Undefined if threading is disabled.
+     */
+    $scope.threadOf = function(message) {
+        if (!isThreaded() || !message) {
+            return;
+        }
+
+        return threadsByUid[message.uid];
+    };
+
+    /**
+     * Checks if a message is displayed as part of an expanded conversation, i.e. it is not the latest message
+     */
+    $scope.isThreadChild = function(message) {
+        var thread = $scope.threadOf(message);
+        return !!(thread && thread.latest !== message);
+    };
+
+    /**
+     * Checks if the conversation of a message is expanded in the list
+     */
+    $scope.isExpanded = function(message) {
+        var thread = $scope.threadOf(message);
+        return !!(thread && expandedThreads[thread.id]);
+    };
+
+    /**
+     * Expands or collapses the conversation of a message in the list
+     */
+    $scope.toggleThread = function(message) {
+        var thread = $scope.threadOf(message);
+        if (!thread || thread.messages.length < 2) {
+            return;
+        }
+
+        expandedThreads[thread.id] = !expandedThreads[thread.id];
+        // keep the number of displayed conversations when the rows change
+        $scope.displayMessages = listMessages().slice(0, Math.max($scope.displayMessages.length, INIT_DISPLAY_LEN));
+    };
+
     $scope.flag = function(message, flagged) {
         return $scope.state.actionBar.flagMessage(message, flagged);
     };
@@ -164,6 +279,7 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
 
         // reset searchFilter
         $scope.searchText = undefined;
+        lastQuery = undefined;
 
         // in development, display dummy mail objects
         if ($location.search().dev) {
@@ -181,14 +297,19 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
             return;
         }
 
-        // sort message by uid
-        messages.sort(byUidDescending);
+        // sort message by uid, the unified inbox is sorted by date
+        if (!isUnified()) {
+            messages.sort(byUidDescending);
+        }
         // Unselect message if it has been deleted from the messages array
         if (messages.indexOf(currentMessage()) === -1) {
             $scope.select();
         }
-        // set display buffer to first messages
-        $scope.displayMessages = messages.slice(0, INIT_DISPLAY_LEN);
+        if (lastQuery) {
+            // don't replace the search results, e.g. when messages have been fetched by a server search
+            return;
+        }
+        displayFirstMessages();
     });
 
     /**
@@ -200,19 +321,61 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
             return;
         }
 
-        var len = currentFolder().messages.length,
+        var messages = listMessages(),
+            len = messages.length,
             dLen = $scope.displayMessages.length;
 
-        if (dLen === len || $scope.searchText) {
+        if (dLen === len || $scope.searchText || lastQuery) {
             // all messages are already displayed or we're in search mode
             return;
         }
 
         // copy next interval of messages to the end of the display messages array
-        var next = currentFolder().messages.slice(dLen, dLen + SCROLL_DISPLAY_LEN);
+        var next = messages.slice(dLen, dLen + SCROLL_DISPLAY_LEN);
         Array.prototype.push.apply($scope.displayMessages, next);
     };
 
+    /**
+     * Loads older messages of the current folder from the server when the end of the locally available messages
+     * is displayed (for infinite scrolling)
+     */
+    $scope.loadOlderMessages = function() {
+        var folder = currentFolder();
+
+        if (!folder || !$scope.displayMessages || loadingOlder || $scope.searchText || lastQuery) {
+            // folders not yet initialized, already loading or in search mode
+            return;
+        }
+
+        if ($scope.displayMessages.length < listMessages().length || !$scope.account || !$scope.account.online || isUnified()) {
+            // display the local messages first, older messages are only available online for the folders of the selected account
+            return;
+        }
+
+        loadingOlder = true;
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return email.loadOlderMessages({
+                folder: folder
+            });
+
+        }).then(function() {
+            loadingOlder = false;
+            if (folder === currentFolder()) {
+                $scope.displayMore();
+            }
+
+        }).catch(function(err) {
+            loadingOlder = false;
+            // don't display err for offline case
+            if (err.code !== 42) {
+                dialog.error(err);
+            }
+        });
+    };
+
     /**
      * Handle search event in other parts of the app by filtering messages in the mail-list
      */
@@ -229,9 +392,13 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
             clearTimeout(searchTimeout);
         }
 
+        lastQuery = searchText;
+        $scope.serverResults = {};
+        $scope.resultFolders = [];
+
         if (!searchText) {
             // set display buffer to first messages
-            $scope.displayMessages = currentFolder().messages.slice(0, INIT_DISPLAY_LEN);
+            displayFirstMessages();
             status.setSearching(false);
             status.update('Online');
             return;
@@ -241,15 +408,107 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
         status.setSearching(true);
         status.update('Searching ...');
         searchTimeout = setTimeout(function() {
+            if ($scope.state.mailList.globalSearch) {
+                $scope.$apply(function() {
+                    displayGlobalSearchResults(searchText);
+                    status.setSearching(false);
+                    status.update('Matches in all folders');
+                });
+                return;
+            }
+
             $scope.$apply(function() {
                 // filter relevant messages
                 $scope.displayMessages = search.filter(currentFolder().messages, searchText);
                 status.setSearching(false);
                 status.update('Matches in this folder');
             });
+
+            // look for matches that are not available locally
+            $scope.searchServer(searchText);
         }, 500);
     };
 
+    /**
+     * Returns the folder of a displayed message: its folder in global search mode, the inbox of its account
+     * in the unified inbox, otherwise the current folder
+     */
+    $scope.folderOf = function(message) {
+        if (isUnified()) {
+            return _.find(currentFolder().folders, function(inbox) {
+                return inbox.messages.indexOf(message) > -1;
+            });
+        }
+
+        var index = $scope.resultFolders.length ? $scope.displayMessages.indexOf(message) : -1;
+        return index > -1 ? $scope.resultFolders[index] : currentFolder();
+    };
+
+    /**
+     * Identifies a row in the mail list. Uids are only unique within a folder,
+     * so global search results and messages in the unified inbox are identified by their folder, too.
+     */
+    $scope.rowKey = function(message, index) {
+        if (isUnified()) {
+            return currentFolder().folders.indexOf($scope.folderOf(message)) + '/' + message.uid;
+        }
+        if (!$scope.resultFolders.length) {
+            return message.uid;
+        }
+        return $scope.resultFolders[index].path + '/' + message.uid;
+    };
+
+    /**
+     * Searches the current folder on the IMAP server and adds the matches to the displayed search results.
+     * Messages that did not match the local search are marked as results from the server.
+     */
+    $scope.searchServer = function(query) {
+        var folder = currentFolder(),
+            serverQuery = search.serverQuery(query);
+
+        if (!serverQuery || !$scope.account || !$scope.account.online || isUnified()) {
+            // server search is only available online, for text and in the folders of the selected account
+            return;
+        }
+
+        return $q(function(resolve) {
+            status.setSearching(true);
+            status.update('Searching on server ...');
+            resolve();
+
+        }).then(function() {
+            return email.searchImap({
+                folder: folder,
+                query: serverQuery
+            });
+
+        }).then(function(matches) {
+            status.setSearching(false);
+            if (query !== lastQuery || folder !== currentFolder() || $scope.state.mailList.globalSearch) {
+                // the search has changed in the meantime
+                return;
+            }
+
+            // the server only knows about the text, so apply the rest of the query
+            matches = search.filter(matches, query);
+
+            matches.forEach(function(message) {
+                if ($scope.displayMessages.indexOf(message) === -1) {
+                    $scope.serverResults[message.uid] = true;
+                }
+            });
+            $scope.displayMessages = _.union($scope.displayMessages, matches).sort(byUidDescending);
+            status.update('Matches in this folder and on the server');
+
+        }).catch(function(err) {
+            status.setSearching(false);
+            // don't display err for offline case
+            if (err.code !== 42) {
+                dialog.error(err);
+            }
+        });
+    };
+
     /**
      * Sync current folder when client comes back online
      */
@@ -278,14 +537,17 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
             resolve();
 
         }).then(function() {
-            return email.openFolder({
-                folder: currentFolder()
-            }).catch(function(err) {
-                // don't display err for offline case
-                if (err.code !== 42) {
-                    throw err;
-                }
-            });
+            // the unified inbox opens the inboxes of all accounts
+            return Promise.all((isUnified() ? currentFolder().folders : [currentFolder()]).map(function(folder) {
+                return emailOf(folder).openFolder({
+                    folder: folder
+                }).catch(function(err) {
+                    // don't display err for offline case
+                    if (err.code !== 42) {
+                        throw err;
+                    }
+                });
+            }));
 
         }).then(function() {
             // dont wait until scroll to load visible mail bodies
@@ -309,11 +571,132 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
         return $scope.state.mailList.selected;
     }
 
+    function isUnified() {
+        return !!(currentFolder() && currentFolder().unified);
+    }
+
+    /**
+     * Finds a message of the current folder by its uid. Uids are only unique per account, so in the unified inbox the message
+     * is looked up in the inbox of the selected account: the messages of the other accounts are opened in their own account.
+     */
+    function findMessage(uid) {
+        var folder = isUnified() ? _.findWhere($scope.account.folders, {
+            type: FOLDER_TYPE_INBOX
+        }) : currentFolder();
+
+        return folder && _.findWhere(folder.messages, {
+            uid: uid
+        });
+    }
+
+    /**
+     * The messages of the unified inbox are not grouped into conversations, since their uids are only unique per account
+     */
+    function isThreaded() {
+        return $scope.state.mailList.threaded && !isUnified();
+    }
+
+    /**
+     * The email data access object of the account of a folder, or of a displayed message
+     */
+    function emailOf(item) {
+        if (!isUnified()) {
+            return email;
+        }
+
+        var folder = item && item.messages ? item : $scope.folderOf(item);
+        return account.services(account.accountOf(folder)).email;
+    }
+
+    /**
+     * Filters the messages of all folders, including the outbox, and displays the most recent matches first
+     */
+    function displayGlobalSearchResults(query) {
+        var results = [];
+        ($scope.account && $scope.account.folders || []).forEach(function(folder) {
+            search.filter(folder.messages || [], query).forEach(function(message) {
+                results.push({
+                    message: message,
+                    folder: folder
+                });
+            });
+        });
+
+        // uids can not be compared across folders
+        results.sort(function(a, b) {
+            return (new Date(b.message.sentDate).getTime() || 0) - (new Date(a.message.sentDate).getTime() || 0);
+        });
+
+        $scope.displayMessages = _.pluck(results, 'message');
+        $scope.resultFolders = _.pluck(results, 'folder');
+    }
+
+    /**
+     * Groups the messages into conversations if necessary and sets the display buffer to the first messages
+     */
+    function displayFirstMessages() {
+        $scope.threads = isThreaded() ? thread.build(currentFolder().messages) : [];
+        threadsByUid = {};
+        $scope.threads.forEach(function(thread) {
+            thread.messages.forEach(function(message) {
+                threadsByUid[message.uid] = thread;
+            });
+        });
+        // keep the messages of the folder displayed that the user has scrolled to, e.g. when older messages are loaded
+        var len = (displayedFolder === currentFolder() && $scope.displayMessages) ? $scope.displayMessages.length : 0;
+        $scope.displayMessages = listMessages().slice(0, Math.max(len, INIT_DISPLAY_LEN));
+        $scope.resultFolders = [];
+        displayedFolder = currentFolder();
+    }
+
+    /**
+     * The rows of the mail list: all messages of the current folder, or in threaded mode
+     * the latest message of each conversation followed by the rest of the expanded conversations
+     */
+    function listMessages() {
+        var messages = currentFolder().messages;
+        if (!isThreaded()) {
+            return messages;
+        }
+
+        var rows = [];
+        $scope.threads.forEach(function(thread) {
+            rows.push(thread.latest);
+            if (expandedThreads[thread.id]) {
+                thread.messages.slice().reverse().forEach(function(message) {
+                    if (message !== thread.latest) {
+                        rows.push(message);
+                    }
+                });
+            }
+        });
+        return rows;
+    }
+
     //
     // Notification API
     //
 
+    // notify about new messages of all accounts, including the ones that are logged in in the background
+    $scope.$watchCollection(function() {
+        return account.list();
+    }, function(accounts) {
+        accounts.forEach(function(acc) {
+            if (acc !== $scope.account) {
+                account.services(acc).email.onIncomingMessage = function(msgs) {
+                    notifyIncoming(msgs, acc);
+                };
+            }
+        });
+    });
     email.onIncomingMessage = function(msgs) {
+        notifyIncoming(msgs);
+    };
+
+    /**
+     * Notifies about new messages in the inbox of the selected account or of another account
+     */
+    function notifyIncoming(msgs, acc) {
         var note, title, message, unreadMsgs;
 
         unreadMsgs = msgs.filter(function(msg) {
@@ -342,14 +725,18 @@ var MailListCtrl = function($scope, $timeout, $location, $filter, $q, status, no
                     $scope.pendingNotifications.splice(index, 1);
                 }
                 // open the message
-                $scope.navigate(_.findWhere(currentFolder().messages, {
-                    uid: unreadMsgs[0].uid
-                }));
+                if (acc) {
+                    $scope.state.nav.switchAccount(acc, _.findWhere(acc.folders, {
+                        type: FOLDER_TYPE_INBOX
+                    }), unreadMsgs[0].uid);
+                    return;
+                }
+                $scope.navigate(findMessage(unreadMsgs[0].uid));
             },
             timeout: NOTIFICATION_INBOX_TIMEOUT
         });
         $scope.pendingNotifications.push(note);
-    };
+    }
 };
 
 //
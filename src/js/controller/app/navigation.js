@@ -5,20 +5,22 @@
 //
 
 var NOTIFICATION_SENT_TIMEOUT = 2000;
+var UNIFIED_INBOX = 'all'; // the folder url parameter of the unified inbox
 
 
 //
 // Controller
 //
 
-var NavigationCtrl = function($scope, $location, $q, account, email, outbox, notification, appConfig, dialog, dummy) {
+var NavigationCtrl = function($scope, $location, $route, $q, $window, account, notification, appConfig, dialog, dummy) {
     if (!$location.search().dev && !account.isLoggedIn()) {
         $location.path('/'); // init app
         return;
     }
 
     var str = appConfig.string,
-        config = appConfig.config;
+        config = appConfig.config,
+        inboxWatches = [];
 
     //
     // scope state
@@ -28,9 +30,31 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
         open: false,
         toggle: function(to) {
             this.open = to;
+        },
+        /**
+         * Shows a folder of another account. The controllers are instantiated again to work with the services of that account.
+         * @param {Object} acc The account
+         * @param {Object} folder (optional) The folder to show, the inbox if undefined
+         * @param {Number} uid (optional) The uid of the message to read
+         */
+        switchAccount: function(acc, folder, uid) {
+            account.select(acc);
+            $location.search('folder', folder ? acc.folders.indexOf(folder) : 0);
+            $location.search('uid', uid || null);
+            $route.reload();
         }
     };
 
+    // the inboxes of all accounts in one folder
+    $scope.unifiedInbox = {
+        type: 'Inbox',
+        name: 'All inboxes',
+        unified: true,
+        folders: [],
+        messages: [],
+        count: 0
+    };
+
     //
     // url/history handling
     //
@@ -45,8 +69,34 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
         $location.search('folder', folderIndex); // open the n-th folder
     };
 
+    /**
+     * Show the inboxes of all accounts
+     */
+    $scope.openUnifiedInbox = function() {
+        $scope.navigate(UNIFIED_INBOX);
+    };
+
+    /**
+     * Open a folder of one of the accounts
+     */
+    $scope.openFolder = function(acc, folder) {
+        if (acc !== $scope.account) {
+            $scope.state.nav.switchAccount(acc, folder);
+            return;
+        }
+
+        $scope.navigate(acc.folders.indexOf(folder));
+    };
+
     // folder index url watcher
     $scope.$watch('(loc.search()).folder', function(folderIndex) {
+        if (folderIndex === UNIFIED_INBOX) {
+            // show the inboxes of all accounts
+            $scope.state.nav.currentFolder = $scope.unifiedInbox;
+            $scope.state.nav.toggle(false);
+            return;
+        }
+
         if (!$scope.account.folders || !$scope.account.folders.length) {
             // there's no folder to navigate to
             return;
@@ -90,14 +140,15 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
     // scope functions
     //
 
-    $scope.onOutboxUpdate = function(err, count) {
+    $scope.onOutboxUpdate = function(err, count, acc) {
         if (err) {
             dialog.error(err);
             return;
         }
 
         // update the outbox mail count
-        var ob = _.findWhere($scope.account.folders, {
+        acc = acc || $scope.account;
+        var ob = _.findWhere(acc.folders, {
             type: config.outboxMailboxType
         });
 
@@ -112,13 +163,164 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
             resolve();
 
         }).then(function() {
-            return email.refreshFolder({
+            return account.services(acc).email.refreshFolder({
                 folder: ob
             });
 
         }).catch(dialog.error);
     };
 
+    //
+    // folder tree
+    //
+
+    /**
+     * The depth of a folder in the folder tree of an account, 0 for top level folders
+     */
+    $scope.folderDepth = function(acc, folder) {
+        return parentFolders(acc, folder).length;
+    };
+
+    /**
+     * Checks if a folder is hidden in the folder tree, because one of its parent folders is collapsed
+     */
+    $scope.isFolderHidden = function(acc, folder) {
+        return parentFolders(acc, folder).some(function(parent) {
+            return parent.collapsed;
+        });
+    };
+
+    $scope.hasSubfolders = function(acc, folder) {
+        return acc.folders.some(function(f) {
+            return isSubfolder(f, folder);
+        });
+    };
+
+    /**
+     * Expands or collapses the subfolders of a folder
+     */
+    $scope.toggleFolder = function(acc, folder) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return account.services(acc).email.collapseFolder({
+                folder: folder,
+                collapsed: !folder.collapsed
+            });
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Creates a folder at the top level of the folder tree or in a parent folder
+     * @param {Object} acc The account
+     * @param {Object} parent (optional) The parent folder
+     */
+    $scope.createFolder = function(acc, parent) {
+        var name = $window.prompt(parent ? str.createSubfolderPrompt.replace('{0}', parent.name) : str.createFolderPrompt);
+        if (!name) {
+            return;
+        }
+
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return account.services(acc).email.createFolder({
+                name: name,
+                parent: parent
+            });
+
+        }).then(function() {
+            if (parent && parent.collapsed) {
+                // show the new folder
+                return $scope.toggleFolder(acc, parent);
+            }
+
+        }).then(function() {
+            updateFolderIndex(acc);
+
+        }).catch(dialog.error);
+    };
+
+    $scope.renameFolder = function(acc, folder) {
+        var name = $window.prompt(str.renameFolderPrompt.replace('{0}', folder.name), folder.name);
+        if (!name || name === folder.name) {
+            return;
+        }
+
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return account.services(acc).email.renameFolder({
+                folder: folder,
+                name: name
+            });
+
+        }).then(function() {
+            updateFolderIndex(acc);
+
+        }).catch(dialog.error);
+    };
+
+    $scope.deleteFolder = function(acc, folder) {
+        return dialog.confirm({
+            title: str.deleteFolderTitle,
+            message: str.deleteFolderMessage.replace('{0}', folder.name),
+            callback: function(confirm) {
+                if (!confirm) {
+                    return;
+                }
+
+                $q(function(resolve) {
+                    resolve();
+
+                }).then(function() {
+                    return account.services(acc).email.deleteFolder({
+                        folder: folder
+                    });
+
+                }).then(function() {
+                    updateFolderIndex(acc);
+
+                }).catch(dialog.error);
+            }
+        });
+    };
+
+    $scope.addAccount = function() {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return account.add();
+
+        }).then(function() {
+            $location.search({});
+            $location.path('/add-account');
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Log in to a stored account on the login screens, e.g. to enter the passphrase of its key
+     */
+    $scope.login = function(emailAddress) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return account.add(emailAddress);
+
+        }).then(function() {
+            $location.search({});
+            $location.path('/login');
+
+        }).catch(dialog.error);
+    };
+
     $scope.logout = function() {
         return dialog.confirm({
             title: str.logoutTitle,
@@ -151,6 +353,15 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
         }
     });
 
+    // log in to the other accounts on the device in the background
+    $q(function(resolve) {
+        resolve();
+
+    }).then(function() {
+        return account.initStored();
+
+    }).catch(dialog.error);
+
     //
     // helper functions
     //
@@ -160,11 +371,60 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
         if ($location.search().dev) {
             $scope.$root.account = {};
             $scope.account.folders = dummy.listFolders();
+            $scope.accounts = [$scope.account];
             return;
         }
 
+        if (!account.selected()) {
+            // logging in to another account was cancelled
+            account.select(account.list()[0]);
+        }
+
         // get pointer to account/folder/message tree on root scope
-        $scope.$root.account = account.list()[0];
+        $scope.$root.account = account.selected();
+        $scope.accounts = account.list();
+        $scope.lockedAccounts = account.listLocked();
+
+        // check the outboxes of the accounts, including the ones that are logged in in the background
+        $scope.$watchCollection(function() {
+            return account.list();
+        }, function(accounts) {
+            accounts.forEach(checkOutbox);
+        });
+
+        // keep the unified inbox up to date: the messages of an inbox are only sorted again when they change
+        $scope.$watchCollection(listInboxes, function(inboxes) {
+            var sortedMessages = inboxes.map(function() {
+                return [];
+            });
+
+            inboxWatches.forEach(function(deregister) {
+                deregister();
+            });
+            $scope.unifiedInbox.folders = inboxes;
+            $scope.unifiedInbox.messages = [];
+            inboxWatches = inboxes.map(function(inbox, i) {
+                return $scope.$watchCollection(function() {
+                    return inbox.messages;
+                }, function(messages) {
+                    sortedMessages[i] = (messages || []).slice().sort(function(a, b) {
+                        return b.sentDate - a.sentDate;
+                    });
+                    $scope.unifiedInbox.messages = mergeMessages(sortedMessages);
+                });
+            });
+        });
+        $scope.$watch(function() {
+            return listInboxes().reduce(function(count, inbox) {
+                return count + (inbox.count || 0);
+            }, 0);
+        }, function(count) {
+            $scope.unifiedInbox.count = count;
+        });
+    }
+
+    function checkOutbox(acc) {
+        var outbox = account.services(acc).outbox;
 
         // set notificatio handler for sent messages
         outbox.onSent = function(message) {
@@ -176,7 +436,77 @@ var NavigationCtrl = function($scope, $location, $q, account, email, outbox, not
         };
 
         // start checking outbox periodically
-        outbox.startChecking($scope.onOutboxUpdate);
+        outbox.startChecking(function(err, count) {
+            return $scope.onOutboxUpdate(err, count, acc);
+        });
+    }
+
+    /**
+     * The folders that contain a custom folder in the folder tree, i.e. the custom folders along its path
+     */
+    function parentFolders(acc, folder) {
+        return acc.folders.filter(function(parent) {
+            return !parent.wellknown && isSubfolder(folder, parent);
+        });
+    }
+
+    function isSubfolder(folder, parent) {
+        return !!parent.delimiter && folder.path.indexOf(parent.path + parent.delimiter) === 0;
+    }
+
+    /**
+     * The folders are addressed by their index in the url, which changes when the folders of the displayed account change
+     */
+    function updateFolderIndex(acc) {
+        var index;
+
+        if (acc !== $scope.account || $scope.state.nav.currentFolder === $scope.unifiedInbox) {
+            // the displayed folder has not moved
+            return;
+        }
+
+        index = acc.folders.indexOf($scope.state.nav.currentFolder);
+        if (index < 0) {
+            // the displayed folder has been deleted, show the inbox
+            $scope.navigate(0);
+            return;
+        }
+
+        $location.search('folder', index);
+    }
+
+    /**
+     * Merges the messages of the inboxes, each sorted by date with the newest first, into one list sorted the same way
+     */
+    function mergeMessages(lists) {
+        var merged = [],
+            heads = lists.map(function() {
+                return 0;
+            }),
+            next, i;
+
+        while (true) {
+            next = -1;
+            for (i = 0; i < lists.length; i++) {
+                if (heads[i] < lists[i].length && (next < 0 || lists[i][heads[i]].sentDate > lists[next][heads[next]].sentDate)) {
+                    next = i;
+                }
+            }
+            if (next < 0) {
+                return merged;
+            }
+            merged.push(lists[next][heads[next]++]);
+        }
+    }
+
+    function listInboxes() {
+        return account.list().map(function(acc) {
+            return _.findWhere(acc.folders, {
+                type: 'Inbox'
+            });
+        }).filter(function(inbox) {
+            return inbox;
+        });
     }
 };
 
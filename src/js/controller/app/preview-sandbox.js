@@ -0,0 +1,153 @@
+'use strict';
+
+// the number of pages of a pdf document that are rendered
+var MAX_PDF_PAGES = 20;
+// the zoom factor for rendering pdf pages
+var PDF_SCALE = 1.5;
+
+// object urls of the previous preview, which are released when the next attachment is previewed
+var objectUrls = [];
+
+// set listener for event from main window
+window.onmessage = function(e) {
+    var preview = e.data;
+
+    reset();
+
+    if (preview.type === 'image') {
+        renderImage(toBlob(preview));
+    } else if (preview.type === 'text') {
+        renderText(toBlob(preview));
+    } else if (preview.type === 'pdf') {
+        renderPdf(toBlob(preview));
+    } else if (preview.type === 'message') {
+        renderMessage(preview.message);
+    }
+};
+
+/**
+ * Remove the previous preview
+ */
+function reset() {
+    objectUrls.forEach(function(url) {
+        window.URL.revokeObjectURL(url);
+    });
+    objectUrls = [];
+    document.body.innerHTML = '';
+}
+
+/**
+ * The content is sent as a blob if it has been fetched from IMAP, or as a typed array if it has been decrypted
+ */
+function toBlob(preview) {
+    return new Blob([preview.content], {
+        type: preview.mimeType
+    });
+}
+
+function renderImage(blob) {
+    var img = document.createElement('img'),
+        url = window.URL.createObjectURL(blob);
+
+    objectUrls.push(url);
+    img.className = 'preview-image';
+    img.src = url;
+    document.body.appendChild(img);
+}
+
+function renderText(blob) {
+    read(blob, 'readAsText', function(text) {
+        // text is never interpreted as markup
+        var pre = document.createElement('pre');
+        pre.className = 'preview-text';
+        pre.textContent = text;
+        document.body.appendChild(pre);
+    });
+}
+
+function renderPdf(blob) {
+    read(blob, 'readAsArrayBuffer', function(buffer) {
+        // the sandbox can not start a worker of its own
+        window.PDFJS.disableWorker = true;
+        window.PDFJS.getDocument(new Uint8Array(buffer)).then(function(pdf) {
+            for (var i = 1; i <= Math.min(pdf.numPages, MAX_PDF_PAGES); i++) {
+                // add the canvases in the order of the pages, the pages are rendered asynchronously
+                var canvas = document.createElement('canvas');
+                canvas.className = 'preview-page';
+                document.body.appendChild(canvas);
+                renderPage(pdf, i, canvas);
+            }
+        }, function() {
+            renderError('This PDF document can not be displayed.');
+        });
+    });
+
+    function renderPage(pdf, pageNumber, canvas) {
+        pdf.getPage(pageNumber).then(function(page) {
+            var viewport = page.getViewport(PDF_SCALE);
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport: viewport
+            });
+        });
+    }
+}
+
+function renderMessage(message) {
+    var header = document.createElement('dl'),
+        body;
+
+    header.className = 'preview-message-header';
+    [
+        ['From', message.from],
+        ['To', message.to],
+        ['Cc', message.cc],
+        ['Date', message.date],
+        ['Subject', message.subject]
+    ].forEach(function(field) {
+        if (!field[1]) {
+            return;
+        }
+
+        var dt = document.createElement('dt'),
+            dd = document.createElement('dd');
+        dt.textContent = field[0] + ':';
+        dd.textContent = field[1];
+        header.appendChild(dt);
+        header.appendChild(dd);
+    });
+    document.body.appendChild(header);
+
+    if (message.body || !message.html) {
+        body = document.createElement('pre');
+        body.className = 'preview-text';
+        body.textContent = message.body;
+    } else {
+        // sanitize HTML content: https://github.com/cure53/DOMPurify and do not load any images
+        body = document.createElement('div');
+        body.innerHTML = window.DOMPurify.sanitize(message.html).replace(/(<img[^>]+\b)src=['"][^'">]+['"]/ig, function(match, prefix) {
+            return prefix;
+        });
+    }
+    document.body.appendChild(body);
+}
+
+function renderError(text) {
+    var p = document.createElement('p');
+    p.className = 'preview-error';
+    p.textContent = text;
+    document.body.appendChild(p);
+}
+
+function read(blob, method, callback) {
+    var reader = new FileReader();
+    reader.onload = function() {
+        callback(reader.result);
+    };
+    reader.onerror = function() {
+        renderError('This attachment can not be read.');
+    };
+    reader[method](blob);
+}
@@ -0,0 +1,74 @@
+'use strict';
+
+var attachmentDecoder = require('../../email/attachment');
+
+var PreviewCtrl = function($scope, $q, email, download, dialog) {
+
+    //
+    // scope state
+    //
+
+    $scope.state.preview = {
+        open: function(attachment) {
+            $scope.attachment = attachment;
+            $scope.preview = undefined;
+            $scope.state.lightbox = 'preview';
+
+            return $q(function(resolve) {
+                resolve();
+
+            }).then(function() {
+                var type = attachmentDecoder.previewType(attachment.mimeType, attachment.filename);
+                if (type === 'message') {
+                    // parse message attachments here, the sandbox only displays them
+                    return email.parseAttachedMessage({
+                        attachment: attachment
+                    }).then(function(message) {
+                        return createPreview(attachment, type, message);
+                    });
+                }
+
+                return createPreview(attachment, type);
+
+            }).then(function(preview) {
+                // the lightbox might have been closed or opened for another attachment in the meantime
+                if ($scope.attachment === attachment) {
+                    $scope.preview = preview;
+                }
+
+            }).catch(dialog.error);
+        },
+        close: function() {
+            $scope.state.lightbox = undefined;
+            $scope.attachment = undefined;
+            $scope.preview = undefined;
+        }
+    };
+
+    function createPreview(attachment, type, message) {
+        return {
+            type: type,
+            mimeType: attachment.mimeType,
+            content: attachment.blob || attachment.content,
+            message: message
+        };
+    }
+
+    //
+    // scope functions
+    //
+
+    /**
+     * Saves the previewed attachment to disk
+     */
+    $scope.download = function() {
+        var attachment = $scope.attachment;
+        download.createDownload({
+            content: attachment.blob || attachment.content,
+            filename: attachment.filename,
+            contentType: attachment.mimeType
+        });
+    };
+};
+
+module.exports = PreviewCtrl;
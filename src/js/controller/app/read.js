@@ -1,10 +1,12 @@
 'use strict';
 
+var attachmentDecoder = require('../../email/attachment');
+
 //
 // Controller
 //
 
-var ReadCtrl = function($scope, $location, $q, email, invitation, outbox, pgp, keychain, appConfig, download, auth, dialog, status) {
+var ReadCtrl = function($scope, $location, $q, invitation, outbox, pgp, keychain, appConfig, download, auth, dialog, status, thread) {
 
     //
     // scope state
@@ -24,6 +26,22 @@ var ReadCtrl = function($scope, $location, $q, email, invitation, outbox, pgp, k
     // set default value so that the popover height is correct on init
     $scope.keyId = 'No key found.';
 
+    /**
+     * The messages of the conversation the selected message belongs to, oldest first.
+     * Empty if the message is not part of a conversation.
+     */
+    $scope.conversation = [];
+
+    /**
+     * Maps the uid of a message in the conversation to true if it is expanded
+     */
+    $scope.expanded = {};
+
+    /**
+     * The time picked for sending the selected message, if it is in the outbox
+     */
+    $scope.schedule = {};
+
     //
     // url/history handling
     //
@@ -78,6 +96,13 @@ var ReadCtrl = function($scope, $location, $q, email, invitation, outbox, pgp, k
     };
 
     $scope.$watch('state.mailList.selected', function(mail) {
+        // display the other messages of the conversation
+        updateConversation(mail);
+
+        $scope.schedule = {
+            sendAt: mail && mail.sendAt && new Date(mail.sendAt)
+        };
+
         if ($location.search().dev || !mail) {
             return;
         }
@@ -90,6 +115,14 @@ var ReadCtrl = function($scope, $location, $q, email, invitation, outbox, pgp, k
         Array.isArray(mail.cc) && mail.cc.forEach(checkPublicKey);
     });
 
+    function updateConversation(mail) {
+        var folder = mail && $scope.state.mailList.folderOf(mail),
+            conversation = mail && folder && folder.messages && thread.find(folder.messages, mail);
+
+        $scope.expanded = {};
+        $scope.conversation = (conversation && conversation.messages.length > 1) ? conversation.messages : [];
+    }
+
     function checkPublicKey(user) {
         user.secure = undefined;
 
@@ -111,31 +144,150 @@ var ReadCtrl = function($scope, $location, $q, email, invitation, outbox, pgp, k
 
     $scope.download = function(attachment) {
         // download file to disk if content is available
-        if (attachment.content) {
+        if (attachment.blob || attachment.content) {
             download.createDownload({
-                content: attachment.content,
+                content: attachment.blob || attachment.content,
                 filename: attachment.filename,
                 contentType: attachment.mimeType
             });
             return;
         }
 
-        var folder = $scope.state.nav.currentFolder;
+        return fetchAttachment(attachment).catch(dialog.error);
+    };
+
+    /**
+     * Checks if an attachment can be displayed in the preview lightbox
+     */
+    $scope.canPreview = function(attachment) {
+        return !!attachmentDecoder.previewType(attachment.mimeType, attachment.filename);
+    };
+
+    /**
+     * Displays an attachment in the preview lightbox and fetches its content if necessary
+     */
+    $scope.showPreview = function(attachment) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            // the attachments of encrypted messages are available after decryption
+            if (!attachment.blob && !attachment.content) {
+                return fetchAttachment(attachment);
+            }
+
+        }).then(function() {
+            $scope.state.preview.open(attachment);
+
+        }).catch(dialog.error);
+    };
+
+    function fetchAttachment(attachment) {
         var message = $scope.state.mailList.selected;
 
         return $q(function(resolve) {
             resolve();
 
         }).then(function() {
-            return email.getAttachment({
-                folder: folder,
+            return $scope.state.mailList.emailOf(message).getAttachment({
+                folder: $scope.state.mailList.folderOf(message),
                 uid: message.uid,
-                attachment: attachment
+                attachment: attachment,
+                onProgress: function() {
+                    // the progress is reported outside of angular's digest cycle
+                    $scope.$evalAsync();
+                }
+            });
+        });
+    }
+
+    /**
+     * Expands or collapses a message of the conversation and loads its body if necessary
+     */
+    $scope.toggleConversationMessage = function(message) {
+        $scope.expanded[message.uid] = !$scope.expanded[message.uid];
+        if (!$scope.expanded[message.uid] || $location.search().dev) {
+            return;
+        }
+
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return $scope.state.mailList.emailOf(message).getBody({
+                folder: $scope.state.mailList.folderOf(message),
+                message: message
+            });
+
+        }).then(function() {
+            return $scope.state.mailList.emailOf(message).decryptBody({
+                message: message
+            });
+
+        }).catch(function(err) {
+            // don't display err for offline case
+            if (err.code !== 42) {
+                dialog.error(err);
+            }
+        });
+    };
+
+    /**
+     * Opens a message of the conversation in read mode
+     */
+    $scope.openConversationMessage = function(message) {
+        $location.search('uid', message.uid);
+    };
+
+    /**
+     * Changes the time at which a message in the outbox is sent
+     * @param {Object} message The message in the outbox
+     * @param {Date} sendAt The time to send the message at, or undefined to send it right away
+     */
+    $scope.reschedule = function(message, sendAt) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return outbox.reschedule({
+                mail: message,
+                sendAt: sendAt
             });
 
         }).catch(dialog.error);
     };
 
+    /**
+     * Sends a message in the outbox that is waiting for a retry or has failed right away
+     * @param {Object} message The message in the outbox
+     */
+    $scope.retry = function(message) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return outbox.retry(message);
+
+        }).catch(dialog.error);
+    };
+
+    /**
+     * Takes a message that could not be sent out of the outbox and opens it in the writer
+     * @param {Object} message The plaintext message in the outbox
+     */
+    $scope.resend = function(message) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return outbox.withdraw(message);
+
+        }).then(function() {
+            $scope.state.writer.resend(message);
+
+        }).catch(dialog.error);
+    };
+
     $scope.invite = function(user) {
         // only invite non-pgp users
         if (user.secure) {
@@ -1,6 +1,8 @@
 'use strict';
 
-var StatusDisplayCtrl = function($scope) {
+var StatusDisplayCtrl = function($scope, $timeout) {
+
+    var undoTimeout;
 
     $scope.$on('status', function(e, text, time) {
         $scope.text = text;
@@ -11,6 +13,32 @@ var StatusDisplayCtrl = function($scope) {
         $scope.searching = state;
     });
 
+    $scope.$on('undo', function(e, text, action, delay) {
+        $scope.text = text;
+        $scope.time = '';
+        $scope.undoAction = action;
+
+        // the action can only be undone for a while
+        $timeout.cancel(undoTimeout);
+        undoTimeout = $timeout(function() {
+            $scope.undoAction = undefined;
+        }, delay);
+    });
+
+    /**
+     * Runs the undo action that is currently offered
+     */
+    $scope.undo = function() {
+        var action = $scope.undoAction;
+
+        $timeout.cancel(undoTimeout);
+        $scope.undoAction = undefined;
+
+        if (action) {
+            return action();
+        }
+    };
+
 };
 
 module.exports = StatusDisplayCtrl;
\ No newline at end of file
@@ -1,16 +1,20 @@
 'use strict';
 
-var util = require('crypto-lib').util;
+var util = require('crypto-lib').util,
+    htmlUtil = require('../../email/html');
 
 //
 // Controller
 //
 
-var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain, pgp, email, outbox, dialog, axe, status, invitation) {
+var WriteCtrl = function($scope, $window, $filter, $q, $timeout, appConfig, auth, keychain, pgp, outbox, drafts, settings, signatures, identities, dialog, axe, status, invitation) {
 
     var str = appConfig.string;
     var cfg = appConfig.config;
 
+    var autosaveTimeout, savedSnapshot,
+        insertedSignature; // the signature in the body, which is replaced when the identity changes
+
     // set default value so that the popover height is correct on init
     $scope.keyId = 'XXXXXXXX';
 
@@ -19,16 +23,72 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
     //
 
     $scope.state.writer = {
-        write: function(replyTo, replyAll, forward) {
+        /**
+         * Opens the writer
+         * @param {Object} replyTo (optional) The message to reply to or to forward
+         * @param {Boolean} replyAll (optional) Reply to all recipients of replyTo
+         * @param {Boolean} forward (optional) Forward replyTo
+         * @param {Object} draft (optional) A message from the drafts folder to continue writing
+         */
+        write: function(replyTo, replyAll, forward, draft) {
             $scope.state.lightbox = 'write';
             $scope.replyTo = replyTo;
 
             resetFields();
 
+            if (draft) {
+                return openDraft(draft);
+            }
+
             // fill fields depending on replyTo
             fillFields(replyTo, replyAll, forward);
+            insertSignature($scope.from.address);
 
             $scope.verify($scope.to[0]);
+
+            // autosave the new message as a draft once it has been edited
+            $scope.draft = drafts.create();
+            savedSnapshot = snapshot();
+        },
+        /**
+         * Opens a message that has been taken out of the outbox, e.g. because it could not be sent, to edit it
+         * @param {Object} mail The plaintext message from the outbox
+         */
+        resend: function(mail) {
+            this.write();
+            fillUnsentFields(mail);
+            $scope.to.concat($scope.cc, $scope.bcc).forEach($scope.verify);
+        },
+        /**
+         * Opens the writer to forward a message as a message/rfc822 attachment
+         * @param {Object} message The message to forward
+         */
+        forwardAsAttachment: function(message) {
+            this.write();
+            $scope.replyTo = message;
+            $scope.writerTitle = 'Forward';
+            $scope.subject = 'Fwd: ' + message.subject;
+            if (message.id) {
+                $scope.references = [message.id];
+            }
+            $scope.forwardsEncrypted = !!message.encrypted;
+
+            // display a placeholder while the message is fetched
+            var placeholder = {
+                filename: message.subject + '.eml',
+                busy: true
+            };
+            $scope.attachments = [placeholder];
+            savedSnapshot = snapshot();
+
+            return resolveAttachments(message, function() {
+                return emailOf(message).getMessageAttachment({
+                    folder: folderOf(message),
+                    message: message
+                }).then(function(attachment) {
+                    return [attachment];
+                });
+            }, [placeholder]);
         },
         reportBug: function() {
             $scope.state.lightbox = 'write';
@@ -37,12 +97,18 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             $scope.verify($scope.to[0]);
         },
         close: function() {
+            // don't lose the latest changes
+            $scope.saveDraft();
+            $scope.draft = undefined;
             $scope.state.lightbox = undefined;
         }
     };
 
     function resetFields() {
         $scope.writerTitle = 'New email';
+        $scope.identities = identities.list();
+        $scope.from = $scope.identities[0];
+        insertedSignature = undefined;
         $scope.to = [];
         $scope.showCC = false;
         $scope.cc = [];
@@ -50,7 +116,19 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         $scope.bcc = [];
         $scope.subject = '';
         $scope.body = '';
+        $scope.htmlMode = false;
+        $scope.htmlBody = '';
         $scope.attachments = [];
+        $scope.references = undefined;
+        $scope.inReplyTo = undefined;
+        $scope.draft = undefined;
+        $scope.showSendAt = false;
+        $scope.sendAt = undefined;
+        $scope.sign = settings.get('signPlaintext');
+        $scope.encryptWherePossible = false;
+        $scope.hideKeyIds = false;
+        $scope.fetchingAttachments = false;
+        $scope.forwardsEncrypted = false;
         $scope.addressBookCache = undefined;
         $scope.showInvite = undefined;
         $scope.invited = [];
@@ -100,7 +178,7 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
     }
 
     function fillFields(re, replyAll, forward) {
-        var replyTo, from, sentDate, body;
+        var replyTo, from, sentDate, intro, body;
 
         if (!re) {
             return;
@@ -108,6 +186,9 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
 
         $scope.writerTitle = (forward) ? 'Forward' : 'Reply';
 
+        // answer from the identity the message was addressed to
+        $scope.from = identities.forMessage(re);
+
         replyTo = re.replyTo && re.replyTo[0] && re.replyTo[0].address || re.from[0].address;
 
         // fill recipient field and references
@@ -128,8 +209,7 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         }
         if (replyAll) {
             re.to.concat(re.cc).forEach(function(recipient) {
-                var me = auth.emailAddress;
-                if (recipient.address === me && replyTo !== me) {
+                if (identities.getByAddress(recipient.address) && replyTo !== recipient.address) {
                     // don't reply to yourself
                     return;
                 }
@@ -154,6 +234,19 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             if (re.id) {
                 $scope.references = [re.id];
             }
+
+            // the decrypted content of an encrypted message is encrypted again for the new recipients
+            $scope.forwardsEncrypted = !!re.encrypted;
+            resolveAttachments(re, function() {
+                return emailOf(re).resolveAttachments({
+                    folder: folderOf(re),
+                    message: re,
+                    onProgress: function() {
+                        // the progress is reported outside of angular's digest cycle
+                        $scope.$evalAsync();
+                    }
+                });
+            }, re.attachments);
         }
 
         // fill subject
@@ -177,17 +270,23 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         }
 
         if (forward) {
-            body = '\n\n' +
-                '---------- Forwarded message ----------\n' +
+            intro = '---------- Forwarded message ----------\n' +
                 'From: ' + re.from[0].name + ' <' + re.from[0].address + '>\n' +
                 'Date: ' + sentDate + '\n' +
                 'Subject: ' + re.subject + '\n' +
-                'To: ' + createString(re.to) + '\n' +
-                ((re.cc && re.cc.length > 0) ? 'Cc: ' + createString(re.cc) + '\n' : '') +
-                '\n\n';
+                'To: ' + createString(re.to) +
+                ((re.cc && re.cc.length > 0) ? '\nCc: ' + createString(re.cc) : '');
+            body = '\n\n' + intro + '\n\n\n';
 
         } else {
-            body = '\n\n' + sentDate + ' ' + from + ' wrote:\n> ';
+            intro = sentDate + ' ' + from + ' wrote:';
+            body = '\n\n' + intro + '\n> ';
+        }
+
+        // html messages are quoted in html mode, so that they are not flattened
+        if (re.html) {
+            $scope.htmlMode = true;
+            $scope.htmlBody = htmlUtil.quote(intro, re);
         }
 
         if (re.body) {
@@ -196,6 +295,276 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         }
     }
 
+    /**
+     * Inserts the default signature of an identity into the body, so that it can be edited. In replies and forwards
+     * it is placed above or below the quote, as configured in the signature manager.
+     * @param {String} address The sender address of the identity
+     */
+    function insertSignature(address) {
+        var signature = signatures.getDefault(address),
+            above = !!$scope.replyTo && signatures.getPlacement() === 'above';
+
+        insertedSignature = signature;
+        if (!signature) {
+            return;
+        }
+
+        if (above) {
+            $scope.body = '\n\n' + signatures.toText(signature) + $scope.body;
+        } else {
+            $scope.body += '\n\n' + signatures.toText(signature);
+        }
+
+        if (!$scope.htmlMode) {
+            return;
+        }
+        if (above) {
+            $scope.htmlBody = '<br><br>' + signatures.toHtml(signature) + $scope.htmlBody;
+        } else {
+            $scope.htmlBody += '<br>' + signatures.toHtml(signature);
+        }
+    }
+
+    /**
+     * Sends from another identity and replaces the signature of the previous identity with the new one,
+     * unless it has been edited
+     * @param {Object} identity The identity to send from
+     */
+    $scope.changeIdentity = function(identity) {
+        var previous = insertedSignature,
+            next = signatures.getDefault(identity.address);
+
+        $scope.from = identity;
+        if (!previous) {
+            return insertSignature(identity.address);
+        }
+
+        $scope.body = replaceOnce($scope.body, signatures.toText(previous), next ? signatures.toText(next) : '');
+        if ($scope.htmlMode) {
+            $scope.htmlBody = replaceOnce($scope.htmlBody, signatures.toHtml(previous), next ? signatures.toHtml(next) : '');
+        }
+        insertedSignature = next;
+
+        function replaceOnce(body, search, replacement) {
+            var index = body.indexOf(search);
+            return (index < 0) ? body : body.slice(0, index) + replacement + body.slice(index + search.length);
+        }
+    };
+
+    /**
+     * Replaces forwarded attachments with copies that contain their content, so that they can be sent
+     * @param {Object} re The forwarded message
+     * @param {Function} resolve Resolves the copies of the attachments
+     * @param {Array} originals The attachments in the writer that are replaced by the copies with the same index
+     */
+    function resolveAttachments(re, resolve, originals) {
+        if (!originals || !originals.length) {
+            return;
+        }
+
+        $scope.fetchingAttachments = true;
+
+        return $q(function(done) {
+            done();
+
+        }).then(resolve).then(function(copies) {
+            // the writer has been closed or opened for another message in the meantime
+            if ($scope.replyTo !== re) {
+                return;
+            }
+
+            $scope.attachments = $scope.attachments.map(function(attachment) {
+                var index = originals.indexOf(attachment);
+                return (index < 0) ? attachment : copies[index];
+            });
+            $scope.fetchingAttachments = false;
+
+        }).catch(function(err) {
+            if ($scope.replyTo !== re) {
+                return;
+            }
+
+            // don't send attachments without content
+            $scope.attachments = _.difference($scope.attachments, originals);
+            $scope.fetchingAttachments = false;
+            dialog.error(err);
+        });
+    }
+
+    /**
+     * The identity a draft or an unsent message is sent from, the current identity if it is unknown
+     */
+    function senderIdentity(message) {
+        var from = (message.from || [])[0];
+        return (from && identities.getByAddress(from.address)) || $scope.from;
+    }
+
+    function fillUnsentFields(mail) {
+        var headers = mail.headers || {};
+
+        $scope.from = senderIdentity(mail);
+        $scope.to = pickAddresses(mail.to);
+        $scope.cc = pickAddresses(mail.cc);
+        $scope.showCC = $scope.cc.length > 0;
+        $scope.bcc = pickAddresses(mail.bcc);
+        $scope.showBCC = $scope.bcc.length > 0;
+        $scope.subject = mail.subject;
+        $scope.body = mail.body;
+        $scope.htmlMode = !!mail.html;
+        $scope.htmlBody = mail.html || '';
+        $scope.attachments = mail.attachments || [];
+        $scope.inReplyTo = headers['in-reply-to'] && stripBrackets(headers['in-reply-to']);
+        $scope.references = headers.references && headers.references.split(' ').map(stripBrackets);
+        $scope.sign = mail.sign !== false;
+        $scope.hideKeyIds = !!mail.hideKeyIds;
+    }
+
+    //
+    // Drafts
+    //
+
+    function openDraft(message) {
+        $scope.writerTitle = 'Draft';
+
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return drafts.open({
+                folder: folderOf(message),
+                message: message
+            });
+
+        }).then(function(draft) {
+            $scope.draft = draft;
+            $scope.from = senderIdentity(draft);
+            $scope.to = draft.to;
+            $scope.cc = draft.cc;
+            $scope.showCC = draft.cc.length > 0;
+            $scope.bcc = draft.bcc;
+            $scope.showBCC = draft.bcc.length > 0;
+            $scope.subject = draft.subject || '';
+            $scope.body = draft.body || '';
+            $scope.htmlMode = !!draft.html;
+            $scope.htmlBody = draft.html || '';
+            $scope.attachments = draft.attachments;
+            $scope.inReplyTo = draft.inReplyTo;
+            $scope.references = draft.references;
+            savedSnapshot = snapshot();
+
+            $scope.to.concat($scope.cc, $scope.bcc).forEach($scope.verify);
+
+        }).catch(function(err) {
+            $scope.state.writer.close();
+            if (err.code !== 42) {
+                dialog.error(err);
+            }
+        });
+    }
+
+    /**
+     * Saves the draft if it has been changed since it was last saved
+     */
+    $scope.saveDraft = function() {
+        var draft = $scope.draft;
+
+        $timeout.cancel(autosaveTimeout);
+
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            // the draft is saved once the forwarded attachments have been fetched
+            if (!draft || $scope.fetchingAttachments || snapshot() === savedSnapshot) {
+                return;
+            }
+
+            savedSnapshot = snapshot();
+            _.extend(draft, {
+                from: [{
+                    name: $scope.from.name,
+                    address: $scope.from.address
+                }],
+                to: pickAddresses($scope.to),
+                cc: pickAddresses($scope.cc),
+                bcc: pickAddresses($scope.bcc),
+                subject: $scope.subject,
+                body: composedText(),
+                html: composedHtml(),
+                attachments: $scope.attachments,
+                inReplyTo: $scope.inReplyTo,
+                references: $scope.references,
+                secure: !!$scope.sendBtnSecure
+            });
+
+            return drafts.save(draft);
+
+        }).catch(dialog.error);
+    };
+
+    // autosave the draft a short while after it has been changed
+    $scope.$watch(function() {
+        return $scope.draft && snapshot();
+    }, function(current) {
+        if (!current || current === savedSnapshot) {
+            return;
+        }
+
+        $timeout.cancel(autosaveTimeout);
+        autosaveTimeout = $timeout($scope.saveDraft, cfg.draftAutosaveDelay);
+    });
+
+    /**
+     * Serializes the compose state to detect changes
+     */
+    function snapshot() {
+        return JSON.stringify([
+            $scope.from.address,
+            _.pluck($scope.to, 'address'),
+            _.pluck($scope.cc, 'address'),
+            _.pluck($scope.bcc, 'address'),
+            $scope.subject,
+            $scope.body,
+            composedHtml(),
+            _.pluck($scope.attachments, 'filename')
+        ]);
+    }
+
+    //
+    // Html mode
+    //
+
+    /**
+     * Switches between writing plaintext and html, the current body is converted
+     * @param {Boolean} on Write html
+     */
+    $scope.toggleHtmlMode = function(on) {
+        if (on === $scope.htmlMode) {
+            return;
+        }
+
+        if (on) {
+            $scope.htmlBody = htmlUtil.fromText($scope.body);
+        } else {
+            $scope.body = htmlUtil.toText($scope.htmlBody);
+        }
+        $scope.htmlMode = on;
+    };
+
+    /**
+     * The plaintext body, which is generated from the html in html mode
+     */
+    function composedText() {
+        return $scope.htmlMode ? htmlUtil.toText($scope.htmlBody) : $scope.body.trim();
+    }
+
+    /**
+     * The html body, undefined if the message is written in plaintext
+     */
+    function composedHtml() {
+        return $scope.htmlMode ? $scope.htmlBody : undefined;
+    }
+
     //
     // Editing headers
     //
@@ -266,9 +635,11 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         $scope.okToSend = false;
         $scope.sendBtnText = undefined;
         $scope.sendBtnSecure = undefined;
+        $scope.canSplit = false;
 
         var allSecure = true;
         var numReceivers = 0;
+        var numSecure = 0;
 
         // count number of receivers and check security
         $scope.to.forEach(check);
@@ -286,6 +657,8 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             numReceivers++;
             if (!recipient.secure) {
                 allSecure = false;
+            } else {
+                numSecure++;
             }
         }
 
@@ -295,10 +668,8 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             return;
         }
 
-        // bcc automatically disables secure sending
-        if ($scope.bcc.filter(filterEmptyAddresses).length > 0) {
-            allSecure = false;
-        }
+        // the message can be encrypted for some of the recipients, if the user confirms sending a plaintext copy to the others
+        $scope.canSplit = !allSecure && numSecure > 0;
 
         if (allSecure) {
             // send encrypted if all secure
@@ -306,6 +677,11 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             $scope.sendBtnText = str.sendBtnSecure;
             $scope.sendBtnSecure = true;
             $scope.showInvite = false;
+        } else if ($scope.canSplit && $scope.encryptWherePossible) {
+            // send encrypted to the secure recipients and plaintext to the others
+            $scope.okToSend = true;
+            $scope.sendBtnText = str.sendBtnSplit;
+            $scope.sendBtnSecure = false;
         } else {
             // send plaintext
             $scope.okToSend = true;
@@ -372,29 +748,111 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         });
     };
 
+    //
+    // Scheduling
+    //
+
+    /**
+     * Shows or hides the picker for the time to send the mail at, which starts at the next full hour
+     */
+    $scope.toggleSendAt = function(show) {
+        $scope.showSendAt = show;
+        if (!show) {
+            $scope.sendAt = undefined;
+            return;
+        }
+
+        var sendAt = new Date();
+        sendAt.setHours(sendAt.getHours() + 1, 0, 0, 0);
+        $scope.sendAt = sendAt;
+    };
+
     //
     // Editing email body
     //
 
-    $scope.sendToOutbox = function() {
+    /**
+     * Puts the message into the outbox
+     * @param {Boolean} confirmed (optional) The user has confirmed forwarding an encrypted message in the plain
+     */
+    $scope.sendToOutbox = function(confirmed) {
         var message;
 
+        // the content of an encrypted message must not be forwarded in the plain unnoticed
+        if ($scope.forwardsEncrypted && !$scope.sendBtnSecure && !confirmed) {
+            return dialog.confirm({
+                title: str.forwardPlaintextTitle,
+                message: str.forwardPlaintextMessage,
+                positiveBtnStr: 'Send',
+                negativeBtnStr: 'Cancel',
+                showNegativeBtn: true,
+                callback: function(granted) {
+                    if (granted) {
+                        $scope.sendToOutbox(true);
+                    }
+                }
+            });
+        }
+
         // build email model for smtp-client
         message = {
             from: [{
-                name: auth.realname,
-                address: auth.emailAddress
+                name: $scope.from.name,
+                address: $scope.from.address
             }],
             to: $scope.to.filter(filterEmptyAddresses),
             cc: $scope.cc.filter(filterEmptyAddresses),
             bcc: $scope.bcc.filter(filterEmptyAddresses),
             subject: $scope.subject.trim() ? $scope.subject.trim() : str.fallbackSubject, // Subject line, or the fallback subject, if nothing valid was entered
-            body: $scope.body.trim(), // use parsed plaintext body
-            attachments: $scope.attachments,
+            body: composedText(), // the plaintext alternative of html messages is generated
+            attachments: [].concat($scope.attachments), // encrypting the message empties its attachments
             sentDate: new Date(),
+            holdUntil: new Date(Date.now() + cfg.undoSendDelay), // the outbox keeps the mail for a while, so sending can be undone
+            sign: !!$scope.sign, // only used if the mail can not be encrypted
+            encryptWherePossible: !!($scope.canSplit && $scope.encryptWherePossible),
+            hideKeyIds: !!$scope.hideKeyIds, // only used if the mail is encrypted
             headers: {}
         };
 
+        // remember the fields for undoing
+        var fields = {
+            writerTitle: $scope.writerTitle,
+            from: $scope.from,
+            replyTo: $scope.replyTo,
+            to: $scope.to,
+            showCC: $scope.showCC,
+            cc: $scope.cc,
+            showBCC: $scope.showBCC,
+            bcc: $scope.bcc,
+            subject: $scope.subject,
+            body: $scope.body,
+            htmlMode: $scope.htmlMode,
+            htmlBody: $scope.htmlBody,
+            attachments: $scope.attachments,
+            references: $scope.references,
+            inReplyTo: $scope.inReplyTo,
+            showSendAt: $scope.showSendAt,
+            sendAt: $scope.sendAt,
+            sign: $scope.sign,
+            encryptWherePossible: $scope.encryptWherePossible,
+            hideKeyIds: $scope.hideKeyIds,
+            forwardsEncrypted: $scope.forwardsEncrypted
+        };
+
+        if ($scope.sendAt) {
+            // the outbox holds the mail until then
+            message.sendAt = $scope.sendAt;
+        }
+
+        if ($scope.htmlMode) {
+            // the builders send a multipart/alternative body with the sanitized html
+            message.html = $scope.htmlBody;
+        }
+
+        if ($scope.from.replyTo) {
+            message.headers['reply-to'] = $scope.from.replyTo;
+        }
+
         if ($scope.inReplyTo) {
             message.headers['in-reply-to'] = '<' + $scope.inReplyTo + '>';
         }
@@ -405,6 +863,10 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             }).join(' ');
         }
 
+        // the draft is not needed anymore once the message is in the outbox
+        var draft = $scope.draft;
+        $scope.draft = undefined;
+
         // close the writer
         $scope.state.writer.close();
         // close read mode after reply
@@ -419,6 +881,22 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         }).then(function() {
             return outbox.put(message);
 
+        }).then(function() {
+            status.offerUndo(fields.sendAt ? 'Message scheduled' : 'Sending message...', function() {
+                return undoSend(message, fields);
+            }, cfg.undoSendDelay);
+
+            if (!draft) {
+                return;
+            }
+
+            // a leftover draft must not keep the reply from being marked as answered
+            return drafts.remove(draft).catch(function(err) {
+                if (err.code !== 42) {
+                    dialog.error(err);
+                }
+            });
+
         }).then(function() {
             // if we need to synchronize replyTo.answered = true to imap,
             // let's do that. otherwise, we're done
@@ -427,8 +905,8 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
             }
 
             $scope.replyTo.answered = true;
-            return email.setFlags({
-                folder: currentFolder(),
+            return emailOf($scope.replyTo).setFlags({
+                folder: folderOf($scope.replyTo),
                 message: $scope.replyTo
             });
 
@@ -439,6 +917,24 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
         });
     };
 
+    /**
+     * Takes a message out of the outbox and opens it in the writer again
+     */
+    function undoSend(message, fields) {
+        return $q(function(resolve) {
+            resolve();
+
+        }).then(function() {
+            return outbox.withdraw(message);
+
+        }).then(function() {
+            $scope.state.writer.write();
+            _.extend($scope, fields);
+            $scope.to.concat($scope.cc, $scope.bcc).forEach($scope.verify);
+
+        }).catch(dialog.error);
+    }
+
     //
     // Tag input & Autocomplete
     //
@@ -483,8 +979,34 @@ var WriteCtrl = function($scope, $window, $filter, $q, appConfig, auth, keychain
     // Helpers
     //
 
-    function currentFolder() {
-        return $scope.state.nav.currentFolder;
+    /**
+     * The folder of a message from the mail list, e.g. the inbox of its account in the unified inbox
+     */
+    function folderOf(message) {
+        return $scope.state.mailList.folderOf(message);
+    }
+
+    /**
+     * The email data access object of the account of a message from the mail list
+     */
+    function emailOf(message) {
+        return $scope.state.mailList.emailOf(message);
+    }
+
+    /*
+     * Strips the recipients of the writer's helper properties, e.g. the public key
+     */
+    function pickAddresses(recipients) {
+        return recipients.filter(filterEmptyAddresses).map(function(recipient) {
+            return _.pick(recipient, 'name', 'address');
+        });
+    }
+
+    /*
+     * Turns a message id from a header, i.e. <id>, into the id
+     */
+    function stripBrackets(messageId) {
+        return messageId.replace(/^<|>$/g, '');
     }
 
     /*
@@ -7,13 +7,23 @@ module.exports = PGP;
 var util = openpgp.util,
     config = require('../app-config').config;
 
+// the key id of session keys whose receiver is not revealed
+var WILDCARD_KEY_ID = '0000000000000000';
+
+// openpgp has a single global worker, which is shared by the instances of all accounts
+var workerStarted = false;
+
 /**
  * High level crypto api that handles all calls to OpenPGP.js
  */
 function PGP() {
     openpgp.config.commentstring = config.pgpComment;
     openpgp.config.prefer_hash_algorithm = openpgp.enums.hash.sha256;
-    openpgp.initWorker(config.workerPath + '/openpgp.worker.min.js');
+    if (!workerStarted) {
+        openpgp.initWorker(config.workerPath + '/openpgp.worker.min.js');
+        workerStarted = true;
+    }
+    this._signingKeys = {}; // additional decrypted private keys by key id
 }
 
 /**
@@ -196,6 +206,56 @@ PGP.prototype.importKeys = function(options) {
     });
 };
 
+/**
+ * Unlocks an additional private key that messages can be signed with, e.g. the key of a sending identity
+ * @param {String} options.privateKeyArmored The private key
+ * @param {String} options.passphrase The passphrase of the key, undefined if the key is not protected
+ * @return {Promise}
+ * @resolve {Object} { keyId: String, privateKeyArmored: The private key without passphrase protection }
+ */
+PGP.prototype.importSigningKey = function(options) {
+    var self = this;
+    return new Promise(function(resolve) {
+        var key, keyId;
+
+        // read armored key
+        try {
+            key = openpgp.key.readArmored(options.privateKeyArmored).keys[0];
+        } catch (e) {
+            throw new Error('Importing key failed. Parsing error!');
+        }
+        if (!key || !key.isPrivate()) {
+            throw new Error('Importing key failed. Not a private key!');
+        }
+
+        // decrypt private key with passphrase
+        if (!key.decrypt(options.passphrase)) {
+            throw new Error('Incorrect passphrase!');
+        }
+
+        // the caller is responsible for protecting the unlocked key
+        key.getAllKeyPackets().forEach(function(packet) {
+            packet.encrypt(undefined);
+        });
+
+        keyId = key.primaryKey.getKeyId().toHex().toUpperCase();
+        self._signingKeys[keyId] = key;
+        resolve({
+            keyId: keyId,
+            privateKeyArmored: key.armor()
+        });
+    });
+};
+
+/**
+ * Looks up a decrypted private key for signing
+ * @param {String} keyId The id of a key that has been imported with importSigningKey, undefined for the user's own key
+ * @return {Object} The OpenPGP.js key, undefined if the key has not been unlocked
+ */
+PGP.prototype.getSigningKey = function(keyId) {
+    return keyId ? this._signingKeys[keyId] : this._privateKey;
+};
+
 /**
  * Export the user's key pair
  * @return {Promise}
@@ -269,9 +329,12 @@ PGP.prototype.changePassphrase = function(options) {
 
 /**
  * Encrypt and sign a pgp message for a list of receivers
+ * @param {String} plaintext The text to be encrypted
+ * @param {Array} publicKeysArmored The receivers' public keys, the message is encrypted for the user's own key if empty
+ * @param {Boolean} hideKeyIds (optional) Do not reveal the receivers' key ids in the message
  * @return {Promise}
  */
-PGP.prototype.encrypt = function(plaintext, publicKeysArmored) {
+PGP.prototype.encrypt = function(plaintext, publicKeysArmored, hideKeyIds) {
     var self = this;
     return new Promise(function(resolve) {
         var publicKeys;
@@ -301,6 +364,33 @@ PGP.prototype.encrypt = function(plaintext, publicKeysArmored) {
             // if no public keys are available encrypt for myself
             return openpgp.signAndEncryptMessage([self._publicKey], self._privateKey, plaintext);
         }
+    }).then(function(ciphertext) {
+        return hideKeyIds ? self.hideKeyIds(ciphertext) : ciphertext;
+    });
+};
+
+/**
+ * Replaces the receivers' key ids in an encrypted message with wildcard key ids, so that the message does not
+ * reveal whom it is encrypted for. Receivers have to try their private key on every session key to decrypt it.
+ * @param {String} ciphertext The encrypted PGP message block
+ * @return {Promise}
+ * @resolve {String} The encrypted PGP message block with anonymous receivers
+ */
+PGP.prototype.hideKeyIds = function(ciphertext) {
+    return new Promise(function(resolve) {
+        var message;
+
+        try {
+            message = openpgp.message.readArmored(ciphertext);
+        } catch (err) {
+            throw new Error('Error parsing encrypted PGP message!');
+        }
+
+        message.packets.filterByTag(openpgp.enums.packet.publicKeyEncryptedSessionKey).forEach(function(sessionKeyPacket) {
+            sessionKeyPacket.publicKeyId = openpgp.Keyid.fromId(WILDCARD_KEY_ID);
+        });
+
+        resolve(message.armor());
     });
 };
 
@@ -339,6 +429,11 @@ PGP.prototype.decrypt = function(ciphertext, publicKeyArmored) {
         });
 
     }).then(function(res) {
+        if (!self._privateKey.getKeyPacket(res.message.getEncryptionKeyIds()) && hasAnonymousReceivers(res.message)) {
+            // the worker only decrypts messages that name the user's key id
+            return decryptAnonymous(self._privateKey, res.publicKeys, ciphertext);
+        }
+
         // decrypt and verify pgp message
         return openpgp.decryptAndVerifyMessage(self._privateKey, res.publicKeys, res.message);
     }).then(function(decrypted) {
@@ -456,4 +551,50 @@ function checkSignatureValidity(signatures) {
 
     // everything is in order
     return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Checks if a message contains session keys for anonymous receivers
+ * @param {Object} message OpenPGP.js Message
+ * @return {Boolean}
+ */
+function hasAnonymousReceivers(message) {
+    return message.getEncryptionKeyIds().some(function(keyId) {
+        return keyId.toHex() === WILDCARD_KEY_ID;
+    });
+}
+
+/**
+ * Decrypts a message for anonymous receivers by trying the private key on every anonymous session key
+ * @param {Object} privateKey OpenPGP.js Key with decrypted secret key data
+ * @param {Array} publicKeys OpenPGP.js Keys to verify the signatures
+ * @param {String} ciphertext The encrypted PGP message block
+ * @return {Object} The decrypted message: { text: String, signatures: Array }
+ */
+function decryptAnonymous(privateKey, publicKeys, ciphertext) {
+    var ownKeyId = privateKey.getEncryptionKeyPacket().getKeyId(),
+        numSessionKeys = openpgp.message.readArmored(ciphertext).getEncryptionKeyIds().length;
+
+    for (var i = 0; i < numSessionKeys; i++) {
+        // decrypting modifies the message, so every attempt starts from the ciphertext
+        var message = openpgp.message.readArmored(ciphertext),
+            sessionKeyPacket = message.packets.filterByTag(openpgp.enums.packet.publicKeyEncryptedSessionKey)[i];
+
+        if (sessionKeyPacket.publicKeyId.toHex() !== WILDCARD_KEY_ID) {
+            continue;
+        }
+
+        sessionKeyPacket.publicKeyId = ownKeyId;
+        try {
+            var decrypted = message.decrypt(privateKey);
+            return {
+                text: decrypted.getText(),
+                signatures: decrypted.verify(publicKeys)
+            };
+        } catch (err) {
+            // the session key is encrypted for another receiver
+        }
+    }
+
+    throw new Error('Error decrypting and verifying message!');
+}
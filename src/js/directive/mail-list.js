@@ -55,10 +55,24 @@ ngModule.directive('listScroll', function($timeout) {
                 }
             }
 
+            /*
+             * evaluates the list-scroll-end expression when the end of the list is less than a viewport away
+             */
+            function checkListEnd() {
+                if (!attrs.listScrollEnd || !scope[model]) {
+                    return;
+                }
+
+                if (listEl.scrollTop + 2 * listEl.clientHeight >= listEl.scrollHeight) {
+                    scope.$eval(attrs.listScrollEnd);
+                }
+            }
+
             scope.loadVisibleBodies = function() {
                 // wait for next tick so that scope is digested and synced to DOM
                 $timeout(function() {
                     loadVisibleBodies();
+                    checkListEnd();
                 });
             };
 
@@ -165,4 +165,20 @@ ngModule.directive('frameLoad', function($window) {
             });
         }
     };
-});
\ No newline at end of file
+});
+
+ngModule.directive('previewFrame', function() {
+    return function(scope, elm) {
+        var iframe = elm[0];
+
+        iframe.onload = function() {
+            // send the attachment for rendering in the iframe once it has been loaded
+            scope.$watch('preview', function(preview) {
+                if (preview) {
+                    iframe.contentWindow.postMessage(preview, '*');
+                }
+            });
+            scope.$apply();
+        };
+    };
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+var htmlUtil = require('../email/html');
+
 var ngModule = angular.module('woDirectives');
 
 ngModule.directive('focusInput', function($timeout, $parse) {
@@ -50,4 +52,99 @@ ngModule.directive('attachmentInput', function() {
             reader.readAsArrayBuffer(file);
         }
     };
-});
\ No newline at end of file
+});
+
+ngModule.directive('htmlEditor', function() {
+    return {
+        require: 'ngModel',
+        link: function(scope, elm, attrs, ngModel) {
+            var editor = elm[0],
+                range;
+
+            elm.attr('contenteditable', 'true');
+
+            ngModel.$render = function() {
+                // the editor only displays sanitized html without styles and remote images, e.g. of a draft
+                elm.html(htmlUtil.sanitizeEditable(ngModel.$viewValue));
+            };
+
+            elm.on('input', update);
+            elm.on('keyup mouseup blur', function() {
+                // remember the cursor position, e.g. when a file is picked to insert an image
+                var selection = window.getSelection();
+                if (selection.rangeCount && editor.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+                    range = selection.getRangeAt(0);
+                }
+            });
+
+            scope.$on('htmlEditor.insert', function(e, html) {
+                var selection = window.getSelection();
+
+                editor.focus();
+                if (range) {
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                    document.execCommand('insertHTML', false, html);
+                } else {
+                    elm.append(html);
+                }
+                update();
+            });
+
+            function update() {
+                scope.$evalAsync(function() {
+                    ngModel.$setViewValue(elm.html());
+                });
+            }
+        }
+    };
+});
+
+ngModule.directive('htmlFormat', function($window) {
+    return function(scope, elm, attrs) {
+        elm.on('mousedown', function(e) {
+            // keep the selection in the editor
+            e.preventDefault();
+        });
+
+        elm.on('click', function(e) {
+            var value;
+
+            e.preventDefault();
+            if (attrs.htmlFormat === 'createLink') {
+                value = $window.prompt('Link address:', 'https://');
+                if (!value) {
+                    return;
+                }
+            }
+
+            // the editor updates its model on the input event
+            document.execCommand(attrs.htmlFormat, false, value);
+        });
+    };
+});
+
+ngModule.directive('inlineImageInput', function() {
+    return function(scope, elm) {
+        elm.on('change', function(e) {
+            for (var i = 0; i < e.target.files.length; i++) {
+                insertImage(e.target.files.item(i));
+            }
+            // the same file can be picked again
+            e.target.value = '';
+        });
+
+        function insertImage(file) {
+            if (!/^image\//.test(file.type)) {
+                return;
+            }
+
+            var reader = new FileReader();
+            reader.onload = function(e) {
+                // the data uri is replaced with a cid reference to an attachment when the message is built
+                scope.$broadcast('htmlEditor.insert', '<img src="' + e.target.result + '" alt="' + file.name.replace(/["<>&]/g, '') + '">');
+            };
+            reader.readAsDataURL(file);
+        }
+    };
+});
@@ -4,18 +4,65 @@ var ngModule = angular.module('woEmail');
 ngModule.service('account', Account);
 module.exports = Account;
 
-var util = require('crypto-lib').util;
+var util = require('crypto-lib').util,
+    axe = require('axe-logger'),
+    PGP = require('../crypto/pgp'),
+    LawnchairDAO = require('../service/lawnchair'),
+    DeviceStorage = require('../service/devicestorage'),
+    Auth = require('../service/auth'),
+    Keychain = require('../service/keychain'),
+    Settings = require('../service/settings'),
+    UpdateHandler = require('../util/update/update-handler'),
+    createPgpBuilder = require('./pgpbuilder'),
+    SearchIndex = require('./search-index'),
+    Search = require('./search'),
+    Identities = require('./identities'),
+    Email = require('./email'),
+    Outbox = require('./outbox'),
+    Drafts = require('./drafts'),
+    SyncScheduler = require('./sync-scheduler');
 
-function Account(appConfig, auth, accountStore, email, outbox, keychain, updateHandler, dialog) {
+var DEBUG_TAG = 'account';
+
+// the services that hold the state of an account, in the order of their dependencies
+var ACCOUNT_SERVICES = [
+    ['accountLawnchair', function() {
+        return new LawnchairDAO();
+    }],
+    ['accountStore', function(accountLawnchair) {
+        return new DeviceStorage(accountLawnchair);
+    }],
+    ['pgp', function() {
+        return new PGP();
+    }],
+    ['pgpbuilder', createPgpBuilder],
+    ['auth', Auth],
+    ['keychain', Keychain],
+    ['settings', Settings],
+    ['updateHandler', UpdateHandler],
+    ['searchIndex', SearchIndex],
+    ['search', Search],
+    ['identities', Identities],
+    ['email', Email],
+    ['outbox', Outbox],
+    ['drafts', Drafts],
+    ['syncScheduler', SyncScheduler]
+];
+
+/**
+ * Manages the accounts that are connected to the app. Every account has its own services, i.e. its own
+ * credentials, database, keys and email data access object with its own imap/smtp connection. The controllers
+ * are instantiated with the services of the selected account.
+ */
+function Account(appConfig, $injector, signatures) {
     this._appConfig = appConfig;
-    this._auth = auth;
-    this._accountStore = accountStore;
-    this._emailDao = email;
-    this._outbox = outbox;
-    this._keychain = keychain;
-    this._updateHandler = updateHandler;
-    this._dialog = dialog;
+    this._injector = $injector;
+    this._signatures = signatures;
     this._accounts = []; // init accounts list
+    this._services = {}; // the services of the accounts by email address
+    this._connecting = {}; // the email addresses of the accounts that are connecting
+    this._locked = []; // the email addresses of the stored accounts that need the user to log in
+    this._selected = this._createServices(); // the services of the account that logs in first
 }
 
 /**
@@ -34,10 +81,81 @@ Account.prototype.list = function() {
     return this._accounts;
 };
 
+/**
+ * Lists the accounts that are stored on the device, but could not be logged in without the user,
+ * e.g. because their key is protected by a passphrase
+ * @return {Array<String>} The email addresses of the accounts
+ */
+Account.prototype.listLocked = function() {
+    return this._locked;
+};
+
+/**
+ * Looks up the services of an account: auth, keychain, email, outbox, drafts, ...
+ * @param {Object} acc (optional) The account object, the selected account if undefined
+ * @return {Object} The services by their name
+ */
+Account.prototype.services = function(acc) {
+    return acc ? this._services[acc.emailAddress] : this._selected;
+};
+
+/**
+ * The account that is displayed in the app
+ * @return {Object} The account object, undefined while the selected account is being logged in
+ */
+Account.prototype.selected = function() {
+    var self = this;
+    return _.find(self._accounts, function(acc) {
+        return self._services[acc.emailAddress] === self._selected;
+    });
+};
+
+/**
+ * Displays another account. The controllers that are instantiated afterwards work with its services.
+ * @param {Object} acc The account object
+ */
+Account.prototype.select = function(acc) {
+    this._selected = this._services[acc.emailAddress];
+};
+
+/**
+ * Finds the account that a folder belongs to
+ * @param {Object} folder The folder object
+ * @return {Object} The account object
+ */
+Account.prototype.accountOf = function(folder) {
+    return _.find(this._accounts, function(acc) {
+        return acc.folders && acc.folders.indexOf(folder) > -1;
+    });
+};
+
+/**
+ * Creates the services for an account that is logged in on the login screens, i.e. a new account or a stored account
+ * that needs its passphrase. The services are selected, so that the login controllers work with them.
+ * @param {String} emailAddress (optional) The email address of a stored account, undefined for a new account
+ * @return {Promise}
+ */
+Account.prototype.add = function(emailAddress) {
+    var services = this._createServices();
+
+    this._selected = services;
+    return services.auth.init().then(function() {
+        if (emailAddress) {
+            // load the credentials of the stored account
+            return services.auth.getEmailAddress(emailAddress);
+        }
+    });
+};
+
 /**
  * Fire up the database, retrieve the available keys for the user and initialize the email data access object
+ * of the selected account
  */
 Account.prototype.init = function(options) {
+    return this._init(this._selected, options);
+};
+
+Account.prototype._init = function(services, options) {
     var self = this;
 
     // account information for the email dao
@@ -54,22 +172,41 @@ Account.prototype.init = function(options) {
         });
     }
 
+    // Pre-Flight check: every account is logged in once
+    if (self._services[options.emailAddress]) {
+        return new Promise(function() {
+            throw new Error('The account ' + options.emailAddress + ' is already logged in!');
+        });
+    }
+
     // Pre-Flight check: initialize and prepare user's local database
-    return self._accountStore.init(options.emailAddress).then(function() {
+    return services.accountStore.init(options.emailAddress).then(function() {
         // Migrate the databases if necessary
-        return self._updateHandler.update().catch(function(err) {
+        return services.updateHandler.update().catch(function(err) {
             throw new Error('Updating the internal database failed. Please reinstall the app! Reason: ' + err.message);
         });
 
+    }).then(function() {
+        // load the user's preferences for the account
+        return services.settings.load();
+
+    }).then(function() {
+        // load the signatures that are inserted in the writer
+        return self._signatures.load(options.emailAddress);
+
+    }).then(function() {
+        // load the identities the user sends from, their keys are unlocked later with the user's key
+        return services.identities.load();
+
     }).then(function() {
         // retrieve keypair fom devicestorage/cloud, refresh public key if signup was incomplete before
-        return self._keychain.getUserKeyPair(options.emailAddress);
+        return services.keychain.getUserKeyPair(options.emailAddress);
 
     }).then(function(keys) {
         // this is either a first start on a new device, OR a subsequent start without completing the signup,
         // since we can't differenciate those cases here, do a public key refresh because it might be outdated
         if (keys && keys.publicKey && !keys.privateKey) {
-            return self._keychain.refreshKeyForUserId({
+            return services.keychain.refreshKeyForUserId({
                 userId: options.emailAddress,
                 overridePermission: true
             }).then(function(publicKey) {
@@ -83,15 +220,19 @@ Account.prototype.init = function(options) {
 
     }).then(function(keys) {
         // init the email data access object
-        return self._emailDao.init({
+        return services.email.init({
             account: account
         }).then(function() {
-            // Handle offline and online gracefully ... arm dom event
-            window.addEventListener('online', self.onConnect.bind(self));
-            window.addEventListener('offline', self.onDisconnect.bind(self));
+            if (!self._accounts.length) {
+                // Handle offline and online gracefully ... arm dom event
+                window.addEventListener('online', self.onConnect.bind(self, function() {}));
+                window.addEventListener('offline', self.onDisconnect.bind(self));
+            }
 
             // add account object to the accounts array for the ng controllers
             self._accounts.push(account);
+            self._services[options.emailAddress] = services;
+            self._locked = _.without(self._locked, options.emailAddress);
 
             return keys;
         });
@@ -99,33 +240,136 @@ Account.prototype.init = function(options) {
 };
 
 /**
- * Event that is called when the user agent goes online. This create new instances of the imap-client and pgp-mailer and connects to the mail server.
+ * Logs in to the other accounts that are stored on the device. Accounts that can not be logged in without the user,
+ * e.g. because their key is protected by a passphrase, are listed by listLocked. The accounts are connected once they are logged in.
+ * @return {Promise}
  */
-Account.prototype.onConnect = function(callback) {
-    if (!this._emailDao || !this._emailDao._account) {
-        // prevent connection infinite loop
-        return;
+Account.prototype.initStored = function() {
+    var self = this;
+
+    if (self._initStored) {
+        // the stored accounts are only logged in on startup
+        return self._initStored;
     }
 
-    this._emailDao.onConnect().then(callback).catch(callback);
+    self._initStored = self._selected.auth.listAccounts().then(function(stored) {
+        // log in to one account after the other
+        return stored.reduce(function(previous, info) {
+            return previous.then(function() {
+                if (!self._services[info.emailAddress]) {
+                    return login(info.emailAddress);
+                }
+            });
+        }, new Promise(function(resolve) {
+            resolve();
+        }));
+    });
+
+    return self._initStored;
+
+    function login(emailAddress) {
+        var services = self._createServices(),
+            acc;
+
+        return services.auth.getEmailAddress(emailAddress).then(function(info) {
+            return self._init(services, info);
+
+        }).then(function(keys) {
+            acc = _.findWhere(self._accounts, {
+                emailAddress: emailAddress
+            });
+            if (!keys || !keys.publicKey || !keys.privateKey) {
+                throw new Error('The keys of the account are not available on the device!');
+            }
+
+            // try the empty passphrase, the key might be protected by a passphrase
+            return services.email.unlock({
+                keypair: keys,
+                passphrase: undefined
+            });
+
+        }).then(function() {
+            // connect the account to its mail server
+            return self._connect(acc).catch(function(err) {
+                axe.error(DEBUG_TAG, 'Could not connect ' + emailAddress + ': ' + err.message);
+            });
+
+        }, function(err) {
+            axe.info(DEBUG_TAG, 'Could not log in to ' + emailAddress + ': ' + err.message);
+
+            // the user logs in to the account on the login screens
+            if (acc) {
+                self._accounts.splice(self._accounts.indexOf(acc), 1);
+                delete self._services[emailAddress];
+            }
+            self._locked.push(emailAddress);
+        });
+    }
+};
+
+/**
+ * Event that is called when the user agent goes online. This create new instances of the imap-client and pgp-mailer and connects
+ * the accounts to their mail servers. Drafts that have been saved while offline are uploaded afterwards, and the folders
+ * of the accounts are synced in the background.
+ */
+Account.prototype.onConnect = function(callback) {
+    var self = this;
+
+    Promise.all(self._accounts.filter(function(acc) {
+        return !acc.online && !self._connecting[acc.emailAddress];
+    }).map(function(acc) {
+        return self._connect(acc);
+    })).then(function() {
+        callback();
+    }).catch(callback);
+};
+
+Account.prototype._connect = function(acc) {
+    var self = this,
+        services = self._services[acc.emailAddress];
+
+    self._connecting[acc.emailAddress] = true;
+    return services.email.onConnect().then(function() {
+        return services.drafts.uploadPending();
+
+    }).then(function() {
+        services.syncScheduler.start();
+        delete self._connecting[acc.emailAddress];
+
+    }, function(err) {
+        delete self._connecting[acc.emailAddress];
+        throw err;
+    });
 };
 
 /**
  * Event handler that is called when the user agent goes offline.
  */
 Account.prototype.onDisconnect = function() {
-    return this._emailDao.onDisconnect();
+    var self = this;
+
+    return Promise.all(self._accounts.filter(function(acc) {
+        return acc.online;
+    }).map(function(acc) {
+        var services = self._services[acc.emailAddress];
+        services.syncScheduler.stop();
+        return services.email.onDisconnect();
+    }));
 };
 
 /**
- * Logout of an email account. Log the current user out by clear the app config store and deleting instances of imap-client and pgp-mailer.
+ * Logout of the selected email account. Removes the credentials of the account from the app config store and deletes
+ * its instances of imap-client and pgp-mailer. The other accounts stay on the device.
  */
 Account.prototype.logout = function() {
-    var self = this;
-    // clear app config store
-    return self._auth.logout().then(function() {
+    var services = this._selected;
+
+    services.syncScheduler.stop();
+
+    // remove the credentials of the account
+    return services.auth.logout().then(function() {
         // delete instance of imap-client and pgp-mailer
-        return self._emailDao.onDisconnect();
+        return services.email.onDisconnect();
 
     }).then(function() {
         if (typeof window.chrome !== 'undefined' && chrome.runtime && chrome.runtime.reload) {
@@ -136,4 +380,19 @@ Account.prototype.logout = function() {
             window.location.href = '/';
         }
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Instantiates the services of an account. The services that are shared by the accounts are injected.
+ * @return {Object} The services by their name
+ */
+Account.prototype._createServices = function() {
+    var injector = this._injector,
+        services = {};
+
+    ACCOUNT_SERVICES.forEach(function(service) {
+        services[service[0]] = injector.instantiate(service[1], services);
+    });
+
+    return services;
+};
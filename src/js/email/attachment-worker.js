@@ -0,0 +1,28 @@
+'use strict';
+
+var attachment = require('./attachment');
+
+/**
+ * In the web worker thread context, 'this' and 'self' can be used as a global
+ * variable namespace similar to the 'window' object in the main thread
+ */
+self.onmessage = function(e) {
+    var i = e.data,
+        blob;
+
+    if (typeof i.raw !== 'string') {
+        throw 'No attachment for web worker decoding!';
+    }
+
+    // decode the attachment and report the progress to the main thread
+    blob = attachment.decodeToBlob(i.raw, i.mimeType, function(progress) {
+        self.postMessage({
+            progress: progress
+        });
+    });
+
+    // pass the blob to the main thread, which does not copy the content
+    self.postMessage({
+        blob: blob
+    });
+};
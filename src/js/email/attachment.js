@@ -0,0 +1,154 @@
+/**
+ * Chunked decoding and encoding of attachments, so that large attachments are never converted in one piece,
+ * and the types of attachments that can be previewed. Only the transfer encoding is chunked: the body part is still
+ * fetched from IMAP as a whole, and the attachments of encrypted messages are decrypted together with the message body
+ * and encrypted as whole buffers when sending, since neither imap-client nor OpenPGP.js offer a streaming API.
+ */
+
+'use strict';
+
+var attachment = {};
+
+// the number of transfer encoded characters that are decoded at once
+var CHUNK_SIZE = 512 * 1024;
+// the number of bytes that are base64 encoded at once, a multiple of 3 so that the encoded slices can be concatenated
+var BASE64_SLICE_SIZE = 3 * 8192;
+// the extensions of plain text and source code files, which are often sent as application/octet-stream
+var TEXT_EXTENSIONS = ['txt', 'log', 'csv', 'md', 'json', 'xml', 'yml', 'yaml', 'ini', 'js', 'css', 'html', 'java', 'c', 'h', 'cpp', 'py', 'rb', 'php', 'sh', 'sql', 'asc'];
+
+/**
+ * Decodes the raw body part of an attachment chunk by chunk
+ * @param  {String}   raw        The MIME headers and the transfer encoded content of the body part, as fetched from the IMAP server
+ * @param  {Function} onProgress (optional) Invoked after every chunk with the decoded fraction of the content between 0 and 1
+ * @param  {Function} onChunk    (optional) Invoked with every decoded chunk instead of collecting the chunks
+ * @return {Object}              The decoded attachment: { mimeType: String, chunks: Array of Uint8Array }
+ */
+attachment.decode = function(raw, onProgress, onChunk) {
+    var separator = /\r?\n\r?\n/.exec(raw),
+        headers = separator ? raw.substring(0, separator.index).replace(/\r?\n[ \t]+/g, ' ') : '',
+        body = separator ? raw.substring(separator.index + separator[0].length) : raw,
+        mimeType = /^content-type:\s*([^;\s]+)/im.exec(headers),
+        encoding = /^content-transfer-encoding:\s*([^;\s]+)/im.exec(headers),
+        chunks = [],
+        rest = '',
+        start, end, encoded, usable;
+
+    encoding = encoding ? encoding[1].toLowerCase() : '7bit';
+    onProgress = onProgress || function() {};
+    onChunk = onChunk || function(chunk) {
+        chunks.push(chunk);
+    };
+
+    for (start = 0; start < body.length; start = end) {
+        end = Math.min(start + CHUNK_SIZE, body.length);
+
+        if (encoding === 'base64') {
+            // only decode complete groups of four characters, the rest is decoded with the next chunk
+            encoded = rest + body.substring(start, end).replace(/[^A-Za-z0-9+\/=]/g, '');
+            usable = encoded.length - encoded.length % 4;
+            rest = encoded.substring(usable);
+            onChunk(attachment.fromBinaryString(atob(encoded.substring(0, usable))));
+
+        } else if (encoding === 'quoted-printable') {
+            // end the chunk after a line break, so that no encoded sequence is split up
+            if (end < body.length && body.lastIndexOf('\n', end - 1) >= start) {
+                end = body.lastIndexOf('\n', end - 1) + 1;
+            }
+            onChunk(attachment.fromBinaryString(decodeQuotedPrintable(body.substring(start, end))));
+
+        } else {
+            onChunk(attachment.fromBinaryString(body.substring(start, end)));
+        }
+
+        onProgress(end / body.length);
+    }
+
+    return {
+        mimeType: mimeType ? mimeType[1].toLowerCase() : 'application/octet-stream',
+        chunks: chunks
+    };
+};
+
+/**
+ * Decodes the raw body part of an attachment to a Blob. Every chunk is appended to the Blob as soon as it is decoded,
+ * so the decoded chunks do not have to be kept in memory until the whole body part is decoded.
+ * @param  {String}   raw        The MIME headers and the transfer encoded content of the body part, as fetched from the IMAP server
+ * @param  {String}   mimeType   (optional) The mime type of the attachment, the one of the body part if undefined
+ * @param  {Function} onProgress (optional) Invoked after every chunk with the decoded fraction of the content between 0 and 1
+ * @return {Blob}                The decoded content
+ */
+attachment.decodeToBlob = function(raw, mimeType, onProgress) {
+    var blob = new Blob([]),
+        decoded;
+
+    decoded = attachment.decode(raw, onProgress, function(chunk) {
+        blob = new Blob([blob, chunk]);
+    });
+
+    return new Blob([blob], {
+        type: mimeType || decoded.mimeType
+    });
+};
+
+/**
+ * Encodes binary content to base64 slice by slice
+ * @param  {Uint8Array} bytes The content
+ * @return {String}           The base64 encoded content
+ */
+attachment.toBase64 = function(bytes) {
+    var encoded = '';
+
+    for (var i = 0; i < bytes.length; i += BASE64_SLICE_SIZE) {
+        // String.fromCharCode can only take a limited number of arguments
+        encoded += btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_SLICE_SIZE)));
+    }
+
+    return encoded;
+};
+
+/**
+ * Determines how an attachment is previewed
+ * @param  {String} mimeType The mime type of the attachment
+ * @param  {String} filename The file name of the attachment
+ * @return {String}          'image', 'pdf', 'message' or 'text', or undefined if the attachment can not be previewed
+ */
+attachment.previewType = function(mimeType, filename) {
+    var extension = /\.([^.]+)$/.exec(filename || '');
+
+    mimeType = (mimeType || '').toLowerCase();
+    extension = extension ? extension[1].toLowerCase() : '';
+
+    if (/^image\/(png|jpe?g|gif|bmp|webp)$/.test(mimeType)) {
+        return 'image';
+    }
+    if (mimeType === 'application/pdf' || extension === 'pdf') {
+        return 'pdf';
+    }
+    if (mimeType === 'message/rfc822' || extension === 'eml') {
+        return 'message';
+    }
+    if (/^text\//.test(mimeType) || TEXT_EXTENSIONS.indexOf(extension) >= 0) {
+        return 'text';
+    }
+};
+
+/**
+ * Converts a binary string, e.g. a message source as fetched from the IMAP server, to a typed array
+ * @param  {String}     str The binary string
+ * @return {Uint8Array}     The bytes
+ */
+attachment.fromBinaryString = function(str) {
+    var bytes = new Uint8Array(str.length);
+    for (var i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i);
+    }
+    return bytes;
+};
+
+function decodeQuotedPrintable(str) {
+    return str.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, function(match, code) {
+        return String.fromCharCode(parseInt(code, 16));
+    });
+}
+
+module.exports = attachment;
@@ -0,0 +1,354 @@
+'use strict';
+
+var ngModule = angular.module('woEmail');
+ngModule.service('drafts', Drafts);
+module.exports = Drafts;
+
+var util = require('crypto-lib').util,
+    axe = require('axe-logger');
+
+//
+// Constants
+//
+
+var DRAFTS_DB_TYPE = 'drafts',
+    DEBUG_TAG = 'drafts';
+
+/**
+ * Keeps the messages that are being written, so they survive closing the writer. A draft is the compose state of the writer:
+ * { id: String, uid: Number, from: Array, to: Array, cc: Array, bcc: Array, subject: String, body: String, html: String,
+ *   attachments: Array, inReplyTo: String, references: Array, secure: Boolean, uploaded: Boolean }
+ *
+ * Drafts are persisted locally encrypted with the user's own PGP key. When online, they are uploaded to the IMAP drafts folder,
+ * encrypted for the user's own key if the mail will be sent securely. The draft's id is used as its Message-ID, which links the
+ * local copy with the uploaded message.
+ *
+ * @param {Object} email Uploads and purges drafts on IMAP and fetches drafts that are not available locally
+ * @param {Object} pgp Encrypts and decrypts the local drafts
+ * @param {Object} accountStore Persists the encrypted drafts
+ */
+function Drafts(email, pgp, accountStore) {
+    this._email = email;
+    this._pgp = pgp;
+    this._devicestorage = accountStore;
+
+    /**
+     * Saving and removing drafts is serialized, so a save can not upload a version that has already been replaced
+     * @private */
+    this._queue = new Promise(function(resolve) {
+        resolve();
+    });
+}
+
+/**
+ * Creates a new, empty draft
+ * @return {Object} The draft with a unique id
+ */
+Drafts.prototype.create = function() {
+    var domain = this._email._account.emailAddress.split('@').pop();
+
+    return {
+        id: util.UUID() + '@' + domain
+    };
+};
+
+/**
+ * Persists a draft locally and uploads it to the drafts folder if the client is online. The draft's uid is set to
+ * the uid of the uploaded message. Failing uploads are retried with the next save or when the client connects.
+ *
+ * @param {Object} draft The draft
+ * @return {Promise}
+ */
+Drafts.prototype.save = function(draft) {
+    var self = this;
+
+    return self._enqueue(function() {
+        draft.uploaded = false;
+        return self._store(draft).then(function() {
+            return self._upload(draft);
+        });
+    });
+};
+
+/**
+ * Uploads the drafts that have been saved while offline
+ * @return {Promise}
+ */
+Drafts.prototype.uploadPending = function() {
+    var self = this;
+
+    return self._enqueue(function() {
+        return self._list().then(function(drafts) {
+            var jobs = drafts.filter(function(draft) {
+                return !draft.uploaded;
+            }).map(function(draft) {
+                return self._upload(draft);
+            });
+
+            return Promise.all(jobs).then(function() {
+                return; // don't return promise array
+            });
+        });
+    });
+};
+
+/**
+ * Loads and decrypts a locally stored draft
+ *
+ * @param {String} id The draft's id
+ * @return {Promise}
+ * @resolve {Object} draft The draft, undefined if there is no such draft
+ */
+Drafts.prototype.load = function(id) {
+    var self = this;
+
+    return self._devicestorage.listItems(DRAFTS_DB_TYPE + '_' + id, 0, null).then(function(stored) {
+        if (!stored || !stored[0]) {
+            return;
+        }
+
+        return self._decrypt(stored[0]);
+    });
+};
+
+/**
+ * Opens a message from the drafts folder as a draft. If the draft was written on this device, the local copy is used.
+ * Otherwise the draft is restored from the message, which is fetched and decrypted if necessary.
+ *
+ * @param {Object} options.folder The drafts folder
+ * @param {Object} options.message The message in the drafts folder
+ * @return {Promise}
+ * @resolve {Object} draft The draft
+ */
+Drafts.prototype.open = function(options) {
+    var self = this,
+        folder = options.folder,
+        message = options.message;
+
+    return self.load(message.id).then(function(draft) {
+        if (draft) {
+            draft.uid = message.uid;
+            return draft;
+        }
+
+        return self._email.getBody({
+            folder: folder,
+            message: message
+        }).then(function() {
+            return self._email.decryptBody({
+                message: message
+            });
+
+        }).then(function() {
+            if (message.encrypted && !message.decrypted) {
+                throw new Error('Could not decrypt the draft!');
+            }
+
+            // the writer needs the contents of the attachments to send them, fetched attachments are only kept as blobs.
+            // The inline images of html drafts are already part of the html and are attached again when the draft is saved.
+            return self._email.resolveAttachments({
+                folder: folder,
+                message: _.extend({}, message, {
+                    attachments: (message.attachments || []).filter(function(attachment) {
+                        return !(message.html && attachment.id);
+                    })
+                })
+            });
+
+        }).then(function(attachments) {
+            return {
+                id: message.id,
+                uid: message.uid,
+                from: pickAddresses(message.from),
+                to: pickAddresses(message.to),
+                cc: pickAddresses(message.cc),
+                bcc: pickAddresses(message.bcc),
+                subject: message.subject,
+                body: message.body || '',
+                html: message.html,
+                attachments: attachments.map(pickAttachment),
+                inReplyTo: message.inReplyTo,
+                references: message.references,
+                secure: !!message.encrypted,
+                uploaded: true
+            };
+        });
+    });
+};
+
+/**
+ * Removes a draft locally and from the drafts folder, e.g. after it has been sent.
+ * While offline, it is removed from the drafts folder when the client connects.
+ *
+ * @param {Object} draft The draft
+ * @return {Promise}
+ */
+Drafts.prototype.remove = function(draft) {
+    var self = this;
+
+    return self._enqueue(function() {
+        return self._devicestorage.removeList(DRAFTS_DB_TYPE + '_' + draft.id).then(function() {
+            if (!draft.uid) {
+                return;
+            }
+
+            return self._email.deleteDraft({
+                uid: draft.uid
+            });
+        });
+    });
+};
+
+//
+// Internal API
+//
+
+/**
+ * Runs a job after all previously enqueued jobs are done
+ */
+Drafts.prototype._enqueue = function(job) {
+    var promise = this._queue.then(job);
+    // the next job must not fail because this one did
+    this._queue = promise.catch(function() {});
+    return promise;
+};
+
+/**
+ * Lists and decrypts all locally stored drafts
+ */
+Drafts.prototype._list = function() {
+    var self = this;
+
+    return self._devicestorage.listItems(DRAFTS_DB_TYPE, 0, null).then(function(stored) {
+        return Promise.all((stored || []).map(function(item) {
+            return self._decrypt(item);
+        }));
+    });
+};
+
+/**
+ * Encrypts a draft for the user's own key and persists it
+ */
+Drafts.prototype._store = function(draft) {
+    var self = this,
+        serialized = _.extend({}, draft, {
+            attachments: (draft.attachments || []).map(function(attachment) {
+                // typed arrays don't survive JSON serialization
+                return _.extend(pickAttachment(attachment), {
+                    content: toBinaryString(attachment.content)
+                });
+            })
+        });
+
+    return self._pgp.encrypt(JSON.stringify(serialized), undefined).then(function(ciphertext) {
+        return self._devicestorage.storeList([{
+            id: draft.id,
+            ciphertext: ciphertext
+        }], DRAFTS_DB_TYPE);
+    });
+};
+
+/**
+ * Decrypts a stored draft
+ */
+Drafts.prototype._decrypt = function(item) {
+    return this._pgp.decrypt(item.ciphertext, undefined).then(function(pt) {
+        if (!pt.decrypted || !pt.signaturesValid) {
+            throw new Error('Verifying PGP signature of the draft failed!');
+        }
+
+        var draft = JSON.parse(pt.decrypted);
+        draft.attachments.forEach(function(attachment) {
+            attachment.content = fromBinaryString(attachment.content);
+        });
+
+        return draft;
+    });
+};
+
+/**
+ * Uploads a draft to the drafts folder, replacing its previous version, and persists the new uid.
+ * The local copy is kept if the upload fails.
+ */
+Drafts.prototype._upload = function(draft) {
+    var self = this;
+
+    if (!self._email._account.online) {
+        return new Promise(function(resolve) {
+            resolve();
+        });
+    }
+
+    return self._email.uploadDraft({
+        draft: {
+            from: draft.from,
+            to: draft.to,
+            cc: draft.cc,
+            bcc: draft.bcc,
+            subject: draft.subject,
+            body: draft.body,
+            html: draft.html,
+            // the pgpbuilder empties the attachments array of secure drafts, which is the writer's list
+            attachments: [].concat(draft.attachments || []),
+            headers: createHeaders(draft)
+        },
+        encrypt: draft.secure,
+        uid: draft.uid
+
+    }).then(function(uid) {
+        draft.uid = uid;
+        draft.uploaded = true;
+        return self._store(draft);
+
+    }).catch(function(err) {
+        axe.error(DEBUG_TAG, 'Could not upload draft: ' + err.message);
+    });
+};
+
+//
+// helper functions
+//
+
+function createHeaders(draft) {
+    var headers = {
+        'message-id': '<' + draft.id + '>'
+    };
+
+    if (draft.inReplyTo) {
+        headers['in-reply-to'] = '<' + draft.inReplyTo + '>';
+    }
+
+    if (draft.references && draft.references.length) {
+        headers.references = draft.references.map(function(reference) {
+            return '<' + reference + '>';
+        }).join(' ');
+    }
+
+    return headers;
+}
+
+function pickAddresses(addresses) {
+    return (addresses || []).map(function(address) {
+        return _.pick(address, 'name', 'address');
+    });
+}
+
+function pickAttachment(attachment) {
+    return _.pick(attachment, 'filename', 'mimeType', 'content');
+}
+
+function toBinaryString(bytes) {
+    var str = '';
+    for (var i = 0; i < (bytes || []).length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+}
+
+function fromBinaryString(str) {
+    var bytes = new Uint8Array(str.length);
+    for (var i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i);
+    }
+    return bytes;
+}
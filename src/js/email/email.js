@@ -8,7 +8,11 @@ var config = require('../app-config').config,
     str = require('../app-config').string,
     axe = require('axe-logger'),
     PgpMailer = require('pgpmailer'),
-    ImapClient = require('imap-client');
+    ImapClient = require('imap-client'),
+    mimefuncs = require('mimefuncs'),
+    utf7 = require('wo-utf7'),
+    qresync = require('./qresync'),
+    attachmentDecoder = require('./attachment');
 
 //
 //
@@ -17,6 +21,13 @@ var config = require('../app-config').config,
 //
 
 var FOLDER_DB_TYPE = 'folders';
+var OPERATIONS_DB_TYPE = 'operations';
+
+// the changes that are recorded while offline and applied to IMAP when the client connects
+var OPERATION_FLAGS = 'flags';
+var OPERATION_MOVE = 'move';
+var OPERATION_DELETE = 'delete';
+var OPERATION_PURGE = 'purge'; // deleted without moving it to the trash, e.g. a draft that has been sent
 
 var SYNC_TYPE_NEW = 'new';
 var SYNC_TYPE_DELETED = 'deleted';
@@ -28,6 +39,17 @@ var FOLDER_TYPE_SENT = 'Sent';
 var FOLDER_TYPE_DRAFTS = 'Drafts';
 var FOLDER_TYPE_TRASH = 'Trash';
 var FOLDER_TYPE_FLAGGED = 'Flagged';
+var FOLDER_TYPE_OTHER = 'Other'; // the folders that the user manages
+
+// the well known folders to be displayed in the uppermost ui part, in that order
+var WELLKNOWN_FOLDER_TYPES = [
+    FOLDER_TYPE_INBOX,
+    FOLDER_TYPE_SENT,
+    config.outboxMailboxType,
+    FOLDER_TYPE_DRAFTS,
+    FOLDER_TYPE_TRASH,
+    FOLDER_TYPE_FLAGGED
+];
 
 var MSG_ATTR_UID = 'uid';
 var MSG_PART_ATTR_CONTENT = 'content';
@@ -36,6 +58,10 @@ var MSG_PART_TYPE_ENCRYPTED = 'encrypted';
 var MSG_PART_TYPE_SIGNED = 'signed';
 var MSG_PART_TYPE_TEXT = 'text';
 var MSG_PART_TYPE_HTML = 'html';
+var MSG_PART_TYPE_MESSAGE = 'message'; // an attached message, which is parsed in the mailreader like an encrypted node
+
+// the headers that are searched on the server
+var SEARCH_HEADERS = ['subject', 'from', 'to', 'cc'];
 
 //
 //
@@ -52,8 +78,11 @@ var MSG_PART_TYPE_HTML = 'html';
  * @param {Object} devicestorage Handles persistence to the local indexed db
  * @param {Object} pgpbuilder Generates and encrypts MIME and SMTP messages
  * @param {Object} mailreader Parses MIME messages received from IMAP
+ * @param {Object} searchIndex Indexes the plaintext of message bodies for searching
+ * @param {Object} plainbuilder Generates unsigned MIME and SMTP messages
+ * @param {Object} identities The sending identities, whose keys are unlocked with the user's key
  */
-function Email(keychain, pgp, accountStore, pgpbuilder, mailreader, dialog, appConfig, auth) {
+function Email(keychain, pgp, accountStore, pgpbuilder, mailreader, dialog, appConfig, auth, searchIndex, plainbuilder, identities) {
     this._keychain = keychain;
     this._pgp = pgp;
     this._devicestorage = accountStore;
@@ -62,6 +91,9 @@ function Email(keychain, pgp, accountStore, pgpbuilder, mailreader, dialog, appC
     this._dialog = dialog;
     this._appConfig = appConfig;
     this._auth = auth;
+    this._searchIndex = searchIndex;
+    this._plainbuilder = plainbuilder;
+    this._identities = identities;
 }
 
 
@@ -176,6 +208,10 @@ Email.prototype.unlock = function(options) {
     function setPrivateKey() {
         // set decrypted privateKey to pgpMailer
         self._pgpbuilder._privateKey = self._pgp._privateKey;
+        // the search index and the keys of the identities are encrypted with the user's key
+        return self._searchIndex.load().then(function() {
+            return self._identities.unlockKeys();
+        });
     }
 };
 
@@ -185,6 +221,8 @@ Email.prototype.unlock = function(options) {
  * but a virtual folder that only exists on disk.
  *
  * @param {Object} options.folder The folder to be opened
+ * @param {Boolean} options.background (optional) The folder is only synced in the background, the folder the user has opened
+ *                                     is remembered in _openedFolder, so that it can be opened again afterwards
  */
 Email.prototype.openFolder = function(options) {
     var self = this;
@@ -193,9 +231,13 @@ Email.prototype.openFolder = function(options) {
         resolve();
 
     }).then(function() {
+        if (!options.background) {
+            self._openedFolder = options.folder;
+        }
+
         if (options.folder.path !== config.outboxMailboxPath) {
-            return self._imapClient.selectMailbox({
-                path: options.folder.path
+            return self._imapSelectMailbox({
+                folder: options.folder
             });
         }
     });
@@ -244,6 +286,16 @@ Email.prototype.refreshFolder = function(options) {
             folder.messages.splice(index, 1);
         });
 
+        // the outbox updates the delivery state of the messages it could not send yet
+        if (folder.path === config.outboxMailboxPath) {
+            storedMessages.forEach(function(storedMessage) {
+                var message = _.findWhere(folder.messages, {
+                    uid: storedMessage.uid
+                });
+                message.delivery = storedMessage.delivery;
+            });
+        }
+
     }).then(done).catch(done);
 
     function done(err) {
@@ -256,6 +308,167 @@ Email.prototype.refreshFolder = function(options) {
     }
 };
 
+/**
+ * Creates a folder on IMAP and subscribes to it. Folders are nested by the hierarchy delimiter of the IMAP server.
+ *
+ * @param {String} options.name The name of the folder
+ * @param {Object} options.parent (optional) The folder to create the folder in, a top level folder if undefined
+ * @return {Promise}
+ * @resolve {Object} folder The new folder
+ */
+Email.prototype.createFolder = function(options) {
+    var self = this,
+        parent = options.parent,
+        delimiter = self._folderDelimiter(),
+        folder;
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        checkFolderName(options.name, delimiter);
+        if (parent && !delimiter) {
+            throw new Error('The server does not support subfolders!');
+        }
+        resolve();
+
+    }).then(function() {
+        folder = {
+            name: options.name,
+            path: parent ? parent.path + delimiter + options.name : options.name,
+            type: FOLDER_TYPE_OTHER,
+            delimiter: delimiter,
+            messages: []
+        };
+        checkFolderPath(self._account.folders, folder.path);
+
+        return self._imapMailboxCommand('CREATE', [folder.path]);
+
+    }).then(function() {
+        return self._imapSubscribe(folder.path, true);
+
+    }).then(function() {
+        updateUnreadCount(folder);
+        self._account.folders.push(folder);
+        sortFolders(self._account.folders);
+        return self._localStoreFolders();
+
+    }).then(function() {
+        return folder;
+    });
+};
+
+/**
+ * Renames a folder on IMAP. Its subfolders are renamed along with it, the subscriptions are updated
+ * and the locally stored messages are moved to the new paths.
+ *
+ * @param {Object} options.folder The folder to rename
+ * @param {String} options.name The new name of the folder
+ * @return {Promise}
+ */
+Email.prototype.renameFolder = function(options) {
+    var self = this,
+        folder = options.folder,
+        oldPath = folder.path,
+        newPath, folders;
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        checkManagedFolder(folder);
+        checkFolderName(options.name, folder.delimiter);
+        resolve();
+
+    }).then(function() {
+        // replace the last name along the path of the folder
+        newPath = folderNames(folder).slice(0, -1).concat(options.name).join(folder.delimiter);
+        checkFolderPath(self._account.folders, newPath);
+
+        // the server renames the subfolders along with the folder
+        folders = [folder].concat(self._account.folders.filter(function(f) {
+            return isSubfolder(f, folder);
+        }));
+
+        return self._imapMailboxCommand('RENAME', [oldPath, newPath]);
+
+    }).then(function() {
+        return Promise.all(folders.map(function(f) {
+            var fromPath = f.path,
+                cache = self._imapClient.mailboxCache;
+
+            f.path = newPath + fromPath.substr(oldPath.length);
+            if (cache[fromPath]) {
+                cache[f.path] = cache[fromPath];
+                delete cache[fromPath];
+            }
+
+            return self._imapSubscribe(f.path, true).then(function() {
+                return self._imapSubscribe(fromPath, false);
+            }).then(function() {
+                return self._localMoveMessages(f, fromPath);
+            });
+        }));
+
+    }).then(function() {
+        folder.name = options.name;
+        sortFolders(self._account.folders);
+        return self._localStoreFolders();
+    });
+};
+
+/**
+ * Deletes a folder from IMAP along with its locally stored messages and unsubscribes from it.
+ * Folders that contain subfolders are not deleted.
+ *
+ * @param {Object} options.folder The folder to delete
+ * @return {Promise}
+ */
+Email.prototype.deleteFolder = function(options) {
+    var self = this,
+        folder = options.folder;
+
+    return new Promise(function(resolve) {
+        var hasSubfolders = _.some(self._account.folders, function(f) {
+            return isSubfolder(f, folder);
+        });
+
+        self.checkOnline();
+        checkManagedFolder(folder);
+        if (hasSubfolders) {
+            throw new Error('Please delete the subfolders of ' + folder.name + ' first!');
+        }
+        resolve();
+
+    }).then(function() {
+        return self._imapMailboxCommand('DELETE', [folder.path]);
+
+    }).then(function() {
+        return self._imapSubscribe(folder.path, false);
+
+    }).then(function() {
+        return Promise.all((folder.messages || []).map(function(message) {
+            return self._localDeleteMessage({
+                folder: folder,
+                uid: message.uid
+            });
+        }));
+
+    }).then(function() {
+        delete self._imapClient.mailboxCache[folder.path];
+        self._account.folders.splice(self._account.folders.indexOf(folder), 1);
+        return self._localStoreFolders();
+    });
+};
+
+/**
+ * Expands or collapses a folder in the folder tree. The state is kept on the device.
+ *
+ * @param {Object} options.folder The folder
+ * @param {Boolean} options.collapsed If the subfolders of the folder are hidden
+ * @return {Promise}
+ */
+Email.prototype.collapseFolder = function(options) {
+    options.folder.collapsed = options.collapsed;
+    return this._localStoreFolders();
+};
+
 /**
  * Fetches a message's headers from IMAP.
  *
@@ -263,6 +476,7 @@ Email.prototype.refreshFolder = function(options) {
  * we try to verify that, and if that worked, we delete the verified message from IMAP.
  *
  * @param {Object} options.folder The folder for which to fetch the message
+ * @param {Boolean} options.older (optional) The messages are older than the ones in the folder, i.e. no incoming messages
  */
 Email.prototype.fetchMessages = function(options) {
     var self = this,
@@ -321,11 +535,15 @@ Email.prototype.fetchMessages = function(options) {
                 });
             });
 
-            [].unshift.apply(folder.messages, messages); // add the new messages to the folder
+            if (options.older) {
+                [].push.apply(folder.messages, messages); // add the older messages to the end of the folder
+            } else {
+                [].unshift.apply(folder.messages, messages); // add the new messages to the folder
+            }
             updateUnreadCount(folder); // update the unread count
 
             // notify about new messages only for the inbox
-            if (folder.type === FOLDER_TYPE_INBOX) {
+            if (folder.type === FOLDER_TYPE_INBOX && !options.older) {
                 self.onIncomingMessage(messages);
             }
         });
@@ -374,11 +592,175 @@ Email.prototype.fetchMessages = function(options) {
     }
 };
 
+/**
+ * Loads the messages that are older than the synced history of a folder from IMAP. Only the newest messages of a folder
+ * are synced initially, older messages are loaded on demand in batches of config.imapUpdateBatchSize messages.
+ * Like synced messages, their envelopes are stored to disk and memory.
+ *
+ * @param {Object} options.folder The folder
+ * @return {Promise}
+ */
+Email.prototype.loadOlderMessages = function(options) {
+    var self = this,
+        folder = options.folder,
+        boundary = historyUid(folder),
+        uids;
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+
+    }).then(function() {
+        if (folder.path === config.outboxMailboxPath || !boundary || boundary <= 1) {
+            // the folder is local, has not been synced yet or its history is complete
+            return;
+        }
+
+        // list the uids below the history of the folder
+        return self._imapSearch({
+            folder: folder,
+            uid: '1:' + (boundary - 1)
+        }).then(function(found) {
+            uids = found.sort(function(a, b) {
+                return b - a;
+            }).slice(0, config.imapUpdateBatchSize);
+
+            if (!uids.length) {
+                // there are no older messages
+                return;
+            }
+
+            return self.fetchMessages({
+                folder: folder,
+                firstUid: _.last(uids),
+                lastUid: uids[0],
+                older: true
+            });
+
+        }).then(function() {
+            // remember how far the history of the folder has been loaded
+            folder.historyUid = uids.length ? _.last(uids) : 1;
+            return self._localStoreFolders();
+        });
+    });
+};
+
+/**
+ * Searches a folder on the IMAP server for messages that contain the query in their subject
+ * or address headers. Matching messages that are not yet available locally are fetched
+ * from IMAP and added to the folder, i.e. they are stored to disk and memory.
+ *
+ * NB! Encrypted message bodies can not be searched on the server.
+ *
+ * @param {Object} options.folder The folder to search
+ * @param {String} options.query The text to search for
+ * @return {Promise}
+ * @resolve {Array} messages The matching messages from folder.messages
+ */
+Email.prototype.searchImap = function(options) {
+    var self = this,
+        folder = options.folder,
+        matchingUids;
+
+    if (folder.path === config.outboxMailboxPath || !options.query) {
+        // the outbox is not an IMAP folder
+        return new Promise(function(resolve) {
+            resolve([]);
+        });
+    }
+
+    self.busy();
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+
+    }).then(function() {
+        // the search criteria are ANDed in IMAP, so search every header separately
+        return Promise.all(SEARCH_HEADERS.map(function(header) {
+            return self._imapSearch({
+                folder: folder,
+                header: [header, options.query]
+            });
+        }));
+
+    }).then(function(results) {
+        matchingUids = _.union.apply(_, results);
+
+        // only fetch the most recent messages that are not yet available locally
+        var missingUids = _.difference(matchingUids, _.pluck(folder.messages, MSG_ATTR_UID)).sort(function(a, b) {
+            return b - a;
+        }).slice(0, config.imapSearchFetchLimit);
+
+        return Promise.all(toUidRanges(missingUids).map(function(range) {
+            return self._imapListMessages({
+                folder: folder,
+                firstUid: range[0],
+                lastUid: range[1]
+            });
+        })).then(function(lists) {
+            // a range might contain messages that are already available locally
+            return _.flatten(lists, true).filter(function(message) {
+                return _.contains(missingUids, message.uid);
+            });
+        });
+
+    }).then(function(messages) {
+        if (_.isEmpty(messages)) {
+            return;
+        }
+
+        // persist the encrypted message to the local storage
+        return self._localStoreMessages({
+            folder: folder,
+            emails: messages
+        }).then(function() {
+            // this enables us to already show the attachment clip in the message list ui
+            messages.forEach(function(message) {
+                message.attachments = message.bodyParts.filter(function(bodyPart) {
+                    return bodyPart.type === MSG_PART_TYPE_ATTACHMENT;
+                });
+            });
+
+            [].push.apply(folder.messages, messages); // add the older messages to the folder
+            updateUnreadCount(folder); // update the unread count
+        });
+
+    }).then(function() {
+        var matches = folder.messages.filter(function(message) {
+            return _.contains(matchingUids, message.uid);
+        });
+        self.done(); // stop the spinner
+        return matches;
+
+    }).catch(function(err) {
+        self.done(); // stop the spinner
+        throw err;
+    });
+
+    // groups sorted uids into [first, last] ranges of consecutive uids
+    function toUidRanges(uids) {
+        var ranges = [];
+        uids.slice().sort(function(a, b) {
+            return a - b;
+        }).forEach(function(uid) {
+            var last = ranges[ranges.length - 1];
+            if (last && last[1] + 1 === uid) {
+                last[1] = uid;
+            } else {
+                ranges.push([uid, uid]);
+            }
+        });
+        return ranges;
+    }
+};
+
 /**
  * Delete a message from IMAP, disk and folder.messages.
  *
  * Please note that this deletes from disk only if you delete from the outbox,
  * since it is not an IMAP folder but a virtual folder that only exists on disk.
+ * While offline, the message is deleted from IMAP when the client connects.
  *
  * @param {Object} options.folder The folder from which to delete the messages
  * @param {Object} options.message The message that should be deleted
@@ -399,6 +781,15 @@ Email.prototype.deleteMessage = function(options) {
         return deleteLocal().then(done).catch(done);
     }
 
+    if (!self._account.online) {
+        // delete locally, the message is deleted from IMAP when the client connects
+        return self._queueOperation({
+            type: OPERATION_DELETE,
+            path: folder.path,
+            uid: message.uid
+        }).then(deleteLocal).then(done).catch(done);
+    }
+
     return new Promise(function(resolve) {
         self.checkOnline();
         resolve();
@@ -438,6 +829,7 @@ Email.prototype.deleteMessage = function(options) {
  *
  * Please note if you set flags on disk only if you delete from the outbox,
  * since it is not an IMAP folder but a virtual folder that only exists on disk.
+ * While offline, the flags are set on IMAP when the client connects.
  *
  * @param {Object} options.folder The origin folder
  * @param {Object} options.message The message that should change flags
@@ -463,6 +855,18 @@ Email.prototype.setFlags = function(options) {
         return markStorage().then(done).catch(done);
     }
 
+    if (!self._account.online) {
+        // mark the message on disk, the flags are set on IMAP when the client connects
+        return self._queueOperation({
+            type: OPERATION_FLAGS,
+            path: folder.path,
+            uid: message.uid,
+            unread: message.unread,
+            answered: message.answered,
+            flagged: message.flagged
+        }).then(markStorage).then(done).catch(done);
+    }
+
     return new Promise(function(resolve) {
         self.checkOnline();
         resolve();
@@ -521,7 +925,8 @@ Email.prototype.setFlags = function(options) {
 };
 
 /**
- * Moves a message to another folder
+ * Moves a message to another folder. While offline, the message is removed from the origin folder
+ * and moved on IMAP when the client connects. It shows up in the destination folder once that is synced.
  *
  * @param {Object} options.folder The origin folder
  * @param {Object} options.destination The destination folder
@@ -535,6 +940,27 @@ Email.prototype.moveMessage = function(options) {
         message = options.message;
 
     self.busy();
+
+    if (!self._account.online) {
+        folder.messages.splice(folder.messages.indexOf(message), 1);
+
+        return self._queueOperation({
+            type: OPERATION_MOVE,
+            path: folder.path,
+            destination: destination.path,
+            uid: message.uid
+        }).then(function() {
+            return self._localDeleteMessage({
+                folder: folder,
+                uid: message.uid
+            });
+
+        }).then(done).catch(function(err) {
+            folder.messages.unshift(message);
+            done(err);
+        });
+    }
+
     return new Promise(function(resolve) {
         self.checkOnline();
         resolve();
@@ -747,6 +1173,7 @@ Email.prototype.getBody = function(options) {
             message.html = _.pluck(filterBodyParts(root, MSG_PART_TYPE_HTML), MSG_PART_ATTR_CONTENT).join('\n');
             inlineExternalImages(message);
         }
+        self._searchIndex.add(message);
     }
 };
 
@@ -768,76 +1195,255 @@ Email.prototype._checkSignatures = function(message) {
  *
  * @param {Object} options.folder The folder where to find the attachment
  * @param {Number} options.uid The uid for the message the attachment body part belongs to
- * @param {Object} options.attachment The attachment body part to fetch and parse from IMAP
+ * @param {Object} options.attachment The attachment body part to fetch and decode from IMAP
+ * @param {Function} options.onProgress (optional) Invoked when attachment.progress changes while the attachment is decoded
  * @return {Promise}
- * @resolve {Object} attachment    The attachment body part that was retrieved and parsed
+ * @resolve {Object} attachment    The attachment body part that was retrieved and decoded, its content is in attachment.blob
  */
 Email.prototype.getAttachment = function(options) {
     var self = this,
-        attachment = options.attachment;
+        attachment = options.attachment,
+        bodyPart = {
+            partNumber: attachment.partNumber
+        };
 
     attachment.busy = true;
-    return self._getBodyParts({
+    attachment.progress = 0;
+    return self._fetchBodyParts({
         folder: options.folder,
         uid: options.uid,
-        bodyParts: [attachment]
-    }).then(function(parsedBodyParts) {
+        bodyParts: [bodyPart]
+    }).then(function() {
+        // large attachments are decoded in chunks in a worker, instead of being parsed with the message
+        return self._decodeAttachment(attachment, bodyPart, options.onProgress);
+
+    }).then(function(blob) {
         attachment.busy = false;
-        // add the content to the original object
-        attachment.content = parsedBodyParts[0].content;
+        attachment.blob = blob;
         return attachment;
 
     }).catch(function(err) {
         attachment.busy = false;
+        attachment.progress = undefined;
         throw err;
     });
 };
 
 /**
- * Decrypts a message and replaces sets the decrypted plaintext as the message's body, html, or attachment, respectively.
- * The first encrypted body part's ciphertext (in the content property) will be decrypted.
+ * Resolves the content of all attachments of a message, e.g. for forwarding it. Attachments that have not been
+ * fetched yet are fetched from IMAP. The attachments of encrypted messages are only available after decryption.
  *
+ * @param {Object} options.folder The folder of the message
  * @param {Object} options.message The message
+ * @param {Function} options.onProgress (optional) Invoked when the progress of fetching an attachment changes
  * @return {Promise}
- * @resolve {Object} message    The decrypted message object
+ * @resolve {Array} Copies of the attachments: [{ filename: String, mimeType: String, content: Uint8Array }]
  */
-Email.prototype.decryptBody = function(options) {
+Email.prototype.resolveAttachments = function(options) {
     var self = this,
-        message = options.message,
-        encryptedNode;
+        message = options.message;
 
-    // the message is decrypting has no body, is not encrypted or has already been decrypted
-    if (!message.bodyParts || message.decryptingBody || !message.body || !message.encrypted || message.decrypted) {
-        return new Promise(function(resolve) {
-            resolve(message);
-        });
-    }
+    return new Promise(function(resolve) {
+        if (message.encrypted && !message.decrypted) {
+            throw new Error('The attachments of an encrypted message are only available after it has been decrypted!');
+        }
+        resolve();
 
-    message.decryptingBody = true;
-    self.busy();
+    }).then(function() {
+        return Promise.all((message.attachments || []).map(function(attachment) {
+            return new Promise(function(resolve) {
+                resolve();
+
+            }).then(function() {
+                if (attachment.blob || attachment.content) {
+                    return;
+                }
+
+                return self.getAttachment({
+                    folder: options.folder,
+                    uid: message.uid,
+                    attachment: attachment,
+                    onProgress: options.onProgress
+                });
 
-    // get the sender's public key for signature checking
-    return self._keychain.getReceiverPublicKey(message.from[0].address).then(function(senderPublicKey) {
-        // get the receiver's public key to check the message signature
-        encryptedNode = filterBodyParts(message.bodyParts, MSG_PART_TYPE_ENCRYPTED)[0];
-        var senderKey = senderPublicKey ? senderPublicKey.publicKey : undefined;
-        return self._pgp.decrypt(encryptedNode.content, senderKey);
+            }).then(function() {
+                return readBytes(attachment.blob || attachment.content);
 
-    }).then(function(pt) {
-        if (!pt.decrypted) {
-            throw new Error('Error decrypting message.');
-        }
+            }).then(function(content) {
+                return {
+                    filename: attachment.filename,
+                    mimeType: attachment.mimeType,
+                    content: content
+                };
+            });
+        }));
+    });
+};
 
-        // if the decryption worked and signatures are present, everything's fine.
-        // no error is thrown if signatures are not present
-        message.signed = typeof pt.signaturesValid !== 'undefined';
-        message.signaturesValid = pt.signaturesValid;
+/**
+ * Creates a message/rfc822 attachment of a message for forwarding it as an attachment. Plaintext messages are attached
+ * in their original source, encrypted messages are attached in their decrypted form, so that they are re-encrypted for the new recipients.
+ *
+ * @param {Object} options.folder The folder of the message
+ * @param {Object} options.message The message
+ * @param {Function} options.onProgress (optional) Invoked when the progress of fetching an attachment changes
+ * @return {Promise}
+ * @resolve {Object} The attachment: { filename: String, mimeType: String, content: Uint8Array }
+ */
+Email.prototype.getMessageAttachment = function(options) {
+    var self = this,
+        message = options.message;
 
-        // if the encrypted node contains pgp/inline, we must not parse it
-        // with the mailreader as it is not well-formed MIME
-        if (encryptedNode._isPgpInline) {
+    return new Promise(function(resolve) {
+        resolve();
+
+    }).then(function() {
+        if (message.encrypted) {
+            return self._buildDecryptedMessage(options);
+        }
+
+        // fetch the whole source of the message
+        var bodyPart = {
+            partNumber: ''
+        };
+        return self._fetchBodyParts({
+            folder: options.folder,
+            uid: message.uid,
+            bodyParts: [bodyPart]
+        }).then(function() {
+            return bodyPart.raw;
+        });
+
+    }).then(function(raw) {
+        return {
+            filename: (message.subject || 'message').replace(/[\\\/:*?"<>|]/g, '_') + '.eml',
+            mimeType: 'message/rfc822',
+            content: attachmentDecoder.fromBinaryString(raw)
+        };
+    });
+};
+
+/**
+ * Builds the MIME source of a decrypted message from its plaintext body and attachments
+ */
+Email.prototype._buildDecryptedMessage = function(options) {
+    var self = this,
+        message = options.message;
+
+    return self.resolveAttachments(options).then(function(attachments) {
+        var headers = {
+            date: (message.sentDate || new Date()).toUTCString()
+        };
+        if (message.id) {
+            headers['message-id'] = '<' + message.id + '>';
+        }
+
+        return self._plainbuilder.buildSigned({
+            mail: {
+                from: message.from,
+                to: message.to,
+                cc: message.cc,
+                subject: message.subject,
+                body: message.body,
+                html: message.html,
+                attachments: attachments,
+                headers: headers
+            }
+        });
+
+    }).then(function(built) {
+        return built.rfcMessage;
+    });
+};
+
+/**
+ * Parses a message that is attached to another message, e.g. a forwarded .eml file, for previewing it
+ *
+ * @param {Object} options.attachment The attachment, its content must have been fetched or decrypted
+ * @return {Promise}
+ * @resolve {Object} message    The attached message: { from, to, cc, date, subject: String, body: String, html: String }
+ */
+Email.prototype.parseAttachedMessage = function(options) {
+    var self = this,
+        attachment = options.attachment,
+        headers, bodyPart;
+
+    return readBinaryString(attachment.blob || attachment.content).then(function(raw) {
+        var separator = /\r?\n\r?\n/.exec(raw);
+        headers = mimefuncs.headerLinesDecode(separator ? raw.substring(0, separator.index) : raw);
+
+        // the mailparser returns the mime tree of the message in the body part's content
+        bodyPart = {
+            type: MSG_PART_TYPE_MESSAGE,
+            raw: raw
+        };
+        return self._parse({
+            bodyParts: [bodyPart]
+        });
+
+    }).then(function() {
+        return {
+            from: headerValue('from'),
+            to: headerValue('to'),
+            cc: headerValue('cc'),
+            date: headerValue('date'),
+            subject: headerValue('subject'),
+            body: _.pluck(filterBodyParts(bodyPart.content, MSG_PART_TYPE_TEXT), MSG_PART_ATTR_CONTENT).join('\n'),
+            html: _.pluck(filterBodyParts(bodyPart.content, MSG_PART_TYPE_HTML), MSG_PART_ATTR_CONTENT).join('\n')
+        };
+    });
+
+    function headerValue(key) {
+        return mimefuncs.mimeWordsDecode([].concat(headers[key] || '').join(', '));
+    }
+};
+
+/**
+ * Decrypts a message and replaces sets the decrypted plaintext as the message's body, html, or attachment, respectively.
+ * The first encrypted body part's ciphertext (in the content property) will be decrypted.
+ *
+ * @param {Object} options.message The message
+ * @return {Promise}
+ * @resolve {Object} message    The decrypted message object
+ */
+Email.prototype.decryptBody = function(options) {
+    var self = this,
+        message = options.message,
+        encryptedNode;
+
+    // the message is decrypting has no body, is not encrypted or has already been decrypted
+    if (!message.bodyParts || message.decryptingBody || !message.body || !message.encrypted || message.decrypted) {
+        return new Promise(function(resolve) {
+            resolve(message);
+        });
+    }
+
+    message.decryptingBody = true;
+    self.busy();
+
+    // get the sender's public key for signature checking
+    return self._keychain.getReceiverPublicKey(message.from[0].address).then(function(senderPublicKey) {
+        // get the receiver's public key to check the message signature
+        encryptedNode = filterBodyParts(message.bodyParts, MSG_PART_TYPE_ENCRYPTED)[0];
+        var senderKey = senderPublicKey ? senderPublicKey.publicKey : undefined;
+        return self._pgp.decrypt(encryptedNode.content, senderKey);
+
+    }).then(function(pt) {
+        if (!pt.decrypted) {
+            throw new Error('Error decrypting message.');
+        }
+
+        // if the decryption worked and signatures are present, everything's fine.
+        // no error is thrown if signatures are not present
+        message.signed = typeof pt.signaturesValid !== 'undefined';
+        message.signaturesValid = pt.signaturesValid;
+
+        // if the encrypted node contains pgp/inline, we must not parse it
+        // with the mailreader as it is not well-formed MIME
+        if (encryptedNode._isPgpInline) {
             message.body = pt.decrypted;
             message.decrypted = true;
+            self._searchIndex.add(message);
             return;
         }
 
@@ -899,6 +1505,7 @@ Email.prototype.decryptBody = function(options) {
         });
         inlineExternalImages(message);
         message.decrypted = true;
+        self._searchIndex.add(message);
         return message;
     }
 };
@@ -920,14 +1527,12 @@ Email.prototype.sendEncrypted = function(options, mailer) {
 };
 
 /**
- * Sends a signed message in the plain
+ * Sends a message in the plain. It is signed with PGP/MIME unless options.email.sign is false.
  *
  * @param {Object} options.email The message to be sent
  * @param {Object} mailer an instance of the pgpmailer to be used for testing purposes only
  */
 Email.prototype.sendPlaintext = function(options, mailer) {
-    // add suffix to plaintext mail
-    options.email.body += str.signature + config.keyServerUrl + '/' + this._account.emailAddress;
     // mime encode, sign and send email via smtp
     return this._sendGeneric({
         smtpclient: options.smtpclient, // filled solely in the integration test, undefined in normal usage
@@ -959,7 +1564,7 @@ Email.prototype._sendGeneric = function(options, mailer) {
         credentials.smtp.tlsWorkerPath = config.workerPath + '/tcp-socket-tls-worker.min.js';
 
         // create a new pgpmailer
-        self._pgpMailer = (mailer || new PgpMailer(credentials.smtp, self._pgpbuilder));
+        self._pgpMailer = (mailer || new PgpMailer(credentials.smtp, self._getBuilder(options)));
 
         // certificate update retriggers sending after cert update is persisted
         self._pgpMailer.onCert = self._auth.handleCertificateUpdate.bind(self._auth, 'smtp', self._sendGeneric.bind(self, options), self._dialog.error);
@@ -970,12 +1575,44 @@ Email.prototype._sendGeneric = function(options, mailer) {
     }).then(function(rfcText) {
         // try to upload to sent, but we don't actually care if the upload failed or not
         // this should not negatively impact the process of sending
-        return self._uploadToSent({
-            message: rfcText
-        }).catch(function() {});
+        return uploadToSent(rfcText).catch(function() {});
 
     }).then(done).catch(done);
 
+    function uploadToSent(rfcText) {
+        var mail = options.mail;
+
+        if (mail.uploadToSent === false) {
+            // the message is recorded in the sent folder by another copy
+            return new Promise(function(resolve) {
+                resolve();
+            });
+        }
+
+        if (!mail.sentRecord || self.ignoreUploadOnSent) {
+            return self._uploadToSent({
+                message: rfcText
+            });
+        }
+
+        // record the message with all of the recipients of its copies, encrypted since some of them received it encrypted
+        return self._buildOwnEncrypted({
+            from: mail.from,
+            to: mail.sentRecord.to,
+            cc: mail.sentRecord.cc,
+            bcc: mail.sentRecord.bcc,
+            subject: mail.subject,
+            body: mail.body,
+            html: mail.html,
+            attachments: [].concat(mail.attachments || []),
+            headers: mail.headers
+        }).then(function(built) {
+            return self._uploadToSent({
+                message: built.rfcMessage
+            });
+        });
+    }
+
     function done(err) {
         self.done(); // stop the spinner
         if (err) {
@@ -988,17 +1625,171 @@ Email.prototype._sendGeneric = function(options, mailer) {
  * Signs and encrypts a message
  *
  * @param {Object} options.email The message to be encrypted
+ * @param {Array} options.publicKeysArmored The public keys with which the message is encrypted
+ * @param {Boolean} options.hideKeyIds (optional) Do not reveal the key ids of the recipients in the ciphertext
  * @param {Function} callback(message) Invoked when the message was encrypted, or an error occurred
  */
 Email.prototype.encrypt = function(options) {
     var self = this;
     self.busy();
-    return self._pgpbuilder.encrypt(options).then(function(message) {
+    return new Promise(function(resolve) {
+        resolve(self._withSigningKey(self._pgpbuilder, options.mail));
+
+    }).then(function(builder) {
+        return builder.encrypt(options);
+
+    }).then(function(message) {
+        // like the attachments, the html is within the ciphertext now
+        delete message.html;
+
+        if (!options.hideKeyIds) {
+            return message;
+        }
+
+        return self._pgp.hideKeyIds(message.body).then(function(ciphertext) {
+            message.body = message.bodyParts[0].content = ciphertext;
+            return message;
+        });
+
+    }).then(function(message) {
         self.done();
         return message;
     });
 };
 
+/**
+ * Uploads a draft to the drafts folder. Drafts that will be sent securely are encrypted for the user's own key,
+ * all other drafts are signed. The previously uploaded version of the draft is purged, since outdated drafts should
+ * not clutter the trash.
+ *
+ * @param {Object} options.draft The message to be uploaded, its Message-ID must be set in draft.headers
+ * @param {Boolean} options.encrypt If the draft should be encrypted
+ * @param {Number} options.uid (optional) The uid of the previously uploaded version of the draft
+ * @return {Promise}
+ * @resolve {Number} uid The uid of the uploaded draft, undefined if there is no drafts folder
+ */
+Email.prototype.uploadDraft = function(options) {
+    var self = this,
+        draft = options.draft,
+        draftsFolder;
+
+    self.busy();
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+
+    }).then(function() {
+        draftsFolder = _.findWhere(self._account.folders, {
+            type: FOLDER_TYPE_DRAFTS
+        });
+
+        if (!draftsFolder) {
+            return;
+        }
+
+        return buildDraft().then(function(built) {
+            return self._imapUploadMessage({
+                folder: draftsFolder,
+                message: built.rfcMessage
+            });
+
+        }).then(function() {
+            // the server assigns the uid, so look it up via the message id
+            return self._imapSearch({
+                folder: draftsFolder,
+                header: ['message-id', draft.headers['message-id']]
+            });
+
+        }).then(function(uids) {
+            var uid = _.max(_.without(uids, options.uid));
+            if (!options.uid) {
+                return uid;
+            }
+
+            return self.deleteDraft({
+                uid: options.uid
+            }).then(function() {
+                return uid;
+            });
+        });
+
+    }).then(function(uid) {
+        self.done();
+        return uid > 0 ? uid : undefined;
+
+    }).catch(function(err) {
+        self.done();
+        throw err;
+    });
+
+    function buildDraft() {
+        if (!options.encrypt) {
+            return self._pgpbuilder.buildSigned({
+                mail: draft
+            });
+        }
+
+        return self._buildOwnEncrypted(draft);
+    }
+};
+
+/**
+ * Purges a draft from the drafts folder on IMAP and from the local storage.
+ * While offline, the draft is purged from IMAP when the client connects.
+ *
+ * @param {Number} options.uid The uid of the draft
+ * @return {Promise}
+ */
+Email.prototype.deleteDraft = function(options) {
+    var self = this,
+        draftsFolder = _.findWhere(self._account.folders, {
+            type: FOLDER_TYPE_DRAFTS
+        });
+
+    if (!draftsFolder) {
+        return new Promise(function(resolve) {
+            resolve();
+        });
+    }
+
+    if (!self._account.online) {
+        // delete locally, the draft is purged from IMAP when the client connects
+        return self._queueOperation({
+            type: OPERATION_PURGE,
+            path: draftsFolder.path,
+            uid: options.uid
+        }).then(deleteLocal);
+    }
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+
+    }).then(function() {
+        return self._imapClient.deleteMessage({
+            path: draftsFolder.path,
+            uid: options.uid
+        });
+
+    }).then(deleteLocal);
+
+    function deleteLocal() {
+        var message = _.findWhere(draftsFolder.messages, {
+            uid: options.uid
+        });
+
+        if (message) {
+            draftsFolder.messages.splice(draftsFolder.messages.indexOf(message), 1);
+            updateUnreadCount(draftsFolder);
+        }
+
+        return self._localDeleteMessage({
+            folder: draftsFolder,
+            uid: options.uid
+        });
+    }
+};
+
 
 //
 //
@@ -1043,32 +1834,37 @@ Email.prototype.onConnect = function(imap) {
         return self._initFoldersFromImap();
 
     }).then(function() {
+        // load the changes that were made while offline
+        return self._listOperations();
+
+    }).then(function(operations) {
         // fill the imap mailboxCache with information we have locally available:
         // - highest locally available moseq (NB! JavaScript can't handle 64 bit uints, so modseq values are strings)
-        // - list of locally available uids
+        //   which is the starting point of the QRESYNC resync
+        // - list of locally available uids, including the messages that were moved or deleted while offline,
+        //   so they are not synced again before the changes are applied
         // - highest locally available uid
         // - next expected uid
         var mailboxCache = {};
         self._account.folders.forEach(function(folder) {
-            if (folder.messages.length === 0) {
+            var pendingUids = _.pluck(operations.filter(function(op) {
+                return op.type !== OPERATION_FLAGS && op.path === folder.path;
+            }), MSG_ATTR_UID);
+
+            if (folder.messages.length === 0 && pendingUids.length === 0) {
                 return;
             }
 
             var uids, highestModseq, lastUid;
 
-            uids = _.pluck(folder.messages, MSG_ATTR_UID).sort(function(a, b) {
+            uids = _.union(_.pluck(folder.messages, MSG_ATTR_UID), pendingUids).sort(function(a, b) {
                 return a - b;
             });
             lastUid = uids[uids.length - 1];
 
-            highestModseq = (_.pluck(folder.messages, 'modseq').sort(function(a, b) {
-                // We treat modseq values as numbers here as an exception, should
-                // be strings everywhere else.
-                // If it turns out that someone actually uses 64 bit uint numbers
-                // that do not fit to the JavaScript number type then we should
-                // use a helper for handling big integers.
-                return (Number(a) || 0) - (Number(b) || 0);
-            }).pop() || 0).toString();
+            highestModseq = _.pluck(folder.messages, 'modseq').reduce(function(highest, modseq) {
+                return compareModseq(modseq, highest) > 0 ? String(modseq) : highest;
+            }, '0');
 
             mailboxCache[folder.path] = {
                 exists: lastUid,
@@ -1082,6 +1878,10 @@ Email.prototype.onConnect = function(imap) {
         // set status to online after setting cache to prevent race condition
         self._account.online = true;
 
+    }).then(function() {
+        // apply the changes that were made while offline before syncing
+        return self._replayOperations();
+
     }).then(function() {
         // by default, select the inbox (if there is one) after connecting the imap client.
         // this avoids race conditions between the listening imap connection and the one where the work is done
@@ -1164,11 +1964,25 @@ Email.prototype._onSyncUpdate = function(options) {
     }
 
     if (options.type === SYNC_TYPE_NEW) {
-        // new messages available on imap, fetch from imap and store to disk and memory
+        if (historyUid(folder) === undefined) {
+            // the folder has never been synced, its history starts with the newest messages.
+            // the messages are reported newest first, so the older ones are loaded on demand by loadOlderMessages
+            folder.historyUid = Math.min.apply(null, options.list);
+            self._localStoreFolders().catch(self._dialog.error);
+        }
+
+        // new messages available on imap, fetch the ones within the history from imap and store to disk and memory
+        var newUids = options.list.filter(function(uid) {
+            return uid >= historyUid(folder);
+        });
+        if (!newUids.length) {
+            return;
+        }
+
         self.fetchMessages({
             folder: folder,
-            firstUid: Math.min.apply(null, options.list),
-            lastUid: Math.max.apply(null, options.list)
+            firstUid: Math.min.apply(null, newUids),
+            lastUid: Math.max.apply(null, newUids)
         }).then(self._dialog.error).catch(self._dialog.error);
     } else if (options.type === SYNC_TYPE_DELETED) {
         // messages have been deleted, remove from local storage and memory
@@ -1255,12 +2069,19 @@ Email.prototype._initFoldersFromDisk = function() {
  * all the locally available messages are loaded from memory.
  */
 Email.prototype._initFoldersFromImap = function() {
-    var self = this;
+    var self = this,
+        delimiter;
 
     self.busy(); // start the spinner
 
-    // fetch list from imap server
-    return self._imapClient.listWellKnownFolders().then(function(wellKnownFolders) {
+    // the folders are nested by the hierarchy delimiter of the imap server
+    return self._imapDelimiter().then(function(imapDelimiter) {
+        delimiter = imapDelimiter;
+
+        // fetch list from imap server
+        return self._imapClient.listWellKnownFolders();
+
+    }).then(function(wellKnownFolders) {
         var foldersChanged = false, // indicates if we need to persist anything to disk
             imapFolders = []; // aggregate all the imap folders
 
@@ -1304,23 +2125,20 @@ Email.prototype._initFoldersFromImap = function() {
             }));
         });
 
+        // remember the delimiter of the folders to display them as a tree
+        self._account.folders.forEach(function(folder) {
+            if (folder.delimiter !== delimiter) {
+                folder.delimiter = delimiter;
+                foldersChanged = true;
+            }
+        });
+
         //
         // by now, all the folders are up to date. now we need to find all the well known folders
         //
 
-        // check for the well known folders to be displayed in the uppermost ui part
-        // in that order
-        var wellknownTypes = [
-            FOLDER_TYPE_INBOX,
-            FOLDER_TYPE_SENT,
-            config.outboxMailboxType,
-            FOLDER_TYPE_DRAFTS,
-            FOLDER_TYPE_TRASH,
-            FOLDER_TYPE_FLAGGED
-        ];
-
         // make sure the well known folders are detected
-        wellknownTypes.forEach(function(mbxType) {
+        WELLKNOWN_FOLDER_TYPES.forEach(function(mbxType) {
             // check if there is a well known folder of this type
             var wellknownFolder = _.findWhere(self._account.folders, {
                 type: mbxType,
@@ -1349,39 +2167,14 @@ Email.prototype._initFoldersFromImap = function() {
         });
 
         // order folders
-        self._account.folders.sort(function(a, b) {
-            if (a.wellknown && b.wellknown) {
-                // well known folders should be ordered like the types in the wellknownTypes array
-                return wellknownTypes.indexOf(a.type) - wellknownTypes.indexOf(b.type);
-            } else if (a.wellknown && !b.wellknown) {
-                // wellknown folders should always appear BEFORE the other folders
-                return -1;
-            } else if (!a.wellknown && b.wellknown) {
-                // non-wellknown folders should always appear AFTER wellknown folders
-                return 1;
-            } else {
-                // non-wellknown folders should be sorted case-insensitive
-                return a.name.toLowerCase().localeCompare(b.name.toLowerCase());
-            }
-        });
+        sortFolders(self._account.folders);
 
         // if folders have not changed, can fill them with messages directly
         if (!foldersChanged) {
             return;
         }
 
-        // persist encrypted list in device storage
-        // note: the folders in the ui also include the messages array, so let's create a clean array here
-        var folders = self._account.folders.map(function(folder) {
-            return {
-                name: folder.name,
-                path: folder.path,
-                type: folder.type,
-                wellknown: !!folder.wellknown
-            };
-        });
-
-        return self._devicestorage.storeList([folders], FOLDER_DB_TYPE);
+        return self._localStoreFolders();
 
     }).then(function() {
         return self._initMessagesFromDisk();
@@ -1438,30 +2231,245 @@ Email.prototype.done = function() {
 //
 
 /**
- * Mark messages as un-/read or un-/answered on IMAP
+ * Selects a folder on IMAP, which synchronizes its changes via the imap client's onSyncUpdate.
+ * The imap client finds the messages that were expunged by listing all the uids of the folder. If the server supports
+ * QRESYNC (RFC 7162) and the folder has been synchronized before, the changes since the last known modseq are requested
+ * with the SELECT command instead: the server answers with VANISHED responses for the expunged messages and FETCH
+ * responses for the changed flags, so resyncing a folder only costs a round trip, plus a uid search if there is new mail.
  *
- * @param {Object} options.folder The folder where to find the message
- * @param {Number} options.uid The uid for which to change the flags
- * @param {Number} options.unread Un-/Read flag
- * @param {Number} options.answered Un-/Answered flag
+ * @param {Object} options.folder The folder to select
+ * @return {Promise}
  */
-Email.prototype._imapMark = function(options) {
-    var self = this;
+Email.prototype._imapSelectMailbox = function(options) {
+    var self = this,
+        folder = options.folder,
+        client = self._imapClient._client,
+        cached = self._imapClient.mailboxCache[folder.path];
+
+    if (!client || !client.hasCapability('QRESYNC') || !folder.uidValidity || !cached || compareModseq(cached.highestModseq, '0') <= 0) {
+        // the imap client lists the uids of the folder to find the changes
+        return self._imapClient.selectMailbox({
+            path: folder.path
+        }).then(function(mailbox) {
+            return self._updateUidValidity(folder, mailbox);
+        });
+    }
 
-    return new Promise(function(resolve) {
-        self.checkOnline();
-        resolve();
-    }).then(function() {
-        options.path = options.folder.path;
-        return self._imapClient.updateFlags(options);
+    return self._enableQresync(client).then(function() {
+        return qresync.select(client, {
+            path: folder.path,
+            uidValidity: folder.uidValidity,
+            modseq: cached.highestModseq
+        });
+
+    }).then(function(result) {
+        var mailbox = result.mailbox;
+
+        if (mailbox.uidValidity !== folder.uidValidity) {
+            // the uids of the folder are no longer valid, the server ignores QRESYNC and the imap client lists the uids
+            client.onselectmailbox(folder.path, mailbox);
+            return self._updateUidValidity(folder, mailbox);
+        }
+
+        // the messages that have been expunged since the last sync
+        self._onVanished(folder.path, result.vanished);
+
+        // the messages whose flags have changed since the last sync
+        if (result.changed.length) {
+            self._onSyncUpdate({
+                type: SYNC_TYPE_MSGS,
+                path: folder.path,
+                list: result.changed
+            });
+        }
+
+        cached.exists = mailbox.exists;
+        cached.highestModseq = mailbox.highestModseq || cached.highestModseq;
+        if (!mailbox.uidNext || mailbox.uidNext <= cached.uidNext) {
+            // no new messages
+            return;
+        }
+
+        // QRESYNC does not report new messages, so search for the uids above the last known one
+        return self._imapClient.search({
+            path: folder.path,
+            uid: cached.uidNext + ':*'
+        }).then(function(uids) {
+            var newUids = _.difference(uids, cached.uidlist).sort(function(a, b) {
+                return b - a;
+            });
+
+            cached.uidlist = cached.uidlist.concat(newUids);
+            cached.uidNext = mailbox.uidNext;
+
+            // notify about the new messages in batches like the imap client
+            while (newUids.length) {
+                self._onSyncUpdate({
+                    type: SYNC_TYPE_NEW,
+                    path: folder.path,
+                    list: newUids.splice(0, config.imapUpdateBatchSize)
+                });
+            }
+        });
     });
 };
 
 /**
- * If we're in the trash folder or no trash folder is available, this deletes a message from IMAP.
- * Otherwise, it moves a message to the trash folder.
+ * Enables QRESYNC on a connection. Once enabled, the server sends VANISHED instead of EXPUNGE responses,
+ * so they are reconciled with the local messages, too.
  *
- * @param {Object} options.folder The folder where to find the message
+ * @param {Object} client The BrowserBox instance of the imap client
+ * @return {Promise}
+ */
+Email.prototype._enableQresync = function(client) {
+    var self = this;
+
+    if (self._qresyncClient === client) {
+        // QRESYNC is enabled once per connection
+        return new Promise(function(resolve) {
+            resolve();
+        });
+    }
+
+    return qresync.enable(client, function(path, response) {
+        self._onVanished(path, [response]);
+    }).then(function() {
+        self._qresyncClient = client;
+    });
+};
+
+/**
+ * Reconciles VANISHED responses with the imap client's cache and the local messages
+ *
+ * @param {String} path The path of the folder
+ * @param {Array} responses The parsed VANISHED responses, e.g. '* VANISHED (EARLIER) 41,43:116'
+ */
+Email.prototype._onVanished = function(path, responses) {
+    var cached = this._imapClient.mailboxCache[path],
+        vanished;
+
+    if (!cached || !responses.length) {
+        return;
+    }
+
+    // only the uids that are known matter, the sets might cover large ranges of uids
+    vanished = cached.uidlist.filter(function(uid) {
+        return responses.some(function(response) {
+            var set = _.last(response.attributes || []);
+            return set && inSequenceSet(uid, set.value);
+        });
+    });
+
+    if (!vanished.length) {
+        return;
+    }
+
+    cached.uidlist = _.difference(cached.uidlist, vanished);
+    this._onSyncUpdate({
+        type: SYNC_TYPE_DELETED,
+        path: path,
+        list: vanished
+    });
+};
+
+/**
+ * Looks up the hierarchy delimiter of the IMAP server, which separates the names along the path of a nested folder
+ *
+ * @return {Promise}
+ * @resolve {String} delimiter The delimiter, e.g. '/', or null if the server does not support subfolders
+ */
+Email.prototype._imapDelimiter = function() {
+    var client = this._imapClient._client;
+
+    return new Promise(function(resolve, reject) {
+        // an empty mailbox name lists the delimiter, e.g. '* LIST (\Noselect) "/" ""'
+        client.exec({
+            command: 'LIST',
+            attributes: ['', '']
+        }, 'LIST', function(err, response, next) {
+            var list = !err && response.payload && response.payload.LIST && response.payload.LIST[0],
+                delimiter = list && list.attributes[1];
+
+            if (err) {
+                reject(err);
+                return next();
+            }
+
+            resolve(delimiter && delimiter.value || null);
+            next();
+        });
+    });
+};
+
+/**
+ * Sends a command that manages mailboxes, i.e. CREATE, RENAME, DELETE, SUBSCRIBE or UNSUBSCRIBE, to IMAP
+ *
+ * @param {String} command The command
+ * @param {Array} paths The decoded paths of the mailboxes that the command refers to
+ * @return {Promise}
+ */
+Email.prototype._imapMailboxCommand = function(command, paths) {
+    var client = this._imapClient._client;
+
+    return new Promise(function(resolve, reject) {
+        client.exec({
+            command: command,
+            attributes: paths.map(function(path) {
+                return {
+                    type: 'STRING',
+                    value: utf7.imap.encode(path)
+                };
+            })
+        }, function(err, response, next) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+            next();
+        });
+    });
+};
+
+/**
+ * Subscribes to a mailbox or unsubscribes from it. Failed subscriptions are ignored, since the folders
+ * are listed regardless of their subscription.
+ *
+ * @param {String} path The path of the mailbox
+ * @param {Boolean} subscribe Subscribe if true, unsubscribe if false
+ * @return {Promise}
+ */
+Email.prototype._imapSubscribe = function(path, subscribe) {
+    return this._imapMailboxCommand(subscribe ? 'SUBSCRIBE' : 'UNSUBSCRIBE', [path]).catch(function(err) {
+        axe.error('Could not ' + (subscribe ? 'subscribe to ' : 'unsubscribe from ') + path + ': ' + err.message);
+    });
+};
+
+/**
+ * Mark messages as un-/read or un-/answered on IMAP
+ *
+ * @param {Object} options.folder The folder where to find the message
+ * @param {Number} options.uid The uid for which to change the flags
+ * @param {Number} options.unread Un-/Read flag
+ * @param {Number} options.answered Un-/Answered flag
+ */
+Email.prototype._imapMark = function(options) {
+    var self = this;
+
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+    }).then(function() {
+        options.path = options.folder.path;
+        return self._imapClient.updateFlags(options);
+    });
+};
+
+/**
+ * If we're in the trash folder or no trash folder is available, this deletes a message from IMAP.
+ * Otherwise, it moves a message to the trash folder.
+ *
+ * @param {Object} options.folder The folder where to find the message
  * @param {Number} options.uid The uid of the message
  * @return {Promise}
  */
@@ -1535,6 +2543,27 @@ Email.prototype._imapListMessages = function(options) {
     });
 };
 
+/**
+ * Search for messages on IMAP
+ *
+ * @param {Object} options.folder The folder
+ * @param {Array} options.header (optional) The header name and the value to search for, e.g. ['subject', 'hello']
+ * @param {Boolean} options.unread (optional) Search for un-/read messages
+ * @param {Boolean} options.answered (optional) Search for un-/answered messages
+ * @return {Promise}
+ * @resolve {Array} uids    The uids of the matching messages
+ */
+Email.prototype._imapSearch = function(options) {
+    var self = this;
+    return new Promise(function(resolve) {
+        self.checkOnline();
+        resolve();
+    }).then(function() {
+        options.path = options.folder.path;
+        return self._imapClient.search(options);
+    });
+};
+
 /**
  * Uploads a built message to a folder
  *
@@ -1557,6 +2586,21 @@ Email.prototype._imapUploadMessage = function(options) {
  * @param {Object} options.bodyParts The message, as retrieved by _imapListMessages
  */
 Email.prototype._getBodyParts = function(options) {
+    var self = this;
+    return self._fetchBodyParts(options).then(function() {
+        return self._parse(options);
+    });
+};
+
+/**
+ * Fetches the raw body parts of a message from IMAP without parsing them
+ *
+ * @param {Object} options.folder The folder
+ * @param {Number} options.uid The uid of the message
+ * @param {Array} options.bodyParts The body parts, their raw contents are set in bodyPart.raw
+ * @return {Promise}
+ */
+Email.prototype._fetchBodyParts = function(options) {
     var self = this;
     return new Promise(function(resolve) {
         self.checkOnline();
@@ -1572,9 +2616,63 @@ Email.prototype._getBodyParts = function(options) {
             error.hide = true;
             throw error;
         }
+    });
+};
 
-        return self._parse(options);
+/**
+ * Decodes the raw body part of an attachment in a WebWorker thread and keeps track of the progress in attachment.progress.
+ * This only applies to plaintext attachments, the attachments of encrypted messages are decrypted as a whole with the message body.
+ *
+ * The raw body part is removed from bodyPart as soon as it has been handed over, so that it can be released while decoding.
+ *
+ * @param {Object} attachment The attachment
+ * @param {Object} bodyPart The body part, its raw content as fetched from IMAP in bodyPart.raw
+ * @param {Function} onProgress (optional) Invoked when attachment.progress changes
+ * @return {Promise}
+ * @resolve {Blob} The decoded content of the attachment
+ */
+Email.prototype._decodeAttachment = function(attachment, bodyPart, onProgress) {
+    return new Promise(function(resolve, reject) {
+        var blob, worker;
+
+        // check for WebWorker support
+        if (!window.Worker) {
+            // no WebWorker support... decode on the main thread
+            blob = attachmentDecoder.decodeToBlob(bodyPart.raw, attachment.mimeType, progress);
+            delete bodyPart.raw;
+            resolve(blob);
+            return;
+        }
+
+        worker = new Worker(config.workerPath + '/attachment-worker.min.js');
+        worker.onmessage = function(e) {
+            if (e.data.blob) {
+                worker.terminate();
+                resolve(e.data.blob);
+                return;
+            }
+
+            progress(e.data.progress);
+        };
+        worker.onerror = function(e) {
+            worker.terminate();
+            axe.error('Error handling web worker: Line ' + e.lineno + ' in ' + e.filename + ': ' + e.message);
+            reject(new Error('Error decoding the attachment ' + attachment.filename + '!'));
+        };
+        worker.postMessage({
+            raw: bodyPart.raw,
+            mimeType: attachment.mimeType
+        });
+        // the worker decodes its own copy
+        delete bodyPart.raw;
     });
+
+    function progress(value) {
+        attachment.progress = value;
+        if (onProgress) {
+            onProgress();
+        }
+    }
 };
 
 
@@ -1629,6 +2727,72 @@ Email.prototype._localDeleteMessage = function(options) {
     return this._devicestorage.removeList(dbType);
 };
 
+/**
+ * Moves the locally stored messages of a renamed folder from "email_[OLD PATH]_[MESSAGE UID]" to "email_[FOLDER PATH]_[MESSAGE UID]"
+ *
+ * @param {Object} folder The folder with its new path
+ * @param {String} oldPath The path of the folder before it was renamed
+ */
+Email.prototype._localMoveMessages = function(folder, oldPath) {
+    var self = this,
+        messages = folder.messages || [],
+        oldFolder = {
+            path: oldPath
+        };
+
+    return Promise.all(messages.map(function(message) {
+        return self._localListMessages({
+            folder: oldFolder,
+            uid: message.uid
+        }).then(function(stored) {
+            // the key of a uid is also the prefix of longer uids, e.g. 5 and 50
+            return _.findWhere(stored, {
+                uid: message.uid
+            });
+        });
+
+    })).then(function(stored) {
+        stored = _.compact(stored);
+        if (!stored.length) {
+            return;
+        }
+
+        return self._localStoreMessages({
+            folder: folder,
+            emails: stored
+        });
+
+    }).then(function() {
+        return Promise.all(messages.map(function(message) {
+            return self._localDeleteMessage({
+                folder: oldFolder,
+                uid: message.uid
+            });
+        }));
+    });
+};
+
+/**
+ * Persists the folders of the account in the device storage
+ */
+Email.prototype._localStoreFolders = function() {
+    // note: the folders in the ui also include the messages array, so let's create a clean array here
+    var folders = this._account.folders.map(function(folder) {
+        return {
+            name: folder.name,
+            path: folder.path,
+            type: folder.type,
+            wellknown: !!folder.wellknown,
+            delimiter: folder.delimiter,
+            collapsed: folder.collapsed,
+            uidValidity: folder.uidValidity,
+            historyUid: folder.historyUid
+        };
+    });
+
+    return this._devicestorage.storeList([folders], FOLDER_DB_TYPE);
+};
+
 
 //
 //
@@ -1692,6 +2856,290 @@ Email.prototype._uploadToSent = function(options) {
     });
 };
 
+/**
+ * Builds a message that is encrypted for the user's own key, e.g. to keep a copy of it on the server
+ *
+ * @param {Object} mail The message. Encrypting it empties its attachments.
+ * @return {Promise}
+ * @resolve {Object} The message: { rfcMessage: String, smtpInfo: Object }
+ */
+Email.prototype._buildOwnEncrypted = function(mail) {
+    var self = this;
+
+    return self._pgp.exportKeys().then(function(keys) {
+        return self._pgpbuilder.encrypt({
+            mail: mail,
+            publicKeysArmored: [keys.publicKeyArmored]
+        });
+
+    }).then(function() {
+        return self._pgpbuilder.buildEncrypted({
+            mail: mail
+        });
+    });
+};
+
+/**
+ * Picks the builder for a message that is sent: unsigned plaintext messages are built with the plainbuilder, all others with the pgpbuilder.
+ * A message with mail.deliverTo is only delivered to these addresses, e.g. the copy of a message for a single bcc recipient.
+ *
+ * @param {Object} options.mail The message to be sent
+ * @param {Boolean} options.encrypt If the message is encrypted
+ * @return {Object} The builder for the pgpmailer
+ */
+Email.prototype._getBuilder = function(options) {
+    var builder = (!options.encrypt && options.mail.sign === false) ? this._plainbuilder : this._withSigningKey(this._pgpbuilder, options.mail),
+        deliverTo = options.mail.deliverTo,
+        restricted;
+
+    if (!deliverTo) {
+        return builder;
+    }
+
+    // the smtp envelope of a built message contains all recipients in its headers, so it is narrowed down after building
+    restricted = Object.create(builder);
+    ['buildSigned', 'buildEncrypted'].forEach(function(method) {
+        restricted[method] = function(buildOptions) {
+            return builder[method](buildOptions).then(function(built) {
+                built.smtpInfo.to = deliverTo;
+                return built;
+            });
+        };
+    });
+
+    return restricted;
+};
+
+/**
+ * Signs with the key of the sending identity if the mail is not signed with the user's own key
+ * @param {Object} builder The pgpbuilder
+ * @param {Object} mail The mail, mail.signingKeyId is set by the outbox
+ * @return {Object} A builder that signs with the identity's key
+ */
+Email.prototype._withSigningKey = function(builder, mail) {
+    var key, signingBuilder;
+
+    if (!mail || !mail.signingKeyId) {
+        return builder;
+    }
+
+    key = this._pgp.getSigningKey(mail.signingKeyId);
+    if (!key) {
+        throw new Error('The PGP key of ' + mail.from[0].address + ' is not available. Please import it again in the account settings.');
+    }
+
+    signingBuilder = Object.create(builder);
+    signingBuilder._privateKey = key;
+    return signingBuilder;
+};
+
+/**
+ * Remembers the UIDVALIDITY of a folder, which is required to resync the folder with QRESYNC
+ *
+ * @param {Object} folder The folder
+ * @param {Object} mailbox The information about the selected mailbox
+ * @return {Promise}
+ */
+Email.prototype._updateUidValidity = function(folder, mailbox) {
+    if (!mailbox || !mailbox.uidValidity || mailbox.uidValidity === folder.uidValidity) {
+        return new Promise(function(resolve) {
+            resolve();
+        });
+    }
+
+    folder.uidValidity = mailbox.uidValidity;
+    return this._localStoreFolders();
+};
+
+/**
+ * Records a change that was made while offline, so it is applied on IMAP when the client connects.
+ * The operations are persisted in the order they were made.
+ *
+ * @param {String} op.type The type of the change: flags, move, delete or purge
+ * @param {String} op.path The path of the folder of the message
+ * @param {Number} op.uid The uid of the message
+ * @param {String} op.destination The path of the destination folder, for moves
+ * @param {Boolean} op.unread, op.answered, op.flagged The flags of the message, for flag changes
+ * @return {Promise}
+ */
+Email.prototype._queueOperation = function(op) {
+    var self = this;
+
+    return self._listOperations().then(function(operations) {
+        if (op.type === OPERATION_FLAGS) {
+            // only the latest flags of a message are set
+            var previous = _.findWhere(operations, {
+                type: OPERATION_FLAGS,
+                path: op.path,
+                uid: op.uid
+            });
+            if (previous) {
+                operations.splice(operations.indexOf(previous), 1);
+            }
+        }
+
+        operations.push(op);
+        return self._devicestorage.storeList([operations], OPERATIONS_DB_TYPE);
+    });
+};
+
+/**
+ * Loads the changes that were made while offline from disk, once
+ * @return {Promise}
+ * @resolve {Array} The operations, in the order they were made
+ */
+Email.prototype._listOperations = function() {
+    var self = this;
+
+    if (!self._operations) {
+        self._operations = self._devicestorage.listItems(OPERATIONS_DB_TYPE, 0, null).then(function(stored) {
+            return (stored && stored[0]) || [];
+        });
+    }
+
+    return self._operations;
+};
+
+/**
+ * Applies the changes that were made while offline to IMAP, one after the other. If a message has vanished
+ * on the server in the meantime, its change is dropped and the message is removed locally. Changes that fail
+ * are dropped, too, so the next sync restores the state of the server. Replaying stops if the client goes offline.
+ * @return {Promise}
+ */
+Email.prototype._replayOperations = function() {
+    var self = this;
+
+    return self._listOperations().then(function(operations) {
+        return next();
+
+        function next() {
+            if (!operations.length || !self._account.online) {
+                return;
+            }
+
+            var op = operations[0];
+            return self._replayOperation(op).catch(function(err) {
+                if (err.code === 42) {
+                    // offline again, the change is applied when the client connects
+                    throw err;
+                }
+                axe.error('Could not apply the offline ' + op.type + ' of message ' + op.uid + ' in ' + op.path + ': ' + err.message);
+
+            }).then(function() {
+                var index = operations.indexOf(op);
+                if (index > -1) {
+                    operations.splice(index, 1);
+                }
+                return self._devicestorage.storeList([operations], OPERATIONS_DB_TYPE);
+
+            }).then(next);
+        }
+
+    }).catch(function(err) {
+        if (err.code !== 42) {
+            throw err;
+        }
+    });
+};
+
+Email.prototype._replayOperation = function(op) {
+    var self = this,
+        folder = _.findWhere(self._account.folders, {
+            path: op.path
+        });
+
+    return new Promise(function(resolve) {
+        if (!folder) {
+            throw new Error('The folder does not exist anymore!');
+        }
+        resolve();
+
+    }).then(function() {
+        // check for conflicts with changes on the server
+        return self._imapListMessages({
+            folder: folder,
+            firstUid: op.uid,
+            lastUid: op.uid
+        });
+
+    }).then(function(messages) {
+        var exists = _.findWhere(messages, {
+            uid: op.uid
+        });
+
+        if (!exists) {
+            // the message has vanished on the server in the meantime
+            axe.debug('Dropping the offline ' + op.type + ' of message ' + op.uid + ' in ' + op.path + ', it has vanished on the server.');
+            return op.type === OPERATION_FLAGS && removeVanished();
+        }
+
+        if (op.type === OPERATION_FLAGS) {
+            return self._imapMark({
+                folder: folder,
+                uid: op.uid,
+                unread: op.unread,
+                answered: op.answered,
+                flagged: op.flagged
+            });
+        }
+
+        if (op.type === OPERATION_MOVE) {
+            var destination = _.findWhere(self._account.folders, {
+                path: op.destination
+            });
+            if (!destination) {
+                throw new Error('The destination folder does not exist anymore!');
+            }
+
+            return self._imapMoveMessage({
+                folder: folder,
+                destination: destination,
+                uid: op.uid
+            });
+        }
+
+        if (op.type === OPERATION_PURGE) {
+            return self._imapClient.deleteMessage({
+                path: folder.path,
+                uid: op.uid
+            });
+        }
+
+        return self._imapDeleteMessage({
+            folder: folder,
+            uid: op.uid
+        });
+    });
+
+    function removeVanished() {
+        var message = _.findWhere(folder.messages, {
+            uid: op.uid
+        });
+        if (message) {
+            folder.messages.splice(folder.messages.indexOf(message), 1);
+            updateUnreadCount(folder);
+        }
+
+        return self._localDeleteMessage({
+            folder: folder,
+            uid: op.uid
+        });
+    }
+};
+
+/**
+ * The hierarchy delimiter of the IMAP server, as known from the folders of the account
+ *
+ * @return {String} The delimiter, null if the server does not support subfolders
+ */
+Email.prototype._folderDelimiter = function() {
+    var folder = _.find(this._account.folders, function(f) {
+        return f.delimiter !== undefined;
+    });
+
+    return folder ? folder.delimiter : null;
+};
+
 /**
  * Check if the client is online and throw an error if this is not the case.
  */
@@ -1756,6 +3204,153 @@ function updateUnreadCount(folder) {
     folder.count = folder.path === config.outboxMailboxPath ? allMsgs : unreadMsgs;
 }
 
+/**
+ * Orders the folders: the well known folders come first, in the order of their types, followed by the other
+ * folders as a tree, i.e. subfolders follow their parent folder, and siblings are sorted case-insensitive
+ *
+ * @param {Array} folders The folders of the account
+ */
+function sortFolders(folders) {
+    folders.sort(function(a, b) {
+        var namesA, namesB, order;
+
+        if (a.wellknown && b.wellknown) {
+            // well known folders should be ordered like the types in the WELLKNOWN_FOLDER_TYPES array
+            return WELLKNOWN_FOLDER_TYPES.indexOf(a.type) - WELLKNOWN_FOLDER_TYPES.indexOf(b.type);
+        } else if (a.wellknown && !b.wellknown) {
+            // wellknown folders should always appear BEFORE the other folders
+            return -1;
+        } else if (!a.wellknown && b.wellknown) {
+            // non-wellknown folders should always appear AFTER wellknown folders
+            return 1;
+        }
+
+        // non-wellknown folders should be sorted case-insensitive by the names along their paths
+        namesA = folderNames(a);
+        namesB = folderNames(b);
+        for (var i = 0; i < Math.min(namesA.length, namesB.length); i++) {
+            order = namesA[i].toLowerCase().localeCompare(namesB[i].toLowerCase());
+            if (order) {
+                return order;
+            }
+        }
+
+        // a parent folder comes before its subfolders
+        return namesA.length - namesB.length;
+    });
+}
+
+/**
+ * The names of the folders along the path of a folder, e.g. ['Projects', 'Website'] for 'Projects/Website'
+ *
+ * @param {Object} folder The folder
+ * @return {Array} The names
+ */
+function folderNames(folder) {
+    return folder.delimiter ? folder.path.split(folder.delimiter) : [folder.name];
+}
+
+/**
+ * Checks if a folder is nested inside another folder
+ *
+ * @param {Object} folder The folder
+ * @param {Object} parent The possible parent folder
+ * @return {Boolean} If the folder is a subfolder of the parent at any depth
+ */
+function isSubfolder(folder, parent) {
+    return !!parent.delimiter && folder.path.indexOf(parent.path + parent.delimiter) === 0;
+}
+
+/**
+ * Checks if a folder can be managed by the user, i.e. renamed or deleted. The well known folders,
+ * the inbox and the local outbox can not be managed.
+ *
+ * @param {Object} folder The folder
+ */
+function checkManagedFolder(folder) {
+    if (folder.wellknown || folder.type === FOLDER_TYPE_INBOX || folder.path === config.outboxMailboxPath) {
+        throw new Error('The folder ' + folder.name + ' can not be changed!');
+    }
+}
+
+/**
+ * Checks the name of a new folder, which must not contain the hierarchy delimiter
+ *
+ * @param {String} name The name of the folder
+ * @param {String} delimiter The hierarchy delimiter
+ */
+function checkFolderName(name, delimiter) {
+    if (!name || !name.trim() || (delimiter && name.indexOf(delimiter) > -1)) {
+        throw new Error('Invalid folder name!');
+    }
+}
+
+/**
+ * Checks that no folder of the account exists at a path
+ *
+ * @param {Array} folders The folders of the account
+ * @param {String} path The path of the new folder
+ */
+function checkFolderPath(folders, path) {
+    var existing = _.findWhere(folders, {
+        path: path
+    });
+
+    if (existing) {
+        throw new Error('The folder ' + path + ' already exists!');
+    }
+}
+
+/**
+ * The lowest uid down to which the messages of a folder have been synced. Folders that have been synced completely
+ * before the history was loaded on demand start at their oldest message.
+ *
+ * @param {Object} folder The folder
+ * @return {Number} The uid, undefined if the folder has never been synced
+ */
+function historyUid(folder) {
+    var uids = _.pluck(folder.messages, MSG_ATTR_UID);
+
+    if (folder.historyUid) {
+        return folder.historyUid;
+    }
+
+    return uids.length ? Math.min.apply(null, uids) : undefined;
+}
+
+/**
+ * Compares modseq values, which are 64 bit unsigned integers and therefore kept as strings
+ *
+ * @param {String} a The first modseq
+ * @param {String} b The second modseq
+ * @return {Number} A negative number if a is lower than b, a positive number if a is higher than b, 0 if they are equal
+ */
+function compareModseq(a, b) {
+    a = String(a || 0).replace(/^0+(?=\d)/, '');
+    b = String(b || 0).replace(/^0+(?=\d)/, '');
+
+    if (a.length !== b.length) {
+        // no leading zeros, so the longer number is the higher one
+        return a.length - b.length;
+    }
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Checks if a uid is contained in an IMAP sequence set, e.g. '41,43:116'
+ *
+ * @param {Number} uid The uid
+ * @param {String} set The sequence set
+ * @return {Boolean} If the uid is in the set
+ */
+function inSequenceSet(uid, set) {
+    return String(set).split(',').some(function(range) {
+        var bounds = range.split(':').map(Number);
+        return uid >= Math.min.apply(null, bounds) && uid <= Math.max.apply(null, bounds);
+    });
+}
+
 /**
  * Helper function that recursively traverses the body parts tree. Looks for bodyParts that match the provided type and aggregates them
  *
@@ -1785,23 +3380,67 @@ function filterBodyParts(bodyParts, type, result) {
  */
 function inlineExternalImages(message) {
     message.html = message.html.replace(/(<img[^>]+\bsrc=['"])cid:([^'">]+)(['"])/ig, function(match, prefix, src, suffix) {
-        var localSource = '',
-            payload = '';
+        var localSource = '';
 
         var internalReference = _.findWhere(message.attachments, {
             id: src
         });
 
         if (internalReference) {
-            for (var i = 0; i < internalReference.content.byteLength; i++) {
-                payload += String.fromCharCode(internalReference.content[i]);
-            }
-
             try {
-                localSource = 'data:application/octet-stream;base64,' + btoa(payload); // try to replace the source
+                localSource = 'data:application/octet-stream;base64,' + attachmentDecoder.toBase64(internalReference.content); // try to replace the source
             } catch (e) {}
         }
 
         return prefix + localSource + suffix;
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Reads the content of an attachment as a binary string
+ *
+ * @param {Blob|Uint8Array} content The content
+ * @return {Promise}
+ * @resolve {String} The content as a binary string
+ */
+function readBinaryString(content) {
+    if (!(content instanceof Blob)) {
+        return new Promise(function(resolve) {
+            resolve(mimefuncs.fromTypedArray(content));
+        });
+    }
+
+    return readBlob(content, 'readAsBinaryString');
+}
+
+/**
+ * Reads the content of an attachment as a typed array
+ *
+ * @param {Blob|Uint8Array} content The content
+ * @return {Promise}
+ * @resolve {Uint8Array} The content
+ */
+function readBytes(content) {
+    if (!(content instanceof Blob)) {
+        return new Promise(function(resolve) {
+            resolve(content);
+        });
+    }
+
+    return readBlob(content, 'readAsArrayBuffer').then(function(buffer) {
+        return new Uint8Array(buffer);
+    });
+}
+
+function readBlob(blob, method) {
+    return new Promise(function(resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function() {
+            resolve(reader.result);
+        };
+        reader.onerror = function() {
+            reject(new Error('Error reading the attachment!'));
+        };
+        reader[method](blob);
+    });
+}
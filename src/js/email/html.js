@@ -0,0 +1,168 @@
+/**
+ * Conversions of the html bodies that are written in the writer: sanitizing, generating the plaintext alternative,
+ * quoting and moving inline images into attachments that are referenced via their content id
+ */
+
+'use strict';
+
+var util = require('crypto-lib').util,
+    attachment = require('./attachment');
+
+var html = {};
+
+// elements that start a new line in the generated plaintext
+var BLOCK_ELEMENTS = ['address', 'article', 'aside', 'div', 'dl', 'dt', 'dd', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul'];
+// elements whose content is not part of the generated plaintext
+var IGNORED_ELEMENTS = ['head', 'script', 'style', 'title'];
+// the attributes of the sanitized html that load remote content
+var REMOTE_ATTRIBUTES = ['src', 'poster'];
+// matches <img src="data:..."> tags that are inserted in the writer
+var DATA_IMAGE_PATTERN = /(<img[^>]+\bsrc=['"])data:([^;,'">]+);base64,([^'">]+)(['"])/ig;
+
+/**
+ * Removes scripts, event handlers and other dangerous content: https://github.com/cure53/DOMPurify
+ * @param  {String} content The html
+ * @return {String}         The sanitized html
+ */
+html.sanitize = function(content) {
+    return window.DOMPurify.sanitize(content || '');
+};
+
+/**
+ * Sanitizes html that is edited in the writer, which displays it in the document of the app instead of a sandbox.
+ * Styles are removed, since they would apply to the whole app and load remote content via their urls, and so are remote images.
+ * @param  {String} content The html
+ * @return {String}         The sanitized html
+ */
+html.sanitizeEditable = function(content) {
+    // an inert document neither runs scripts nor loads images
+    var doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html.sanitize(content);
+
+    [].forEach.call(doc.body.querySelectorAll('style'), function(style) {
+        style.parentNode.removeChild(style);
+    });
+    [].forEach.call(doc.body.querySelectorAll('[style]'), function(element) {
+        element.removeAttribute('style');
+    });
+    REMOTE_ATTRIBUTES.forEach(function(name) {
+        [].forEach.call(doc.body.querySelectorAll('[' + name + ']'), function(element) {
+            if (!/^\s*data:/i.test(element.getAttribute(name))) {
+                element.removeAttribute(name);
+            }
+        });
+    });
+
+    return doc.body.innerHTML;
+};
+
+/**
+ * Generates the plaintext alternative of an html body
+ * @param  {String} content The html
+ * @return {String}         The plaintext
+ */
+html.toText = function(content) {
+    // an inert document neither runs scripts nor loads images
+    var doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html.sanitize(content);
+
+    return textOf(doc.body)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n[ \t]+(?!>)/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+/**
+ * Converts a plaintext body to html, e.g. when switching the writer to html mode
+ * @param  {String} text The plaintext
+ * @return {String}      The html
+ */
+html.fromText = function(text) {
+    return escape(text || '').replace(/\r?\n/g, '<br>');
+};
+
+/**
+ * Quotes a message for replying in html mode. The styles and remote images of the message are not taken over into the writer.
+ * @param  {String} intro   The line above the quote, e.g. 'Monday, Jan 5, 2015 9:42 AM Fred wrote:'
+ * @param  {Object} message The message to quote: html or body
+ * @return {String}         The html
+ */
+html.quote = function(intro, message) {
+    var quoted = message.html ? html.sanitizeEditable(message.html) : html.fromText(message.body);
+
+    return '<br><br>' + html.fromText(intro) + '<blockquote type="cite">' + quoted + '</blockquote>';
+};
+
+/**
+ * Moves the inline images of an html body into attachments that are referenced via cid: urls,
+ * the reverse of inlining the images of a received message
+ * @param  {String} content The html with <img src="data:..."> tags
+ * @param  {String} domain  The domain of the content ids
+ * @return {Object}         { html: String, images: Array of attachments with id, filename, mimeType and content }
+ */
+html.extractInlineImages = function(content, domain) {
+    var images = [];
+
+    content = content.replace(DATA_IMAGE_PATTERN, function(match, prefix, mimeType, data, suffix) {
+        var id = util.UUID() + '@' + domain;
+
+        images.push({
+            id: id,
+            filename: 'image' + (images.length + 1) + '.' + (mimeType.split('/')[1] || 'bin'),
+            mimeType: mimeType,
+            content: attachment.fromBinaryString(atob(data))
+        });
+
+        return prefix + 'cid:' + id + suffix;
+    });
+
+    return {
+        html: content,
+        images: images
+    };
+};
+
+function textOf(node) {
+    var text = '';
+
+    [].forEach.call(node.childNodes, function(child) {
+        var name = child.nodeName.toLowerCase(),
+            inner, href;
+
+        if (child.nodeType === 3) {
+            text += child.nodeValue.replace(/\s+/g, ' ');
+            return;
+        }
+        if (child.nodeType !== 1 || IGNORED_ELEMENTS.indexOf(name) >= 0) {
+            return;
+        }
+
+        inner = (name === 'pre') ? child.textContent : textOf(child);
+        href = (name === 'a') && child.getAttribute('href');
+
+        if (name === 'br') {
+            text += '\n';
+        } else if (name === 'img') {
+            text += child.getAttribute('alt') || '';
+        } else if (href && href !== inner.trim() && href !== 'mailto:' + inner.trim()) {
+            text += inner + ' <' + href + '>';
+        } else if (name === 'li') {
+            text += (text && !/\n$/.test(text) ? '\n' : '') + '- ' + inner.trim() + '\n';
+        } else if (name === 'blockquote') {
+            text += '\n> ' + inner.trim().split('\n').join('\n> ').replace(/ >/g, '>') + '\n';
+        } else if (BLOCK_ELEMENTS.indexOf(name) >= 0) {
+            text += '\n' + inner + '\n';
+        } else {
+            text += inner;
+        }
+    });
+
+    return text;
+}
+
+function escape(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = html;
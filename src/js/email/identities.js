@@ -0,0 +1,222 @@
+'use strict';
+
+var ngModule = angular.module('woEmail');
+ngModule.service('identities', Identities);
+module.exports = Identities;
+
+var util = require('crypto-lib').util,
+    axe = require('axe-logger');
+
+var IDENTITIES_DB_TYPE = 'identities',
+    KEYS_DB_TYPE = 'identitykeys',
+    DEBUG_TAG = 'identities';
+
+/**
+ * The addresses the user sends from, e.g. role aliases like support@ on the same IMAP account. The account itself
+ * is the primary identity. Other identities can sign with a PGP key of their own, which is imported with its passphrase
+ * and persisted encrypted with the user's own PGP key, like the search index.
+ *
+ * @param {Object} accountStore Persists the identities and their encrypted keys
+ * @param {Object} pgp Unlocks the keys of the identities
+ * @param {Object} auth The account's name and address
+ */
+function Identities(accountStore, pgp, auth) {
+    this._devicestorage = accountStore;
+    this._pgp = pgp;
+    this._auth = auth;
+    this._identities = [];
+    this._keys = {}; // the unprotected armored private keys by key id
+}
+
+/**
+ * Loads the identities of the account from disk
+ * @return {Promise}
+ */
+Identities.prototype.load = function() {
+    var self = this;
+
+    return self._devicestorage.listItems(IDENTITIES_DB_TYPE, 0, null).then(function(stored) {
+        self._identities = (stored && stored[0]) || [];
+    });
+};
+
+/**
+ * Decrypts the keys of the identities and unlocks them for signing. Requires the user's keys to be unlocked.
+ * Identities whose key can not be unlocked can not send until it is imported again.
+ * @return {Promise}
+ */
+Identities.prototype.unlockKeys = function() {
+    var self = this;
+
+    return self._devicestorage.listItems(KEYS_DB_TYPE, 0, null).then(function(stored) {
+        if (!stored || !stored[0]) {
+            return;
+        }
+
+        return self._pgp.decrypt(stored[0], undefined).then(function(pt) {
+            if (!pt.decrypted || !pt.signaturesValid) {
+                throw new Error('Verifying PGP signature of the identity keys failed!');
+            }
+
+            self._keys = JSON.parse(pt.decrypted);
+            return Promise.all(Object.keys(self._keys).map(function(keyId) {
+                return self._pgp.importSigningKey({
+                    privateKeyArmored: self._keys[keyId]
+                });
+            }));
+        });
+
+    }).catch(function(err) {
+        axe.error(DEBUG_TAG, 'Could not unlock the keys of the identities: ' + err.message);
+    });
+};
+
+/**
+ * Lists the identities, starting with the primary identity of the account
+ * @return {Array} The identities: id, name, address, replyTo (optional) and keyId (optional, the account's key signs if undefined)
+ */
+Identities.prototype.list = function() {
+    return [this.getPrimary()].concat(this._identities);
+};
+
+/**
+ * The account itself
+ * @return {Object} The primary identity
+ */
+Identities.prototype.getPrimary = function() {
+    return {
+        id: 'primary',
+        name: this._auth.realname,
+        address: this._auth.emailAddress,
+        primary: true
+    };
+};
+
+/**
+ * Looks up the identity that sends from an address
+ * @param {String} address The sender address
+ * @return {Object} The identity, undefined if no identity sends from the address
+ */
+Identities.prototype.getByAddress = function(address) {
+    address = (address || '').toLowerCase();
+    return _.find(this.list(), function(identity) {
+        return identity.address.toLowerCase() === address;
+    });
+};
+
+/**
+ * Picks the identity to reply from: the one the original message was addressed to, or the primary identity
+ * @param {Object} message The message that is replied to
+ * @return {Object} The identity
+ */
+Identities.prototype.forMessage = function(message) {
+    var self = this,
+        identity;
+
+    (message.to || []).concat(message.cc || []).some(function(recipient) {
+        identity = self.getByAddress(recipient.address);
+        return identity;
+    });
+
+    return identity || self.getPrimary();
+};
+
+/**
+ * Adds a new identity or updates an existing one
+ * @param {String} identity.id The id of the identity to update, undefined for new identities
+ * @param {String} identity.name The name that is sent in the From header
+ * @param {String} identity.address The address that is sent in the From header
+ * @param {String} identity.replyTo (optional) The address that is sent in the Reply-To header
+ * @param {String} identity.keyId (optional) The id of the key that signs, the account's key signs if undefined
+ * @return {Promise}
+ * @resolve {Object} The stored identity
+ */
+Identities.prototype.save = function(identity) {
+    var self = this;
+
+    return new Promise(function(resolve) {
+        var stored, existing;
+
+        if (!util.validateEmailAddress(identity.address) || (identity.replyTo && !util.validateEmailAddress(identity.replyTo))) {
+            throw new Error('The email address of the identity is invalid!');
+        }
+        existing = self.getByAddress(identity.address);
+        if (identity.primary || (existing && existing.id !== identity.id)) {
+            throw new Error('There already is an identity for ' + identity.address + '!');
+        }
+        if (identity.keyId && !self._keys[identity.keyId]) {
+            throw new Error('The PGP key of the identity has not been imported!');
+        }
+
+        stored = _.findWhere(self._identities, {
+            id: identity.id
+        });
+        identity = {
+            id: identity.id || util.UUID(),
+            name: identity.name,
+            address: identity.address,
+            replyTo: identity.replyTo || undefined,
+            keyId: identity.keyId || undefined
+        };
+        if (stored) {
+            self._identities[self._identities.indexOf(stored)] = identity;
+        } else {
+            self._identities.push(identity);
+        }
+        resolve();
+
+    }).then(function() {
+        return self._devicestorage.storeList([self._identities], IDENTITIES_DB_TYPE);
+
+    }).then(function() {
+        return identity;
+    });
+};
+
+/**
+ * Removes an identity
+ * @param {String} id The id of the identity
+ * @return {Promise}
+ */
+Identities.prototype.remove = function(id) {
+    this._identities = _.reject(this._identities, function(identity) {
+        return identity.id === id;
+    });
+    return this._devicestorage.storeList([this._identities], IDENTITIES_DB_TYPE);
+};
+
+/**
+ * Lists the keys that identities can sign with, besides the account's key
+ * @return {Array} The keys: _id and userIds
+ */
+Identities.prototype.listKeys = function() {
+    var self = this;
+    return Object.keys(self._keys).map(function(keyId) {
+        return self._pgp.getKeyParams(self._keys[keyId]);
+    });
+};
+
+/**
+ * Imports a private key that identities can sign with. The key is unlocked with its passphrase
+ * and persisted encrypted with the user's own key.
+ * @param {String} options.privateKeyArmored The passphrase protected private key
+ * @param {String} options.passphrase The passphrase of the key
+ * @return {Promise}
+ * @resolve {String} The id of the key
+ */
+Identities.prototype.importKey = function(options) {
+    var self = this,
+        keyId;
+
+    return self._pgp.importSigningKey(options).then(function(key) {
+        keyId = key.keyId;
+        self._keys[keyId] = key.privateKeyArmored;
+        return self._pgp.encrypt(JSON.stringify(self._keys), undefined);
+
+    }).then(function(ciphertext) {
+        return self._devicestorage.storeList([ciphertext], KEYS_DB_TYPE);
+
+    }).then(function() {
+        return keyId;
+    });
+};
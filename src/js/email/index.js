@@ -4,7 +4,12 @@ angular.module('woEmail', ['woAppConfig', 'woUtil', 'woServices', 'woCrypto']);
 
 require('./mailreader');
 require('./pgpbuilder');
+require('./plainbuilder');
 require('./email');
 require('./outbox');
+require('./drafts');
+require('./sync-scheduler');
 require('./account');
-require('./search');
\ No newline at end of file
+require('./search-index');
+require('./search');
+require('./thread');
\ No newline at end of file
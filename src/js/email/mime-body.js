@@ -0,0 +1,111 @@
+/**
+ * Creates the MIME body of messages that are sent, for the plainbuilder and for html messages built with the pgpbuilder
+ */
+
+'use strict';
+
+var htmlUtil = require('./html');
+
+var mimeBody = {};
+
+/**
+ * Creates the body of a message: a text/plain node, or a multipart/alternative node with the text and the html
+ * for html messages, wrapped in a multipart/mixed node if the message has attachments. The html is sanitized and its
+ * inline images are added as a multipart/related node.
+ *
+ * @param  {Object}   mail       The message: body, html (optional) and attachments (optional)
+ * @param  {Function} createNode Creates the top node of the body with the given content type, e.g. a child of the root node
+ * @return {Object}              { node: The top node, bodyParts: Array of the body parts in the format of the mailreader }
+ */
+mimeBody.create = function(mail, createNode) {
+    var attachments = mail.attachments || [],
+        bodyParts = [],
+        node, parentNode, alternativeNode, htmlNode, relatedNode, html;
+
+    if (attachments.length === 0 && !mail.html) {
+        // a plain text mail only needs one text/plain node
+        node = createNode('text/plain');
+        setText(node, mail.body);
+        bodyParts.push({
+            type: 'text',
+            content: mail.body
+        });
+
+        return {
+            node: node,
+            bodyParts: bodyParts
+        };
+    }
+
+    if (attachments.length > 0) {
+        node = parentNode = createNode('multipart/mixed');
+    }
+
+    if (!mail.html) {
+        setText(parentNode.createChild('text/plain'), mail.body);
+        bodyParts.push({
+            type: 'text',
+            content: mail.body
+        });
+
+    } else {
+        alternativeNode = parentNode ? parentNode.createChild('multipart/alternative') : (node = createNode('multipart/alternative'));
+        setText(alternativeNode.createChild('text/plain'), mail.body);
+
+        // the html never contains scripts, even if it is only read by the recipients with the key
+        html = htmlUtil.extractInlineImages(htmlUtil.sanitize(mail.html), mail.from[0].address.split('@').pop());
+
+        if (html.images.length === 0) {
+            htmlNode = alternativeNode.createChild('text/html');
+        } else {
+            relatedNode = alternativeNode.createChild('multipart/related');
+            htmlNode = relatedNode.createChild('text/html');
+            html.images.forEach(function(image) {
+                var imageNode = relatedNode.createChild(image.mimeType, {
+                    filename: image.filename
+                });
+                imageNode.setHeader({
+                    'content-id': '<' + image.id + '>',
+                    'content-disposition': 'inline',
+                    'content-transfer-encoding': 'base64'
+                });
+                imageNode.setContent(image.content);
+            });
+        }
+        setText(htmlNode, html.html);
+
+        bodyParts.push({
+            type: 'text',
+            content: mail.body
+        }, {
+            type: 'html',
+            content: html.html
+        });
+    }
+
+    attachments.forEach(function(attachment) {
+        var attachmentNode = parentNode.createChild(attachment.mimeType || 'application/octet-stream', {
+            filename: attachment.filename
+        });
+        attachmentNode.setHeader('content-transfer-encoding', 'base64');
+        attachmentNode.setContent(attachment.content);
+        bodyParts.push({
+            type: 'attachment',
+            mimeType: attachment.mimeType,
+            filename: attachment.filename,
+            content: attachment.content
+        });
+    });
+
+    return {
+        node: node,
+        bodyParts: bodyParts
+    };
+};
+
+function setText(node, text) {
+    node.setHeader('content-transfer-encoding', 'quoted-printable');
+    node.setContent(text);
+}
+
+module.exports = mimeBody;
@@ -8,12 +8,15 @@ var util = require('crypto-lib').util,
     config = require('../app-config').config,
     outboxDb = 'email_OUTBOX';
 
+// the errors of the smtp client and the pgp mailer that will not go away by retrying: 5xx replies and rejected recipients
+var PERMANENT_ERROR_REGEX = /^5\d\d\b|Failed recipients|recipients were rejected/;
+
 /**
  * High level business object that orchestrates the local outbox.
  * The local outbox takes care of the emails before they are being sent.
  * It also checks periodically if there are any mails in the local device storage to be sent.
  */
-function Outbox(email, keychain, accountStore) {
+function Outbox(email, keychain, accountStore, identities) {
     /** @private */
     this._emailDao = email;
 
@@ -23,6 +26,9 @@ function Outbox(email, keychain, accountStore) {
     /** @private */
     this._devicestorage = accountStore;
 
+    /** @private */
+    this._identities = identities;
+
     /**
      * Semaphore-esque flag to avoid 'concurrent' calls to _processOutbox when the timeout fires, but a call is still in process.
      * @private */
@@ -31,9 +37,11 @@ function Outbox(email, keychain, accountStore) {
 
 /**
  * This function activates the periodic checking of the local device storage for pending mails.
+ * If the outbox is already being checked, the checking is restarted with the new callback.
  * @param {Function} callback(error, pendingMailsCount) Callback that informs you about the count of pending mails.
  */
 Outbox.prototype.startChecking = function(callback) {
+    this.stopChecking();
     // remember global callback
     this._onUpdate = callback;
     // start periodic checking of outbox
@@ -54,13 +62,27 @@ Outbox.prototype.stopChecking = function() {
 
 /**
  * Put a email dto in the outbox for sending when ready
- * @param  {Object}   mail     The Email DTO
+ * @param  {Object}   mail     The Email DTO. Set mail.sendAt to a Date to send it no earlier than that.
+ *                             Set mail.holdUntil to a Date to keep it in the outbox until then, so that sending can be undone.
+ *                             Set mail.sign to false to send it without a PGP/MIME signature if it can not be encrypted.
+ *                             Set mail.encryptWherePossible to send an encrypted copy to the recipients with public keys and
+ *                             a plaintext copy to the others, instead of sending it in the plain to everybody.
+ *                             Encrypted mails with bcc recipients are split up the same way, so that every bcc recipient
+ *                             gets a copy of their own that does not reveal them to the other recipients.
+ *                             Set mail.hideKeyIds to encrypt it without revealing the key ids of the recipients.
+ *                             The mail is signed with the key of the identity it is sent from, see mail.signingKeyId.
+ *                             The outbox keeps track of failed delivery attempts in mail.delivery.
  * @param  {Function} callback Invoked when the object was encrypted and persisted to disk
  * @returns {Promise}
  */
 Outbox.prototype.put = function(mail) {
     var self = this,
-        allReaders = mail.from.concat(mail.to.concat(mail.cc.concat(mail.bcc))); // all the users that should be able to read the mail
+        identity = self._identities.getByAddress(mail.from[0].address),
+        owner = [{
+            address: self._identities.getPrimary().address
+        }], // the sent mail is read with the account's key, even if it is sent from another identity
+        allReaders = owner.concat(mail.to.concat(mail.cc.concat(mail.bcc))), // all the users that should be able to read the mail
+        publicKeys = {}; // the armored public keys of the readers by address
 
     if (mail.to.concat(mail.cc.concat(mail.bcc)).length === 0) {
         return new Promise(function() {
@@ -70,11 +92,7 @@ Outbox.prototype.put = function(mail) {
 
     mail.publicKeysArmored = []; // gather the public keys
     mail.uid = mail.id = util.UUID(); // the mail needs a random id & uid for storage in the database
-
-    // do not encrypt mails with a bcc recipient, due to a possible privacy leak
-    if (mail.bcc.length > 0) {
-        return storeAndForward(mail);
-    }
+    mail.signingKeyId = identity && identity.keyId; // the account's key signs if the identity has no key of its own
 
     return checkRecipients(allReaders).then(checkEncrypt);
 
@@ -87,6 +105,7 @@ Outbox.prototype.put = function(mail) {
                 // otherwise remember the recipient as unregistered for later sending
                 if (key) {
                     mail.publicKeysArmored.push(key.publicKey);
+                    publicKeys[recipient.address] = key.publicKey;
                 }
             });
             pubkeyJobs.push(promise);
@@ -98,25 +117,196 @@ Outbox.prototype.put = function(mail) {
     function checkEncrypt() {
         // only encrypt if all recipients have public keys
         if (mail.publicKeysArmored.length < allReaders.length) {
-            return storeAndForward(mail);
+            return mail.encryptWherePossible ? split() : storeAndForward(mail);
+        }
+
+        // encrypting a single message for the bcc recipients would reveal their key ids to everybody
+        if (mail.bcc.length > 0) {
+            return split();
         }
 
         // encrypts the body and attachments and persists the mail object
         return self._emailDao.encrypt({
             mail: mail,
-            publicKeysArmored: mail.publicKeysArmored
+            publicKeysArmored: mail.publicKeysArmored,
+            hideKeyIds: !!mail.hideKeyIds
         }).then(function() {
             return storeAndForward(mail);
         });
     }
 
-    function storeAndForward(mail) {
+    // sends an encrypted copy to the to/cc recipients with public keys and a plaintext copy to the others.
+    // every bcc recipient with a public key gets a separate copy, which is only encrypted for their own key and only delivered to them.
+    // the copies share the mail's uid as a prefix, so they can be withdrawn together
+    function split() {
+        var secureCopy = copy('-encrypted', hasKey, []),
+            plainCopy = copy('-plain', lacksKey, mail.bcc.filter(lacksKey)),
+            bccCopies = mail.bcc.filter(hasKey).map(function(recipient, index) {
+                var bccCopy = copy('-bcc' + index, hasKey, [recipient]);
+                bccCopy.deliverTo = [recipient.address];
+                bccCopy.publicKeysArmored = [publicKeys[recipient.address]];
+                bccCopy.uploadToSent = false;
+                return bccCopy;
+            }),
+            secureCopies = bccCopies.slice(),
+            copies;
+
+        if (secureCopy.to.length || secureCopy.cc.length) {
+            secureCopy.publicKeysArmored = _.compact(owner.concat(secureCopy.to, secureCopy.cc).map(function(reader) {
+                return publicKeys[reader.address];
+            }));
+            secureCopies.unshift(secureCopy);
+        }
+
+        if (!secureCopies.length) {
+            return storeAndForward(mail);
+        }
+
+        copies = secureCopies;
+        if (plainCopy.to.length || plainCopy.cc.length || plainCopy.bcc.length) {
+            // the plaintext copy keeps a single record of the message for all recipients in the sent folder
+            secureCopy.uploadToSent = false;
+            plainCopy.sentRecord = {
+                to: mail.to,
+                cc: mail.cc,
+                bcc: mail.bcc
+            };
+            copies = copies.concat(plainCopy);
+        }
+
+        return Promise.all(secureCopies.map(function(secureMail) {
+            return self._emailDao.encrypt({
+                mail: secureMail,
+                publicKeysArmored: secureMail.publicKeysArmored,
+                hideKeyIds: !!mail.hideKeyIds
+            });
+        })).then(function() {
+            return storeAndForward(copies);
+        });
+
+        function copy(suffix, filter, bcc) {
+            return _.extend({}, mail, {
+                uid: mail.uid + suffix,
+                id: mail.id + suffix,
+                to: mail.to.filter(filter),
+                cc: mail.cc.filter(filter),
+                bcc: bcc,
+                attachments: [].concat(mail.attachments || []), // encrypting a mail empties its attachments
+                publicKeysArmored: []
+            });
+        }
+    }
+
+    function lacksKey(recipient) {
+        return !hasKey(recipient);
+    }
+
+    function hasKey(recipient) {
+        return !!publicKeys[recipient.address];
+    }
+
+    function storeAndForward(mails) {
         // store in outbox
-        return self._devicestorage.storeList([mail], outboxDb).then(function() {
+        return self._devicestorage.storeList([].concat(mails), outboxDb).then(function() {
             // don't wait for next round
             self._processOutbox(self._onUpdate);
+
+            // ... and not for the round after the mail has been released either
+            if (mail.holdUntil) {
+                setTimeout(self._processOutbox.bind(self, self._onUpdate), new Date(mail.holdUntil).getTime() - Date.now());
+            }
+        });
+    }
+};
+
+/**
+ * Changes the time at which a mail in the outbox is sent
+ * @param {Object} options.mail The mail in the outbox
+ * @param {Date} options.sendAt The time to send the mail at, or undefined to send it right away
+ * @return {Promise}
+ */
+Outbox.prototype.reschedule = function(options) {
+    var self = this,
+        mail = options.mail;
+
+    // the mail might be sent right now, so don't race with the outbox
+    if (self._outboxBusy) {
+        return new Promise(function() {
+            throw new Error('The outbox is busy sending messages. Please try again.');
+        });
+    }
+
+    // load the pristine mail from disk, since the one in memory is polluted by angular
+    return self._devicestorage.listItems(outboxDb + '_' + mail.uid, 0, null).then(function(storedMails) {
+        var storedMail = storedMails[0];
+        if (!storedMail) {
+            throw new Error('The message has already been sent!');
+        }
+
+        storedMail.sendAt = mail.sendAt = options.sendAt;
+        return self._devicestorage.storeList([storedMail], outboxDb);
+
+    }).then(function() {
+        // send the mail if it is due now
+        self._processOutbox(self._onUpdate);
+    });
+};
+
+/**
+ * Sends a mail that is waiting for its next delivery attempt or that has failed permanently right away
+ * @param {Object} mail The mail in the outbox
+ * @return {Promise}
+ */
+Outbox.prototype.retry = function(mail) {
+    var self = this;
+
+    // the mail might be sent right now, so don't race with the outbox
+    if (self._outboxBusy) {
+        return new Promise(function() {
+            throw new Error('The outbox is busy sending messages. Please try again.');
         });
     }
+
+    // load the pristine mail from disk, since the one in memory is polluted by angular
+    return self._devicestorage.listItems(outboxDb + '_' + mail.uid, 0, null).then(function(storedMails) {
+        var storedMail = storedMails[0];
+        if (!storedMail) {
+            throw new Error('The message has already been sent!');
+        }
+
+        // keep the attempt count and the last error, but make the mail due
+        if (storedMail.delivery) {
+            storedMail.delivery.nextAttempt = storedMail.delivery.failed = undefined;
+            mail.delivery = _.clone(storedMail.delivery);
+        }
+
+        return self._devicestorage.storeList([storedMail], outboxDb);
+
+    }).then(function() {
+        self._processOutbox(self._onUpdate);
+    });
+};
+
+/**
+ * Takes a mail out of the outbox before it is sent, e.g. to undo sending it
+ * @param {Object} mail The mail that has been put in the outbox
+ * @return {Promise}
+ */
+Outbox.prototype.withdraw = function(mail) {
+    var self = this;
+
+    return self._devicestorage.listItems(outboxDb + '_' + mail.uid, 0, null).then(function(storedMails) {
+        // mails that are due might be sent at this very moment. the copies of a mail that has been split are withdrawn together
+        if (!storedMails.length || _.some(storedMails, isDue)) {
+            throw new Error('The message has already been sent!');
+        }
+
+        return self._devicestorage.removeList(outboxDb + '_' + mail.uid);
+
+    }).then(function() {
+        // update the outbox
+        self._processOutbox(self._onUpdate);
+    });
 };
 
 /**
@@ -142,9 +332,13 @@ Outbox.prototype._processOutbox = function(callback) {
             return;
         }
 
+        // scheduled mails and mails waiting for a retry stay in the outbox until they are due
+        var dueMails = pendingMails.filter(isDue);
+        unsentMails = pendingMails.length - dueMails.length;
+
         var sendJobs = [];
         // send pending mails if possible
-        pendingMails.forEach(function(mail) {
+        dueMails.forEach(function(mail) {
             sendJobs.push(send(mail));
         });
 
@@ -191,7 +385,51 @@ Outbox.prototype._processOutbox = function(callback) {
                 // offline. resolve promise and try again later
                 return;
             }
-            throw err;
+
+            // remember why the mail is stuck and when to try again. the mail in memory has been
+            // modified while sending, so update the stored one
+            return self._devicestorage.listItems(outboxDb + '_' + mail.uid, 0, null).then(function(storedMails) {
+                var storedMail = storedMails[0];
+                if (!storedMail) {
+                    return;
+                }
+
+                storedMail.delivery = nextDelivery(storedMail.delivery, err);
+                return self._devicestorage.storeList([storedMail], outboxDb);
+            });
         }
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Checks if a mail should be sent now, i.e. it is neither scheduled for later, held for undoing,
+ * waiting for its next delivery attempt nor failed permanently
+ */
+function isDue(mail) {
+    var now = Date.now(),
+        delivery = mail.delivery || {};
+
+    return (!mail.sendAt || new Date(mail.sendAt).getTime() <= now) &&
+        (!mail.holdUntil || new Date(mail.holdUntil).getTime() <= now) &&
+        (!delivery.nextAttempt || new Date(delivery.nextAttempt).getTime() <= now) &&
+        !delivery.failed;
+}
+
+/**
+ * Creates the delivery state of a mail after a failed delivery attempt. The delay until the next attempt doubles
+ * with every attempt. Mails are marked as failed instead if the error is permanent.
+ * @param {Object} delivery The previous delivery state: { attempts: Number, error: String, nextAttempt: Date, failed: Boolean }
+ * @param {Error} err The error of the failed attempt
+ */
+function nextDelivery(delivery, err) {
+    var attempts = ((delivery && delivery.attempts) || 0) + 1,
+        failed = PERMANENT_ERROR_REGEX.test(err.message),
+        delay = Math.min(config.outboxRetryDelay * Math.pow(2, attempts - 1), config.outboxMaxRetryDelay);
+
+    return {
+        attempts: attempts,
+        error: err.message,
+        nextAttempt: failed ? undefined : new Date(Date.now() + delay),
+        failed: failed
+    };
+}
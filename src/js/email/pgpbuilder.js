@@ -1,8 +1,54 @@
 'use strict';
 
-var PgpBuilder = require('pgpbuilder');
+var PgpBuilder = require('pgpbuilder'),
+    mimeBody = require('./mime-body');
 
 var ngModule = angular.module('woEmail');
 ngModule.factory('pgpbuilder', function() {
-    return new PgpBuilder();
-});
\ No newline at end of file
+    return createPgpBuilder();
+});
+module.exports = createPgpBuilder;
+
+/**
+ * Creates a pgpbuilder that also builds html messages. The pgpbuilder only creates text/plain bodies,
+ * so the signed MIME tree of html messages is created with a multipart/alternative body instead.
+ * @return {PgpBuilder} The builder
+ */
+function createPgpBuilder() {
+    var builder = new PgpBuilder(),
+        createSignedMimeTree = builder._createSignedMimeTree;
+
+    builder._createSignedMimeTree = function(mail, rootNode) {
+        var self = this,
+            body, cleartext;
+
+        if (!mail.html) {
+            return createSignedMimeTree.apply(self, arguments);
+        }
+
+        rootNode.setHeader('content-type', 'multipart/signed; micalg=pgp-sha256; protocol=application/pgp-signature');
+        body = mimeBody.create(mail, function(contentType) {
+            return rootNode.createChild(contentType);
+        });
+        mail.bodyParts = [{
+            type: 'signed',
+            content: body.bodyParts
+        }];
+
+        // sign the body the way the pgpbuilder signs text/plain bodies
+        cleartext = body.node.build();
+        return self._pgp.signClearMessage([self._privateKey], cleartext).then(function(signedCleartext) {
+            var signatureHeader = '-----BEGIN PGP SIGNATURE-----',
+                signature = signatureHeader + signedCleartext.split(signatureHeader).pop(),
+                signatureNode = rootNode.createChild('application/pgp-signature');
+
+            signatureNode.setHeader('content-transfer-encoding', '7bit');
+            signatureNode.setContent(signature);
+
+            mail.bodyParts[0].content.message = cleartext;
+            mail.bodyParts[0].content.signature = signature;
+        });
+    };
+
+    return builder;
+}
@@ -0,0 +1,48 @@
+'use strict';
+
+var Mailbuild = require('mailbuild'),
+    mimeBody = require('./mime-body');
+
+var ngModule = angular.module('woEmail');
+ngModule.factory('plainbuilder', function() {
+    return new PlainBuilder();
+});
+module.exports = PlainBuilder;
+
+/**
+ * Builds MIME messages that are sent in the plain without a PGP/MIME signature.
+ * The pgpmailer can use it in place of the pgpbuilder to send unsigned messages.
+ */
+function PlainBuilder() {}
+
+/**
+ * Builds an unsigned message. It is named after the pgpbuilder method that the pgpmailer calls to build plaintext messages.
+ * @param {Object} options.mail The message: from, to, cc, bcc, subject, headers, body, html (optional) and attachments
+ * @return {Promise}
+ * @resolve {Object} The message: { rfcMessage: String, smtpInfo: Object }
+ */
+PlainBuilder.prototype.buildSigned = function(options) {
+    return new Promise(function(resolve) {
+        var mail = options.mail,
+            rootNode = mimeBody.create(mail, function(contentType) {
+                return new Mailbuild(contentType);
+            }).node;
+
+        // set the envelope
+        rootNode.setHeader({
+            subject: mail.subject,
+            from: mail.from,
+            to: mail.to,
+            cc: mail.cc,
+            bcc: mail.bcc
+        });
+        if (mail.headers) {
+            rootNode.setHeader(mail.headers);
+        }
+
+        resolve({
+            rfcMessage: rootNode.build(),
+            smtpInfo: rootNode.getEnvelope()
+        });
+    });
+};
@@ -0,0 +1,104 @@
+/**
+ * QRESYNC (RFC 7162) on top of BrowserBox, which does not support it. The commands are sent with BrowserBox's generic exec,
+ * but keeping the state of the connection consistent relies on the internals of BrowserBox ~0.8: _changeState, _parseSELECT,
+ * _parseFETCH, selectedMailbox and the response handlers of its imap client. This is the only place that touches them,
+ * so it has to be checked whenever browserbox or imap-client are updated.
+ */
+
+'use strict';
+
+var utf7 = require('wo-utf7');
+
+var qresync = {};
+
+/**
+ * Enables QRESYNC on a connection. Once enabled, the server sends VANISHED instead of EXPUNGE responses.
+ * @param  {Object}   client     The BrowserBox instance
+ * @param  {Function} onVanished Invoked with the selected mailbox and the parsed VANISHED response
+ * @return {Promise}
+ */
+qresync.enable = function(client, onVanished) {
+    return new Promise(function(resolve, reject) {
+        client.exec({
+            command: 'ENABLE',
+            attributes: [{
+                type: 'ATOM',
+                value: 'QRESYNC'
+            }]
+        }, function(err, response, next) {
+            if (err) {
+                reject(err);
+                return next();
+            }
+
+            client.client.setHandler('vanished', function(response, next) {
+                onVanished(client.selectedMailbox, response);
+                next();
+            });
+            resolve();
+            next();
+        });
+    });
+};
+
+/**
+ * Selects a mailbox with the QRESYNC parameters and updates the state of the connection like BrowserBox.selectMailbox,
+ * i.e. onclosemailbox is fired for the mailbox that was selected before
+ * @param  {Object} client              The BrowserBox instance
+ * @param  {String} options.path        The path of the mailbox, not yet encoded in modified UTF-7
+ * @param  {Number} options.uidValidity The last known uidvalidity of the mailbox
+ * @param  {String} options.modseq      The last known modseq of the mailbox
+ * @return {Promise}
+ * @resolve {Object} The mailbox info as parsed by BrowserBox, the VANISHED responses and the messages whose flags have changed:
+ *                   { mailbox: Object, vanished: Array, changed: Array }
+ */
+qresync.select = function(client, options) {
+    return new Promise(function(resolve, reject) {
+        client.exec({
+            command: 'SELECT',
+            attributes: [{
+                type: 'STRING',
+                value: utf7.imap.encode(options.path)
+            }, [{
+                type: 'ATOM',
+                value: 'QRESYNC'
+            }, [{
+                type: 'ATOM',
+                value: String(options.uidValidity)
+            }, {
+                type: 'ATOM',
+                value: options.modseq
+            }]]]
+        }, ['EXISTS', 'FLAGS', 'OK', 'VANISHED', 'FETCH'], function(err, response, next) {
+            if (err) {
+                reject(err);
+                return next();
+            }
+
+            // _changeState only closes the selected mailbox when the connection leaves the selected state
+            client._changeState(client.STATE_SELECTED);
+            if (client.selectedMailbox && client.selectedMailbox !== options.path) {
+                client.onclosemailbox(client.selectedMailbox);
+            }
+            client.selectedMailbox = options.path;
+
+            resolve(response);
+            next();
+        });
+
+    }).then(function(response) {
+        var payload = response.payload || {};
+
+        return {
+            mailbox: client._parseSELECT(response),
+            vanished: payload.VANISHED || [],
+            changed: [].concat(client._parseFETCH({
+                payload: {
+                    FETCH: payload.FETCH || []
+                }
+            }) || [])
+        };
+    });
+};
+
+module.exports = qresync;
@@ -0,0 +1,203 @@
+'use strict';
+
+var ngModule = angular.module('woEmail');
+ngModule.service('searchIndex', SearchIndex);
+module.exports = SearchIndex;
+
+var config = require('../app-config').config,
+    axe = require('axe-logger');
+
+//
+// Constants
+//
+
+var INDEX_DB_TYPE = 'searchindex',
+    MIN_TERM_LENGTH = 2,
+    MAX_TERM_LENGTH = 50,
+    DEBUG_TAG = 'search index';
+
+/**
+ * An inverted index over the plaintext bodies of messages, including the ones of encrypted messages
+ * that have been decrypted before. It maps each term to the messages containing it, so the bodies do
+ * not need to be kept in memory for searching. Messages are identified by their Message-ID, which
+ * makes the index independent of folders and uids.
+ *
+ * The index is persisted encrypted with the user's own PGP key, so decrypted content never touches the disk.
+ *
+ * @param {Object} accountStore Persists the encrypted index
+ * @param {Object} pgp Encrypts and decrypts the index
+ */
+function SearchIndex(accountStore, pgp) {
+    this._devicestorage = accountStore;
+    this._pgp = pgp;
+    this._reset();
+}
+
+/**
+ * Loads and decrypts the index from the device storage. Requires the user's keys to be unlocked.
+ * A missing or unreadable index is replaced by an empty one, since it can always be rebuilt.
+ *
+ * @return {Promise}
+ */
+SearchIndex.prototype.load = function() {
+    var self = this;
+
+    return self._devicestorage.listItems(INDEX_DB_TYPE, 0, null).then(function(stored) {
+        if (!stored || !stored[0]) {
+            // nothing has been indexed yet
+            return;
+        }
+
+        return self._pgp.decrypt(stored[0], undefined).then(function(pt) {
+            if (!pt.decrypted || !pt.signaturesValid) {
+                throw new Error('Verifying PGP signature of the search index failed!');
+            }
+
+            var index = JSON.parse(pt.decrypted);
+            self._reset();
+            self._ids = index.ids;
+            self._terms = index.terms;
+            self._ids.forEach(function(id, doc) {
+                self._docs[id] = doc;
+            });
+        });
+
+    }).catch(function(err) {
+        axe.error(DEBUG_TAG, 'Could not load search index, starting over: ' + err.message);
+        self._reset();
+    });
+};
+
+/**
+ * Adds the plaintext body of a message to the index and persists the index a short while later.
+ * Messages without a Message-ID and messages that are already indexed are ignored.
+ *
+ * @param {Object} message The message with its (decrypted) body and html
+ */
+SearchIndex.prototype.add = function(message) {
+    var self = this,
+        doc, text, terms;
+
+    if (!message.id || self.isIndexed(message)) {
+        return;
+    }
+
+    text = (message.body || '') + ' ' + (message.html || '').replace(/<[^>]*>/g, ' ');
+    terms = _.uniq(tokenize(text));
+    if (!terms.length) {
+        return;
+    }
+
+    doc = self._ids.length;
+    self._ids.push(message.id);
+    self._docs[message.id] = doc;
+
+    terms.forEach(function(term) {
+        if (!self._terms.hasOwnProperty(term)) {
+            self._terms[term] = [];
+        }
+        self._terms[term].push(doc);
+    });
+
+    self._scheduleStore();
+};
+
+/**
+ * Checks if the body of a message has already been indexed
+ *
+ * @param {Object} message The message
+ * @return {Boolean}
+ */
+SearchIndex.prototype.isIndexed = function(message) {
+    return !!message.id && this._docs.hasOwnProperty(message.id);
+};
+
+/**
+ * Looks up the messages whose body contains every word of the query. A word matches all terms starting with it.
+ *
+ * @param {String} query The text query
+ * @return {Object} A map of the matching Message-IDs to true, or undefined if the query contains no searchable words
+ */
+SearchIndex.prototype.query = function(query) {
+    var self = this,
+        words = _.uniq(tokenize(query || '')),
+        keys, docs;
+
+    if (!words.length) {
+        return;
+    }
+
+    keys = Object.keys(self._terms);
+    words.forEach(function(word) {
+        var matches = {};
+        keys.forEach(function(term) {
+            if (term.indexOf(word) === 0) {
+                self._terms[term].forEach(function(doc) {
+                    matches[doc] = true;
+                });
+            }
+        });
+
+        // intersect with the matches of the previous words
+        docs = docs ? _.pick(docs, Object.keys(matches)) : matches;
+    });
+
+    var ids = {};
+    Object.keys(docs).forEach(function(doc) {
+        ids[self._ids[doc]] = true;
+    });
+    return ids;
+};
+
+/**
+ * Encrypts the index for the user's own key and persists it
+ *
+ * @return {Promise}
+ */
+SearchIndex.prototype.store = function() {
+    var self = this;
+
+    clearTimeout(self._storeTimeout);
+    self._storeTimeout = undefined;
+
+    return self._pgp.encrypt(JSON.stringify({
+        ids: self._ids,
+        terms: self._terms
+    }), undefined).then(function(ciphertext) {
+        return self._devicestorage.storeList([ciphertext], INDEX_DB_TYPE);
+    });
+};
+
+//
+// Internal API
+//
+
+SearchIndex.prototype._reset = function() {
+    this._ids = []; // the Message-IDs by document number
+    this._docs = {}; // the document numbers by Message-ID
+    this._terms = {}; // the document numbers by term
+};
+
+/**
+ * Persists the index once no messages have been added for a while, since encrypting it is expensive
+ */
+SearchIndex.prototype._scheduleStore = function() {
+    var self = this;
+
+    clearTimeout(self._storeTimeout);
+    self._storeTimeout = setTimeout(function() {
+        self.store().catch(function(err) {
+            axe.error(DEBUG_TAG, 'Could not store search index: ' + err.message);
+        });
+    }, config.searchIndexStoreDelay);
+};
+
+//
+// helper functions
+//
+
+function tokenize(text) {
+    return text.toLowerCase().split(/[^a-z0-9\u00c0-\uffff]+/).filter(function(term) {
+        return term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH;
+    });
+}
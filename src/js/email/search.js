@@ -4,56 +4,217 @@ var ngModule = angular.module('woEmail');
 ngModule.service('search', Search);
 module.exports = Search;
 
-function Search() {}
+// matches an optionally negated, optionally fielded term with a quoted or unquoted value, e.g. -from:"John Doe"
+var TERM_REGEX = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+var FIELD_FROM = 'from',
+    FIELD_TO = 'to',
+    FIELD_SUBJECT = 'subject',
+    FIELD_HAS = 'has',
+    FIELD_IS = 'is',
+    FIELD_BEFORE = 'before',
+    FIELD_AFTER = 'after';
+
+// the message flags that can be queried with is:
+var IS_VALUES = ['unread', 'flagged', 'encrypted', 'signed'];
+
+function Search(searchIndex) {
+    this._searchIndex = searchIndex;
+}
+
+/**
+ * Parses a search query into its terms. The following syntax is supported:
+ * - plain words and "quoted phrases" are searched for in the subject, addresses and bodies
+ * - from:, to: and subject: restrict a word or phrase to the respective header
+ * - has:attachment and is:unread, is:flagged, is:encrypted, is:signed filter by the message state
+ * - before: and after: filter by the sent date, e.g. after:2014-12-24
+ * - a leading - negates a term, e.g. -is:unread
+ * Terms with an unknown operator or an invalid value are treated as plain text.
+ *
+ * @param  {String} query The search query
+ * @return {Array}        The terms. A term looks like this: { field: String (undefined for text), value: String|Date, negated: Boolean }
+ */
+Search.prototype.parse = function(query) {
+    var terms = [],
+        match, field, value;
+
+    TERM_REGEX.lastIndex = 0;
+    while ((match = TERM_REGEX.exec(query || ''))) {
+        field = match[2] && match[2].toLowerCase();
+        value = typeof match[3] === 'string' ? match[3] : match[4];
+
+        if (field && !isValidTerm(field, value)) {
+            // not an operator, so search for the text as it was typed
+            value = match[0].replace(/^-/, '');
+            field = undefined;
+        } else if (field === FIELD_BEFORE || field === FIELD_AFTER) {
+            value = parseDate(value);
+        } else if (field === FIELD_HAS || field === FIELD_IS) {
+            value = value.toLowerCase();
+        }
+
+        if (value === '') {
+            continue;
+        }
+
+        terms.push({
+            field: field,
+            value: value,
+            negated: match[1] === '-'
+        });
+    }
+
+    return terms;
+};
 
 /**
- * Do full text search on messages. Parse meta data first.
+ * Do full text search on messages. All terms of the query must match (see Search.prototype.parse).
+ * Text is compared with the meta data first, then with the bodies in memory and in the search index.
  * @param  {Array} messages The messages to be filtered
  * @param  {String} query   The text query used to filter messages
  * @return {Array}          The filtered messages
  */
 Search.prototype.filter = function(messages, query) {
+    var self = this,
+        terms = self.parse(query);
+
     // don't filter on empty query
-    if (!query) {
+    if (!terms.length) {
         return messages;
     }
 
-    // escape search string
-    query = query.replace(/([.*+?^${}()|\[\]\/\\])/g, "\\$1");
-    // compare all strings (case insensitive)
-    var regex = new RegExp(query, 'i');
+    var matchers = terms.map(function(term) {
+        var matcher = createMatcher(term, self._searchIndex);
+        return term.negated ? function(m) {
+            return !matcher(m);
+        } : matcher;
+    });
 
-    function contains(input) {
-        if (!input) {
-            return false;
-        }
-        return regex.test(input);
+    // user native js Array.filter
+    return messages.filter(function(m) {
+        return matchers.every(function(matcher) {
+            return matcher(m);
+        });
+    });
+};
+
+/**
+ * Picks the most selective text of a query that the IMAP server can search for in the message headers,
+ * i.e. the longest plain or header term. The server results must be filtered with the full query afterwards.
+ * @param  {String} query The search query
+ * @return {String}       The text to search for on the server, undefined if there is none
+ */
+Search.prototype.serverQuery = function(query) {
+    var texts = this.parse(query).filter(function(term) {
+        return !term.negated && (!term.field || term.field === FIELD_FROM || term.field === FIELD_TO || term.field === FIELD_SUBJECT);
+    }).map(function(term) {
+        return term.value;
+    });
+
+    if (!texts.length) {
+        return;
     }
 
-    function checkAddresses(header) {
-        if (!header || !header.length) {
-            return false;
-        }
+    return _.max(texts, function(text) {
+        return text.length;
+    });
+};
+
+//
+// helper functions
+//
 
-        for (var i = 0; i < header.length; i++) {
-            if (contains(header[i].name) || contains(header[i].address)) {
-                return true;
-            }
+function isValidTerm(field, value) {
+    if (field === FIELD_FROM || field === FIELD_TO || field === FIELD_SUBJECT) {
+        return true;
+    } else if (field === FIELD_HAS) {
+        return value.toLowerCase() === 'attachment';
+    } else if (field === FIELD_IS) {
+        return _.contains(IS_VALUES, value.toLowerCase());
+    } else if (field === FIELD_BEFORE || field === FIELD_AFTER) {
+        return !!parseDate(value);
+    }
+
+    return false;
+}
+
+/**
+ * Parses dates like 2014-12-24 or 2014/12/24 as local midnight
+ */
+function parseDate(value) {
+    var match = /^(\d{4})[\-\/](\d{1,2})[\-\/](\d{1,2})$/.exec(value);
+    if (!match) {
+        return;
+    }
+
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+/**
+ * Creates a function that checks if a message matches a (non-negated) term
+ */
+function createMatcher(term, searchIndex) {
+    var contains, indexed;
+
+    if (term.field === FIELD_HAS) {
+        return function(m) {
+            return !!(m.attachments && m.attachments.length);
+        };
+    } else if (term.field === FIELD_IS) {
+        return function(m) {
+            return !!m[term.value];
+        };
+    } else if (term.field === FIELD_BEFORE) {
+        return function(m) {
+            return new Date(m.sentDate) < term.value;
+        };
+    } else if (term.field === FIELD_AFTER) {
+        return function(m) {
+            return new Date(m.sentDate) >= term.value;
+        };
+    }
+
+    // escape search string and compare all strings (case insensitive)
+    var regex = new RegExp(term.value.replace(/([.*+?^${}()|\[\]\/\\])/g, "\\$1"), 'i');
+    contains = function(input) {
+        if (!input) {
+            return false;
         }
+        return regex.test(input);
+    };
 
-        return false;
+    if (term.field === FIELD_FROM) {
+        return function(m) {
+            return checkAddresses(m.from, contains);
+        };
+    } else if (term.field === FIELD_TO) {
+        return function(m) {
+            return checkAddresses(m.to, contains) || checkAddresses(m.cc, contains) || checkAddresses(m.bcc, contains);
+        };
+    } else if (term.field === FIELD_SUBJECT) {
+        return function(m) {
+            return contains(m.subject);
+        };
     }
 
+    // the messages whose (possibly encrypted) body has been indexed before.
+    // for phrases, the index only knows that all of the words occur in the body
+    indexed = searchIndex.query(term.value) || {};
+
     /**
      * Filter meta data first and then only look at plaintext and decrypted message bodies
      */
-    function matchMetaDataFirst(m) {
+    return function matchMetaDataFirst(m) {
         // compare subject
         if (contains(m.subject)) {
             return true;
         }
         // compares address headers
-        if (checkAddresses(m.from) || checkAddresses(m.to) || checkAddresses(m.cc) || checkAddresses(m.bcc)) {
+        if (checkAddresses(m.from, contains) || checkAddresses(m.to, contains) || checkAddresses(m.cc, contains) || checkAddresses(m.bcc, contains)) {
+            return true;
+        }
+        // look up the indexed body, which does not need to be in memory
+        if (m.id && indexed[m.id]) {
             return true;
         }
         // compare plaintext body
@@ -73,8 +234,19 @@ Search.prototype.filter = function(messages, query) {
             return true;
         }
         return false;
+    };
+}
+
+function checkAddresses(header, contains) {
+    if (!header || !header.length) {
+        return false;
     }
 
-    // user native js Array.filter
-    return messages.filter(matchMetaDataFirst);
-};
\ No newline at end of file
+    for (var i = 0; i < header.length; i++) {
+        if (contains(header[i].name) || contains(header[i].address)) {
+            return true;
+        }
+    }
+
+    return false;
+}
@@ -0,0 +1,142 @@
+'use strict';
+
+var ngModule = angular.module('woEmail');
+ngModule.service('syncScheduler', SyncScheduler);
+module.exports = SyncScheduler;
+
+var config = require('../app-config').config,
+    axe = require('axe-logger');
+
+var DEBUG_TAG = 'sync-scheduler',
+    FOLDER_TYPE_INBOX = 'Inbox';
+
+/**
+ * Keeps the folders of the account up to date in the background. The inbox is kept up to date by the listening
+ * IMAP connection of the email DAO. The imap client supports neither NOTIFY nor additional IDLE connections,
+ * so the other folders are polled round robin: every interval, a budget of folders is synced one after the other.
+ * Syncing a folder selects it on IMAP, which fetches its new messages and flag changes, so the unread counts of Sent,
+ * Junk and custom folders stay accurate. The folders are selected on the same IMAP connection as the folder the user
+ * has opened, so that folder is skipped and selected again after the batch.
+ *
+ * @param {Object} email The email DAO of the account
+ */
+function SyncScheduler(email) {
+    /** @private */
+    this._emailDao = email;
+
+    /**
+     * The index of the folder that is synced next
+     * @private */
+    this._next = 0;
+
+    /**
+     * Semaphore-esque flag to avoid overlapping syncs when syncing takes longer than the interval
+     * @private */
+    this._syncBusy = false;
+}
+
+/**
+ * Starts polling the folders periodically. If the folders are already polled, polling is restarted.
+ */
+SyncScheduler.prototype.start = function() {
+    this.stop();
+    this._intervalId = setInterval(this._sync.bind(this), config.syncInterval);
+};
+
+/**
+ * Stops polling the folders
+ */
+SyncScheduler.prototype.stop = function() {
+    clearInterval(this._intervalId);
+    delete this._intervalId;
+};
+
+/**
+ * Syncs the next folders within the budget of an interval
+ * @return {Promise}
+ */
+SyncScheduler.prototype._sync = function() {
+    var self = this,
+        account = self._emailDao._account,
+        folders;
+
+    if (self._syncBusy || !account || !account.online) {
+        // the previous sync is still running or the client is offline
+        return new Promise(function(resolve) {
+            resolve();
+        });
+    }
+
+    self._syncBusy = true;
+    folders = self._nextFolders(config.syncFolderBudget);
+
+    return folders.reduce(function(previous, folder) {
+        return previous.then(function() {
+            return syncFolder(folder);
+        });
+    }, new Promise(function(resolve) {
+        resolve();
+    })).then(function() {
+        if (folders.length) {
+            return reopenFolder();
+        }
+
+    }).then(function() {
+        self._syncBusy = false;
+    });
+
+    function syncFolder(folder) {
+        if (!account.online) {
+            return;
+        }
+
+        return self._emailDao.openFolder({
+            folder: folder,
+            background: true
+        }).catch(function(err) {
+            // the folder is synced again in the next round
+            axe.error(DEBUG_TAG, 'Could not sync ' + folder.path + ': ' + err.message);
+        });
+    }
+
+    function reopenFolder() {
+        var opened = self._emailDao._openedFolder;
+        if (!opened || !account.online) {
+            return;
+        }
+
+        // the folder the user has opened receives the live updates again
+        return self._emailDao.openFolder({
+            folder: opened
+        }).catch(function(err) {
+            axe.error(DEBUG_TAG, 'Could not open ' + opened.path + ' again: ' + err.message);
+        });
+    }
+};
+
+/**
+ * Picks the next folders round robin. The inbox is kept up to date by the listening IMAP connection,
+ * the folder the user has opened is selected anyway and the outbox is a local folder, so they are not polled.
+ * @param {Number} count The maximum number of folders
+ * @return {Array} The folders
+ */
+SyncScheduler.prototype._nextFolders = function(count) {
+    var opened = this._emailDao._openedFolder,
+        folders = (this._emailDao._account.folders || []).filter(function(folder) {
+            return folder.type !== FOLDER_TYPE_INBOX && folder.path !== config.outboxMailboxPath;
+        }),
+        picked = [];
+
+    count = Math.min(count, folders.length);
+    for (var i = 0; i < count; i++) {
+        picked.push(folders[(this._next + i) % folders.length]);
+    }
+    this._next = folders.length ? (this._next + count) % folders.length : 0;
+
+    // the opened folder keeps its place in the round, so the other folders are not skipped when the user switches folders
+    picked = picked.filter(function(folder) {
+        return folder !== opened;
+    });
+
+    return picked;
+};
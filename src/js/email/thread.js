@@ -0,0 +1,244 @@
+'use strict';
+
+var ngModule = angular.module('woEmail');
+ngModule.service('thread', Thread);
+module.exports = Thread;
+
+// matches reply and forward prefixes like "Re:", "Fwd:", "AW:", "Re[2]:", "Re: Fwd:"
+var REPLY_PREFIX = /^\s*((re|fwd?|aw|wg|sv|antw)(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Groups messages into conversations. The threading follows the algorithm described by
+ * Jamie Zawinski (https://www.jwz.org/doc/threading.html): messages are linked via their
+ * References and In-Reply-To headers, and root messages that could not be linked are
+ * merged by their normalized subject.
+ */
+function Thread() {}
+
+/**
+ * Builds the conversations for a list of messages
+ * @param  {Array} messages The messages of a folder
+ * @return {Array}          The threads, the most recently active thread first. A thread looks like this:
+ *                          { id: String, subject: String, messages: Array (oldest first), latest: Object, unread: Number }
+ */
+Thread.prototype.build = function(messages) {
+    var containers = {},
+        roots = [],
+        bySubject = {},
+        threads = [];
+
+    //
+    // link the messages via their message ids
+    //
+
+    messages.forEach(function(message) {
+        var container = getContainer(message.id),
+            references = [].concat(message.references || []),
+            parent;
+
+        if (container.message) {
+            // the message id is either missing or a duplicate, so the message gets a container of its own
+            container = getContainer();
+        }
+        container.message = message;
+
+        if (message.inReplyTo && references[references.length - 1] !== message.inReplyTo) {
+            references.push(message.inReplyTo);
+        }
+
+        // link the referenced messages to each other in the order of the references header
+        references.forEach(function(reference) {
+            var next = getContainer(reference);
+            if (parent && !next.parent && !isReachable(next, parent)) {
+                link(parent, next);
+            }
+            parent = next;
+        });
+
+        // the last reference is the parent of the message
+        if (parent && parent !== container && !isReachable(container, parent)) {
+            link(parent, container);
+        }
+    });
+
+    //
+    // find the root set, i.e. the containers without a parent
+    //
+
+    Object.keys(containers).forEach(function(id) {
+        if (!containers[id].parent) {
+            roots.push(containers[id]);
+        }
+    });
+
+    //
+    // merge root containers that share the same subject
+    //
+
+    roots.forEach(function(root) {
+        var rootMessages = collect(root).sort(byDateAscending),
+            subject, thread;
+
+        if (!rootMessages.length) {
+            // a referenced message that is not available locally
+            return;
+        }
+
+        subject = normalizeSubject(rootMessages[0].subject);
+        thread = {
+            id: rootMessages[0].id || String(rootMessages[0].uid),
+            subject: rootMessages[0].subject,
+            messages: rootMessages,
+            isReply: isReplySubject(rootMessages[0].subject)
+        };
+
+        if (!subject) {
+            // messages without a subject can't be merged, so they form a thread of their own
+            threads.push(thread);
+            return;
+        }
+
+        bySubject[subject] = bySubject[subject] || [];
+        bySubject[subject].push(thread);
+    });
+
+    Object.keys(bySubject).forEach(function(subject) {
+        var group = bySubject[subject],
+            hasReply = _.some(group, function(thread) {
+                return thread.isReply;
+            }),
+            merged;
+
+        // only merge unrelated threads if at least one of them is a reply,
+        // otherwise two independent mails saying "Hello" would end up in the same thread
+        if (group.length < 2 || !hasReply) {
+            [].push.apply(threads, group);
+            return;
+        }
+
+        // the thread started by the original (non-reply) message takes the lead
+        merged = _.findWhere(group, {
+            isReply: false
+        }) || group[0];
+
+        group.forEach(function(thread) {
+            if (thread !== merged) {
+                [].push.apply(merged.messages, thread.messages);
+            }
+        });
+        threads.push(merged);
+    });
+
+    //
+    // finalize the threads
+    //
+
+    threads.forEach(function(thread) {
+        delete thread.isReply;
+        thread.messages.sort(byDateAscending);
+        thread.latest = _.max(thread.messages, function(message) {
+            return message.uid;
+        });
+        thread.unread = thread.messages.filter(function(message) {
+            return message.unread;
+        }).length;
+    });
+
+    return threads.sort(function(a, b) {
+        return b.latest.uid - a.latest.uid;
+    });
+
+    function getContainer(id) {
+        if (!id) {
+            // messages without a message id get a container with a unique key
+            id = '\u0000' + Object.keys(containers).length;
+        }
+
+        if (!containers.hasOwnProperty(id)) {
+            containers[id] = {
+                children: []
+            };
+        }
+
+        return containers[id];
+    }
+};
+
+/**
+ * Finds the conversation a message belongs to
+ * @param  {Array} messages The messages of the folder
+ * @param  {Object} message The message for which to find the conversation
+ * @return {Object}         The thread containing the message, see Thread.prototype.build
+ */
+Thread.prototype.find = function(messages, message) {
+    return _.find(this.build(messages), function(thread) {
+        return thread.messages.indexOf(message) > -1;
+    });
+};
+
+/**
+ * Strips reply and forward prefixes (e.g. "Re:", "Fwd:", "AW:") from a subject
+ * @param  {String} subject The subject line
+ * @return {String}         The normalized subject, lower case and trimmed
+ */
+Thread.prototype.normalizeSubject = function(subject) {
+    return normalizeSubject(subject);
+};
+
+//
+// helper functions
+//
+
+function normalizeSubject(subject) {
+    return (subject || '').replace(REPLY_PREFIX, '').trim().toLowerCase();
+}
+
+function isReplySubject(subject) {
+    return REPLY_PREFIX.test(subject || '');
+}
+
+/**
+ * Makes a container the child of another container, removing it from its previous parent
+ */
+function link(parent, child) {
+    if (child.parent) {
+        child.parent.children.splice(child.parent.children.indexOf(child), 1);
+    }
+    child.parent = parent;
+    parent.children.push(child);
+}
+
+/**
+ * Checks if a container can be reached by walking down the tree from another container,
+ * i.e. linking them would introduce a loop
+ */
+function isReachable(from, to) {
+    if (from === to) {
+        return true;
+    }
+
+    return from.children.some(function(child) {
+        return isReachable(child, to);
+    });
+}
+
+/**
+ * Collects all messages in the container and its descendants
+ */
+function collect(container, result) {
+    result = result || [];
+    if (container.message) {
+        result.push(container.message);
+    }
+    container.children.forEach(function(child) {
+        collect(child, result);
+    });
+    return result;
+}
+
+function byDateAscending(a, b) {
+    var dateA = new Date(a.sentDate).getTime() || 0,
+        dateB = new Date(b.sentDate).getTime() || 0;
+
+    return (dateA - dateB) || (a.uid - b.uid);
+}
@@ -9,6 +9,9 @@ var axe = require('axe-logger'),
     str = require('../app-config').string;
 
 var APP_CONFIG_DB_NAME = 'app-config';
+var CREDENTIALS_DB_TYPE = 'credentials';
+
+// the keys of the credentials of the single account versions
 var EMAIL_ADDR_DB_KEY = 'emailaddress';
 var USERNAME_DB_KEY = 'username';
 var REALNAME_DB_KEY = 'realname';
@@ -25,6 +28,8 @@ var SMTP_DB_KEY = 'smtp';
  * auth.getEmailAddress(...); // called from the login controller to determine if there is already a user present on the device
  * auth.getCredentials(...); // called to gather all the information to connect to IMAP/SMTP,
  *                              username, password / oauth token, IMAP/SMTP server host names, ...
+ *
+ * Every account on the device has its own instance. The credentials of all accounts are stored in the app config store.
  */
 function Auth(appConfigStore, oauth, pgp) {
     this._appConfigStore = appConfigStore;
@@ -40,6 +45,8 @@ function Auth(appConfigStore, oauth, pgp) {
 Auth.prototype.init = function() {
     var self = this;
     return self._appConfigStore.init(APP_CONFIG_DB_NAME).then(function() {
+        return self._migrateCredentials();
+    }).then(function() {
         self._initialized = true;
     });
 };
@@ -150,43 +157,53 @@ Auth.prototype.storeCredentials = function() {
         });
     }
 
-    // persist the config
-    var storeSmtp = self._appConfigStore.storeList([self.smtp], SMTP_DB_KEY);
-    var storeImap = self._appConfigStore.storeList([self.imap], IMAP_DB_KEY);
-    var storeEmailAddress = self._appConfigStore.storeList([self.emailAddress], EMAIL_ADDR_DB_KEY);
-    var storeUsername = self._appConfigStore.storeList([self.username], USERNAME_DB_KEY);
-    var storeRealname = self._appConfigStore.storeList([self.realname], REALNAME_DB_KEY);
-    var storePassword = new Promise(function(resolve) {
-        if (!self.password) {
-            resolve();
+    return new Promise(function(resolve) {
+        if (!self.password || self.passwordNeedsDecryption) {
+            // password is not decrypted yet, so no need to re-encrypt it before storing...
+            resolve(self.password);
             return;
         }
 
-        if (self.passwordNeedsDecryption) {
-            // password is not decrypted yet, so no need to re-encrypt it before storing...
-            return self._appConfigStore.storeList([self.password], PASSWD_DB_KEY).then(resolve);
-        }
-        return self._pgp.encrypt(self.password, undefined).then(function(ciphertext) {
-            return self._appConfigStore.storeList([ciphertext], PASSWD_DB_KEY).then(resolve);
-        });
-    });
+        resolve(self._pgp.encrypt(self.password, undefined));
 
-    return Promise.all([
-        storeSmtp,
-        storeImap,
-        storeEmailAddress,
-        storeUsername,
-        storeRealname,
-        storePassword
-    ]).then(function() {
+    }).then(function(password) {
+        // persist the config under the email address of the account
+        return self._appConfigStore.storeList([{
+            id: self.emailAddress,
+            emailAddress: self.emailAddress,
+            username: self.username,
+            realname: self.realname,
+            password: password,
+            imap: self.imap,
+            smtp: self.smtp
+        }], CREDENTIALS_DB_TYPE);
+
+    }).then(function() {
         self.credentialsDirty = false;
     });
 };
 
+/**
+ * Lists the accounts whose credentials are stored on the device
+ * @return {Promise}
+ * @resolve {Array} The accounts: emailAddress and realname
+ */
+Auth.prototype.listAccounts = function() {
+    return this._appConfigStore.listItems(CREDENTIALS_DB_TYPE, 0, null).then(function(stored) {
+        return (stored || []).map(function(credentials) {
+            return {
+                emailAddress: credentials.emailAddress,
+                realname: credentials.realname
+            };
+        });
+    });
+};
+
 /**
  * Returns the email address. Loads it from disk, if necessary
+ * @param {String} emailAddress (optional) The account to load, the first stored account if undefined
  */
-Auth.prototype.getEmailAddress = function() {
+Auth.prototype.getEmailAddress = function(emailAddress) {
     var self = this;
 
     if (self.emailAddress) {
@@ -198,7 +215,7 @@ Auth.prototype.getEmailAddress = function() {
         });
     }
 
-    return self._loadCredentials().then(function() {
+    return self._loadCredentials(emailAddress).then(function() {
         return {
             emailAddress: self.emailAddress,
             realname: self.realname
@@ -260,8 +277,9 @@ Auth.prototype.getOAuthToken = function() {
 
 /**
  * Loads email address, password, ... from disk and sets them on `this`
+ * @param {String} emailAddress (optional) The account to load, the first stored account if undefined
  */
-Auth.prototype._loadCredentials = function() {
+Auth.prototype._loadCredentials = function(emailAddress) {
     var self = this;
 
     if (self.initialized) {
@@ -270,30 +288,61 @@ Auth.prototype._loadCredentials = function() {
         });
     }
 
-    return loadFromDB(SMTP_DB_KEY).then(function(smtp) {
-        self.smtp = smtp;
-        return loadFromDB(IMAP_DB_KEY);
+    return self._appConfigStore.listItems(CREDENTIALS_DB_TYPE, 0, null).then(function(stored) {
+        var credentials = (emailAddress ? _.findWhere(stored, {
+            emailAddress: emailAddress
+        }) : stored && stored[0]) || {};
+
+        self.smtp = credentials.smtp;
+        self.imap = credentials.imap;
+        self.username = credentials.username;
+        self.realname = credentials.realname;
+        self.emailAddress = credentials.emailAddress;
+        self.password = credentials.password;
+        self.passwordNeedsDecryption = !!credentials.password;
+        self.initialized = true;
+    });
+};
 
-    }).then(function(imap) {
-        self.imap = imap;
-        return loadFromDB(USERNAME_DB_KEY);
+/**
+ * Moves the credentials of the single account versions to the storage of their account
+ */
+Auth.prototype._migrateCredentials = function() {
+    var self = this,
+        credentials = {};
 
-    }).then(function(username) {
-        self.username = username;
-        return loadFromDB(REALNAME_DB_KEY);
+    return loadFromDB(EMAIL_ADDR_DB_KEY).then(function(emailAddress) {
+        if (!emailAddress) {
+            // nothing to migrate
+            return;
+        }
 
-    }).then(function(realname) {
-        self.realname = realname;
-        return loadFromDB(EMAIL_ADDR_DB_KEY);
+        credentials.id = credentials.emailAddress = emailAddress;
+        return loadFromDB(USERNAME_DB_KEY).then(function(username) {
+            credentials.username = username;
+            return loadFromDB(REALNAME_DB_KEY);
 
-    }).then(function(emailAddress) {
-        self.emailAddress = emailAddress;
-        return loadFromDB(PASSWD_DB_KEY);
+        }).then(function(realname) {
+            credentials.realname = realname;
+            return loadFromDB(PASSWD_DB_KEY);
 
-    }).then(function(password) {
-        self.password = password;
-        self.passwordNeedsDecryption = !!password;
-        self.initialized = true;
+        }).then(function(password) {
+            credentials.password = password;
+            return loadFromDB(IMAP_DB_KEY);
+
+        }).then(function(imap) {
+            credentials.imap = imap;
+            return loadFromDB(SMTP_DB_KEY);
+
+        }).then(function(smtp) {
+            credentials.smtp = smtp;
+            return self._appConfigStore.storeList([credentials], CREDENTIALS_DB_TYPE);
+
+        }).then(function() {
+            return Promise.all([EMAIL_ADDR_DB_KEY, USERNAME_DB_KEY, REALNAME_DB_KEY, PASSWD_DB_KEY, IMAP_DB_KEY, SMTP_DB_KEY].map(function(key) {
+                return self._appConfigStore.removeList(key);
+            }));
+        });
     });
 
     function loadFromDB(key) {
@@ -350,13 +399,14 @@ Auth.prototype.handleCertificateUpdate = function(component, reconnectCallback,
 };
 
 /**
- * Logout of the app by clearing the app config store and in memory credentials
+ * Logout of the account by removing its credentials from the app config store and clearing the in memory credentials.
+ * The other accounts on the device are not affected.
  */
 Auth.prototype.logout = function() {
     var self = this;
 
-    // clear app config db
-    return self._appConfigStore.clear().then(function() {
+    // remove the credentials of the account by their exact key, other addresses may start with this one
+    return self._appConfigStore.removeItem(CREDENTIALS_DB_TYPE + '_' + self.emailAddress).then(function() {
         // clear in memory cache
         self.setCredentials({});
         self.initialized = undefined;
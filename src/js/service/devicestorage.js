@@ -81,6 +81,16 @@ DeviceStorage.prototype.removeList = function(type) {
     return this._lawnchairDAO.removeList(type);
 };
 
+/**
+ * Deletes a single item by its exact key, e.g. 'credentials_test@example.com'. Unlike removeList,
+ * items whose keys merely start with the key are kept.
+ * @param key [String] The key of the item
+ * @return {Promise}
+ */
+DeviceStorage.prototype.removeItem = function(key) {
+    return this._lawnchairDAO.remove(key);
+};
+
 /**
  * List stored items of a given type
  * @param type [String] The type of item e.g. 'email'
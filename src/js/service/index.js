@@ -14,4 +14,6 @@ require('./admin');
 require('./lawnchair');
 require('./devicestorage');
 require('./auth');
-require('./keychain');
\ No newline at end of file
+require('./keychain');
+require('./settings');
+require('./signatures');
\ No newline at end of file
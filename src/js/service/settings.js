@@ -0,0 +1,55 @@
+'use strict';
+
+var ngModule = angular.module('woServices');
+ngModule.service('settings', Settings);
+module.exports = Settings;
+
+var SETTINGS_DB_TYPE = 'settings';
+
+/**
+ * The defaults for settings the user has not changed
+ */
+var DEFAULTS = {
+    signPlaintext: true // sign messages that can not be encrypted with PGP/MIME
+};
+
+/**
+ * Keeps the user's preferences for the account. The settings are persisted in the account's database,
+ * so they must be loaded after the database has been initialized.
+ */
+function Settings(accountStore) {
+    this._devicestorage = accountStore;
+    this._settings = _.clone(DEFAULTS);
+}
+
+/**
+ * Loads the settings of the account from disk
+ * @return {Promise}
+ */
+Settings.prototype.load = function() {
+    var self = this;
+
+    return self._devicestorage.listItems(SETTINGS_DB_TYPE, 0, null).then(function(stored) {
+        self._settings = _.extend({}, DEFAULTS, stored && stored[0]);
+    });
+};
+
+/**
+ * Reads a setting
+ * @param {String} key The name of the setting, e.g. 'signPlaintext'
+ * @return {*} The value of the setting
+ */
+Settings.prototype.get = function(key) {
+    return this._settings[key];
+};
+
+/**
+ * Changes a setting and persists the settings
+ * @param {String} key The name of the setting
+ * @param {*} value The new value
+ * @return {Promise}
+ */
+Settings.prototype.set = function(key, value) {
+    this._settings[key] = value;
+    return this._devicestorage.storeList([this._settings], SETTINGS_DB_TYPE);
+};
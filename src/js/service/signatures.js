@@ -0,0 +1,182 @@
+'use strict';
+
+var ngModule = angular.module('woServices');
+ngModule.service('signatures', Signatures);
+module.exports = Signatures;
+
+var util = require('crypto-lib').util,
+    htmlUtil = require('../email/html');
+
+var SIGNATURES_DB_KEY = 'signatures';
+
+// the separator between the text and the signature: dash, dash, space
+var DELIMITER = '-- ';
+
+/**
+ * Manages the signatures that the writer inserts into new messages. Every identity, i.e. every sender address,
+ * can have a default signature. The signatures are persisted in the app config store.
+ */
+function Signatures(appConfigStore, appConfig) {
+    this._appConfigStore = appConfigStore;
+    this._appConfig = appConfig;
+    this._config = {
+        signatures: [],
+        defaults: {},
+        placement: 'below'
+    };
+}
+
+/**
+ * Loads the signatures from disk. The signatures are shared by the accounts on the device, so this is invoked
+ * for every account. If the account has no default signature yet, the Whiteout Mail signature is created as its default.
+ * @param {String} emailAddress The address of the account
+ * @return {Promise}
+ */
+Signatures.prototype.load = function(emailAddress) {
+    var self = this,
+        str = self._appConfig.string,
+        cfg = self._appConfig.config;
+
+    return self._appConfigStore.listItems(SIGNATURES_DB_KEY, 0, null).then(function(stored) {
+        if (stored && stored[0]) {
+            self._config = stored[0];
+        }
+
+        if (self._config.defaults.hasOwnProperty(emailAddress)) {
+            // the default of the account has been chosen before, possibly no signature at all
+            return;
+        }
+
+        return self.save({
+            name: 'Whiteout Mail',
+            text: str.signature + cfg.keyServerUrl + '/' + emailAddress
+        }).then(function(signature) {
+            return self.setDefault(emailAddress, signature.id);
+        });
+    });
+};
+
+/**
+ * Lists the signatures
+ * @return {Array} The signatures: id, name, text and html
+ */
+Signatures.prototype.list = function() {
+    return this._config.signatures;
+};
+
+/**
+ * Adds a new signature or updates an existing one
+ * @param {String} signature.id The id of the signature to update, undefined for new signatures
+ * @param {String} signature.name The name that is displayed in the signature manager
+ * @param {String} signature.text The signature of plaintext messages
+ * @param {String} signature.html (optional) The signature of html messages. It is generated from the text if it is empty.
+ * @return {Promise}
+ * @resolve {Object} The stored signature
+ */
+Signatures.prototype.save = function(signature) {
+    var signatures = this._config.signatures,
+        stored = _.findWhere(signatures, {
+            id: signature.id
+        });
+
+    signature = {
+        id: signature.id || util.UUID(),
+        name: signature.name,
+        text: signature.text || '',
+        html: signature.html ? htmlUtil.sanitize(signature.html) : ''
+    };
+    if (stored) {
+        signatures[signatures.indexOf(stored)] = signature;
+    } else {
+        signatures.push(signature);
+    }
+
+    return this._persist().then(function() {
+        return signature;
+    });
+};
+
+/**
+ * Removes a signature. Identities that used it as their default are left without a default signature.
+ * @param {String} id The id of the signature
+ * @return {Promise}
+ */
+Signatures.prototype.remove = function(id) {
+    var defaults = this._config.defaults;
+
+    this._config.signatures = _.reject(this._config.signatures, function(signature) {
+        return signature.id === id;
+    });
+    Object.keys(defaults).forEach(function(address) {
+        if (defaults[address] === id) {
+            defaults[address] = null;
+        }
+    });
+
+    return this._persist();
+};
+
+/**
+ * Looks up the default signature of an identity
+ * @param {String} address The sender address of the identity
+ * @return {Object} The signature, undefined if the identity has none
+ */
+Signatures.prototype.getDefault = function(address) {
+    return _.findWhere(this._config.signatures, {
+        id: this._config.defaults[address]
+    });
+};
+
+/**
+ * Changes the default signature of an identity
+ * @param {String} address The sender address of the identity
+ * @param {String} id The id of the signature, undefined for no signature
+ * @return {Promise}
+ */
+Signatures.prototype.setDefault = function(address, id) {
+    // no signature is kept as null, so that the whiteout signature is not created again for the account
+    this._config.defaults[address] = id || null;
+    return this._persist();
+};
+
+/**
+ * Where the writer inserts the signature in replies and forwards
+ * @return {String} 'above' or 'below' the quote
+ */
+Signatures.prototype.getPlacement = function() {
+    return this._config.placement;
+};
+
+/**
+ * Changes where the writer inserts the signature in replies and forwards
+ * @param {String} placement 'above' or 'below' the quote
+ * @return {Promise}
+ */
+Signatures.prototype.setPlacement = function(placement) {
+    this._config.placement = placement;
+    return this._persist();
+};
+
+/**
+ * Formats a signature for a plaintext body, including the delimiter
+ * @param {Object} signature The signature
+ * @return {String} The plaintext
+ */
+Signatures.prototype.toText = function(signature) {
+    var text = signature.text || htmlUtil.toText(signature.html);
+    return DELIMITER + '\n' + text.trim();
+};
+
+/**
+ * Formats a signature for an html body, including the delimiter
+ * @param {Object} signature The signature
+ * @return {String} The html
+ */
+Signatures.prototype.toHtml = function(signature) {
+    var html = signature.html ? htmlUtil.sanitize(signature.html) : htmlUtil.fromText(signature.text.trim());
+    return '<div class="signature">' + DELIMITER + '<br>' + html + '</div>';
+};
+
+Signatures.prototype._persist = function() {
+    return this._appConfigStore.storeList([this._config], SIGNATURES_DB_KEY);
+};
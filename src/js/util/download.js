@@ -13,6 +13,9 @@ function Download() {}
 
 /**
  * Create download link and click on it.
+ * @param {Uint8Array|String|Blob} options.content The content to be downloaded, blobs are downloaded without copying them
+ * @param {String} options.filename The name of the file
+ * @param {String} options.contentType The mime type of the content
  */
 Download.prototype.createDownload = function(options) {
     var contentType = options.contentType || 'application/octet-stream';
@@ -29,9 +32,7 @@ Download.prototype.createDownload = function(options) {
         // ff 30+, chrome 27+ (android: 37+)
         document.body.appendChild(a);
         a.style = "display: none";
-        a.href = window.URL.createObjectURL(new Blob([content], {
-            type: contentType
-        }));
+        a.href = window.URL.createObjectURL(toBlob(content, contentType));
         a.download = filename;
         a.click();
         setTimeout(function() {
@@ -40,18 +41,14 @@ Download.prototype.createDownload = function(options) {
         }, 10); // arbitrary, just get it off the main thread
     } else if (window.navigator.msSaveBlob) {
         // ie 10+
-        window.navigator.msSaveBlob(new Blob([content], {
-            type: contentType
-        }), filename);
+        window.navigator.msSaveBlob(toBlob(content, contentType), filename);
     } else if (supportsBlob) {
         // safari actually makes no sense:
         // - you can't open a new window
         // - the file system api is dead
         // - download attribute doesn't work
         // - behaves randomly (opens a new tab or doesn't, downloads stuff or doesn't, ...)
-        var url = window.URL.createObjectURL(new Blob([content], {
-            type: contentType
-        }));
+        var url = window.URL.createObjectURL(toBlob(content, contentType));
         var newTab = window.open(url, "_blank");
         if (!newTab) {
             window.location.href = url;
@@ -63,4 +60,14 @@ Download.prototype.createDownload = function(options) {
         }
         window.open('data:' + contentType + ';base64,' + btoa(content), "_blank");
     }
-};
\ No newline at end of file
+};
+
+function toBlob(content, contentType) {
+    if (content instanceof Blob) {
+        return content;
+    }
+
+    return new Blob([content], {
+        type: contentType
+    });
+}
@@ -22,6 +22,17 @@ Status.prototype.update = function(text, time) {
     this._rootScope.$broadcast('status', text, time);
 };
 
+/**
+ * Display a status message together with an "Undo" action that is offered for a while
+ * @param {String} text       The status message that is to be displayed to the user
+ * @param {Function} action   Invoked when the user clicks "Undo"
+ * @param {Number} delay      The time in ms for which the action is offered
+ */
+Status.prototype.offerUndo = function(text, action, delay) {
+    this._axe.info('status display', text);
+    this._rootScope.$broadcast('undo', text, action, delay);
+};
+
 /**
  * Update the searching status to show a spinner while searching
  * @param {Boolean} state	If the spinner should be displayed or not
@@ -6,15 +6,13 @@
  * In database version 4, we need to add a "provider" flag to the
  * indexeddb. only gmail was allowed as a mail service provider before,
  * so let's add this...
+ *
+ * The credentials have been moved to the storage of their account when the app config store was initialized,
+ * so the missing settings are added to the credentials of the account.
  */
 function update(options) {
     var VERSION_DB_TYPE = 'dbVersion',
-        EMAIL_ADDR_DB_KEY = 'emailaddress',
-        USERNAME_DB_KEY = 'username',
         PROVIDER_DB_KEY = 'provider',
-        IMAP_DB_KEY = 'imap',
-        SMTP_DB_KEY = 'smtp',
-        REALNAME_DB_KEY = 'realname',
         POST_UPDATE_DB_VERSION = 4;
 
     var imap = {
@@ -28,14 +26,12 @@ function update(options) {
             secure: true
         };
 
-    // load the email address (if existing)
-    var emailAddress;
-    return loadFromDB(EMAIL_ADDR_DB_KEY).then(function(address) {
-        emailAddress = address;
-        // load the provider (if existing)
-        return loadFromDB(PROVIDER_DB_KEY);
+    // the email address (if existing)
+    var auth = options.auth,
+        emailAddress = auth.emailAddress;
 
-    }).then(function(provider) {
+    // load the provider (if existing)
+    return loadFromDB(PROVIDER_DB_KEY).then(function(provider) {
         // if there is an email address without a provider, we need to add the missing provider entry
         // for any other situation, we're good.
         if (!(emailAddress && !provider)) {
@@ -44,20 +40,14 @@ function update(options) {
         }
 
         // add the missing provider key
-        var storeProvider = options.appConfigStorage.storeList(['gmail'], PROVIDER_DB_KEY);
-        // add the missing user name key
-        var storeAdress = options.appConfigStorage.storeList([emailAddress], USERNAME_DB_KEY);
-        // add the missing imap host info key
-        var storeImap = options.appConfigStorage.storeList([imap], IMAP_DB_KEY);
-        // add the missing empty real name
-        var storeEmptyName = options.appConfigStorage.storeList([''], REALNAME_DB_KEY);
-        // add the missing smtp host info key
-        var storeSmtp = options.appConfigStorage.storeList([smtp], SMTP_DB_KEY);
-
-        return Promise.all([storeProvider, storeAdress, storeImap, storeEmptyName, storeSmtp]).then(function() {
-            // reload the credentials
-            options.auth.initialized = false;
-            return options.auth._loadCredentials();
+        return options.appConfigStorage.storeList(['gmail'], PROVIDER_DB_KEY).then(function() {
+            // add the missing user name, imap and smtp host info and the missing empty real name
+            auth.username = emailAddress;
+            auth.imap = imap;
+            auth.smtp = smtp;
+            auth.realname = '';
+            auth.credentialsDirty = true;
+            return auth.storeCredentials();
 
         }).then(function() {
             // update the database version to POST_UPDATE_DB_VERSION
@@ -7,9 +7,7 @@ var ImapClient = require('imap-client'),
     LawnchairDAO = require('../../src/js/service/lawnchair'),
     DeviceStorageDAO = require('../../src/js/service/devicestorage'),
     mailreader = require('mailreader'),
-    PgpMailer = require('pgpmailer'),
-    config = require('../../src/js/app-config').config,
-    str = require('../../src/js/app-config').string;
+    PgpMailer = require('pgpmailer');
 
 describe('Email DAO integration tests', function() {
     this.timeout(100000);
@@ -751,7 +749,7 @@ describe('Email DAO integration tests', function() {
                     expect(message.signed).to.be.true;
                     expect(message.signaturesValid).to.be.true;
                     expect(message.attachments.length).to.equal(0);
-                    expect(message.body).to.equal(expectedBody + str.signature + config.keyServerUrl + '/' + testAccount.user);
+                    expect(message.body).to.equal(expectedBody);
                     done();
                 });
             };
@@ -5,13 +5,16 @@ var AccountCtrl = require('../../../../src/js/controller/app/account'),
     Download = require('../../../../src/js/util/download'),
     Keychain = require('../../../../src/js/service/keychain'),
     Auth = require('../../../../src/js/service/auth'),
+    Settings = require('../../../../src/js/service/settings'),
+    Signatures = require('../../../../src/js/service/signatures'),
+    Identities = require('../../../../src/js/email/identities'),
     Dialog = require('../../../../src/js/util/dialog');
 
 describe('Account Controller unit test', function() {
     var scope, accountCtrl,
         dummyFingerprint, expectedFingerprint,
         dummyKeyId, expectedKeyId,
-        emailAddress, keySize, pgpStub, keychainStub, authStub, dialogStub, downloadStub;
+        emailAddress, keySize, pgpStub, keychainStub, authStub, settingsStub, signaturesStub, identitiesStub, dialogStub, downloadStub, signature;
 
     beforeEach(function() {
         pgpStub = sinon.createStubInstance(PGP);
@@ -19,6 +22,24 @@ describe('Account Controller unit test', function() {
         keychainStub = sinon.createStubInstance(Keychain);
         dialogStub = sinon.createStubInstance(Dialog);
         downloadStub = sinon.createStubInstance(Download);
+        settingsStub = sinon.createStubInstance(Settings);
+        settingsStub.get.withArgs('signPlaintext').returns(true);
+        signature = {
+            id: 'sig',
+            name: 'Work',
+            text: 'Fred Foo'
+        };
+        signaturesStub = sinon.createStubInstance(Signatures);
+        signaturesStub.list.returns([signature]);
+        signaturesStub.getDefault.withArgs('fred@foo.com').returns(signature);
+        signaturesStub.getPlacement.returns('below');
+        identitiesStub = sinon.createStubInstance(Identities);
+        identitiesStub.list.returns([{
+            id: 'primary',
+            address: 'fred@foo.com',
+            primary: true
+        }]);
+        identitiesStub.listKeys.returns([]);
 
         dummyFingerprint = '3A2D39B4E1404190B8B949DE7D7E99036E712926';
         expectedFingerprint = '3A2D 39B4 E140 4190 B8B9 49DE 7D7E 9903 6E71 2926';
@@ -47,6 +68,9 @@ describe('Account Controller unit test', function() {
                 auth: authStub,
                 keychain: keychainStub,
                 pgp: pgpStub,
+                settings: settingsStub,
+                signatures: signaturesStub,
+                identities: identitiesStub,
                 download: downloadStub,
                 dialog: dialogStub
             });
@@ -61,6 +85,13 @@ describe('Account Controller unit test', function() {
             expect(scope.keyId).to.equal(expectedKeyId);
             expect(scope.fingerprint).to.equal(expectedFingerprint);
             expect(scope.keysize).to.equal(keySize);
+            expect(scope.signPlaintext).to.be.true;
+            expect(scope.signatures).to.deep.equal([signature]);
+            expect(scope.identities.length).to.equal(1);
+            expect(scope.defaultSignatureIds).to.deep.equal({
+                'fred@foo.com': 'sig'
+            });
+            expect(scope.signaturePlacement).to.equal('below');
         });
     });
     describe('export to key file', function() {
@@ -95,4 +126,158 @@ describe('Account Controller unit test', function() {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('setSignPlaintext', function() {
+        it('should persist the setting', function(done) {
+            settingsStub.set.withArgs('signPlaintext', false).returns(resolves());
+
+            scope.setSignPlaintext(false).then(function() {
+                expect(settingsStub.set.calledOnce).to.be.true;
+                expect(dialogStub.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should show an error', function(done) {
+            settingsStub.set.returns(rejects(new Error()));
+
+            scope.setSignPlaintext(false).then(function() {
+                expect(dialogStub.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('signatures', function() {
+        it('should edit a copy of a signature', function() {
+            scope.editSignature(signature);
+
+            expect(scope.editedSignature).to.deep.equal(signature);
+            expect(scope.editedSignature).to.not.equal(signature);
+        });
+
+        it('should save the edited signature', function(done) {
+            scope.editSignature();
+            scope.editedSignature.name = 'Private';
+            scope.editedSignature.text = 'Fred';
+            signaturesStub.save.withArgs({
+                name: 'Private',
+                text: 'Fred',
+                html: ''
+            }).returns(resolves());
+
+            scope.saveSignature().then(function() {
+                expect(signaturesStub.save.calledOnce).to.be.true;
+                expect(scope.editedSignature).to.be.undefined;
+                expect(dialogStub.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should remove a signature', function(done) {
+            signaturesStub.remove.withArgs('sig').returns(resolves());
+            signaturesStub.list.returns([]);
+            signaturesStub.getDefault.withArgs(emailAddress).returns(undefined);
+
+            scope.removeSignature(signature).then(function() {
+                expect(scope.signatures).to.be.empty;
+                expect(scope.defaultSignatureIds[emailAddress]).to.be.undefined;
+                done();
+            });
+        });
+
+        it('should set the default signature of an identity', function(done) {
+            signaturesStub.setDefault.withArgs('support@foo.com', 'sig').returns(resolves());
+
+            scope.setDefaultSignature({
+                address: 'support@foo.com'
+            }, 'sig').then(function() {
+                expect(signaturesStub.setDefault.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should show an error if the placement can not be persisted', function(done) {
+            signaturesStub.setPlacement.returns(rejects(new Error()));
+
+            scope.setSignaturePlacement('above').then(function() {
+                expect(dialogStub.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('identities', function() {
+        var support;
+
+        beforeEach(function() {
+            support = {
+                id: 'support',
+                name: 'Support',
+                address: 'support@foo.com'
+            };
+        });
+
+        it('should save the edited identity', function(done) {
+            scope.editIdentity(support);
+            scope.editedIdentity.replyTo = 'tickets@foo.com';
+            identitiesStub.save.withArgs({
+                id: 'support',
+                name: 'Support',
+                address: 'support@foo.com',
+                replyTo: 'tickets@foo.com'
+            }).returns(resolves());
+
+            scope.saveIdentity().then(function() {
+                expect(identitiesStub.save.calledOnce).to.be.true;
+                expect(support.replyTo).to.not.exist;
+                expect(scope.editedIdentity).to.be.undefined;
+                expect(dialogStub.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should show an error if the identity is invalid', function(done) {
+            scope.editIdentity();
+            identitiesStub.save.returns(rejects(new Error()));
+
+            scope.saveIdentity().then(function() {
+                expect(dialogStub.error.calledOnce).to.be.true;
+                expect(scope.editedIdentity).to.exist;
+                done();
+            });
+        });
+
+        it('should remove an identity and its default signature', function(done) {
+            identitiesStub.remove.withArgs('support').returns(resolves());
+            signaturesStub.setDefault.withArgs('support@foo.com', undefined).returns(resolves());
+
+            scope.removeIdentity(support).then(function() {
+                expect(identitiesStub.remove.calledOnce).to.be.true;
+                expect(signaturesStub.setDefault.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should import a key for the edited identity', function(done) {
+            var key = {
+                _id: '9FEB47936E712926',
+                userId: 'support@foo.com'
+            };
+            scope.editIdentity(support);
+            scope.startKeyImport();
+            identitiesStub.importKey.withArgs({
+                privateKeyArmored: 'PRIVATE KEY',
+                passphrase: 'asdf'
+            }).returns(resolves('9FEB47936E712926'));
+            identitiesStub.listKeys.returns([key]);
+
+            scope.importIdentityKey('PRIVATE KEY', 'asdf').then(function() {
+                expect(scope.editedIdentity.keyId).to.equal('9FEB47936E712926');
+                expect(scope.identityKeys).to.deep.equal([key]);
+                expect(scope.keyImport).to.be.undefined;
+                done();
+            });
+        });
+    });
+});
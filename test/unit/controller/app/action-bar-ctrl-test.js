@@ -30,11 +30,14 @@ describe('Action Bar Controller unit test', function() {
                     }]
                 }
             };
+            scope.state.mailList = {
+                folderOf: sinon.stub().returns(scope.state.nav.currentFolder),
+                emailOf: sinon.stub().returns(emailMock)
+            };
 
             actionBarCtrl = $controller(ActionBarCtrl, {
                 $scope: scope,
                 $q: window.qMock,
-                email: emailMock,
                 dialog: dialogMock,
                 status: statusMock
             });
@@ -57,6 +60,24 @@ describe('Action Bar Controller unit test', function() {
                 done();
             });
         });
+
+        it('should delete a mail from its own folder', function(done) {
+            var message = {},
+                inbox = {
+                    path: 'INBOX'
+                };
+            scope.state.mailList.folderOf.withArgs(message).returns(inbox);
+            emailMock.deleteMessage.returns(resolves());
+
+            scope.deleteMessage(message).then(function() {
+                expect(scope.state.mailList.emailOf.calledWith(message)).to.be.true;
+                expect(emailMock.deleteMessage.calledWith({
+                    folder: inbox,
+                    message: message
+                })).to.be.true;
+                done();
+            });
+        });
     });
 
     describe('deleteCheckedMessages', function() {
@@ -2,13 +2,14 @@
 
 var MailListCtrl = require('../../../../src/js/controller/app/mail-list'),
     EmailDAO = require('../../../../src/js/email/email'),
+    Account = require('../../../../src/js/email/account'),
     KeychainDAO = require('../../../../src/js/service/keychain'),
     Status = require('../../../../src/js/util/status'),
     Dialog = require('../../../../src/js/util/dialog'),
     Search = require('../../../../src/js/email/search');
 
 describe('Mail List controller unit test', function() {
-    var scope, ctrl, statusMock, notificationMock, emailMock, keychainMock, dialogMock, searchMock,
+    var scope, ctrl, statusMock, notificationMock, accountMock, emailMock, keychainMock, dialogMock, searchMock,
         emailAddress, emails, location;
 
     beforeEach(function() {
@@ -29,6 +30,8 @@ describe('Mail List controller unit test', function() {
 
         statusMock = sinon.createStubInstance(Status);
         emailMock = sinon.createStubInstance(EmailDAO);
+        accountMock = sinon.createStubInstance(Account);
+        accountMock.list.returns([]);
         keychainMock = sinon.createStubInstance(KeychainDAO);
         dialogMock = sinon.createStubInstance(Dialog);
         searchMock = sinon.createStubInstance(Search);
@@ -47,6 +50,7 @@ describe('Mail List controller unit test', function() {
                 $q: window.qMock,
                 status: statusMock,
                 notification: notificationMock,
+                account: accountMock,
                 email: emailMock,
                 keychain: keychainMock,
                 dialog: dialogMock,
@@ -79,6 +83,66 @@ describe('Mail List controller unit test', function() {
         });
     });
 
+    describe('loadOlderMessages', function() {
+        var folder, older;
+
+        beforeEach(function() {
+            older = {
+                uid: 1
+            };
+            folder = {
+                messages: [{
+                    uid: 3
+                }, {
+                    uid: 2
+                }]
+            };
+            scope.state.nav = {
+                currentFolder: folder
+            };
+            scope.account = {
+                online: true
+            };
+            scope.displayMessages = folder.messages.slice();
+        });
+
+        it('should load and display older messages at the end of the local messages', function(done) {
+            emailMock.loadOlderMessages.withArgs({
+                folder: folder
+            }).returns(resolves().then(function() {
+                folder.messages.push(older);
+            }));
+
+            scope.loadOlderMessages().then(function() {
+                expect(emailMock.loadOlderMessages.calledOnce).to.be.true;
+                expect(scope.displayMessages.length).to.equal(3);
+                expect(scope.displayMessages[2]).to.equal(older);
+                done();
+            });
+        });
+
+        it('should display the local messages first', function() {
+            scope.displayMessages = folder.messages.slice(0, 1);
+
+            scope.loadOlderMessages();
+            expect(emailMock.loadOlderMessages.called).to.be.false;
+        });
+
+        it('should not load older messages while offline', function() {
+            scope.account.online = false;
+
+            scope.loadOlderMessages();
+            expect(emailMock.loadOlderMessages.called).to.be.false;
+        });
+
+        it('should not load older messages twice at the same time', function() {
+            emailMock.loadOlderMessages.returns(new Promise(function() {}));
+
+            expect(scope.loadOlderMessages()).to.exist;
+            expect(scope.loadOlderMessages()).to.not.exist;
+        });
+    });
+
     describe('displaySearchResults', function() {
         var clock;
 
@@ -116,6 +180,293 @@ describe('Mail List controller unit test', function() {
         });
     });
 
+    describe('searchServer', function() {
+        var local, remote, clock;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers();
+            local = {
+                uid: 2
+            };
+            remote = {
+                uid: 1
+            };
+            scope.state.nav = {
+                currentFolder: {
+                    messages: [local]
+                }
+            };
+            scope.account = {
+                online: true
+            };
+            scope.displayMessages = [local];
+            searchMock.serverQuery.withArgs('query').returns('query');
+            searchMock.filter.returnsArg(0);
+        });
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should add and mark the matches from the server', function(done) {
+            emailMock.searchImap.returns(resolves([local, remote]));
+            scope.displaySearchResults('query');
+
+            scope.searchServer('query').then(function() {
+                expect(emailMock.searchImap.calledWith({
+                    folder: scope.state.nav.currentFolder,
+                    query: 'query'
+                })).to.be.true;
+                expect(scope.displayMessages).to.deep.equal([local, remote]);
+                expect(scope.serverResults).to.deep.equal({
+                    1: true
+                });
+                expect(statusMock.update.withArgs('Matches in this folder and on the server').calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should ignore outdated results', function(done) {
+            emailMock.searchImap.returns(resolves([local, remote]));
+            scope.displaySearchResults('other query');
+
+            scope.searchServer('query').then(function() {
+                expect(scope.displayMessages).to.deep.equal([local]);
+                done();
+            });
+        });
+
+        it('should apply the query to the matches from the server', function(done) {
+            emailMock.searchImap.returns(resolves([local, remote]));
+            searchMock.serverQuery.withArgs('is:unread query').returns('query');
+            searchMock.filter.withArgs([local, remote], 'is:unread query').returns([local]);
+            scope.displaySearchResults('is:unread query');
+
+            scope.searchServer('is:unread query').then(function() {
+                expect(emailMock.searchImap.calledWith({
+                    folder: scope.state.nav.currentFolder,
+                    query: 'query'
+                })).to.be.true;
+                expect(scope.displayMessages).to.deep.equal([local]);
+                expect(scope.serverResults).to.deep.equal({});
+                done();
+            });
+        });
+
+        it('should not search without text', function() {
+            expect(scope.searchServer('is:unread')).to.not.exist;
+            expect(emailMock.searchImap.called).to.be.false;
+        });
+
+        it('should not search when offline', function() {
+            scope.account.online = false;
+
+            expect(scope.searchServer('query')).to.not.exist;
+            expect(emailMock.searchImap.called).to.be.false;
+        });
+
+        it('should show errors', function(done) {
+            emailMock.searchImap.returns(rejects(new Error()));
+            scope.displaySearchResults('query');
+
+            scope.searchServer('query').then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                expect(statusMock.setSearching.withArgs(false).calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('global search', function() {
+        var inbox, outbox, older, newer, queued, clock;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers();
+            older = {
+                uid: 1,
+                sentDate: new Date(1000)
+            };
+            newer = {
+                uid: 7,
+                sentDate: new Date(3000)
+            };
+            queued = {
+                uid: 1,
+                sentDate: new Date(2000)
+            };
+            inbox = {
+                path: 'INBOX',
+                messages: [newer, older]
+            };
+            outbox = {
+                path: 'OUTBOX',
+                messages: [queued]
+            };
+            scope.account = {
+                folders: [inbox, outbox]
+            };
+            scope.state.nav = {
+                currentFolder: inbox
+            };
+            searchMock.filter.returnsArg(0);
+            emailMock.openFolder.returns(resolves());
+            scope.$digest();
+            scope.state.mailList.toggleGlobalSearch(true);
+        });
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should search all folders', function() {
+            scope.displaySearchResults('query');
+            clock.tick(500);
+
+            expect(searchMock.filter.calledWith(inbox.messages, 'query')).to.be.true;
+            expect(searchMock.filter.calledWith(outbox.messages, 'query')).to.be.true;
+            expect(scope.displayMessages).to.deep.equal([newer, queued, older]);
+            expect(scope.resultFolders).to.deep.equal([inbox, outbox, inbox]);
+            expect(scope.folderOf(queued)).to.equal(outbox);
+            expect(scope.rowKey(queued, 1)).to.equal('OUTBOX/1');
+            expect(statusMock.update.withArgs('Matches in all folders').calledOnce).to.be.true;
+            expect(emailMock.searchImap.called).to.be.false;
+        });
+
+        it('should navigate to the folder of a result', function() {
+            scope.displaySearchResults('query');
+            clock.tick(500);
+
+            scope.navigate(queued);
+            expect(location.search().folder).to.equal(1);
+            expect(location.search().uid).to.equal(1);
+        });
+
+        it('should repeat the search in the current folder', function() {
+            scope.displaySearchResults('query');
+            clock.tick(500);
+
+            scope.state.mailList.toggleGlobalSearch();
+            clock.tick(500);
+
+            expect(scope.state.mailList.globalSearch).to.be.false;
+            expect(scope.displayMessages).to.equal(inbox.messages);
+            expect(scope.resultFolders).to.deep.equal([]);
+            expect(scope.folderOf(older)).to.equal(inbox);
+            expect(scope.rowKey(older, 1)).to.equal(1);
+        });
+    });
+
+    describe('unified inbox', function() {
+        var inbox, otherInbox, otherAccount, otherEmailMock, older, newer, other;
+
+        beforeEach(function() {
+            older = {
+                uid: 1,
+                sentDate: new Date(1000)
+            };
+            newer = {
+                uid: 2,
+                sentDate: new Date(3000)
+            };
+            other = {
+                uid: 1,
+                sentDate: new Date(2000)
+            };
+            inbox = {
+                path: 'INBOX',
+                messages: [newer, older]
+            };
+            otherInbox = {
+                path: 'INBOX',
+                messages: [other]
+            };
+            scope.account = {
+                folders: [inbox]
+            };
+            otherAccount = {
+                folders: [otherInbox]
+            };
+            otherEmailMock = sinon.createStubInstance(EmailDAO);
+            accountMock.accountOf.withArgs(inbox).returns(scope.account);
+            accountMock.accountOf.withArgs(otherInbox).returns(otherAccount);
+            accountMock.services.withArgs(scope.account).returns({
+                email: emailMock
+            });
+            accountMock.services.withArgs(otherAccount).returns({
+                email: otherEmailMock
+            });
+            emailMock.openFolder.returns(resolves());
+            otherEmailMock.openFolder.returns(resolves());
+            scope.state.nav = {
+                currentFolder: {
+                    type: 'Inbox',
+                    unified: true,
+                    folders: [inbox, otherInbox],
+                    messages: [newer, other, older]
+                },
+                switchAccount: sinon.stub()
+            };
+        });
+
+        it('should open the inboxes of all accounts', function(done) {
+            scope.$digest();
+
+            setTimeout(function() {
+                expect(emailMock.openFolder.calledWith({
+                    folder: inbox
+                })).to.be.true;
+                expect(otherEmailMock.openFolder.calledWith({
+                    folder: otherInbox
+                })).to.be.true;
+                expect(scope.displayMessages).to.deep.equal([newer, other, older]);
+                done();
+            }, 0);
+        });
+
+        it('should identify the messages by their inbox', function() {
+            expect(scope.folderOf(other)).to.equal(otherInbox);
+            expect(scope.rowKey(other)).to.equal('1/1');
+            expect(scope.rowKey(older)).to.equal('0/1');
+        });
+
+        it('should get the body with the account of the message', function(done) {
+            otherEmailMock.getBody.returns(resolves());
+
+            scope.getBody(other).then(function() {
+                expect(otherEmailMock.getBody.calledWith({
+                    folder: otherInbox,
+                    message: other
+                })).to.be.true;
+                expect(emailMock.getBody.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should switch to the account of a message', function() {
+            scope.navigate(other);
+            expect(scope.state.nav.switchAccount.calledWith(otherAccount, otherInbox, 1)).to.be.true;
+
+            scope.navigate(older);
+            expect(scope.state.nav.switchAccount.calledOnce).to.be.true;
+            expect(location.search().folder).to.equal(0);
+            expect(location.search().uid).to.equal(1);
+        });
+
+        it('should select the message of the selected account by its uid', function() {
+            inbox.type = 'Inbox';
+            sinon.stub(scope, 'select');
+
+            location.search('uid', 1);
+            scope.$digest();
+
+            expect(scope.select.calledWith(older)).to.be.true;
+            expect(scope.select.calledWith(other)).to.be.false;
+        });
+
+        it('should not group the messages into conversations', function() {
+            scope.state.mailList.threaded = true;
+            expect(scope.threadOf(other)).to.be.undefined;
+        });
+    });
+
     describe('scope variables', function() {
         it('should be set correctly', function() {
             expect(scope.select).to.exist;
@@ -123,6 +474,83 @@ describe('Mail List controller unit test', function() {
         });
     });
 
+    describe('threads', function() {
+        var original, reply, unrelated;
+
+        beforeEach(function() {
+            original = {
+                uid: 1,
+                id: 'a',
+                subject: 'foo',
+                sentDate: new Date(1000)
+            };
+            reply = {
+                uid: 3,
+                id: 'b',
+                subject: 'Re: foo',
+                references: ['a'],
+                sentDate: new Date(3000),
+                unread: true
+            };
+            unrelated = {
+                uid: 2,
+                id: 'c',
+                subject: 'bar',
+                sentDate: new Date(2000)
+            };
+            scope.state.nav = {
+                currentFolder: {
+                    messages: [reply, unrelated, original]
+                }
+            };
+        });
+
+        it('should display all messages by default', function() {
+            scope.state.mailList.toggleThreads(false);
+
+            expect(scope.displayMessages).to.deep.equal([reply, unrelated, original]);
+            expect(scope.threadOf(reply)).to.not.exist;
+        });
+
+        it('should only display the latest message of a conversation', function() {
+            scope.state.mailList.toggleThreads();
+
+            expect(scope.state.mailList.threaded).to.be.true;
+            expect(scope.threads.length).to.equal(2);
+            expect(scope.displayMessages).to.deep.equal([reply, unrelated]);
+            expect(scope.threadOf(original).messages).to.deep.equal([original, reply]);
+            expect(scope.isThreadChild(reply)).to.be.false;
+            expect(scope.isThreadChild(original)).to.be.true;
+        });
+
+        it('should expand and collapse a conversation', function() {
+            scope.state.mailList.toggleThreads(true);
+
+            scope.toggleThread(reply);
+            expect(scope.isExpanded(reply)).to.be.true;
+            expect(scope.displayMessages).to.deep.equal([reply, original, unrelated]);
+
+            scope.toggleThread(reply);
+            expect(scope.isExpanded(reply)).to.be.false;
+            expect(scope.displayMessages).to.deep.equal([reply, unrelated]);
+        });
+
+        it('should not expand single messages', function() {
+            scope.state.mailList.toggleThreads(true);
+
+            scope.toggleThread(unrelated);
+            expect(scope.isExpanded(unrelated)).to.be.false;
+        });
+
+        it('should display more conversations', function() {
+            scope.state.mailList.toggleThreads(true);
+            scope.displayMessages = [reply];
+
+            scope.displayMore();
+            expect(scope.displayMessages).to.deep.equal([reply, unrelated]);
+        });
+    });
+
     describe('push notification', function() {
         beforeEach(function() {
             scope._stopWatchTask();
@@ -8,10 +8,11 @@ var NavigationCtrl = require('../../../../src/js/controller/app/navigation'),
     Notif = require('../../../../src/js/util/notification');
 
 describe('Navigation Controller unit test', function() {
-    var scope, ctrl, emailDaoMock, accountMock, notificationStub, dialogStub, outboxBoMock, outboxFolder;
+    var scope, ctrl, location, route, windowMock, account, emailDaoMock, accountMock, notificationStub, dialogStub, outboxBoMock, outboxFolder;
 
     beforeEach(function() {
-        var account = {
+        account = {
+            emailAddress: 'fred@foo.com',
             folders: [{
                 type: 'Inbox',
                 count: 2,
@@ -31,20 +32,34 @@ describe('Navigation Controller unit test', function() {
         notificationStub = sinon.createStubInstance(Notif);
         accountMock = sinon.createStubInstance(Account);
         accountMock.list.returns([account]);
+        accountMock.listLocked.returns([]);
+        accountMock.selected.returns(account);
+        accountMock.services.withArgs(account).returns({
+            email: emailDaoMock,
+            outbox: outboxBoMock
+        });
         accountMock.isLoggedIn.returns(true);
+        route = {
+            reload: sinon.stub()
+        };
+        windowMock = {
+            prompt: sinon.stub()
+        };
 
         angular.module('navigationtest', ['woServices', 'woEmail', 'woUtil']);
         angular.mock.module('navigationtest');
-        angular.mock.inject(function($rootScope, $controller) {
+        angular.mock.inject(function($rootScope, $controller, $location) {
             scope = $rootScope.$new();
             scope.state = {};
+            location = $location;
             ctrl = $controller(NavigationCtrl, {
                 $scope: scope,
+                $location: location,
+                $route: route,
                 $routeParams: {},
                 $q: window.qMock,
+                $window: windowMock,
                 account: accountMock,
-                email: emailDaoMock,
-                outbox: outboxBoMock,
                 notification: notificationStub,
                 dialog: dialogStub
             });
@@ -72,17 +87,263 @@ describe('Navigation Controller unit test', function() {
     });
 
     describe('empty outbox', function() {
-        it('should work', function() {
+        it('should work', function(done) {
             var callback;
 
+            scope.$digest();
             expect(outboxBoMock.startChecking.callCount).to.equal(1);
 
             outboxBoMock.startChecking.calledWith(sinon.match(function(cb) {
                 callback = cb;
             }));
 
-            callback(null, 5);
-            expect(outboxFolder.count).to.equal(5);
+            emailDaoMock.refreshFolder.returns(resolves());
+            callback(null, 5).then(function() {
+                expect(outboxFolder.count).to.equal(5);
+                expect(emailDaoMock.refreshFolder.calledWith({
+                    folder: outboxFolder
+                })).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('accounts', function() {
+        var otherAccount, otherOutboxMock;
+
+        beforeEach(function() {
+            otherAccount = {
+                emailAddress: 'barney@foo.com',
+                folders: [{
+                    type: 'Inbox',
+                    count: 3,
+                    path: 'INBOX',
+                    messages: [{
+                        uid: 1,
+                        sentDate: new Date(2000)
+                    }]
+                }]
+            };
+            otherOutboxMock = sinon.createStubInstance(Outbox);
+            accountMock.services.withArgs(otherAccount).returns({
+                outbox: otherOutboxMock
+            });
+        });
+
+        it('should check the outboxes of accounts that are logged in later', function() {
+            scope.$digest();
+            accountMock.list().push(otherAccount);
+            scope.$digest();
+
+            expect(otherOutboxMock.startChecking.calledOnce).to.be.true;
+        });
+
+        it('should keep the unified inbox up to date', function() {
+            var message = {
+                uid: 1,
+                sentDate: new Date(1000)
+            };
+            account.folders[0].messages = [message];
+            accountMock.list().push(otherAccount);
+            scope.$digest();
+
+            expect(scope.unifiedInbox.folders).to.deep.equal([account.folders[0], otherAccount.folders[0]]);
+            expect(scope.unifiedInbox.messages).to.deep.equal([otherAccount.folders[0].messages[0], message]);
+            expect(scope.unifiedInbox.count).to.equal(5);
+
+            scope.openUnifiedInbox();
+            scope.$digest();
+            expect(scope.state.nav.currentFolder).to.equal(scope.unifiedInbox);
+        });
+
+        it('should update the unified inbox when an inbox changes', function() {
+            var older = {
+                    uid: 1,
+                    sentDate: new Date(1000)
+                },
+                newer = {
+                    uid: 2,
+                    sentDate: new Date(3000)
+                };
+            account.folders[0].messages = [older];
+            accountMock.list().push(otherAccount);
+            scope.$digest();
+
+            account.folders[0].messages.push(newer);
+            scope.$digest();
+            expect(scope.unifiedInbox.messages).to.deep.equal([newer, otherAccount.folders[0].messages[0], older]);
+
+            otherAccount.folders[0].messages.pop();
+            scope.$digest();
+            expect(scope.unifiedInbox.messages).to.deep.equal([newer, older]);
+
+            accountMock.list().shift();
+            scope.$digest();
+            expect(scope.unifiedInbox.folders).to.deep.equal([otherAccount.folders[0]]);
+            expect(scope.unifiedInbox.messages).to.deep.equal([]);
+        });
+
+        it('should switch to a folder of another account', function() {
+            scope.openFolder(otherAccount, otherAccount.folders[0]);
+
+            expect(accountMock.select.calledWith(otherAccount)).to.be.true;
+            expect(location.search().folder).to.equal(0);
+            expect(route.reload.calledOnce).to.be.true;
+        });
+
+        it('should open a folder of the selected account', function() {
+            scope.openFolder(account, outboxFolder);
+
+            expect(accountMock.select.called).to.be.false;
+            expect(location.search().folder).to.equal(1);
+        });
+
+        it('should add an account', function(done) {
+            accountMock.add.returns(resolves());
+
+            scope.addAccount().then(function() {
+                expect(accountMock.add.calledOnce).to.be.true;
+                expect(location.path()).to.equal('/add-account');
+                done();
+            });
+        });
+
+        it('should log in to a stored account', function(done) {
+            accountMock.add.withArgs('barney@foo.com').returns(resolves());
+
+            scope.login('barney@foo.com').then(function() {
+                expect(location.path()).to.equal('/login');
+                done();
+            });
+        });
+    });
+
+    describe('folders', function() {
+        var projects, website, archive;
+
+        beforeEach(function() {
+            projects = {
+                name: 'Projects',
+                type: 'Other',
+                path: 'Projects',
+                delimiter: '/'
+            };
+            website = {
+                name: 'Website',
+                type: 'Other',
+                path: 'Projects/Website',
+                delimiter: '/'
+            };
+            archive = {
+                name: 'Archive',
+                type: 'Other',
+                path: 'Projects/Website/Archive',
+                delimiter: '/'
+            };
+            account.folders.push(projects, website, archive);
+        });
+
+        it('should display the folders as a tree', function() {
+            expect(scope.folderDepth(account, projects)).to.equal(0);
+            expect(scope.folderDepth(account, website)).to.equal(1);
+            expect(scope.folderDepth(account, archive)).to.equal(2);
+            expect(scope.hasSubfolders(account, website)).to.be.true;
+            expect(scope.hasSubfolders(account, archive)).to.be.false;
+        });
+
+        it('should hide the subfolders of collapsed folders', function() {
+            projects.collapsed = true;
+
+            expect(scope.isFolderHidden(account, projects)).to.be.false;
+            expect(scope.isFolderHidden(account, website)).to.be.true;
+            expect(scope.isFolderHidden(account, archive)).to.be.true;
+        });
+
+        it('should collapse a folder', function(done) {
+            emailDaoMock.collapseFolder.withArgs({
+                folder: projects,
+                collapsed: true
+            }).returns(resolves());
+
+            scope.toggleFolder(account, projects).then(function() {
+                expect(emailDaoMock.collapseFolder.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should create a subfolder', function(done) {
+            var folder = {};
+
+            windowMock.prompt.returns('New');
+            emailDaoMock.createFolder.withArgs({
+                name: 'New',
+                parent: projects
+            }).returns(resolves(folder));
+
+            scope.createFolder(account, projects).then(function() {
+                expect(emailDaoMock.createFolder.calledOnce).to.be.true;
+                expect(dialogStub.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should not create a folder without a name', function() {
+            windowMock.prompt.returns(null);
+
+            expect(scope.createFolder(account)).to.not.exist;
+            expect(emailDaoMock.createFolder.called).to.be.false;
+        });
+
+        it('should keep the displayed folder when it is renamed', function(done) {
+            scope.state.nav.currentFolder = website;
+            windowMock.prompt.returns('Blog');
+            emailDaoMock.renameFolder.withArgs({
+                folder: website,
+                name: 'Blog'
+            }).returns(new Promise(function(resolve) {
+                // the folders are sorted again
+                account.folders.splice(account.folders.indexOf(website), 1);
+                account.folders.push(website);
+                resolve();
+            }));
+
+            scope.renameFolder(account, website).then(function() {
+                expect(location.search().folder).to.equal(4);
+                done();
+            });
+        });
+
+        it('should show an error if a folder can not be renamed', function(done) {
+            windowMock.prompt.returns('Blog');
+            emailDaoMock.renameFolder.returns(rejects(new Error()));
+
+            scope.renameFolder(account, website).then(function() {
+                expect(dialogStub.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should show the inbox when the displayed folder is deleted', function(done) {
+            scope.state.nav.currentFolder = archive;
+            location.search('folder', 4);
+            emailDaoMock.deleteFolder.withArgs({
+                folder: archive
+            }).returns(new Promise(function(resolve) {
+                account.folders.pop();
+                resolve();
+            }));
+            dialogStub.confirm = function(options) {
+                expect(options.message).to.contain('Archive');
+                options.callback(true);
+            };
+
+            scope.deleteFolder(account, archive);
+
+            setTimeout(function() {
+                expect(emailDaoMock.deleteFolder.calledOnce).to.be.true;
+                expect(location.search().folder).to.equal(0);
+                done();
+            }, 10);
         });
     });
 });
\ No newline at end of file
@@ -0,0 +1,123 @@
+'use strict';
+
+var PreviewCtrl = require('../../../../src/js/controller/app/preview'),
+    Email = require('../../../../src/js/email/email'),
+    Dialog = require('../../../../src/js/util/dialog'),
+    Download = require('../../../../src/js/util/download');
+
+describe('Preview Controller unit test', function() {
+    var scope, ctrl, emailMock, dialogMock, downloadMock;
+
+    beforeEach(function() {
+        emailMock = sinon.createStubInstance(Email);
+        dialogMock = sinon.createStubInstance(Dialog);
+        downloadMock = sinon.createStubInstance(Download);
+
+        angular.module('previewtest', []);
+        angular.mock.module('previewtest');
+        angular.mock.inject(function($rootScope, $controller) {
+            scope = $rootScope.$new();
+            scope.state = {};
+            ctrl = $controller(PreviewCtrl, {
+                $scope: scope,
+                $q: window.qMock,
+                email: emailMock,
+                download: downloadMock,
+                dialog: dialogMock
+            });
+        });
+    });
+
+    afterEach(function() {});
+
+    describe('open', function() {
+        it('should preview an image', function(done) {
+            var attachment = {
+                filename: 'a.png',
+                mimeType: 'image/png',
+                blob: {}
+            };
+
+            scope.state.preview.open(attachment).then(function() {
+                expect(scope.state.lightbox).to.equal('preview');
+                expect(scope.attachment).to.equal(attachment);
+                expect(scope.preview).to.deep.equal({
+                    type: 'image',
+                    mimeType: 'image/png',
+                    content: attachment.blob,
+                    message: undefined
+                });
+                expect(emailMock.parseAttachedMessage.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should preview a message attachment', function(done) {
+            var attachment = {
+                    filename: 'a.eml',
+                    mimeType: 'message/rfc822',
+                    content: new Uint8Array([97])
+                },
+                message = {
+                    subject: 'hello'
+                };
+            emailMock.parseAttachedMessage.withArgs({
+                attachment: attachment
+            }).returns(resolves(message));
+
+            scope.state.preview.open(attachment).then(function() {
+                expect(scope.preview.type).to.equal('message');
+                expect(scope.preview.content).to.equal(attachment.content);
+                expect(scope.preview.message).to.equal(message);
+                done();
+            });
+        });
+
+        it('should show an error if the message attachment can not be parsed', function(done) {
+            emailMock.parseAttachedMessage.returns(rejects(new Error()));
+
+            scope.state.preview.open({
+                filename: 'a.eml',
+                content: new Uint8Array([97])
+            }).then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                expect(scope.preview).to.not.exist;
+                done();
+            });
+        });
+
+        it('should not display the preview if the lightbox has been closed', function(done) {
+            var promise = scope.state.preview.open({
+                filename: 'a.txt',
+                mimeType: 'text/plain',
+                content: new Uint8Array([97])
+            });
+            scope.state.preview.close();
+
+            promise.then(function() {
+                expect(scope.state.lightbox).to.not.exist;
+                expect(scope.preview).to.not.exist;
+                done();
+            });
+        });
+    });
+
+    describe('download', function() {
+        it('should download the previewed attachment', function() {
+            var blob = {};
+            scope.attachment = {
+                filename: 'a.pdf',
+                mimeType: 'application/pdf',
+                blob: blob
+            };
+
+            scope.download();
+
+            expect(downloadMock.createDownload.calledWith({
+                content: blob,
+                filename: 'a.pdf',
+                contentType: 'application/pdf'
+            })).to.be.true;
+        });
+    });
+});
@@ -23,15 +23,19 @@ describe('Read Controller unit test', function() {
         authMock = sinon.createStubInstance(Auth);
         downloadMock = sinon.createStubInstance(Download);
 
-        angular.module('readtest', ['woServices']);
+        angular.module('readtest', ['woServices', 'woEmail']);
         angular.mock.module('readtest');
         angular.mock.inject(function($rootScope, $controller) {
             scope = $rootScope.$new();
-            scope.state = {};
+            scope.state = {
+                mailList: {
+                    folderOf: sinon.stub(),
+                    emailOf: sinon.stub().returns(emailMock)
+                }
+            };
             ctrl = $controller(ReadCtrl, {
                 $scope: scope,
                 $q: window.qMock,
-                email: emailMock,
                 invitation: invitationMock,
                 outbox: outboxMock,
                 pgp: pgpMock,
@@ -148,6 +152,279 @@ describe('Read Controller unit test', function() {
         });
     });
 
+    describe('conversation', function() {
+        var original, reply, unrelated, folder;
+
+        beforeEach(function() {
+            original = {
+                uid: 1,
+                id: 'a',
+                subject: 'foo',
+                from: [],
+                to: []
+            };
+            reply = {
+                uid: 2,
+                id: 'b',
+                subject: 'Re: foo',
+                references: ['a'],
+                from: [],
+                to: []
+            };
+            unrelated = {
+                uid: 3,
+                id: 'c',
+                subject: 'bar',
+                from: [],
+                to: []
+            };
+            folder = {
+                messages: [original, reply, unrelated]
+            };
+            scope.state.mailList.folderOf.returns(folder);
+        });
+
+        it('should list the messages of the conversation', function() {
+            scope.state.mailList.selected = reply;
+            scope.$digest();
+
+            expect(scope.conversation).to.deep.equal([original, reply]);
+        });
+
+        it('should be empty for a single message', function() {
+            scope.state.mailList.selected = unrelated;
+            scope.$digest();
+
+            expect(scope.conversation).to.deep.equal([]);
+        });
+
+        it('should load the body when expanding a message', function(done) {
+            emailMock.getBody.returns(resolves());
+            emailMock.decryptBody.returns(resolves());
+
+            scope.toggleConversationMessage(original).then(function() {
+                expect(scope.expanded[original.uid]).to.be.true;
+                expect(scope.state.mailList.emailOf.calledWith(original)).to.be.true;
+                expect(emailMock.getBody.calledWith({
+                    folder: folder,
+                    message: original
+                })).to.be.true;
+                expect(emailMock.decryptBody.calledWith({
+                    message: original
+                })).to.be.true;
+                done();
+            });
+        });
+
+        it('should collapse an expanded message', function() {
+            scope.expanded[original.uid] = true;
+
+            scope.toggleConversationMessage(original);
+            expect(scope.expanded[original.uid]).to.be.false;
+            expect(emailMock.getBody.called).to.be.false;
+        });
+
+        it('should open a message of the conversation', function() {
+            scope.openConversationMessage(original);
+            expect(scope.loc.search().uid).to.equal(1);
+        });
+    });
+
+    describe('download', function() {
+        it('should download a fetched attachment', function() {
+            var blob = {};
+
+            scope.download({
+                filename: 'a.txt',
+                mimeType: 'text/plain',
+                blob: blob
+            });
+
+            expect(downloadMock.createDownload.calledWith({
+                content: blob,
+                filename: 'a.txt',
+                contentType: 'text/plain'
+            })).to.be.true;
+        });
+
+        it('should fetch an attachment from the folder of the message', function(done) {
+            var attachment = {},
+                inbox = {
+                    path: 'INBOX'
+                };
+            scope.state.mailList.selected = {
+                uid: 123
+            };
+            scope.state.mailList.folderOf.withArgs(scope.state.mailList.selected).returns(inbox);
+            emailMock.getAttachment.returns(resolves());
+
+            scope.download(attachment).then(function() {
+                expect(scope.state.mailList.emailOf.calledWith(scope.state.mailList.selected)).to.be.true;
+                expect(emailMock.getAttachment.calledOnce).to.be.true;
+                expect(emailMock.getAttachment.firstCall.args[0].folder).to.equal(inbox);
+                expect(emailMock.getAttachment.firstCall.args[0].attachment).to.equal(attachment);
+                expect(emailMock.getAttachment.firstCall.args[0].onProgress).to.exist;
+                expect(downloadMock.createDownload.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('preview', function() {
+        beforeEach(function() {
+            scope.state.preview = {
+                open: sinon.stub()
+            };
+        });
+
+        it('should only preview supported attachments', function() {
+            expect(scope.canPreview({
+                filename: 'a.png',
+                mimeType: 'image/png'
+            })).to.be.true;
+            expect(scope.canPreview({
+                filename: 'a.zip',
+                mimeType: 'application/zip'
+            })).to.be.false;
+        });
+
+        it('should preview a decrypted attachment', function(done) {
+            var attachment = {
+                filename: 'a.txt',
+                mimeType: 'text/plain',
+                content: new Uint8Array([97])
+            };
+
+            scope.showPreview(attachment).then(function() {
+                expect(emailMock.getAttachment.called).to.be.false;
+                expect(scope.state.preview.open.calledWith(attachment)).to.be.true;
+                done();
+            });
+        });
+
+        it('should fetch an attachment before previewing it', function(done) {
+            var attachment = {
+                filename: 'a.txt',
+                mimeType: 'text/plain'
+            };
+            scope.state.mailList.selected = {
+                uid: 123
+            };
+            emailMock.getAttachment.returns(resolves());
+
+            scope.showPreview(attachment).then(function() {
+                expect(emailMock.getAttachment.calledOnce).to.be.true;
+                expect(emailMock.getAttachment.firstCall.args[0].attachment).to.equal(attachment);
+                expect(scope.state.preview.open.calledWith(attachment)).to.be.true;
+                done();
+            });
+        });
+
+        it('should show an error if the attachment can not be fetched', function(done) {
+            scope.state.mailList.selected = {
+                uid: 123
+            };
+            emailMock.getAttachment.returns(rejects(new Error()));
+
+            scope.showPreview({}).then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                expect(scope.state.preview.open.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('reschedule', function() {
+        it('should reschedule a message in the outbox', function(done) {
+            var message = {},
+                sendAt = new Date();
+
+            outboxMock.reschedule.withArgs({
+                mail: message,
+                sendAt: sendAt
+            }).returns(resolves());
+
+            scope.reschedule(message, sendAt).then(function() {
+                expect(outboxMock.reschedule.calledOnce).to.be.true;
+                expect(dialogMock.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should show an error', function(done) {
+            outboxMock.reschedule.returns(rejects(new Error()));
+
+            scope.reschedule({}).then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should pick the scheduled time of the selected message', function() {
+            scope.state.mailList.selected = {
+                from: [],
+                to: [],
+                sendAt: 1000
+            };
+            scope.$digest();
+
+            expect(scope.schedule.sendAt).to.deep.equal(new Date(1000));
+        });
+    });
+
+    describe('retry', function() {
+        it('should retry sending a message in the outbox', function(done) {
+            var message = {};
+
+            outboxMock.retry.withArgs(message).returns(resolves());
+
+            scope.retry(message).then(function() {
+                expect(outboxMock.retry.calledOnce).to.be.true;
+                expect(dialogMock.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should show an error', function(done) {
+            outboxMock.retry.returns(rejects(new Error()));
+
+            scope.retry({}).then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('resend', function() {
+        beforeEach(function() {
+            scope.state.writer = {
+                resend: sinon.stub()
+            };
+        });
+
+        it('should take the message out of the outbox and open it in the writer', function(done) {
+            var message = {};
+
+            outboxMock.withdraw.withArgs(message).returns(resolves());
+
+            scope.resend(message).then(function() {
+                expect(scope.state.writer.resend.withArgs(message).calledOnce).to.be.true;
+                expect(dialogMock.error.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should not open the writer if the message has been sent', function(done) {
+            outboxMock.withdraw.returns(rejects(new Error()));
+
+            scope.resend({}).then(function() {
+                expect(scope.state.writer.resend.called).to.be.false;
+                expect(dialogMock.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
     describe('parseConversation', function() {
         it.skip('should work', function() {
             var body = 'foo\n' +
@@ -1,8 +1,13 @@
 'use strict';
 
 var WriteCtrl = require('../../../../src/js/controller/app/write'),
+    appConfig = require('../../../../src/js/app-config'),
     Email = require('../../../../src/js/email/email'),
     Outbox = require('../../../../src/js/email/outbox'),
+    Drafts = require('../../../../src/js/email/drafts'),
+    Settings = require('../../../../src/js/service/settings'),
+    Signatures = require('../../../../src/js/service/signatures'),
+    Identities = require('../../../../src/js/email/identities'),
     Keychain = require('../../../../src/js/service/keychain'),
     Auth = require('../../../../src/js/service/auth'),
     PGP = require('../../../../src/js/crypto/pgp'),
@@ -11,8 +16,8 @@ var WriteCtrl = require('../../../../src/js/controller/app/write'),
     Invitation = require('../../../../src/js/service/invitation');
 
 describe('Write controller unit test', function() {
-    var ctrl, scope,
-        authMock, pgpMock, dialogMock, emailMock, keychainMock, outboxMock, statusMock, invitationMock,
+    var ctrl, scope, timeout,
+        authMock, pgpMock, dialogMock, emailMock, keychainMock, outboxMock, draftsMock, settingsMock, signaturesMock, identities, statusMock, invitationMock,
         emailAddress, realname;
 
     beforeEach(function() {
@@ -21,6 +26,12 @@ describe('Write controller unit test', function() {
         pgpMock = sinon.createStubInstance(PGP);
         dialogMock = sinon.createStubInstance(Dialog);
         outboxMock = sinon.createStubInstance(Outbox);
+        draftsMock = sinon.createStubInstance(Drafts);
+        settingsMock = sinon.createStubInstance(Settings);
+        settingsMock.get.withArgs('signPlaintext').returns(true);
+        signaturesMock = sinon.createStubInstance(Signatures);
+        signaturesMock.toText = Signatures.prototype.toText;
+        signaturesMock.toHtml = Signatures.prototype.toHtml;
         emailMock = sinon.createStubInstance(Email);
         keychainMock = sinon.createStubInstance(Keychain);
         statusMock = sinon.createStubInstance(Status);
@@ -30,24 +41,35 @@ describe('Write controller unit test', function() {
         realname = 'Fred Foo';
         authMock.emailAddress = emailAddress;
         authMock.realname = realname;
+        identities = new Identities(undefined, pgpMock, authMock);
 
         angular.module('writetest', ['woEmail', 'woServices', 'woUtil']);
         angular.mock.module('writetest');
-        angular.mock.inject(function($rootScope, $controller) {
+        angular.mock.inject(function($rootScope, $controller, $timeout) {
+            timeout = $timeout;
             scope = $rootScope.$new();
-            scope.state = {};
+            scope.state = {
+                mailList: {
+                    folderOf: sinon.stub(),
+                    emailOf: sinon.stub().returns(emailMock)
+                }
+            };
             ctrl = $controller(WriteCtrl, {
                 $scope: scope,
                 $q: window.qMock,
                 auth: authMock,
                 keychain: keychainMock,
                 pgp: pgpMock,
-                email: emailMock,
                 outbox: outboxMock,
+                drafts: draftsMock,
+                settings: settingsMock,
+                signatures: signaturesMock,
+                identities: identities,
                 dialog: dialogMock,
                 status: statusMock,
                 invitation: invitationMock
             });
+            scope.from = identities.getPrimary();
         });
     });
 
@@ -62,6 +84,7 @@ describe('Write controller unit test', function() {
             expect(scope.verify).to.exist;
             expect(scope.checkSendStatus).to.exist;
             expect(scope.sendToOutbox).to.exist;
+            expect(scope.saveDraft).to.exist;
             expect(scope.tagStyle).to.exist;
             expect(scope.lookupAddressBook).to.exist;
         });
@@ -87,6 +110,7 @@ describe('Write controller unit test', function() {
             expect(scope.to).to.deep.equal([]);
             expect(scope.subject).to.equal('');
             expect(scope.body).to.equal('');
+            expect(scope.sign).to.be.true;
             expect(verifyMock.calledOnce).to.be.true;
 
             scope.verify.restore();
@@ -143,6 +167,8 @@ describe('Write controller unit test', function() {
                 };
 
             scope.sendBtnSecure = false;
+            scope.state.mailList.folderOf.returns('inbox');
+            emailMock.resolveAttachments.returns(resolves([{}]));
 
             scope.state.writer.write(re, null, true);
 
@@ -157,6 +183,469 @@ describe('Write controller unit test', function() {
             scope.verify.restore();
         });
 
+        it('should quote html messages in html mode', function() {
+            var re = {
+                id: 'abc',
+                from: [{
+                    address: 'pity@dafool'
+                }],
+                subject: 'Ermahgerd!',
+                sentDate: new Date(),
+                body: 'so much body!',
+                html: '<p>so much <b>body</b>!<img src="http://example.com/track.png"></p>'
+            };
+            sinon.stub(scope, 'verify');
+
+            scope.state.writer.write(re);
+
+            expect(scope.htmlMode).to.be.true;
+            expect(scope.htmlBody).to.contain('<blockquote type="cite"><p>so much <b>body</b>!');
+            expect(scope.htmlBody).to.not.contain('track.png');
+
+            scope.verify.restore();
+        });
+
+        describe('signature', function() {
+            var signature, re;
+
+            beforeEach(function() {
+                sinon.stub(scope, 'verify');
+                signature = {
+                    id: 'sig',
+                    name: 'Work',
+                    text: 'Fred Foo\nACME Corp.',
+                    html: '<b>Fred Foo</b><br>ACME Corp.'
+                };
+                re = {
+                    from: [{
+                        address: 'pity@dafool'
+                    }],
+                    subject: 'Ermahgerd!',
+                    sentDate: new Date(),
+                    body: 'so much body!'
+                };
+                signaturesMock.getDefault.withArgs(emailAddress).returns(signature);
+                signaturesMock.getPlacement.returns('below');
+            });
+
+            afterEach(function() {
+                scope.verify.restore();
+            });
+
+            it('should insert the default signature into new messages', function() {
+                scope.state.writer.write();
+
+                expect(scope.body).to.equal('\n\n-- \nFred Foo\nACME Corp.');
+            });
+
+            it('should not insert a signature if there is no default', function() {
+                signaturesMock.getDefault.withArgs(emailAddress).returns(undefined);
+
+                scope.state.writer.write();
+
+                expect(scope.body).to.equal('');
+            });
+
+            it('should insert the signature below the quote', function() {
+                scope.state.writer.write(re);
+
+                expect(scope.body).to.match(/> so much body!\n\n-- \nFred Foo\nACME Corp\.$/);
+            });
+
+            it('should insert the signature above the quote', function() {
+                signaturesMock.getPlacement.returns('above');
+
+                scope.state.writer.write(re);
+
+                expect(scope.body).to.match(/^\n\n-- \nFred Foo\nACME Corp\.\n\n.* wrote:\n> so much body!$/);
+            });
+
+            it('should insert the html signature in html mode', function() {
+                re.html = '<p>so much body!</p>';
+
+                scope.state.writer.write(re);
+
+                expect(scope.htmlBody).to.match(/<\/blockquote><br><div class="signature">-- <br><b>Fred Foo<\/b><br>ACME Corp\.<\/div>$/);
+            });
+        });
+
+        describe('identities', function() {
+            var support, re;
+
+            beforeEach(function() {
+                sinon.stub(scope, 'verify');
+                support = {
+                    id: 'support',
+                    name: 'Support',
+                    address: 'support@foo.com',
+                    replyTo: 'tickets@foo.com'
+                };
+                identities._identities = [support];
+                re = {
+                    from: [{
+                        address: 'pity@dafool'
+                    }],
+                    to: [{
+                        address: 'Support@foo.com'
+                    }],
+                    cc: [{
+                        address: emailAddress
+                    }, {
+                        address: 'b.a@dafool'
+                    }],
+                    subject: 'Ermahgerd!',
+                    sentDate: new Date(),
+                    body: 'so much body!'
+                };
+            });
+
+            afterEach(function() {
+                scope.verify.restore();
+            });
+
+            it('should send new messages from the account', function() {
+                scope.state.writer.write();
+
+                expect(scope.identities.length).to.equal(2);
+                expect(scope.from.address).to.equal(emailAddress);
+            });
+
+            it('should reply from the identity the message was addressed to', function() {
+                scope.state.writer.write(re, true);
+
+                expect(scope.from).to.equal(support);
+                expect(_.pluck(scope.cc, 'address')).to.deep.equal(['b.a@dafool']);
+            });
+
+            it('should replace the signature when the identity changes', function() {
+                var accountSignature = {
+                        text: 'Fred'
+                    },
+                    supportSignature = {
+                        text: 'The Support Team'
+                    };
+                signaturesMock.getDefault.withArgs(emailAddress).returns(accountSignature);
+                signaturesMock.getDefault.withArgs('support@foo.com').returns(supportSignature);
+                scope.state.writer.write();
+                scope.body = 'Hi!' + scope.body;
+
+                scope.changeIdentity(support);
+
+                expect(scope.from).to.equal(support);
+                expect(scope.body).to.equal('Hi!\n\n-- \nThe Support Team');
+            });
+
+            it('should send from the identity with its reply-to address', function(done) {
+                scope.state.writer.write(re);
+                outboxMock.put.returns(resolves());
+                emailMock.setFlags.returns(resolves());
+
+                scope.sendToOutbox().then(function() {
+                    var mail = outboxMock.put.firstCall.args[0];
+                    expect(mail.from).to.deep.equal([{
+                        name: 'Support',
+                        address: 'support@foo.com'
+                    }]);
+                    expect(mail.headers['reply-to']).to.equal('tickets@foo.com');
+                    done();
+                });
+            });
+        });
+
+        describe('forward attachments', function() {
+            var re, original, copy;
+
+            beforeEach(function() {
+                sinon.stub(scope, 'verify');
+                scope.state.mailList.folderOf.returns('inbox');
+                original = {
+                    filename: 'a.txt',
+                    partNumber: '2'
+                };
+                copy = {
+                    filename: 'a.txt',
+                    mimeType: 'text/plain',
+                    content: new Uint8Array([97])
+                };
+                re = {
+                    uid: 123,
+                    id: 'abc',
+                    from: [{
+                        address: 'pity@dafool'
+                    }],
+                    to: [],
+                    subject: 'Ermahgerd!',
+                    sentDate: new Date(),
+                    body: 'so much body!',
+                    encrypted: true,
+                    decrypted: true,
+                    attachments: [original]
+                };
+            });
+
+            afterEach(function() {
+                scope.verify.restore();
+            });
+
+            it('should fetch the attachments of a forwarded message', function(done) {
+                var resolved = resolves([copy]);
+                emailMock.resolveAttachments.returns(resolved);
+
+                scope.state.writer.write(re, null, true);
+
+                expect(scope.fetchingAttachments).to.be.true;
+                expect(scope.forwardsEncrypted).to.be.true;
+
+                resolved.then(function() {
+                    setTimeout(function() {
+                        expect(emailMock.resolveAttachments.calledOnce).to.be.true;
+                        expect(emailMock.resolveAttachments.firstCall.args[0].folder).to.equal('inbox');
+                        expect(emailMock.resolveAttachments.firstCall.args[0].message).to.equal(re);
+                        expect(scope.attachments).to.deep.equal([copy]);
+                        expect(scope.fetchingAttachments).to.be.false;
+                        done();
+                    }, 0);
+                });
+            });
+
+            it('should remove the attachments that can not be fetched', function(done) {
+                var added = {
+                        filename: 'b.txt',
+                        content: new Uint8Array([98])
+                    },
+                    rejected = rejects(new Error());
+                emailMock.resolveAttachments.returns(rejected);
+
+                scope.state.writer.write(re, null, true);
+                scope.attachments.push(added);
+
+                rejected.catch(function() {
+                    setTimeout(function() {
+                        expect(scope.attachments).to.deep.equal([added]);
+                        expect(scope.fetchingAttachments).to.be.false;
+                        expect(dialogMock.error.calledOnce).to.be.true;
+                        done();
+                    }, 0);
+                });
+            });
+
+            it('should forward a message as an attachment', function(done) {
+                var attachment = {
+                    filename: 'Ermahgerd!.eml',
+                    mimeType: 'message/rfc822',
+                    content: new Uint8Array([97])
+                };
+                emailMock.getMessageAttachment.withArgs({
+                    folder: 'inbox',
+                    message: re
+                }).returns(resolves(attachment));
+
+                scope.state.writer.forwardAsAttachment(re).then(function() {
+                    expect(scope.writerTitle).to.equal('Forward');
+                    expect(scope.replyTo).to.equal(re);
+                    expect(scope.subject).to.equal('Fwd: Ermahgerd!');
+                    expect(scope.body).to.equal('');
+                    expect(scope.references).to.deep.equal(['abc']);
+                    expect(scope.attachments).to.deep.equal([attachment]);
+                    expect(scope.fetchingAttachments).to.be.false;
+                    expect(scope.forwardsEncrypted).to.be.true;
+                    done();
+                });
+
+                expect(scope.attachments[0].busy).to.be.true;
+                expect(scope.fetchingAttachments).to.be.true;
+            });
+        });
+
+        it('should open a draft', function(done) {
+            var draftMessage = {
+                    uid: 7,
+                    id: 'draft@foo.com'
+                },
+                draft = {
+                    id: 'draft@foo.com',
+                    uid: 7,
+                    to: [{
+                        address: 'pity@dafool'
+                    }],
+                    cc: [],
+                    bcc: [{
+                        address: 'b@dafool'
+                    }],
+                    subject: 'Ermahgerd!',
+                    body: 'so much body!',
+                    attachments: [],
+                    inReplyTo: 'abc',
+                    references: ['abc']
+                };
+
+            sinon.stub(scope, 'verify');
+            scope.state.mailList.folderOf.returns('drafts');
+            draftsMock.open.withArgs({
+                folder: 'drafts',
+                message: draftMessage
+            }).returns(resolves(draft));
+
+            scope.state.writer.write(null, null, null, draftMessage).then(function() {
+                expect(scope.writerTitle).to.equal('Draft');
+                expect(scope.draft).to.equal(draft);
+                expect(scope.to).to.equal(draft.to);
+                expect(scope.showBCC).to.be.true;
+                expect(scope.subject).to.equal('Ermahgerd!');
+                expect(scope.body).to.equal('so much body!');
+                expect(scope.references).to.deep.equal(['abc']);
+                expect(scope.inReplyTo).to.equal('abc');
+                expect(scope.verify.calledTwice).to.be.true;
+
+                scope.verify.restore();
+                done();
+            });
+        });
+
+        it('should close the writer if a draft can not be opened', function(done) {
+            draftsMock.open.returns(rejects(new Error('asdf')));
+
+            scope.state.writer.write(null, null, null, {}).then(function() {
+                expect(scope.state.lightbox).to.be.undefined;
+                expect(dialogMock.error.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should open a message from the outbox to resend it', function() {
+            var attachments = [{
+                filename: 'a.txt'
+            }];
+
+            sinon.stub(scope, 'verify');
+
+            scope.state.writer.resend({
+                to: [{
+                    name: 'Pity',
+                    address: 'pity@dafool',
+                    $$hashKey: 'object:1'
+                }],
+                cc: [],
+                bcc: [{
+                    address: 'bcc@dafool'
+                }],
+                subject: 'Ermahgerd!',
+                body: 'so much body!',
+                attachments: attachments,
+                headers: {
+                    'in-reply-to': '<abc>',
+                    references: '<xyz> <abc>'
+                },
+                sign: false
+            });
+
+            expect(scope.state.lightbox).to.equal('write');
+            expect(scope.to).to.deep.equal([{
+                name: 'Pity',
+                address: 'pity@dafool'
+            }]);
+            expect(scope.showCC).to.be.false;
+            expect(scope.showBCC).to.be.true;
+            expect(scope.subject).to.equal('Ermahgerd!');
+            expect(scope.body).to.equal('so much body!');
+            expect(scope.attachments).to.equal(attachments);
+            expect(scope.inReplyTo).to.equal('abc');
+            expect(scope.references).to.deep.equal(['xyz', 'abc']);
+            expect(scope.sign).to.be.false;
+            expect(scope.verify.calledWith(scope.bcc[0])).to.be.true;
+
+            scope.verify.restore();
+        });
+    });
+
+    describe('drafts', function() {
+        var draft;
+
+        beforeEach(function() {
+            draft = {
+                id: 'draft@foo.com'
+            };
+            draftsMock.create.returns(draft);
+            draftsMock.save.returns(resolves());
+            sinon.stub(scope, 'verify');
+
+            scope.state.writer.write();
+        });
+
+        afterEach(function() {
+            scope.verify.restore();
+        });
+
+        it('should autosave a changed draft', function(done) {
+            scope.to = [{
+                address: 'pity@dafool',
+                displayId: 'pity@dafool',
+                secure: true
+            }];
+            scope.subject = 'Ermahgerd!';
+            scope.sendBtnSecure = true;
+            scope.$digest();
+
+            expect(draftsMock.save.called).to.be.false;
+            timeout.flush();
+
+            setTimeout(function() {
+                expect(draftsMock.save.withArgs(draft).calledOnce).to.be.true;
+                expect(draft.from).to.deep.equal([{
+                    name: realname,
+                    address: emailAddress
+                }]);
+                expect(draft.to).to.deep.equal([{
+                    address: 'pity@dafool'
+                }]);
+                expect(draft.subject).to.equal('Ermahgerd!');
+                expect(draft.secure).to.be.true;
+                done();
+            }, 0);
+        });
+
+        it('should not save an unchanged draft', function(done) {
+            scope.$digest();
+            timeout.verifyNoPendingTasks();
+
+            scope.saveDraft().then(function() {
+                expect(draftsMock.save.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should save pending changes when the writer is closed', function(done) {
+            scope.body = 'so much body!';
+            scope.$digest();
+
+            scope.state.writer.close();
+
+            setTimeout(function() {
+                expect(draftsMock.save.withArgs(draft).calledOnce).to.be.true;
+                expect(draft.body).to.equal('so much body!');
+                expect(scope.draft).to.be.undefined;
+                timeout.verifyNoPendingTasks();
+                done();
+            }, 0);
+        });
+
+        it('should remove the draft after sending', function(done) {
+            scope.to = [{
+                address: 'pity@dafool'
+            }];
+            scope.subject = 'Ermahgerd!';
+            outboxMock.put.returns(resolves());
+            draftsMock.remove.returns(rejects({
+                code: 42
+            }));
+
+            scope.sendToOutbox().then(function() {
+                expect(draftsMock.save.called).to.be.false;
+                expect(draftsMock.remove.withArgs(draft).calledOnce).to.be.true;
+                expect(dialogMock.error.called).to.be.false;
+                done();
+            });
+        });
     });
 
     describe('verify', function() {
@@ -324,6 +813,57 @@ describe('Write controller unit test', function() {
             expect(scope.sendBtnSecure).to.be.false;
         });
 
+        it('should offer to encrypt for the secure receivers', function() {
+            scope.to = [{
+                address: 'asdf@asdf.de',
+                secure: true
+            }, {
+                address: 'asdf@asdfg.de'
+            }];
+            scope.checkSendStatus();
+
+            expect(scope.canSplit).to.be.true;
+            expect(scope.sendBtnText).to.equal('Send');
+
+            scope.encryptWherePossible = true;
+            scope.checkSendStatus();
+
+            expect(scope.okToSend).to.be.true;
+            expect(scope.sendBtnText).to.equal('Send securely where possible');
+            expect(scope.sendBtnSecure).to.be.false;
+        });
+
+        it('should be able to send securely with bcc', function() {
+            scope.to = [{
+                address: 'asdf@asdf.de',
+                secure: true
+            }];
+            scope.bcc = [{
+                address: 'asdf@asdfg.de',
+                secure: true
+            }];
+            scope.checkSendStatus();
+
+            expect(scope.canSplit).to.be.false;
+            expect(scope.okToSend).to.be.true;
+            expect(scope.sendBtnText).to.equal('Send securely');
+            expect(scope.sendBtnSecure).to.be.true;
+        });
+
+        it('should offer to encrypt for some receivers with bcc', function() {
+            scope.to = [{
+                address: 'asdf@asdf.de',
+                secure: true
+            }];
+            scope.bcc = [{
+                address: 'asdf@asdfg.de'
+            }];
+            scope.checkSendStatus();
+
+            expect(scope.canSplit).to.be.true;
+            expect(scope.sendBtnText).to.equal('Send');
+        });
+
         it('should be able to send securely to multiple recipients', function() {
             scope.to = [{
                 address: 'asdf@asdf.de',
@@ -429,6 +969,27 @@ describe('Write controller unit test', function() {
         });
     });
 
+    describe('toggleHtmlMode', function() {
+        it('should convert the plaintext to html', function() {
+            scope.body = 'so <much>\nbody!';
+
+            scope.toggleHtmlMode(true);
+
+            expect(scope.htmlMode).to.be.true;
+            expect(scope.htmlBody).to.equal('so &lt;much&gt;<br>body!');
+        });
+
+        it('should convert the html to plaintext', function() {
+            scope.htmlMode = true;
+            scope.htmlBody = '<p>so <b>much</b></p><p>body!</p>';
+
+            scope.toggleHtmlMode(false);
+
+            expect(scope.htmlMode).to.be.false;
+            expect(scope.body).to.equal('so much\n\nbody!');
+        });
+    });
+
     describe('send to outbox', function() {
         it('should work', function(done) {
             scope.to = [{
@@ -439,9 +1000,9 @@ describe('Write controller unit test', function() {
             scope.subject = 'Ermahgerd!';
             scope.body = 'wow. much body! very text!';
             scope.attachments = [];
-            scope.state.nav = {
-                currentFolder: 'currentFolder'
-            };
+            scope.state.mailList.folderOf.returns('currentFolder');
+            scope.sendAt = new Date(2000);
+            scope.hideKeyIds = true;
 
             scope.replyTo = {};
 
@@ -458,6 +1019,10 @@ describe('Write controller unit test', function() {
                 expect(mail.subject).to.equal(scope.subject);
                 expect(mail.attachments).to.be.empty;
                 expect(mail.sentDate).to.exist;
+                expect(mail.sendAt).to.equal(scope.sendAt);
+                expect(mail.holdUntil.getTime()).to.be.above(Date.now());
+                expect(mail.sign).to.be.false;
+                expect(mail.hideKeyIds).to.be.true;
 
                 return true;
             })).returns(resolves());
@@ -467,11 +1032,164 @@ describe('Write controller unit test', function() {
                 expect(statusMock.setReading.withArgs(false).calledOnce).to.be.true;
                 expect(outboxMock.put.calledOnce).to.be.true;
                 expect(emailMock.setFlags.calledOnce).to.be.true;
+                expect(emailMock.setFlags.calledWith({
+                    folder: 'currentFolder',
+                    message: scope.replyTo
+                })).to.be.true;
+                expect(scope.state.mailList.emailOf.calledWith(scope.replyTo)).to.be.true;
                 expect(scope.state.lightbox).to.be.undefined;
                 expect(scope.replyTo.answered).to.be.true;
+                expect(statusMock.offerUndo.withArgs('Message scheduled').calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should send the html with a generated plaintext alternative in html mode', function(done) {
+            scope.to = [{
+                address: 'pity@dafool'
+            }];
+            scope.cc = [];
+            scope.bcc = [];
+            scope.subject = 'Ermahgerd!';
+            scope.htmlMode = true;
+            scope.htmlBody = '<p>wow. much <b>body</b>!</p>';
+            scope.attachments = [];
+
+            outboxMock.put.returns(resolves());
+
+            scope.sendToOutbox().then(function() {
+                var mail = outboxMock.put.firstCall.args[0];
+                expect(mail.html).to.equal('<p>wow. much <b>body</b>!</p>');
+                expect(mail.body).to.equal('wow. much body!');
                 done();
             });
         });
+
+        it('should pull the message back into the writer on undo', function(done) {
+            var to = [{
+                    address: 'pity@dafool'
+                }],
+                attachments = [{
+                    filename: 'a.txt'
+                }],
+                message;
+
+            sinon.stub(scope, 'verify');
+            scope.state.writer.write();
+            scope.to = to;
+            scope.subject = 'Ermahgerd!';
+            scope.body = 'wow. much body! very text!';
+            scope.attachments = attachments;
+            scope.references = ['abc'];
+            scope.inReplyTo = 'abc';
+
+            outboxMock.put.returns(resolves());
+
+            scope.sendToOutbox().then(function() {
+                message = outboxMock.put.firstCall.args[0];
+                expect(scope.state.lightbox).to.be.undefined;
+                expect(statusMock.offerUndo.withArgs('Sending message...', sinon.match.func, appConfig.config.undoSendDelay).calledOnce).to.be.true;
+
+                outboxMock.withdraw.withArgs(message).returns(resolves());
+                return statusMock.offerUndo.firstCall.args[1]();
+
+            }).then(function() {
+                expect(outboxMock.withdraw.calledOnce).to.be.true;
+                expect(scope.state.lightbox).to.equal('write');
+                expect(scope.to).to.equal(to);
+                expect(scope.subject).to.equal('Ermahgerd!');
+                expect(scope.body).to.equal('wow. much body! very text!');
+                expect(scope.attachments).to.equal(attachments);
+                expect(scope.references).to.deep.equal(['abc']);
+                expect(scope.inReplyTo).to.equal('abc');
+                expect(scope.verify.withArgs(to[0]).called).to.be.true;
+
+                scope.verify.restore();
+                done();
+            });
+        });
+
+        it('should show an error if the message has already been sent', function(done) {
+            scope.state.writer.write();
+            scope.to = [{
+                address: 'pity@dafool'
+            }];
+            outboxMock.put.returns(resolves());
+            outboxMock.withdraw.returns(rejects(new Error('sent')));
+
+            scope.sendToOutbox().then(function() {
+                return statusMock.offerUndo.firstCall.args[1]();
+            }).then(function() {
+                expect(dialogMock.error.calledOnce).to.be.true;
+                expect(scope.state.lightbox).to.be.undefined;
+                done();
+            });
+        });
+
+        it('should confirm forwarding an encrypted message in the plain', function() {
+            scope.to = [{
+                address: 'pity@dafool'
+            }];
+            scope.cc = [];
+            scope.bcc = [];
+            scope.subject = 'Fwd: Ermahgerd!';
+            scope.body = '';
+            scope.attachments = [];
+            scope.state.mailList.folderOf.returns('currentFolder');
+            scope.forwardsEncrypted = true;
+            scope.sendBtnSecure = false;
+
+            scope.sendToOutbox();
+
+            expect(dialogMock.confirm.calledOnce).to.be.true;
+            expect(outboxMock.put.called).to.be.false;
+
+            sinon.stub(scope, 'sendToOutbox');
+            dialogMock.confirm.firstCall.args[0].callback(true);
+
+            expect(scope.sendToOutbox.calledWith(true)).to.be.true;
+            scope.sendToOutbox.restore();
+        });
+
+        it('should not confirm forwarding an encrypted message securely', function(done) {
+            scope.to = [{
+                address: 'pity@dafool'
+            }];
+            scope.cc = [];
+            scope.bcc = [];
+            scope.subject = 'Fwd: Ermahgerd!';
+            scope.body = '';
+            scope.attachments = [];
+            scope.state.mailList.folderOf.returns('currentFolder');
+            scope.forwardsEncrypted = true;
+            scope.sendBtnSecure = true;
+            outboxMock.put.returns(resolves());
+
+            scope.sendToOutbox().then(function() {
+                expect(dialogMock.confirm.called).to.be.false;
+                expect(outboxMock.put.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('toggleSendAt', function() {
+        it('should start at the next full hour', function() {
+            scope.toggleSendAt(true);
+
+            expect(scope.showSendAt).to.be.true;
+            expect(scope.sendAt.getMinutes()).to.equal(0);
+            expect(scope.sendAt.getTime()).to.be.above(Date.now());
+            expect(scope.sendAt.getTime()).to.be.at.most(Date.now() + 3600000);
+        });
+
+        it('should send right away when hidden', function() {
+            scope.toggleSendAt(true);
+            scope.toggleSendAt(false);
+
+            expect(scope.showSendAt).to.be.false;
+            expect(scope.sendAt).to.be.undefined;
+        });
     });
 
     describe('lookupAddressBook', function() {
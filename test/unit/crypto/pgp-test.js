@@ -44,6 +44,17 @@ describe('PGP Crypto Api unit tests', function() {
 
     afterEach(function() {});
 
+    describe('Worker', function() {
+        it('should start the worker once for all instances', function() {
+            sinon.spy(openpgp, 'initWorker');
+
+            expect(new PGP()).to.exist;
+            expect(openpgp.initWorker.called).to.be.false;
+
+            openpgp.initWorker.restore();
+        });
+    });
+
     describe('Generate key pair', function() {
         it('should fail', function(done) {
             pgp.generateKeys({
@@ -205,6 +216,37 @@ describe('PGP Crypto Api unit tests', function() {
         });
     });
 
+    describe('Signing keys', function() {
+        it('should fail for an incorrect passphrase', function(done) {
+            pgp.importSigningKey({
+                privateKeyArmored: privkey,
+                passphrase: 'asd'
+            }).catch(function(err) {
+                expect(err.message).to.equal('Incorrect passphrase!');
+                expect(pgp.getSigningKey(keyId)).to.not.exist;
+                done();
+            });
+        });
+
+        it('should unlock the key and export it without passphrase', function(done) {
+            pgp.importSigningKey({
+                privateKeyArmored: privkey,
+                passphrase: passphrase
+            }).then(function(key) {
+                expect(key.keyId).to.equal(keyId);
+                expect(pgp.getSigningKey(keyId).primaryKey.isDecrypted).to.be.true;
+
+                // the exported key is unlocked without a passphrase
+                return new PGP().importSigningKey({
+                    privateKeyArmored: key.privateKeyArmored
+                });
+            }).then(function(key) {
+                expect(key.keyId).to.equal(keyId);
+                done();
+            });
+        });
+    });
+
     describe('Change passphrase of private key', function() {
         it('should work with new passphrase', function(done) {
             pgp.changePassphrase({
@@ -349,6 +391,23 @@ describe('PGP Crypto Api unit tests', function() {
                     done();
                 });
             });
+            it('should hide the key ids', function(done) {
+                pgp.encrypt(message, [pubkey], true).then(function(ct) {
+                    var keyIds = openpgp.message.readArmored(ct).getEncryptionKeyIds();
+                    expect(keyIds.length).to.equal(1);
+                    expect(keyIds[0].toHex()).to.equal('0000000000000000');
+                    done();
+                });
+            });
+        });
+
+        describe('Hide key ids', function() {
+            it('should fail', function(done) {
+                pgp.hideKeyIds('asdfa\rsdf').catch(function(err) {
+                    expect(err.message).to.match(/parsing/);
+                    done();
+                });
+            });
         });
 
         describe('Decrypt and verify', function() {
@@ -402,6 +461,23 @@ describe('PGP Crypto Api unit tests', function() {
                     done();
                 });
             });
+            it('should work for anonymous receivers', function(done) {
+                pgp.encrypt(message, [wrongPubkey, pubkey], true).then(function(ct) {
+                    return pgp.decrypt(ct, pubkey);
+                }).then(function(pt) {
+                    expect(pt.decrypted).to.equal(message);
+                    expect(pt.signaturesValid).to.be.true;
+                    done();
+                });
+            });
+            it('should fail for anonymous receivers without the own key', function(done) {
+                pgp.encrypt(message, [wrongPubkey], true).then(function(ct) {
+                    return pgp.decrypt(ct, pubkey);
+                }).catch(function(err) {
+                    expect(err.message).to.match(/decrypting/);
+                    done();
+                });
+            });
         });
 
         describe('Verify clearsigned message', function() {
@@ -6,12 +6,16 @@ var Account = require('../../../src/js/email/account'),
     DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
     Email = require('../../../src/js/email/email'),
     Outbox = require('../../../src/js/email/outbox'),
+    Drafts = require('../../../src/js/email/drafts'),
+    Settings = require('../../../src/js/service/settings'),
+    Signatures = require('../../../src/js/service/signatures'),
+    Identities = require('../../../src/js/email/identities'),
+    SyncScheduler = require('../../../src/js/email/sync-scheduler'),
     Keychain = require('../../../src/js/service/keychain'),
-    UpdateHandler = require('../../../src/js/util/update/update-handler'),
-    Dialog = require('../../../src/js/util/dialog');
+    UpdateHandler = require('../../../src/js/util/update/update-handler');
 
 describe('Account Service unit test', function() {
-    var account, authStub, outboxStub, emailStub, devicestorageStub, keychainStub, updateHandlerStub, dialogStub,
+    var account, services, injectorStub, authStub, outboxStub, draftsStub, settingsStub, signaturesStub, identitiesStub, syncSchedulerStub, emailStub, devicestorageStub, keychainStub, updateHandlerStub,
         realname = 'John Doe',
         dummyUser = 'spiderpig@springfield.com';
 
@@ -23,13 +27,37 @@ describe('Account Service unit test', function() {
         devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
         emailStub = sinon.createStubInstance(Email);
         outboxStub = sinon.createStubInstance(Outbox);
+        draftsStub = sinon.createStubInstance(Drafts);
+        settingsStub = sinon.createStubInstance(Settings);
+        signaturesStub = sinon.createStubInstance(Signatures);
+        identitiesStub = sinon.createStubInstance(Identities);
+        syncSchedulerStub = sinon.createStubInstance(SyncScheduler);
         keychainStub = sinon.createStubInstance(Keychain);
         updateHandlerStub = sinon.createStubInstance(UpdateHandler);
-        dialogStub = sinon.createStubInstance(Dialog);
-        account = new Account(appConfig, authStub, devicestorageStub, emailStub, outboxStub, keychainStub, updateHandlerStub, dialogStub);
+        services = {
+            auth: authStub,
+            accountStore: devicestorageStub,
+            email: emailStub,
+            outbox: outboxStub,
+            drafts: draftsStub,
+            settings: settingsStub,
+            identities: identitiesStub,
+            syncScheduler: syncSchedulerStub,
+            keychain: keychainStub,
+            updateHandler: updateHandlerStub
+        };
+        injectorStub = {
+            instantiate: sinon.stub()
+        };
+        sinon.stub(Account.prototype, '_createServices').returns(services);
+        account = new Account(appConfig, injectorStub, signaturesStub);
     });
 
-    afterEach(function() {});
+    afterEach(function() {
+        if (Account.prototype._createServices.restore) {
+            Account.prototype._createServices.restore();
+        }
+    });
 
     describe('isLoggedIn', function() {
         it('should be logged in', function() {
@@ -85,6 +113,37 @@ describe('Account Service unit test', function() {
             });
         });
 
+        it('should fail for _settings.load', function(done) {
+            devicestorageStub.init.returns(resolves());
+            updateHandlerStub.update.returns(resolves());
+            settingsStub.load.returns(rejects(new Error('asdf')));
+
+            account.init({
+                emailAddress: dummyUser,
+                realname: realname
+            }).catch(function(err) {
+                expect(err.message).to.match(/asdf/);
+                expect(keychainStub.getUserKeyPair.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail for _signatures.load', function(done) {
+            devicestorageStub.init.returns(resolves());
+            updateHandlerStub.update.returns(resolves());
+            settingsStub.load.returns(resolves());
+            signaturesStub.load.withArgs(dummyUser).returns(rejects(new Error('asdf')));
+
+            account.init({
+                emailAddress: dummyUser,
+                realname: realname
+            }).catch(function(err) {
+                expect(err.message).to.match(/asdf/);
+                expect(keychainStub.getUserKeyPair.called).to.be.false;
+                done();
+            });
+        });
+
         it('should fail for _keychain.getUserKeyPair', function() {
             devicestorageStub.init.returns(resolves());
             updateHandlerStub.update.returns(resolves());
@@ -198,17 +257,215 @@ describe('Account Service unit test', function() {
         });
     });
 
+    describe('init with other accounts', function() {
+        it('should fail for an account that is already logged in', function(done) {
+            account._services[dummyUser] = services;
+
+            account.init({
+                emailAddress: dummyUser,
+                realname: realname
+            }).catch(function(err) {
+                expect(err.message).to.match(/already logged in/);
+                expect(devicestorageStub.init.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should init the services of the selected account', function(done) {
+            var otherServices = _.clone(services);
+            otherServices.accountStore = sinon.createStubInstance(DeviceStorageDAO);
+            otherServices.accountStore.init.returns(rejects(new Error('asdf')));
+            authStub.init.returns(resolves());
+            Account.prototype._createServices.returns(otherServices);
+
+            account.add().then(function() {
+                return account.init({
+                    emailAddress: dummyUser,
+                    realname: realname
+                });
+            }).catch(function(err) {
+                expect(err.message).to.match(/asdf/);
+                expect(otherServices.accountStore.init.calledWith(dummyUser)).to.be.true;
+                expect(devicestorageStub.init.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('services', function() {
+        it('should look up the services of an account', function() {
+            var acc = {
+                    emailAddress: dummyUser
+                },
+                otherServices = {};
+
+            account._accounts = [acc];
+            account._services[dummyUser] = otherServices;
+
+            expect(account.services()).to.equal(services);
+            expect(account.services(acc)).to.equal(otherServices);
+            expect(account.selected()).to.be.undefined;
+
+            account.select(acc);
+            expect(account.services()).to.equal(otherServices);
+            expect(account.selected()).to.equal(acc);
+        });
+    });
+
+    describe('accountOf', function() {
+        it('should find the account of a folder', function() {
+            var inbox = {},
+                acc = {
+                    folders: [inbox]
+                };
+
+            account._accounts = [{}, acc];
+            expect(account.accountOf(inbox)).to.equal(acc);
+            expect(account.accountOf({})).to.be.undefined;
+        });
+    });
+
+    describe('add', function() {
+        it('should select the services of a stored account', function(done) {
+            var otherServices = {
+                auth: sinon.createStubInstance(Auth)
+            };
+            Account.prototype._createServices.returns(otherServices);
+            otherServices.auth.init.returns(resolves());
+            otherServices.auth.getEmailAddress.withArgs(dummyUser).returns(resolves());
+
+            account.add(dummyUser).then(function() {
+                expect(account.services()).to.equal(otherServices);
+                expect(otherServices.auth.getEmailAddress.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('initStored', function() {
+        var otherUser = 'bart@springfield.com',
+            otherServices, keys;
+
+        beforeEach(function() {
+            keys = {
+                publicKey: 'publicKey',
+                privateKey: 'privateKey'
+            };
+            otherServices = _.clone(services);
+            otherServices.auth = sinon.createStubInstance(Auth);
+            otherServices.email = sinon.createStubInstance(Email);
+            otherServices.drafts = sinon.createStubInstance(Drafts);
+            otherServices.syncScheduler = sinon.createStubInstance(SyncScheduler);
+            otherServices.auth.getEmailAddress.withArgs(otherUser).returns(resolves({
+                emailAddress: otherUser,
+                realname: 'Bart'
+            }));
+            otherServices.email.init.returns(resolves());
+            Account.prototype._createServices.returns(otherServices);
+
+            account._accounts = [{
+                emailAddress: dummyUser
+            }];
+            account._services[dummyUser] = services;
+            authStub.listAccounts.returns(resolves([{
+                emailAddress: dummyUser
+            }, {
+                emailAddress: otherUser
+            }]));
+            devicestorageStub.init.returns(resolves());
+            updateHandlerStub.update.returns(resolves());
+            settingsStub.load.returns(resolves());
+            signaturesStub.load.returns(resolves());
+            identitiesStub.load.returns(resolves());
+            keychainStub.getUserKeyPair.withArgs(otherUser).returns(resolves(keys));
+        });
+
+        it('should log in and connect the other accounts', function(done) {
+            otherServices.email.unlock.returns(resolves());
+            otherServices.email.onConnect.returns(resolves());
+            otherServices.drafts.uploadPending.returns(resolves());
+
+            account.initStored().then(function() {
+                expect(account._accounts.length).to.equal(2);
+                expect(account.services(account._accounts[1])).to.equal(otherServices);
+                expect(otherServices.email.unlock.calledWith({
+                    keypair: keys,
+                    passphrase: undefined
+                })).to.be.true;
+                expect(otherServices.email.onConnect.calledOnce).to.be.true;
+                expect(otherServices.syncScheduler.start.calledOnce).to.be.true;
+                expect(account.listLocked()).to.be.empty;
+                expect(account.initStored()).to.equal(account._initStored);
+                done();
+            });
+        });
+
+        it('should list the accounts whose keys are protected by a passphrase', function(done) {
+            otherServices.email.unlock.returns(rejects(new Error('Wrong passphrase')));
+
+            account.initStored().then(function() {
+                expect(account._accounts.length).to.equal(1);
+                expect(account._services[otherUser]).to.not.exist;
+                expect(otherServices.email.onConnect.called).to.be.false;
+                expect(account.listLocked()).to.deep.equal([otherUser]);
+                done();
+            });
+        });
+    });
+
     describe('onConnect', function() {
+        var otherServices;
+
         beforeEach(function() {
-            emailStub._account = {};
+            otherServices = {
+                email: sinon.createStubInstance(Email),
+                drafts: sinon.createStubInstance(Drafts)
+            };
+            account._accounts = [{
+                emailAddress: dummyUser
+            }, {
+                emailAddress: 'bart@springfield.com',
+                online: true
+            }];
+            account._services[dummyUser] = services;
+            account._services['bart@springfield.com'] = otherServices;
         });
 
         it('should work', function(done) {
             emailStub.onConnect.returns(resolves());
+            draftsStub.uploadPending.returns(resolves());
 
             account.onConnect(function(err) {
                 expect(err).to.not.exist;
                 expect(emailStub.onConnect.calledOnce).to.be.true;
+                expect(draftsStub.uploadPending.calledOnce).to.be.true;
+                expect(syncSchedulerStub.start.calledOnce).to.be.true;
+                expect(otherServices.email.onConnect.called).to.be.false;
+                expect(account._connecting).to.be.empty;
+                done();
+            });
+        });
+
+        it('should not connect accounts twice', function(done) {
+            emailStub.onConnect.returns(resolves());
+            draftsStub.uploadPending.returns(resolves());
+            account._connecting[dummyUser] = true;
+
+            account.onConnect(function(err) {
+                expect(err).to.not.exist;
+                expect(emailStub.onConnect.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should not upload drafts if connecting fails', function(done) {
+            emailStub.onConnect.returns(rejects(new Error('asdf')));
+
+            account.onConnect(function(err) {
+                expect(err.message).to.match(/asdf/);
+                expect(draftsStub.uploadPending.called).to.be.false;
+                expect(syncSchedulerStub.start.called).to.be.false;
+                expect(account._connecting).to.be.empty;
                 done();
             });
         });
@@ -216,8 +473,32 @@ describe('Account Service unit test', function() {
 
     describe('onDisconnect', function() {
         it('should work', function(done) {
+            account._accounts = [{
+                emailAddress: dummyUser,
+                online: true
+            }];
+            account._services[dummyUser] = services;
             emailStub.onDisconnect.returns(resolves());
-            account.onDisconnect().then(done);
+
+            account.onDisconnect().then(function() {
+                expect(syncSchedulerStub.stop.calledOnce).to.be.true;
+                expect(emailStub.onDisconnect.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('_createServices', function() {
+        it('should instantiate the services of an account', function() {
+            Account.prototype._createServices.restore();
+            injectorStub.instantiate.withArgs(Email).returns(emailStub);
+            injectorStub.instantiate.returns({});
+
+            var created = account._createServices();
+            expect(created.email).to.equal(emailStub);
+            expect(created.auth).to.exist;
+            expect(created.outbox).to.exist;
+            expect(injectorStub.instantiate.calledWith(Email, created)).to.be.true;
         });
     });
 
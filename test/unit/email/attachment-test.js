@@ -0,0 +1,106 @@
+'use strict';
+
+var attachment = require('../../../src/js/email/attachment');
+
+describe('Attachment unit tests', function() {
+    function toString(chunks) {
+        var str = '';
+        chunks.forEach(function(chunk) {
+            for (var i = 0; i < chunk.length; i++) {
+                str += String.fromCharCode(chunk[i]);
+            }
+        });
+        return str;
+    }
+
+    describe('decode', function() {
+        it('should decode base64 in chunks', function() {
+            var content = new Array(400 * 1024).join('abc'),
+                raw = 'Content-Type: text/plain;\r\n name=a.txt\r\nContent-Transfer-Encoding: base64\r\n\r\n' + btoa(content).replace(/.{76}/g, '$&\r\n'),
+                progress = [];
+
+            var decoded = attachment.decode(raw, function(value) {
+                progress.push(value);
+            });
+
+            expect(decoded.mimeType).to.equal('text/plain');
+            expect(decoded.chunks.length).to.be.above(1);
+            expect(toString(decoded.chunks)).to.equal(content);
+            expect(progress.length).to.equal(decoded.chunks.length);
+            expect(progress[progress.length - 1]).to.equal(1);
+        });
+
+        it('should decode quoted-printable', function() {
+            var raw = 'Content-Type: text/plain\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\nso=20much =\r\nbody=3D';
+
+            var decoded = attachment.decode(raw);
+
+            expect(toString(decoded.chunks)).to.equal('so much body=');
+        });
+
+        it('should keep unencoded content', function() {
+            var decoded = attachment.decode('Content-Disposition: attachment\r\n\r\nwow. such content.');
+
+            expect(decoded.mimeType).to.equal('application/octet-stream');
+            expect(toString(decoded.chunks)).to.equal('wow. such content.');
+        });
+    });
+
+    describe('decodeToBlob', function() {
+        it('should decode to a blob', function(done) {
+            var content = new Array(400 * 1024).join('abc'),
+                raw = 'Content-Type: text/plain\r\nContent-Transfer-Encoding: base64\r\n\r\n' + btoa(content).replace(/.{76}/g, '$&\r\n'),
+                progress = [],
+                reader = new FileReader();
+
+            var blob = attachment.decodeToBlob(raw, undefined, function(value) {
+                progress.push(value);
+            });
+
+            expect(blob.type).to.equal('text/plain');
+            expect(blob.size).to.equal(content.length);
+            expect(progress.length).to.be.above(1);
+
+            reader.onload = function() {
+                expect(reader.result).to.equal(content);
+                done();
+            };
+            reader.readAsBinaryString(blob);
+        });
+
+        it('should use the mime type of the attachment', function() {
+            var blob = attachment.decodeToBlob('Content-Type: application/octet-stream\r\n\r\n%PDF', 'application/pdf');
+
+            expect(blob.type).to.equal('application/pdf');
+            expect(blob.size).to.equal(4);
+        });
+    });
+
+    describe('toBase64', function() {
+        it('should encode large contents', function() {
+            var bytes = new Uint8Array(100 * 1024),
+                binary = '';
+            for (var i = 0; i < bytes.length; i++) {
+                bytes[i] = i % 256;
+                binary += String.fromCharCode(bytes[i]);
+            }
+
+            expect(attachment.toBase64(bytes)).to.equal(btoa(binary));
+        });
+    });
+
+    describe('previewType', function() {
+        it('should detect the preview type', function() {
+            expect(attachment.previewType('image/JPEG', 'a.jpg')).to.equal('image');
+            expect(attachment.previewType('application/octet-stream', 'a.pdf')).to.equal('pdf');
+            expect(attachment.previewType('message/rfc822')).to.equal('message');
+            expect(attachment.previewType('text/x-csrc', 'a.c')).to.equal('text');
+            expect(attachment.previewType('application/octet-stream', 'README.md')).to.equal('text');
+        });
+
+        it('should not preview other attachments', function() {
+            expect(attachment.previewType('image/svg+xml', 'a.svg')).to.not.exist;
+            expect(attachment.previewType('application/zip', 'a.zip')).to.not.exist;
+        });
+    });
+});
@@ -0,0 +1,372 @@
+'use strict';
+
+var Drafts = require('../../../src/js/email/drafts'),
+    Email = require('../../../src/js/email/email'),
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
+    PGP = require('../../../src/js/crypto/pgp');
+
+describe('Drafts unit test', function() {
+    var drafts, emailStub, devicestorageStub, pgpStub, draft;
+
+    beforeEach(function() {
+        emailStub = sinon.createStubInstance(Email);
+        emailStub._account = {
+            emailAddress: 'fred@foo.com',
+            online: true
+        };
+        devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
+        pgpStub = sinon.createStubInstance(PGP);
+        drafts = new Drafts(emailStub, pgpStub, devicestorageStub);
+
+        draft = {
+            id: 'draft@foo.com',
+            from: [{
+                address: 'fred@foo.com'
+            }],
+            to: [{
+                address: 'pity@dafool'
+            }],
+            cc: [],
+            bcc: [],
+            subject: 'Ermahgerd!',
+            body: 'so much body!',
+            attachments: [{
+                filename: 'a.bin',
+                mimeType: 'application/octet-stream',
+                content: new Uint8Array([0, 1, 255])
+            }],
+            inReplyTo: 'abc',
+            references: ['abc'],
+            secure: true
+        };
+    });
+
+    afterEach(function() {});
+
+    describe('create', function() {
+        it('should create a draft with a message id', function() {
+            expect(drafts.create().id).to.match(/^.+@foo\.com$/);
+            expect(drafts.create().id).to.not.equal(drafts.create().id);
+        });
+    });
+
+    describe('save', function() {
+        beforeEach(function() {
+            pgpStub.encrypt.returns(resolves('ciphertext'));
+            devicestorageStub.storeList.returns(resolves());
+        });
+
+        it('should store and upload a draft', function(done) {
+            draft.uid = 3;
+            emailStub.uploadDraft.withArgs(sinon.match(function(options) {
+                expect(options.draft.to).to.equal(draft.to);
+                expect(options.draft.headers).to.deep.equal({
+                    'message-id': '<draft@foo.com>',
+                    'in-reply-to': '<abc>',
+                    references: '<abc>'
+                });
+                expect(options.encrypt).to.be.true;
+                expect(options.uid).to.equal(3);
+                return true;
+            })).returns(resolves(5));
+
+            drafts.save(draft).then(function() {
+                var stored = JSON.parse(pgpStub.encrypt.firstCall.args[0]);
+
+                expect(stored.attachments[0].content).to.equal('\u0000\u0001ÿ');
+                expect(stored.uploaded).to.be.false;
+                expect(pgpStub.encrypt.calledTwice).to.be.true;
+                expect(devicestorageStub.storeList.withArgs([{
+                    id: 'draft@foo.com',
+                    ciphertext: 'ciphertext'
+                }], 'drafts').calledTwice).to.be.true;
+                expect(draft.uid).to.equal(5);
+                expect(draft.uploaded).to.be.true;
+                done();
+            });
+        });
+
+        it('should keep the attachments of a secure draft', function(done) {
+            var attachment = draft.attachments[0];
+
+            emailStub.uploadDraft.withArgs(sinon.match(function(options) {
+                // the pgpbuilder empties the attachments of secure messages
+                options.draft.attachments.length = 0;
+                return true;
+            })).returns(resolves(5));
+
+            drafts.save(draft).then(function() {
+                var stored = JSON.parse(pgpStub.encrypt.secondCall.args[0]);
+
+                expect(draft.attachments).to.deep.equal([attachment]);
+                expect(stored.attachments.length).to.equal(1);
+                expect(stored.attachments[0].filename).to.equal('a.bin');
+                done();
+            });
+        });
+
+        it('should only store a draft when offline', function(done) {
+            emailStub._account.online = false;
+
+            drafts.save(draft).then(function() {
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(emailStub.uploadDraft.called).to.be.false;
+                expect(draft.uploaded).to.be.false;
+                done();
+            });
+        });
+
+        it('should keep the local draft if the upload fails', function(done) {
+            emailStub.uploadDraft.returns(rejects(new Error('asdf')));
+
+            drafts.save(draft).then(function() {
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(draft.uploaded).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail if the draft can not be stored', function(done) {
+            devicestorageStub.storeList.returns(rejects(new Error('asdf')));
+
+            drafts.save(draft).catch(function(err) {
+                expect(err.message).to.match(/asdf/);
+                expect(emailStub.uploadDraft.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('uploadPending', function() {
+        it('should upload the drafts that were saved offline', function(done) {
+            devicestorageStub.listItems.withArgs('drafts', 0, null).returns(resolves([{
+                ciphertext: 'pending'
+            }, {
+                ciphertext: 'uploaded'
+            }]));
+            pgpStub.decrypt.withArgs('pending').returns(resolves({
+                decrypted: JSON.stringify({
+                    id: 'pending@foo.com',
+                    attachments: [],
+                    uploaded: false
+                }),
+                signaturesValid: true
+            }));
+            pgpStub.decrypt.withArgs('uploaded').returns(resolves({
+                decrypted: JSON.stringify({
+                    id: 'uploaded@foo.com',
+                    attachments: [],
+                    uploaded: true
+                }),
+                signaturesValid: true
+            }));
+            emailStub.uploadDraft.returns(resolves(5));
+            pgpStub.encrypt.returns(resolves('ciphertext'));
+            devicestorageStub.storeList.returns(resolves());
+
+            drafts.uploadPending().then(function(result) {
+                expect(result).to.be.undefined;
+                expect(emailStub.uploadDraft.calledOnce).to.be.true;
+                expect(emailStub.uploadDraft.firstCall.args[0].draft.headers['message-id']).to.equal('<pending@foo.com>');
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('load', function() {
+        it('should decrypt a stored draft', function(done) {
+            devicestorageStub.listItems.withArgs('drafts_draft@foo.com', 0, null).returns(resolves([{
+                id: 'draft@foo.com',
+                ciphertext: 'ciphertext'
+            }]));
+            pgpStub.decrypt.withArgs('ciphertext', undefined).returns(resolves({
+                decrypted: JSON.stringify({
+                    id: 'draft@foo.com',
+                    attachments: [{
+                        filename: 'a.bin',
+                        content: '\u0000\u0001ÿ'
+                    }]
+                }),
+                signaturesValid: true
+            }));
+
+            drafts.load('draft@foo.com').then(function(loaded) {
+                expect(loaded.id).to.equal('draft@foo.com');
+                expect(loaded.attachments[0].content).to.deep.equal(new Uint8Array([0, 1, 255]));
+                done();
+            });
+        });
+
+        it('should fail for invalid signatures', function(done) {
+            devicestorageStub.listItems.returns(resolves([{
+                ciphertext: 'ciphertext'
+            }]));
+            pgpStub.decrypt.returns(resolves({
+                decrypted: '{}',
+                signaturesValid: false
+            }));
+
+            drafts.load('draft@foo.com').catch(function(err) {
+                expect(err.message).to.match(/signature/);
+                done();
+            });
+        });
+
+        it('should resolve nothing for unknown drafts', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            drafts.load('draft@foo.com').then(function(loaded) {
+                expect(loaded).to.be.undefined;
+                done();
+            });
+        });
+    });
+
+    describe('open', function() {
+        var folder, message;
+
+        beforeEach(function() {
+            folder = {
+                path: 'DRAFTS'
+            };
+            message = {
+                uid: 5,
+                id: 'draft@foo.com',
+                to: [{
+                    name: 'Pity',
+                    address: 'pity@dafool'
+                }],
+                subject: 'Ermahgerd!',
+                references: ['abc'],
+                inReplyTo: 'abc',
+                encrypted: true
+            };
+        });
+
+        it('should open the local copy', function(done) {
+            sinon.stub(drafts, 'load').withArgs('draft@foo.com').returns(resolves(draft));
+
+            drafts.open({
+                folder: folder,
+                message: message
+            }).then(function(opened) {
+                expect(opened).to.equal(draft);
+                expect(opened.uid).to.equal(5);
+                expect(emailStub.getBody.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should restore a draft from the message', function(done) {
+            var attachment = {
+                filename: 'a.bin',
+                mimeType: 'application/octet-stream'
+            };
+
+            sinon.stub(drafts, 'load').returns(resolves());
+            emailStub.getBody.withArgs({
+                folder: folder,
+                message: message
+            }).returns(resolves());
+            emailStub.decryptBody.withArgs({
+                message: message
+            }).returns(resolves(message));
+            // the state after decryption
+            message.decrypted = true;
+            message.body = 'so much body!';
+            message.attachments = [attachment];
+            emailStub.resolveAttachments.withArgs(sinon.match({
+                folder: folder,
+                message: sinon.match({
+                    uid: 5,
+                    attachments: [attachment]
+                })
+            })).returns(resolves([_.extend({}, attachment, {
+                content: new Uint8Array([1])
+            })]));
+
+            drafts.open({
+                folder: folder,
+                message: message
+            }).then(function(opened) {
+                expect(opened.id).to.equal('draft@foo.com');
+                expect(opened.uid).to.equal(5);
+                expect(opened.to).to.deep.equal(message.to);
+                expect(opened.cc).to.deep.equal([]);
+                expect(opened.body).to.equal('so much body!');
+                expect(opened.attachments).to.deep.equal([{
+                    filename: 'a.bin',
+                    mimeType: 'application/octet-stream',
+                    content: new Uint8Array([1])
+                }]);
+                expect(opened.references).to.deep.equal(['abc']);
+                expect(opened.secure).to.be.true;
+                done();
+            });
+        });
+
+        it('should fail if the message can not be decrypted', function(done) {
+            sinon.stub(drafts, 'load').returns(resolves());
+            emailStub.getBody.returns(resolves());
+            emailStub.decryptBody.returns(resolves(message));
+
+            drafts.open({
+                folder: folder,
+                message: message
+            }).catch(function(err) {
+                expect(err.message).to.match(/decrypt/);
+                done();
+            });
+        });
+    });
+
+    describe('remove', function() {
+        it('should remove a draft locally and on IMAP', function(done) {
+            draft.uid = 5;
+            devicestorageStub.removeList.withArgs('drafts_draft@foo.com').returns(resolves());
+            emailStub.deleteDraft.withArgs({
+                uid: 5
+            }).returns(resolves());
+
+            drafts.remove(draft).then(function() {
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                expect(emailStub.deleteDraft.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should not touch IMAP for drafts that were never uploaded', function(done) {
+            devicestorageStub.removeList.returns(resolves());
+
+            drafts.remove(draft).then(function() {
+                expect(emailStub.deleteDraft.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should wait for a pending save', function(done) {
+            var uploaded;
+
+            pgpStub.encrypt.returns(resolves('ciphertext'));
+            devicestorageStub.storeList.returns(resolves());
+            devicestorageStub.removeList.returns(resolves());
+            emailStub.uploadDraft.returns(new Promise(function(resolve) {
+                setTimeout(function() {
+                    uploaded = true;
+                    resolve(5);
+                }, 0);
+            }));
+            emailStub.deleteDraft.returns(resolves());
+
+            drafts.save(draft);
+            drafts.remove(draft).then(function() {
+                expect(uploaded).to.be.true;
+                expect(emailStub.deleteDraft.withArgs({
+                    uid: 5
+                }).calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+});
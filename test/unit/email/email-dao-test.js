@@ -11,7 +11,10 @@ var mailreader = require('mailreader'),
     DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
     appConfig = require('../../../src/js/app-config'),
     Auth = require('../../../src/js/service/auth'),
-    Dialog = require('../../../src/js/util/dialog');
+    Dialog = require('../../../src/js/util/dialog'),
+    SearchIndex = require('../../../src/js/email/search-index'),
+    PlainBuilder = require('../../../src/js/email/plainbuilder'),
+    Identities = require('../../../src/js/email/identities');
 
 
 describe('Email DAO unit tests', function() {
@@ -22,7 +25,7 @@ describe('Email DAO unit tests', function() {
     var dao;
 
     // mocks
-    var keychainStub, imapClientStub, pgpMailerStub, pgpBuilderStub, pgpStub, devicestorageStub, parseStub, dialogStub, authStub;
+    var keychainStub, imapClientStub, pgpMailerStub, pgpBuilderStub, pgpStub, devicestorageStub, parseStub, dialogStub, authStub, searchIndexStub, plainBuilderStub, identitiesStub;
 
     // config
     var emailAddress, passphrase, asymKeySize, account;
@@ -114,6 +117,7 @@ describe('Email DAO unit tests', function() {
         //
         keychainStub = sinon.createStubInstance(KeychainDAO);
         imapClientStub = sinon.createStubInstance(ImapClient);
+        imapClientStub.mailboxCache = {};
         pgpMailerStub = sinon.createStubInstance(PgpMailer);
         pgpBuilderStub = sinon.createStubInstance(PgpBuilder);
         pgpStub = sinon.createStubInstance(PGP);
@@ -121,11 +125,16 @@ describe('Email DAO unit tests', function() {
         devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
         dialogStub = sinon.createStubInstance(Dialog);
         authStub = sinon.createStubInstance(Auth);
+        searchIndexStub = sinon.createStubInstance(SearchIndex);
+        searchIndexStub.load.returns(resolves());
+        plainBuilderStub = sinon.createStubInstance(PlainBuilder);
+        identitiesStub = sinon.createStubInstance(Identities);
+        identitiesStub.unlockKeys.returns(resolves());
 
         //
         // setup the SUT
         //
-        dao = new EmailDAO(keychainStub, pgpStub, devicestorageStub, pgpBuilderStub, mailreader, dialogStub, appConfig, authStub);
+        dao = new EmailDAO(keychainStub, pgpStub, devicestorageStub, pgpBuilderStub, mailreader, dialogStub, appConfig, authStub, searchIndexStub, plainBuilderStub, identitiesStub);
         dao._account = account;
         dao._pgpMailer = pgpMailerStub;
         dao._imapClient = imapClientStub;
@@ -191,6 +200,8 @@ describe('Email DAO unit tests', function() {
             }).then(function() {
                 expect(pgpStub.importKeys.calledOnce).to.be.true;
                 expect(dao._pgpbuilder._privateKey).to.equal(pgpStub._privateKey);
+                expect(searchIndexStub.load.calledOnce).to.be.true;
+                expect(identitiesStub.unlockKeys.calledOnce).to.be.true;
 
                 done();
             });
@@ -304,6 +315,39 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        it('should remember the uidvalidity of the folder', function(done) {
+            imapClientStub.selectMailbox.returns(resolves({
+                uidValidity: 7
+            }));
+            devicestorageStub.storeList.returns(resolves());
+
+            dao.openFolder({
+                folder: inboxFolder
+            }).then(function() {
+                expect(inboxFolder.uidValidity).to.equal(7);
+                expect(devicestorageStub.storeList.args[0][0][0][0].uidValidity).to.equal(7);
+                expect(devicestorageStub.storeList.args[0][1]).to.equal('folders');
+                done();
+            });
+        });
+
+        it('should remember the folder the user has opened', function(done) {
+            imapClientStub.selectMailbox.returns(resolves());
+
+            dao.openFolder({
+                folder: inboxFolder
+            }).then(function() {
+                return dao.openFolder({
+                    folder: sentFolder,
+                    background: true
+                });
+            }).then(function() {
+                expect(imapClientStub.selectMailbox.calledTwice).to.be.true;
+                expect(dao._openedFolder).to.equal(inboxFolder);
+                done();
+            });
+        });
+
         it('should not open the virtual outbox folder in imap', function(done) {
             dao.openFolder({
                 folder: outboxFolder
@@ -383,6 +427,299 @@ describe('Email DAO unit tests', function() {
                 done();
             });
         });
+
+        it('should update the delivery state of outbox messages', function(done) {
+            outboxFolder.messages = [mail];
+            localListStub.withArgs({
+                folder: outboxFolder
+            }).returns(resolves([{
+                uid: 123,
+                delivery: {
+                    attempts: 1
+                }
+            }]));
+
+            dao.refreshFolder({
+                folder: outboxFolder
+            }).then(function() {
+                expect(outboxFolder.messages).to.deep.equal([mail]);
+                expect(mail.delivery.attempts).to.equal(1);
+
+                done();
+            });
+        });
+    });
+
+    describe('folder management', function() {
+        var browserboxStub, subFolder;
+
+        beforeEach(function() {
+            browserboxStub = {
+                exec: sinon.stub()
+            };
+            browserboxStub.exec.yields(null, {}, function() {});
+            imapClientStub._client = browserboxStub;
+            devicestorageStub.storeList.returns(resolves());
+
+            otherFolder.delimiter = '/';
+            otherFolder.messages = [{
+                uid: 3
+            }];
+            subFolder = {
+                name: 'Sub',
+                type: 'Other',
+                path: 'OTHER/Sub',
+                delimiter: '/',
+                messages: [{
+                    uid: 5
+                }]
+            };
+        });
+
+        describe('#createFolder', function() {
+            it('should create a subfolder and subscribe to it', function(done) {
+                dao.createFolder({
+                    name: 'Übersicht',
+                    parent: otherFolder
+                }).then(function(folder) {
+                    expect(browserboxStub.exec.args[0][0]).to.deep.equal({
+                        command: 'CREATE',
+                        attributes: [{
+                            type: 'STRING',
+                            value: 'OTHER/&ANw-bersicht'
+                        }]
+                    });
+                    expect(browserboxStub.exec.args[1][0].command).to.equal('SUBSCRIBE');
+
+                    expect(folder.name).to.equal('Übersicht');
+                    expect(folder.path).to.equal('OTHER/Übersicht');
+                    expect(folder.type).to.equal('Other');
+                    expect(folder.delimiter).to.equal('/');
+                    expect(folder.count).to.equal(0);
+                    expect(account.folders).to.contain(folder);
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should not create a folder that exists', function(done) {
+                account.folders.push(subFolder);
+
+                dao.createFolder({
+                    name: 'Sub',
+                    parent: otherFolder
+                }).catch(function(err) {
+                    expect(err.message).to.match(/exists/);
+                    expect(browserboxStub.exec.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should not create a folder with the delimiter in its name', function(done) {
+                dao.createFolder({
+                    name: 'a/b'
+                }).catch(function(err) {
+                    expect(err.message).to.match(/name/);
+                    expect(browserboxStub.exec.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should fail when CREATE fails', function(done) {
+                browserboxStub.exec.withArgs(sinon.match({
+                    command: 'CREATE'
+                })).yields(new Error('fail'), {}, function() {});
+
+                dao.createFolder({
+                    name: 'New'
+                }).catch(function(err) {
+                    expect(err.message).to.equal('fail');
+                    expect(account.folders.length).to.equal(5);
+                    expect(devicestorageStub.storeList.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should fail when disconnected', function(done) {
+                account.online = false;
+
+                dao.createFolder({
+                    name: 'New'
+                }).catch(function(err) {
+                    expect(err.code).to.equal(42);
+                    done();
+                });
+            });
+        });
+
+        describe('#renameFolder', function() {
+            var localMoveStub;
+
+            beforeEach(function() {
+                account.folders.push(subFolder);
+                imapClientStub.mailboxCache.OTHER = {
+                    uidNext: 4
+                };
+                localMoveStub = sinon.stub(dao, '_localMoveMessages').returns(resolves());
+            });
+
+            it('should rename the folder and its subfolders', function(done) {
+                dao.renameFolder({
+                    folder: otherFolder,
+                    name: 'Misc'
+                }).then(function() {
+                    expect(browserboxStub.exec.args[0][0]).to.deep.equal({
+                        command: 'RENAME',
+                        attributes: [{
+                            type: 'STRING',
+                            value: 'OTHER'
+                        }, {
+                            type: 'STRING',
+                            value: 'Misc'
+                        }]
+                    });
+                    expect(browserboxStub.exec.withArgs(sinon.match({
+                        command: 'SUBSCRIBE'
+                    })).callCount).to.equal(2);
+                    expect(browserboxStub.exec.withArgs(sinon.match({
+                        command: 'UNSUBSCRIBE'
+                    })).callCount).to.equal(2);
+
+                    expect(otherFolder.name).to.equal('Misc');
+                    expect(otherFolder.path).to.equal('Misc');
+                    expect(subFolder.name).to.equal('Sub');
+                    expect(subFolder.path).to.equal('Misc/Sub');
+                    expect(imapClientStub.mailboxCache.Misc.uidNext).to.equal(4);
+                    expect(imapClientStub.mailboxCache.OTHER).to.not.exist;
+                    expect(localMoveStub.calledWith(otherFolder, 'OTHER')).to.be.true;
+                    expect(localMoveStub.calledWith(subFolder, 'OTHER/Sub')).to.be.true;
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should rename a subfolder', function(done) {
+                dao.renameFolder({
+                    folder: subFolder,
+                    name: 'Renamed'
+                }).then(function() {
+                    expect(subFolder.path).to.equal('OTHER/Renamed');
+                    expect(otherFolder.path).to.equal('OTHER');
+                    expect(localMoveStub.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should continue if the subscriptions can not be changed', function(done) {
+                browserboxStub.exec.withArgs(sinon.match({
+                    command: 'UNSUBSCRIBE'
+                })).yields(new Error('fail'), {}, function() {});
+
+                dao.renameFolder({
+                    folder: subFolder,
+                    name: 'Renamed'
+                }).then(function() {
+                    expect(subFolder.path).to.equal('OTHER/Renamed');
+                    done();
+                });
+            });
+
+            it('should not rename well known folders', function(done) {
+                dao.renameFolder({
+                    folder: inboxFolder,
+                    name: 'Misc'
+                }).catch(function(err) {
+                    expect(err).to.exist;
+                    expect(browserboxStub.exec.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should keep the folder if RENAME fails', function(done) {
+                browserboxStub.exec.withArgs(sinon.match({
+                    command: 'RENAME'
+                })).yields(new Error('fail'), {}, function() {});
+
+                dao.renameFolder({
+                    folder: otherFolder,
+                    name: 'Misc'
+                }).catch(function(err) {
+                    expect(err.message).to.equal('fail');
+                    expect(otherFolder.path).to.equal('OTHER');
+                    expect(localMoveStub.called).to.be.false;
+                    done();
+                });
+            });
+        });
+
+        describe('#deleteFolder', function() {
+            var localDeleteStub;
+
+            beforeEach(function() {
+                localDeleteStub = sinon.stub(dao, '_localDeleteMessage').returns(resolves());
+            });
+
+            it('should delete the folder and its local messages', function(done) {
+                imapClientStub.mailboxCache.OTHER = {};
+
+                dao.deleteFolder({
+                    folder: otherFolder
+                }).then(function() {
+                    expect(browserboxStub.exec.args[0][0]).to.deep.equal({
+                        command: 'DELETE',
+                        attributes: [{
+                            type: 'STRING',
+                            value: 'OTHER'
+                        }]
+                    });
+                    expect(browserboxStub.exec.args[1][0].command).to.equal('UNSUBSCRIBE');
+                    expect(localDeleteStub.calledWith({
+                        folder: otherFolder,
+                        uid: 3
+                    })).to.be.true;
+                    expect(account.folders).to.not.contain(otherFolder);
+                    expect(imapClientStub.mailboxCache.OTHER).to.not.exist;
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should not delete a folder with subfolders', function(done) {
+                account.folders.push(subFolder);
+
+                dao.deleteFolder({
+                    folder: otherFolder
+                }).catch(function(err) {
+                    expect(err.message).to.match(/subfolders/);
+                    expect(browserboxStub.exec.called).to.be.false;
+                    expect(account.folders).to.contain(otherFolder);
+                    done();
+                });
+            });
+
+            it('should not delete the outbox', function(done) {
+                dao.deleteFolder({
+                    folder: outboxFolder
+                }).catch(function(err) {
+                    expect(err).to.exist;
+                    expect(browserboxStub.exec.called).to.be.false;
+                    done();
+                });
+            });
+        });
+
+        describe('#collapseFolder', function() {
+            it('should store the state of the folder', function(done) {
+                dao.collapseFolder({
+                    folder: otherFolder,
+                    collapsed: true
+                }).then(function() {
+                    expect(otherFolder.collapsed).to.be.true;
+                    expect(devicestorageStub.storeList.args[0][0][0][4].collapsed).to.be.true;
+                    done();
+                });
+            });
+        });
     });
 
     describe('#fetchMessages', function() {
@@ -456,6 +793,24 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        it('should append older messages without notifying', function(done) {
+            var newer = {
+                uid: 200
+            };
+            inboxFolder.messages = [newer];
+            opts.older = true;
+
+            imapListStub.withArgs(opts).returns(resolves([message]));
+            localStoreStub.returns(resolves());
+
+            dao.fetchMessages(opts).then(function() {
+                expect(inboxFolder.messages).to.deep.equal([newer, message]);
+                expect(notified).to.be.false;
+
+                done();
+            });
+        });
+
         it('should verify verification mails', function(done) {
             message.subject = verificationSubject;
 
@@ -554,6 +909,242 @@ describe('Email DAO unit tests', function() {
         });
     });
 
+    describe('#loadOlderMessages', function() {
+        var imapSearchStub, fetchMessagesStub;
+
+        beforeEach(function() {
+            imapSearchStub = sinon.stub(dao, '_imapSearch');
+            fetchMessagesStub = sinon.stub(dao, 'fetchMessages').returns(resolves());
+            devicestorageStub.storeList.returns(resolves());
+            inboxFolder.messages = [{
+                uid: 100
+            }, {
+                uid: 120
+            }];
+        });
+
+        it('should load a batch of messages below the history', function(done) {
+            var older = [];
+            for (var uid = 1; uid < 100; uid += 2) {
+                older.push(uid);
+            }
+            imapSearchStub.withArgs({
+                folder: inboxFolder,
+                uid: '1:99'
+            }).returns(resolves(older));
+
+            dao.loadOlderMessages({
+                folder: inboxFolder
+            }).then(function() {
+                expect(fetchMessagesStub.calledWith({
+                    folder: inboxFolder,
+                    firstUid: 51,
+                    lastUid: 99,
+                    older: true
+                })).to.be.true;
+                expect(inboxFolder.historyUid).to.equal(51);
+                expect(devicestorageStub.storeList.args[0][0][0][0].historyUid).to.equal(51);
+
+                done();
+            });
+        });
+
+        it('should continue below the loaded history', function(done) {
+            inboxFolder.historyUid = 51;
+            imapSearchStub.withArgs({
+                folder: inboxFolder,
+                uid: '1:50'
+            }).returns(resolves([3, 7]));
+
+            dao.loadOlderMessages({
+                folder: inboxFolder
+            }).then(function() {
+                expect(fetchMessagesStub.calledWith({
+                    folder: inboxFolder,
+                    firstUid: 3,
+                    lastUid: 7,
+                    older: true
+                })).to.be.true;
+                expect(inboxFolder.historyUid).to.equal(3);
+
+                done();
+            });
+        });
+
+        it('should remember when the history is complete', function(done) {
+            imapSearchStub.returns(resolves([]));
+
+            dao.loadOlderMessages({
+                folder: inboxFolder
+            }).then(function() {
+                expect(fetchMessagesStub.called).to.be.false;
+                expect(inboxFolder.historyUid).to.equal(1);
+
+                return dao.loadOlderMessages({
+                    folder: inboxFolder
+                });
+            }).then(function() {
+                expect(imapSearchStub.calledOnce).to.be.true;
+
+                done();
+            });
+        });
+
+        it('should not load messages of a folder that has never been synced', function(done) {
+            inboxFolder.messages = [];
+
+            dao.loadOlderMessages({
+                folder: inboxFolder
+            }).then(function() {
+                expect(imapSearchStub.called).to.be.false;
+                expect(devicestorageStub.storeList.called).to.be.false;
+
+                done();
+            });
+        });
+
+        it('should not do anything in offline mode', function(done) {
+            account.online = false;
+
+            dao.loadOlderMessages({
+                folder: inboxFolder
+            }).catch(function(err) {
+                expect(err.code).to.equal(42);
+                expect(imapSearchStub.called).to.be.false;
+
+                done();
+            });
+        });
+    });
+
+    describe('#searchImap', function() {
+        var imapSearchStub, imapListStub, localStoreStub, localMessage, remoteMessage, otherMessage;
+
+        beforeEach(function() {
+            imapSearchStub = sinon.stub(dao, '_imapSearch');
+            imapListStub = sinon.stub(dao, '_imapListMessages');
+            localStoreStub = sinon.stub(dao, '_localStoreMessages');
+
+            localMessage = {
+                uid: 20
+            };
+            remoteMessage = {
+                uid: 5,
+                bodyParts: [{
+                    type: 'attachment'
+                }]
+            };
+            otherMessage = {
+                uid: 6,
+                bodyParts: []
+            };
+            inboxFolder.messages = [localMessage];
+        });
+
+        it('should merge local and remote matches', function(done) {
+            imapSearchStub.withArgs({
+                folder: inboxFolder,
+                header: ['subject', 'foo']
+            }).returns(resolves([20, 5]));
+            imapSearchStub.withArgs({
+                folder: inboxFolder,
+                header: ['from', 'foo']
+            }).returns(resolves([5]));
+            imapSearchStub.returns(resolves([]));
+            imapListStub.withArgs({
+                folder: inboxFolder,
+                firstUid: 5,
+                lastUid: 5
+            }).returns(resolves([remoteMessage]));
+            localStoreStub.withArgs({
+                folder: inboxFolder,
+                emails: [remoteMessage]
+            }).returns(resolves());
+
+            dao.searchImap({
+                folder: inboxFolder,
+                query: 'foo'
+            }).then(function(matches) {
+                expect(imapSearchStub.callCount).to.equal(4);
+                expect(imapListStub.calledOnce).to.be.true;
+                expect(localStoreStub.calledOnce).to.be.true;
+                expect(matches).to.deep.equal([localMessage, remoteMessage]);
+                expect(inboxFolder.messages).to.contain(remoteMessage);
+                expect(remoteMessage.attachments.length).to.equal(1);
+                done();
+            });
+        });
+
+        it('should list consecutive uids in one range', function(done) {
+            imapSearchStub.returns(resolves([5, 6]));
+            imapListStub.withArgs({
+                folder: inboxFolder,
+                firstUid: 5,
+                lastUid: 6
+            }).returns(resolves([remoteMessage, otherMessage]));
+            localStoreStub.returns(resolves());
+
+            dao.searchImap({
+                folder: inboxFolder,
+                query: 'foo'
+            }).then(function(matches) {
+                expect(imapListStub.calledOnce).to.be.true;
+                expect(matches).to.deep.equal([remoteMessage, otherMessage]);
+                done();
+            });
+        });
+
+        it('should not fetch anything if all matches are available locally', function(done) {
+            imapSearchStub.returns(resolves([20]));
+
+            dao.searchImap({
+                folder: inboxFolder,
+                query: 'foo'
+            }).then(function(matches) {
+                expect(imapListStub.called).to.be.false;
+                expect(localStoreStub.called).to.be.false;
+                expect(matches).to.deep.equal([localMessage]);
+                done();
+            });
+        });
+
+        it('should not search the outbox', function(done) {
+            dao.searchImap({
+                folder: outboxFolder,
+                query: 'foo'
+            }).then(function(matches) {
+                expect(matches).to.deep.equal([]);
+                expect(imapSearchStub.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail when the search fails', function(done) {
+            imapSearchStub.returns(rejects({}));
+
+            dao.searchImap({
+                folder: inboxFolder,
+                query: 'foo'
+            }).catch(function(err) {
+                expect(err).to.exist;
+                expect(imapListStub.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail when disconnected', function(done) {
+            dao._account.online = false;
+
+            dao.searchImap({
+                folder: inboxFolder,
+                query: 'foo'
+            }).catch(function(err) {
+                expect(err.code).to.equal(42);
+                done();
+            });
+        });
+    });
+
     describe('#deleteMessage', function() {
         var imapDeleteStub, localDeleteStub, message;
 
@@ -672,16 +1263,26 @@ describe('Email DAO unit tests', function() {
             });
         });
 
-        it('should fail at delete from imap in offline', function(done) {
+        it('should delete from local, memory and queue the delete in offline', function(done) {
             account.online = false;
+            devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([]));
+            devicestorageStub.storeList.returns(resolves());
+            localDeleteStub.returns(resolves());
+
             dao.deleteMessage({
                 folder: inboxFolder,
                 message: message
-            }).catch(function(err) {
-                expect(err).to.exist;
+            }).then(function() {
                 expect(imapDeleteStub.called).to.be.false;
-                expect(localDeleteStub.called).to.be.false;
-                expect(inboxFolder.messages).to.contain(message);
+                expect(localDeleteStub.calledOnce).to.be.true;
+                expect(inboxFolder.messages).to.not.contain(message);
+                expect(devicestorageStub.storeList.calledWith([
+                    [{
+                        type: 'delete',
+                        path: inboxFolder.path,
+                        uid: message.uid
+                    }]
+                ], 'operations')).to.be.true;
 
                 done();
             });
@@ -823,19 +1424,38 @@ describe('Email DAO unit tests', function() {
                 done();
             });
         });
-        it('should fail to set flags for imap in offline mode', function(done) {
+        it('should set flags for disk and queue the flags in offline mode', function(done) {
             account.online = false;
+            message.unread = false;
+            devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([
+                [{
+                    type: 'flags',
+                    path: inboxFolder.path,
+                    uid: message.uid,
+                    unread: true
+                }]
+            ]));
+            devicestorageStub.storeList.returns(resolves());
             localListStub.returns(resolves([message]));
             localStoreStub.returns(resolves());
 
             dao.setFlags({
                 folder: inboxFolder,
                 message: message
-            }).catch(function(err) {
-                expect(err).to.exist;
+            }).then(function() {
                 expect(imapMark.called).to.be.false;
-                expect(localListStub.called).to.be.false;
-                expect(localStoreStub.called).to.be.false;
+                expect(localStoreStub.calledOnce).to.be.true;
+                // only the latest flags are set
+                expect(devicestorageStub.storeList.calledWith([
+                    [{
+                        type: 'flags',
+                        path: inboxFolder.path,
+                        uid: message.uid,
+                        unread: false,
+                        answered: undefined,
+                        flagged: undefined
+                    }]
+                ], 'operations')).to.be.true;
 
                 done();
             });
@@ -900,16 +1520,43 @@ describe('Email DAO unit tests', function() {
             });
         });
 
-        it('should fail at delete from imap in offline', function(done) {
+        it('should delete from local and queue the move in offline', function(done) {
+            account.online = false;
+            devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([]));
+            devicestorageStub.storeList.returns(resolves());
+            localDeleteStub.returns(resolves());
+
+            dao.moveMessage({
+                folder: inboxFolder,
+                destination: sentFolder,
+                message: message
+            }).then(function() {
+                expect(imapMoveStub.called).to.be.false;
+                expect(localDeleteStub.calledOnce).to.be.true;
+                expect(inboxFolder.messages).to.not.contain(message);
+                expect(devicestorageStub.storeList.calledWith([
+                    [{
+                        type: 'move',
+                        path: inboxFolder.path,
+                        destination: sentFolder.path,
+                        uid: message.uid
+                    }]
+                ], 'operations')).to.be.true;
+
+                done();
+            });
+        });
+
+        it('should keep the message if queueing the move fails in offline', function(done) {
             account.online = false;
+            devicestorageStub.listItems.withArgs('operations', 0, null).returns(rejects(new Error('asdf')));
 
             dao.moveMessage({
                 folder: inboxFolder,
                 destination: sentFolder,
                 message: message
             }).catch(function(err) {
-                expect(err).to.exist;
-                expect(imapMoveStub.called).to.be.false;
+                expect(err.message).to.equal('asdf');
                 expect(localDeleteStub.called).to.be.false;
                 expect(inboxFolder.messages).to.contain(message);
 
@@ -967,6 +1614,7 @@ describe('Email DAO unit tests', function() {
                 expect(msg.loadingBody).to.be.false;
 
                 expect(localListStub.calledOnce).to.be.true;
+                expect(searchIndexStub.add.calledWith(message)).to.be.true;
 
                 done();
             });
@@ -1006,6 +1654,7 @@ describe('Email DAO unit tests', function() {
                 expect(message.loadingBody).to.be.false;
 
                 expect(localListStub.calledOnce).to.be.true;
+                expect(searchIndexStub.add.called).to.be.false;
 
                 done();
             });
@@ -1382,32 +2031,44 @@ describe('Email DAO unit tests', function() {
     });
 
     describe('#getAttachment', function() {
-        var imapGetStub, uid;
+        var fetchStub, decodeStub, uid;
 
         beforeEach(function() {
             uid = 123456;
-            imapGetStub = sinon.stub(dao, '_getBodyParts');
+            fetchStub = sinon.stub(dao, '_fetchBodyParts');
+            decodeStub = sinon.stub(dao, '_decodeAttachment');
         });
 
         it('should fetch an attachment from imap', function(done) {
-            var attmt = {};
-
-            imapGetStub.withArgs({
-                folder: inboxFolder,
-                uid: uid,
-                bodyParts: [attmt]
-            }).returns(resolves([{
-                content: 'CONTENT!!!'
-            }]));
+            var attmt = {
+                    partNumber: '2'
+                },
+                blob = {},
+                onProgress = function() {};
+
+            fetchStub.restore();
+            fetchStub = sinon.stub(dao, '_fetchBodyParts', function(options) {
+                expect(options.bodyParts).to.deep.equal([{
+                    partNumber: '2'
+                }]);
+                options.bodyParts[0].raw = 'RAW';
+                return resolves();
+            });
+            decodeStub.withArgs(attmt, sinon.match({
+                raw: 'RAW'
+            }), onProgress).returns(resolves(blob));
 
             dao.getAttachment({
                 folder: inboxFolder,
                 uid: uid,
-                attachment: attmt
+                attachment: attmt,
+                onProgress: onProgress
             }).then(function(fetchedAttmt) {
                 expect(fetchedAttmt).to.equal(attmt);
-                expect(attmt.content).to.not.be.empty;
-                expect(imapGetStub.calledOnce).to.be.true;
+                expect(attmt.blob).to.equal(blob);
+                expect(attmt.busy).to.be.false;
+                expect(fetchStub.calledOnce).to.be.true;
+                expect(decodeStub.calledOnce).to.be.true;
 
                 done();
             });
@@ -1416,7 +2077,7 @@ describe('Email DAO unit tests', function() {
         it('should error during fetch', function(done) {
             var attmt = {};
 
-            imapGetStub.returns(resolves());
+            fetchStub.returns(rejects(new Error()));
 
             dao.getAttachment({
                 folder: inboxFolder,
@@ -1424,8 +2085,179 @@ describe('Email DAO unit tests', function() {
                 attachment: attmt
             }).catch(function(err) {
                 expect(err).to.exist;
-                expect(imapGetStub.calledOnce).to.be.true;
+                expect(attmt.busy).to.be.false;
+                expect(fetchStub.calledOnce).to.be.true;
+                expect(decodeStub.called).to.be.false;
+
+                done();
+            });
+        });
+    });
+
+    describe('#resolveAttachments', function() {
+        it('should fetch the attachments that have no content', function(done) {
+            var fetched = {
+                    filename: 'a.txt',
+                    mimeType: 'text/plain',
+                    partNumber: '2'
+                },
+                decrypted = {
+                    filename: 'b.txt',
+                    mimeType: 'text/plain',
+                    content: new Uint8Array([98])
+                },
+                message = {
+                    uid: 123,
+                    attachments: [fetched, decrypted]
+                };
+
+            sinon.stub(dao, 'getAttachment', function(options) {
+                // fetched attachments are kept as blobs
+                options.attachment.blob = new Blob([new Uint8Array([97])]);
+                return resolves(options.attachment);
+            });
+
+            dao.resolveAttachments({
+                folder: inboxFolder,
+                message: message
+            }).then(function(attachments) {
+                expect(dao.getAttachment.calledOnce).to.be.true;
+                expect(dao.getAttachment.firstCall.args[0].folder).to.equal(inboxFolder);
+                expect(dao.getAttachment.firstCall.args[0].uid).to.equal(123);
+                expect(dao.getAttachment.firstCall.args[0].attachment).to.equal(fetched);
+                expect(attachments).to.deep.equal([{
+                    filename: 'a.txt',
+                    mimeType: 'text/plain',
+                    content: new Uint8Array([97])
+                }, {
+                    filename: 'b.txt',
+                    mimeType: 'text/plain',
+                    content: decrypted.content
+                }]);
+                done();
+            });
+        });
+
+        it('should fail for an encrypted message that has not been decrypted', function(done) {
+            sinon.stub(dao, 'getAttachment');
+
+            dao.resolveAttachments({
+                folder: inboxFolder,
+                message: {
+                    encrypted: true,
+                    attachments: [{}]
+                }
+            }).catch(function(err) {
+                expect(err.message).to.match(/decrypted/);
+                expect(dao.getAttachment.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('#getMessageAttachment', function() {
+        it('should attach the source of a plaintext message', function(done) {
+            var message = {
+                uid: 123,
+                subject: 'a/b'
+            };
+
+            sinon.stub(dao, '_fetchBodyParts', function(options) {
+                expect(options.uid).to.equal(123);
+                options.bodyParts[0].raw = 'Subject: a/b\r\n\r\nbody';
+                return resolves();
+            });
+
+            dao.getMessageAttachment({
+                folder: inboxFolder,
+                message: message
+            }).then(function(attachment) {
+                expect(dao._fetchBodyParts.firstCall.args[0].bodyParts[0].partNumber).to.equal('');
+                expect(attachment.filename).to.equal('a_b.eml');
+                expect(attachment.mimeType).to.equal('message/rfc822');
+                expect(attachment.content).to.deep.equal(new Uint8Array([83, 117, 98, 106, 101, 99, 116, 58, 32, 97, 47, 98, 13, 10, 13, 10, 98, 111, 100, 121]));
+                done();
+            });
+        });
+
+        it('should attach the decrypted content of an encrypted message', function(done) {
+            var message = {
+                uid: 123,
+                id: 'abc@dafool',
+                encrypted: true,
+                decrypted: true,
+                from: [{
+                    address: 'pity@dafool'
+                }],
+                to: [{
+                    address: 'fred@foo.com'
+                }],
+                subject: 'secret',
+                sentDate: new Date(),
+                body: 'so much body!',
+                attachments: []
+            };
+            dao._plainbuilder = new PlainBuilder();
+            sinon.stub(dao, '_fetchBodyParts');
 
+            dao.getMessageAttachment({
+                folder: inboxFolder,
+                message: message
+            }).then(function(attachment) {
+                var source = String.fromCharCode.apply(null, attachment.content);
+                expect(dao._fetchBodyParts.called).to.be.false;
+                expect(attachment.filename).to.equal('secret.eml');
+                expect(source).to.match(/Subject: secret/);
+                expect(source).to.match(/Message-Id: <abc@dafool>/i);
+                expect(source).to.contain('so much body!');
+                expect(source).to.not.contain('BEGIN PGP');
+                done();
+            });
+        });
+    });
+
+    describe('#parseAttachedMessage', function() {
+        it('should parse a message attachment', function(done) {
+            var raw = 'From: =?UTF-8?Q?J=C3=B6rg?= <joerg@example.com>\r\nTo: a@example.com\r\nSubject: hello\r\n\r\nbody',
+                content = new Uint8Array(raw.length);
+            for (var i = 0; i < raw.length; i++) {
+                content[i] = raw.charCodeAt(i);
+            }
+
+            sinon.stub(dao, '_parse', function(options) {
+                expect(options.bodyParts[0].type).to.equal('message');
+                expect(options.bodyParts[0].raw).to.equal(raw);
+                options.bodyParts[0].content = [{
+                    type: 'text',
+                    content: 'body'
+                }];
+                return resolves();
+            });
+
+            dao.parseAttachedMessage({
+                attachment: {
+                    content: content
+                }
+            }).then(function(message) {
+                expect(message.from).to.equal('J\u00f6rg <joerg@example.com>');
+                expect(message.to).to.equal('a@example.com');
+                expect(message.cc).to.equal('');
+                expect(message.subject).to.equal('hello');
+                expect(message.body).to.equal('body');
+                expect(message.html).to.equal('');
+                done();
+            });
+        });
+
+        it('should fail if the message can not be parsed', function(done) {
+            sinon.stub(dao, '_parse').returns(rejects(new Error()));
+
+            dao.parseAttachedMessage({
+                attachment: {
+                    content: new Uint8Array([97])
+                }
+            }).catch(function(err) {
+                expect(err).to.exist;
                 done();
             });
         });
@@ -1542,6 +2374,7 @@ describe('Email DAO unit tests', function() {
                 expect(keychainStub.getReceiverPublicKey.calledOnce).to.be.true;
                 expect(pgpStub.decrypt.calledOnce).to.be.true;
                 expect(parseStub.calledOnce).to.be.true;
+                expect(searchIndexStub.add.calledWith(message)).to.be.true;
 
                 done();
             });
@@ -1652,6 +2485,7 @@ describe('Email DAO unit tests', function() {
                 expect(keychainStub.getReceiverPublicKey.calledOnce).to.be.true;
                 expect(pgpStub.decrypt.calledOnce).to.be.true;
                 expect(parseStub.called).to.be.false;
+                expect(searchIndexStub.add.calledWith(message)).to.be.true;
 
                 done();
             });
@@ -1681,6 +2515,7 @@ describe('Email DAO unit tests', function() {
                 expect(msg.body).to.equal('fail.');
                 expect(msg).to.exist;
                 expect(message.decryptingBody).to.be.false;
+                expect(searchIndexStub.add.called).to.be.false;
                 expect(keychainStub.getReceiverPublicKey.calledOnce).to.be.true;
                 expect(pgpStub.decrypt.calledOnce).to.be.true;
                 expect(parseStub.called).to.be.false;
@@ -1763,6 +2598,20 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        it('should not upload a copy that is recorded by another copy', function(done) {
+            dummyMail.uploadToSent = false;
+            authStub.getCredentials.returns(resolves(credentials));
+            pgpMailerStub.send.returns(resolves(msg));
+
+            dao.sendEncrypted({
+                email: dummyMail
+            }, pgpMailerStub).then(function() {
+                expect(pgpMailerStub.send.calledOnce).to.be.true;
+                expect(imapClientStub.uploadMessage.called).to.be.false;
+                done();
+            });
+        });
+
         it('should send encrypted and not upload to sent', function(done) {
             credentials.smtp.host = 'smtp.gmail.com';
 
@@ -1872,6 +2721,102 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        it('should upload an encrypted record of a split message to sent', function(done) {
+            dummyMail = {
+                from: [{
+                    address: 'fred@foo.com'
+                }],
+                to: [],
+                cc: [{
+                    address: 'plain@foo.com'
+                }],
+                subject: 'Ermahgerd!',
+                body: 'so much body!',
+                attachments: [],
+                sentRecord: {
+                    to: [{
+                        address: 'secure@foo.com'
+                    }],
+                    cc: [{
+                        address: 'plain@foo.com'
+                    }],
+                    bcc: []
+                }
+            };
+
+            pgpMailerStub.send.returns(resolves(msg));
+            authStub.getCredentials.returns(resolves(credentials));
+            pgpStub.exportKeys.returns(resolves({
+                publicKeyArmored: 'OWN KEY'
+            }));
+            pgpBuilderStub.encrypt.withArgs(sinon.match(function(options) {
+                expect(options.mail.to).to.equal(dummyMail.sentRecord.to);
+                expect(options.mail.cc).to.equal(dummyMail.sentRecord.cc);
+                expect(options.publicKeysArmored).to.deep.equal(['OWN KEY']);
+                return true;
+            })).returns(resolves());
+            pgpBuilderStub.buildEncrypted.returns(resolves({
+                rfcMessage: 'record'
+            }));
+            imapClientStub.uploadMessage.withArgs({
+                path: sentFolder.path,
+                message: 'record'
+            }).returns(resolves());
+
+            dao.sendPlaintext({
+                email: dummyMail
+            }, pgpMailerStub).then(function() {
+                expect(pgpBuilderStub.encrypt.calledOnce).to.be.true;
+                expect(imapClientStub.uploadMessage.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should keep the html of a split message in the record in sent', function(done) {
+            dummyMail = {
+                from: [{
+                    address: 'fred@foo.com'
+                }],
+                to: [],
+                cc: [{
+                    address: 'plain@foo.com'
+                }],
+                subject: 'Ermahgerd!',
+                body: 'so much body!',
+                html: '<p>so much body!</p>',
+                attachments: [],
+                sentRecord: {
+                    to: [{
+                        address: 'secure@foo.com'
+                    }],
+                    cc: [{
+                        address: 'plain@foo.com'
+                    }],
+                    bcc: []
+                }
+            };
+
+            pgpMailerStub.send.returns(resolves(msg));
+            authStub.getCredentials.returns(resolves(credentials));
+            pgpStub.exportKeys.returns(resolves({
+                publicKeyArmored: 'OWN KEY'
+            }));
+            pgpBuilderStub.encrypt.returns(resolves());
+            pgpBuilderStub.buildEncrypted.returns(resolves({
+                rfcMessage: 'record'
+            }));
+            imapClientStub.uploadMessage.returns(resolves());
+
+            dao.sendPlaintext({
+                email: dummyMail
+            }, pgpMailerStub).then(function() {
+                expect(pgpBuilderStub.encrypt.firstCall.args[0].mail.html).to.equal('<p>so much body!</p>');
+                expect(pgpBuilderStub.encrypt.firstCall.args[0].mail.body).to.equal('so much body!');
+                expect(imapClientStub.uploadMessage.calledOnce).to.be.true;
+                done();
+            });
+        });
+
         it('should send in the plain and not upload to sent', function(done) {
             dao.ignoreUploadOnSent = true;
             credentials.smtp.host = 'smtp.gmail.com';
@@ -1940,10 +2885,185 @@ describe('Email DAO unit tests', function() {
 
     describe('#encrypt', function() {
         it('should encrypt', function(done) {
-            pgpBuilderStub.encrypt.returns(resolves());
+            var mail = {
+                html: '<p>PLAINTEXT</p>'
+            };
+            pgpBuilderStub.encrypt.returns(resolves(mail));
 
-            dao.encrypt({}).then(function() {
+            dao.encrypt({
+                mail: mail
+            }).then(function(message) {
                 expect(pgpBuilderStub.encrypt.calledOnce).to.be.true;
+                expect(message.html).to.not.exist;
+                done();
+            });
+        });
+
+        it('should hide the key ids', function(done) {
+            var mail = {
+                body: 'CIPHERTEXT',
+                bodyParts: [{
+                    type: 'encrypted',
+                    content: 'CIPHERTEXT'
+                }]
+            };
+            pgpBuilderStub.encrypt.returns(resolves(mail));
+            pgpStub.hideKeyIds.withArgs('CIPHERTEXT').returns(resolves('ANONYMOUS CIPHERTEXT'));
+
+            dao.encrypt({
+                mail: mail,
+                hideKeyIds: true
+            }).then(function(message) {
+                expect(message.body).to.equal('ANONYMOUS CIPHERTEXT');
+                expect(message.bodyParts[0].content).to.equal('ANONYMOUS CIPHERTEXT');
+                done();
+            });
+        });
+    });
+
+    describe('#uploadDraft', function() {
+        var draft;
+
+        beforeEach(function() {
+            folders.push(draftsFolder);
+            draft = {
+                subject: 'hello',
+                headers: {
+                    'message-id': '<draft@asdf.com>'
+                }
+            };
+            imapClientStub.uploadMessage.withArgs({
+                path: draftsFolder.path,
+                message: 'rfc'
+            }).returns(resolves());
+            imapClientStub.search.withArgs({
+                folder: draftsFolder,
+                path: draftsFolder.path,
+                header: ['message-id', '<draft@asdf.com>']
+            }).returns(resolves([3, 5]));
+        });
+
+        it('should upload a signed draft and purge the previous version', function(done) {
+            var previous = {
+                uid: 3
+            };
+            draftsFolder.messages.push(previous);
+            pgpBuilderStub.buildSigned.withArgs({
+                mail: draft
+            }).returns(resolves({
+                rfcMessage: 'rfc'
+            }));
+            imapClientStub.deleteMessage.withArgs({
+                path: draftsFolder.path,
+                uid: 3
+            }).returns(resolves());
+            devicestorageStub.removeList.withArgs('email_' + draftsFolder.path + '_3').returns(resolves());
+
+            dao.uploadDraft({
+                draft: draft,
+                uid: 3
+            }).then(function(uid) {
+                expect(uid).to.equal(5);
+                expect(imapClientStub.uploadMessage.calledOnce).to.be.true;
+                expect(imapClientStub.deleteMessage.calledOnce).to.be.true;
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                expect(draftsFolder.messages).to.be.empty;
+                expect(pgpBuilderStub.encrypt.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should encrypt a draft for the own key', function(done) {
+            pgpStub.exportKeys.returns(resolves({
+                publicKeyArmored: 'PUBLIC'
+            }));
+            pgpBuilderStub.encrypt.withArgs({
+                mail: draft,
+                publicKeysArmored: ['PUBLIC']
+            }).returns(resolves());
+            pgpBuilderStub.buildEncrypted.withArgs({
+                mail: draft
+            }).returns(resolves({
+                rfcMessage: 'rfc'
+            }));
+
+            dao.uploadDraft({
+                draft: draft,
+                encrypt: true
+            }).then(function(uid) {
+                expect(uid).to.equal(5);
+                expect(pgpBuilderStub.buildSigned.called).to.be.false;
+                expect(imapClientStub.deleteMessage.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should do nothing without a drafts folder', function(done) {
+            folders.pop();
+
+            dao.uploadDraft({
+                draft: draft
+            }).then(function(uid) {
+                expect(uid).to.be.undefined;
+                expect(imapClientStub.uploadMessage.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail when offline', function(done) {
+            account.online = false;
+
+            dao.uploadDraft({
+                draft: draft
+            }).catch(function(err) {
+                expect(err.code).to.equal(42);
+                done();
+            });
+        });
+    });
+
+    describe('#deleteDraft', function() {
+        it('should purge a draft', function(done) {
+            folders.push(draftsFolder);
+            imapClientStub.deleteMessage.withArgs({
+                path: draftsFolder.path,
+                uid: 3
+            }).returns(resolves());
+            devicestorageStub.removeList.withArgs('email_' + draftsFolder.path + '_3').returns(resolves());
+
+            dao.deleteDraft({
+                uid: 3
+            }).then(function() {
+                expect(imapClientStub.deleteMessage.calledOnce).to.be.true;
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should delete a draft locally and queue the purge in offline', function(done) {
+            var draft = {
+                uid: 3
+            };
+            draftsFolder.messages = [draft];
+            folders.push(draftsFolder);
+            account.online = false;
+            devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([]));
+            devicestorageStub.storeList.returns(resolves());
+            devicestorageStub.removeList.withArgs('email_' + draftsFolder.path + '_3').returns(resolves());
+
+            dao.deleteDraft({
+                uid: 3
+            }).then(function() {
+                expect(imapClientStub.deleteMessage.called).to.be.false;
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                expect(draftsFolder.messages).to.not.contain(draft);
+                expect(devicestorageStub.storeList.calledWith([
+                    [{
+                        type: 'purge',
+                        path: draftsFolder.path,
+                        uid: 3
+                    }]
+                ], 'operations')).to.be.true;
                 done();
             });
         });
@@ -1958,16 +3078,82 @@ describe('Email DAO unit tests', function() {
                 initFoldersStub = sinon.stub(dao, '_initFoldersFromImap');
                 delete dao._imapClient;
 
-                credentials = {
-                    imap: {}
-                };
+                credentials = {
+                    imap: {}
+                };
+            });
+
+            it('should connect', function(done) {
+                inboxFolder.messages = [{
+                    uid: 123,
+                    modseq: '123'
+                }];
+                devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([]));
+                authStub.getCredentials.returns(resolves(credentials));
+                imapClientStub.login.returns(resolves());
+                imapClientStub.selectMailbox.returns(resolves());
+                imapClientStub.listenForChanges.returns(resolves());
+                initFoldersStub.returns(resolves());
+
+                dao.onConnect(imapClientStub).then(function() {
+                    expect(imapClientStub.login.calledOnce).to.be.true;
+                    expect(imapClientStub.selectMailbox.calledOnce).to.be.true;
+                    expect(initFoldersStub.calledOnce).to.be.true;
+                    expect(imapClientStub.mailboxCache).to.deep.equal({
+                        'INBOX': {
+                            exists: 123,
+                            uidNext: 124,
+                            uidlist: [123],
+                            highestModseq: '123'
+                        }
+                    });
+
+                    done();
+                });
+            });
+
+            it('should find the highest modseq beyond 53 bit', function(done) {
+                inboxFolder.messages = [{
+                    uid: 121,
+                    modseq: '99'
+                }, {
+                    uid: 122,
+                    modseq: '9007199254740993'
+                }, {
+                    uid: 123,
+                    modseq: '9007199254740992'
+                }];
+                devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([]));
+                authStub.getCredentials.returns(resolves(credentials));
+                imapClientStub.login.returns(resolves());
+                imapClientStub.selectMailbox.returns(resolves());
+                imapClientStub.listenForChanges.returns(resolves());
+                initFoldersStub.returns(resolves());
+
+                dao.onConnect(imapClientStub).then(function() {
+                    expect(imapClientStub.mailboxCache.INBOX.highestModseq).to.equal('9007199254740993');
+                    done();
+                });
             });
 
-            it('should connect', function(done) {
+            it('should apply the changes made while offline before syncing', function(done) {
+                var replayStub = sinon.stub(dao, '_replayOperations').returns(resolves());
                 inboxFolder.messages = [{
                     uid: 123,
                     modseq: '123'
                 }];
+                devicestorageStub.listItems.withArgs('operations', 0, null).returns(resolves([
+                    [{
+                        type: 'move',
+                        path: inboxFolder.path,
+                        destination: sentFolder.path,
+                        uid: 124
+                    }, {
+                        type: 'flags',
+                        path: inboxFolder.path,
+                        uid: 125
+                    }]
+                ]));
                 authStub.getCredentials.returns(resolves(credentials));
                 imapClientStub.login.returns(resolves());
                 imapClientStub.selectMailbox.returns(resolves());
@@ -1975,17 +3161,10 @@ describe('Email DAO unit tests', function() {
                 initFoldersStub.returns(resolves());
 
                 dao.onConnect(imapClientStub).then(function() {
-                    expect(imapClientStub.login.calledOnce).to.be.true;
-                    expect(imapClientStub.selectMailbox.calledOnce).to.be.true;
-                    expect(initFoldersStub.calledOnce).to.be.true;
-                    expect(imapClientStub.mailboxCache).to.deep.equal({
-                        'INBOX': {
-                            exists: 123,
-                            uidNext: 124,
-                            uidlist: [123],
-                            highestModseq: '123'
-                        }
-                    });
+                    expect(replayStub.calledOnce).to.be.true;
+                    expect(replayStub.calledBefore(imapClientStub.selectMailbox)).to.be.true;
+                    // the moved message is not synced again
+                    expect(imapClientStub.mailboxCache.INBOX.uidlist).to.deep.equal([123, 124]);
 
                     done();
                 });
@@ -2026,14 +3205,14 @@ describe('Email DAO unit tests', function() {
             it('should get new message', function(done) {
                 fetchMessagesStub.withArgs({
                     folder: inboxFolder,
-                    firstUid: 1,
-                    lastUid: 3
+                    firstUid: 6,
+                    lastUid: 8
                 }).returns(resolves());
 
                 dao._onSyncUpdate({
                     type: 'new',
                     path: inboxFolder.path,
-                    list: [1, 3]
+                    list: [6, 8]
                 });
 
                 setTimeout(function() {
@@ -2043,6 +3222,44 @@ describe('Email DAO unit tests', function() {
                 }, 0);
             });
 
+            it('should not get messages older than the history', function() {
+                fetchMessagesStub.returns(resolves());
+
+                dao._onSyncUpdate({
+                    type: 'new',
+                    path: inboxFolder.path,
+                    list: [3, 1]
+                });
+
+                expect(fetchMessagesStub.called).to.be.false;
+            });
+
+            it('should start the history of a folder with the newest messages', function() {
+                inboxFolder.messages = [];
+                fetchMessagesStub.returns(resolves());
+                devicestorageStub.storeList.returns(resolves());
+
+                dao._onSyncUpdate({
+                    type: 'new',
+                    path: inboxFolder.path,
+                    list: [30, 29]
+                });
+                dao._onSyncUpdate({
+                    type: 'new',
+                    path: inboxFolder.path,
+                    list: [28, 27]
+                });
+
+                expect(inboxFolder.historyUid).to.equal(29);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(fetchMessagesStub.calledOnce).to.be.true;
+                expect(fetchMessagesStub.calledWith({
+                    folder: inboxFolder,
+                    firstUid: 29,
+                    lastUid: 30
+                })).to.be.true;
+            });
+
             it('should delete message', function(done) {
                 deleteMessagesStub.withArgs({
                     folder: inboxFolder,
@@ -2207,6 +3424,7 @@ describe('Email DAO unit tests', function() {
         describe('#_initFoldersFromImap', function() {
             beforeEach(function() {
                 sinon.stub(dao, 'refreshFolder');
+                sinon.stub(dao, '_imapDelimiter').returns(resolves('/'));
             });
 
             it('should initialize from imap if online', function(done) {
@@ -2273,37 +3491,65 @@ describe('Email DAO unit tests', function() {
                         name: inboxFolder.name,
                         path: inboxFolder.path,
                         type: inboxFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: sentFolder.name,
                         path: sentFolder.path,
                         type: sentFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: outboxFolder.name,
                         path: outboxFolder.path,
                         type: outboxFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: draftsFolder.name,
                         path: draftsFolder.path,
                         type: draftsFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: trashFolder.name,
                         path: trashFolder.path,
                         type: trashFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: flaggedFolder.name,
                         path: flaggedFolder.path,
                         type: flaggedFolder.type,
-                        wellknown: true
+                        wellknown: true,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }, {
                         name: otherFolder.name,
                         path: otherFolder.path,
                         type: otherFolder.type,
-                        wellknown: false
+                        wellknown: false,
+                        delimiter: '/',
+                        collapsed: undefined,
+                        uidValidity: undefined,
+                        historyUid: undefined
                     }]);
 
                     return true;
@@ -2317,6 +3563,461 @@ describe('Email DAO unit tests', function() {
                     done();
                 });
             });
+            it('should order the other folders as a tree', function(done) {
+                var work = {
+                        name: 'work',
+                        type: 'Other',
+                        path: 'work'
+                    },
+                    website = {
+                        name: 'Website',
+                        type: 'Other',
+                        path: 'Projects/Website'
+                    },
+                    projects = {
+                        name: 'Projects',
+                        type: 'Other',
+                        path: 'Projects'
+                    },
+                    archive = {
+                        name: 'archive',
+                        type: 'Other',
+                        path: 'Projects/archive'
+                    };
+
+                account.folders = [];
+                imapClientStub.listWellKnownFolders.returns(resolves({
+                    Inbox: [inboxFolder],
+                    Other: [work, website, projects, archive]
+                }));
+                devicestorageStub.storeList.returns(resolves());
+                dao.refreshFolder.returns(resolves());
+
+                dao._initFoldersFromImap().then(function() {
+                    expect(account.folders.slice(2)).to.deep.equal([projects, archive, website, work]);
+                    expect(website.delimiter).to.equal('/');
+                    done();
+                });
+            });
+
+            it('should remember the delimiter of the stored folders', function(done) {
+                inboxFolder.wellknown = true;
+                outboxFolder.wellknown = true;
+                account.folders = [inboxFolder, outboxFolder];
+                imapClientStub.listWellKnownFolders.returns(resolves({
+                    Inbox: [inboxFolder]
+                }));
+                devicestorageStub.storeList.returns(resolves());
+                dao.refreshFolder.returns(resolves());
+
+                dao._initFoldersFromImap().then(function() {
+                    expect(inboxFolder.delimiter).to.equal('/');
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    expect(devicestorageStub.storeList.args[0][0][0][0].delimiter).to.equal('/');
+                    done();
+                });
+            });
+        });
+
+        describe('#_replayOperations', function() {
+            var imapListStub, imapMarkStub, imapMoveStub, imapDeleteStub, localDeleteStub, operations, message;
+
+            beforeEach(function() {
+                message = {
+                    uid: 1,
+                    unread: true
+                };
+                inboxFolder.messages = [message];
+                operations = [{
+                    type: 'flags',
+                    path: inboxFolder.path,
+                    uid: 1,
+                    unread: false
+                }, {
+                    type: 'move',
+                    path: inboxFolder.path,
+                    destination: sentFolder.path,
+                    uid: 2
+                }, {
+                    type: 'delete',
+                    path: inboxFolder.path,
+                    uid: 3
+                }];
+                dao._operations = resolves(operations);
+                imapListStub = sinon.stub(dao, '_imapListMessages');
+                imapMarkStub = sinon.stub(dao, '_imapMark');
+                imapMoveStub = sinon.stub(dao, '_imapMoveMessage');
+                imapDeleteStub = sinon.stub(dao, '_imapDeleteMessage');
+                localDeleteStub = sinon.stub(dao, '_localDeleteMessage');
+                devicestorageStub.storeList.returns(resolves());
+            });
+
+            function existOnServer() {
+                [1, 2, 3].forEach(function(uid) {
+                    imapListStub.withArgs({
+                        folder: inboxFolder,
+                        firstUid: uid,
+                        lastUid: uid
+                    }).returns(resolves([{
+                        uid: uid
+                    }]));
+                });
+            }
+
+            it('should apply the changes in order', function(done) {
+                existOnServer();
+                imapMarkStub.returns(resolves());
+                imapMoveStub.returns(resolves());
+                imapDeleteStub.returns(resolves());
+
+                dao._replayOperations().then(function() {
+                    expect(imapMarkStub.calledWith({
+                        folder: inboxFolder,
+                        uid: 1,
+                        unread: false,
+                        answered: undefined,
+                        flagged: undefined
+                    })).to.be.true;
+                    expect(imapMoveStub.calledWith({
+                        folder: inboxFolder,
+                        destination: sentFolder,
+                        uid: 2
+                    })).to.be.true;
+                    expect(imapDeleteStub.calledWith({
+                        folder: inboxFolder,
+                        uid: 3
+                    })).to.be.true;
+                    expect(imapMarkStub.calledBefore(imapMoveStub)).to.be.true;
+                    expect(imapMoveStub.calledBefore(imapDeleteStub)).to.be.true;
+                    expect(operations).to.be.empty;
+                    expect(devicestorageStub.storeList.calledWith([
+                        []
+                    ], 'operations')).to.be.true;
+
+                    done();
+                });
+            });
+
+            it('should purge a draft without moving it to the trash', function(done) {
+                folders.push(draftsFolder);
+                operations.splice(0, operations.length, {
+                    type: 'purge',
+                    path: draftsFolder.path,
+                    uid: 4
+                });
+                imapListStub.withArgs({
+                    folder: draftsFolder,
+                    firstUid: 4,
+                    lastUid: 4
+                }).returns(resolves([{
+                    uid: 4
+                }]));
+                imapClientStub.deleteMessage.returns(resolves());
+
+                dao._replayOperations().then(function() {
+                    expect(imapClientStub.deleteMessage.calledWith({
+                        path: draftsFolder.path,
+                        uid: 4
+                    })).to.be.true;
+                    expect(imapDeleteStub.called).to.be.false;
+                    expect(operations).to.be.empty;
+
+                    done();
+                });
+            });
+
+            it('should drop the changes of messages that vanished on the server', function(done) {
+                imapListStub.returns(resolves([]));
+                localDeleteStub.returns(resolves());
+
+                dao._replayOperations().then(function() {
+                    expect(imapMarkStub.called).to.be.false;
+                    expect(imapMoveStub.called).to.be.false;
+                    expect(imapDeleteStub.called).to.be.false;
+                    expect(inboxFolder.messages).to.not.contain(message);
+                    expect(localDeleteStub.calledOnce).to.be.true;
+                    expect(operations).to.be.empty;
+
+                    done();
+                });
+            });
+
+            it('should drop changes that fail', function(done) {
+                existOnServer();
+                imapMarkStub.returns(rejects(new Error('asdf')));
+                imapMoveStub.returns(resolves());
+                imapDeleteStub.returns(resolves());
+                operations[1].destination = 'GONE';
+
+                dao._replayOperations().then(function() {
+                    expect(imapMoveStub.called).to.be.false;
+                    expect(imapDeleteStub.calledOnce).to.be.true;
+                    expect(operations).to.be.empty;
+
+                    done();
+                });
+            });
+
+            it('should keep the changes when going offline', function(done) {
+                existOnServer();
+                var err = new Error('offline');
+                err.code = 42;
+                imapMarkStub.returns(resolves());
+                imapMoveStub.returns(rejects(err));
+
+                dao._replayOperations().then(function() {
+                    expect(imapDeleteStub.called).to.be.false;
+                    expect(operations.length).to.equal(2);
+                    expect(operations[0].type).to.equal('move');
+
+                    done();
+                });
+            });
+        });
+
+        describe('#_imapSelectMailbox', function() {
+            var browserboxStub, onSyncUpdateStub, mailbox, response;
+
+            beforeEach(function() {
+                inboxFolder.uidValidity = 7;
+                imapClientStub.mailboxCache = {
+                    INBOX: {
+                        exists: 3,
+                        uidNext: 4,
+                        uidlist: [1, 2, 3],
+                        highestModseq: '90060115194045000'
+                    }
+                };
+                mailbox = {
+                    uidValidity: 7,
+                    exists: 4,
+                    uidNext: 6,
+                    highestModseq: '90060115194045007'
+                };
+                response = {
+                    payload: {
+                        VANISHED: [{
+                            attributes: [
+                                [{
+                                    type: 'ATOM',
+                                    value: 'EARLIER'
+                                }], {
+                                    type: 'SEQUENCE',
+                                    value: '2,10:20'
+                                }
+                            ]
+                        }],
+                        FETCH: [{}]
+                    }
+                };
+                browserboxStub = {
+                    STATE_SELECTED: 3,
+                    client: {
+                        setHandler: sinon.stub()
+                    },
+                    hasCapability: sinon.stub(),
+                    exec: sinon.stub(),
+                    onselectmailbox: sinon.stub(),
+                    onclosemailbox: sinon.stub(),
+                    _changeState: sinon.stub(),
+                    _parseSELECT: sinon.stub(),
+                    _parseFETCH: sinon.stub()
+                };
+                browserboxStub.hasCapability.withArgs('QRESYNC').returns(true);
+                browserboxStub.exec.withArgs(sinon.match({
+                    command: 'ENABLE'
+                })).yields(null, {}, function() {});
+                browserboxStub.exec.withArgs(sinon.match({
+                    command: 'SELECT'
+                })).yields(null, response, function() {});
+                browserboxStub._parseSELECT.withArgs(response).returns(mailbox);
+                browserboxStub._parseFETCH.returns([{
+                    uid: 3,
+                    flags: ['\\Seen'],
+                    modseq: '90060115194045007'
+                }]);
+                imapClientStub._client = browserboxStub;
+                onSyncUpdateStub = sinon.stub(dao, '_onSyncUpdate');
+            });
+
+            it('should resync the folder with QRESYNC', function(done) {
+                imapClientStub.search.withArgs({
+                    path: inboxFolder.path,
+                    uid: '4:*'
+                }).returns(resolves([4, 5]));
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    expect(imapClientStub.selectMailbox.called).to.be.false;
+                    expect(browserboxStub.exec.args[1][0].attributes).to.deep.equal([{
+                        type: 'STRING',
+                        value: 'INBOX'
+                    }, [{
+                        type: 'ATOM',
+                        value: 'QRESYNC'
+                    }, [{
+                        type: 'ATOM',
+                        value: '7'
+                    }, {
+                        type: 'ATOM',
+                        value: '90060115194045000'
+                    }]]]);
+                    expect(browserboxStub.selectedMailbox).to.equal(inboxFolder.path);
+                    expect(browserboxStub.onselectmailbox.called).to.be.false;
+
+                    expect(onSyncUpdateStub.calledWith({
+                        type: 'deleted',
+                        path: inboxFolder.path,
+                        list: [2]
+                    })).to.be.true;
+                    expect(onSyncUpdateStub.calledWith({
+                        type: 'messages',
+                        path: inboxFolder.path,
+                        list: [{
+                            uid: 3,
+                            flags: ['\\Seen'],
+                            modseq: '90060115194045007'
+                        }]
+                    })).to.be.true;
+                    expect(onSyncUpdateStub.calledWith({
+                        type: 'new',
+                        path: inboxFolder.path,
+                        list: [5, 4]
+                    })).to.be.true;
+
+                    expect(imapClientStub.mailboxCache.INBOX).to.deep.equal({
+                        exists: 4,
+                        uidNext: 6,
+                        uidlist: [1, 3, 5, 4],
+                        highestModseq: '90060115194045007'
+                    });
+                    done();
+                });
+            });
+
+            it('should encode the path of the folder with QRESYNC', function(done) {
+                inboxFolder.path = 'Entwürfe';
+                imapClientStub.mailboxCache['Entwürfe'] = imapClientStub.mailboxCache.INBOX;
+                imapClientStub.search.returns(resolves([4, 5]));
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    expect(browserboxStub.exec.args[1][0].attributes[0]).to.deep.equal({
+                        type: 'STRING',
+                        value: 'Entw&APw-rfe'
+                    });
+                    expect(browserboxStub.selectedMailbox).to.equal('Entwürfe');
+                    done();
+                });
+            });
+
+            it('should close the selected folder when switching between folders with QRESYNC', function(done) {
+                sentFolder.uidValidity = 7;
+                imapClientStub.mailboxCache.SENT = {
+                    exists: 4,
+                    uidNext: 6,
+                    uidlist: [1, 2, 3, 4, 5],
+                    highestModseq: '90060115194045000'
+                };
+                imapClientStub.search.returns(resolves([4, 5]));
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    expect(browserboxStub.onclosemailbox.called).to.be.false;
+
+                    return dao._imapSelectMailbox({
+                        folder: sentFolder
+                    });
+                }).then(function() {
+                    expect(browserboxStub.onclosemailbox.calledOnce).to.be.true;
+                    expect(browserboxStub.onclosemailbox.calledWith(inboxFolder.path)).to.be.true;
+                    expect(browserboxStub.selectedMailbox).to.equal(sentFolder.path);
+                    done();
+                });
+            });
+
+            it('should enable QRESYNC once per connection', function(done) {
+                mailbox.uidNext = 4;
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    return dao._imapSelectMailbox({
+                        folder: inboxFolder
+                    });
+                }).then(function() {
+                    expect(browserboxStub.exec.withArgs(sinon.match({
+                        command: 'ENABLE'
+                    })).calledOnce).to.be.true;
+                    expect(browserboxStub.client.setHandler.calledOnce).to.be.true;
+                    expect(imapClientStub.search.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should reconcile VANISHED responses after QRESYNC is enabled', function(done) {
+                mailbox.uidNext = 4;
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    var next = sinon.stub();
+
+                    onSyncUpdateStub.reset();
+                    browserboxStub.client.setHandler.withArgs('vanished').yield({
+                        attributes: [{
+                            type: 'SEQUENCE',
+                            value: '3'
+                        }]
+                    }, next);
+
+                    expect(onSyncUpdateStub.calledOnce).to.be.true;
+                    expect(onSyncUpdateStub.calledWith({
+                        type: 'deleted',
+                        path: inboxFolder.path,
+                        list: [3]
+                    })).to.be.true;
+                    expect(imapClientStub.mailboxCache.INBOX.uidlist).to.deep.equal([1]);
+                    expect(next.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should list the uids if the uidvalidity has changed', function(done) {
+                mailbox.uidValidity = 8;
+                devicestorageStub.storeList.returns(resolves());
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    expect(browserboxStub.onselectmailbox.calledWith(inboxFolder.path, mailbox)).to.be.true;
+                    expect(onSyncUpdateStub.called).to.be.false;
+                    expect(inboxFolder.uidValidity).to.equal(8);
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    done();
+                });
+            });
+
+            it('should list the uids if the server does not support QRESYNC', function(done) {
+                browserboxStub.hasCapability.withArgs('QRESYNC').returns(false);
+                imapClientStub.selectMailbox.withArgs({
+                    path: inboxFolder.path
+                }).returns(resolves({
+                    uidValidity: 7
+                }));
+
+                dao._imapSelectMailbox({
+                    folder: inboxFolder
+                }).then(function() {
+                    expect(imapClientStub.selectMailbox.calledOnce).to.be.true;
+                    expect(browserboxStub.exec.called).to.be.false;
+                    expect(devicestorageStub.storeList.called).to.be.false;
+                    done();
+                });
+            });
         });
 
         describe('#_imapMark', function() {
@@ -2395,6 +4096,75 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        describe('#_imapDelimiter', function() {
+            var browserboxStub;
+
+            beforeEach(function() {
+                browserboxStub = {
+                    exec: sinon.stub()
+                };
+                imapClientStub._client = browserboxStub;
+            });
+
+            it('should list the delimiter', function(done) {
+                browserboxStub.exec.withArgs({
+                    command: 'LIST',
+                    attributes: ['', '']
+                }, 'LIST').yields(null, {
+                    payload: {
+                        LIST: [{
+                            attributes: [
+                                [{
+                                    type: 'ATOM',
+                                    value: '\\Noselect'
+                                }], {
+                                    type: 'STRING',
+                                    value: '.'
+                                }, {
+                                    type: 'STRING',
+                                    value: ''
+                                }
+                            ]
+                        }]
+                    }
+                }, function() {});
+
+                dao._imapDelimiter().then(function(delimiter) {
+                    expect(delimiter).to.equal('.');
+                    done();
+                });
+            });
+
+            it('should resolve null for flat servers', function(done) {
+                browserboxStub.exec.yields(null, {
+                    payload: {
+                        LIST: [{
+                            attributes: [
+                                [], null, {
+                                    type: 'STRING',
+                                    value: ''
+                                }
+                            ]
+                        }]
+                    }
+                }, function() {});
+
+                dao._imapDelimiter().then(function(delimiter) {
+                    expect(delimiter).to.be.null;
+                    done();
+                });
+            });
+
+            it('should fail when LIST fails', function(done) {
+                browserboxStub.exec.yields(new Error('fail'), {}, function() {});
+
+                dao._imapDelimiter().catch(function(err) {
+                    expect(err.message).to.equal('fail');
+                    done();
+                });
+            });
+        });
+
         describe('#_imapListMessages', function() {
             var firstUid = 1337,
                 lastUid = 1339;
@@ -2445,6 +4215,35 @@ describe('Email DAO unit tests', function() {
             });
         });
 
+        describe('#_imapSearch', function() {
+            it('should search messages', function(done) {
+                imapClientStub.search.withArgs({
+                    folder: inboxFolder,
+                    path: inboxFolder.path,
+                    header: ['subject', 'foo']
+                }).returns(resolves([1, 2]));
+
+                dao._imapSearch({
+                    folder: inboxFolder,
+                    header: ['subject', 'foo']
+                }).then(function(uids) {
+                    expect(uids).to.deep.equal([1, 2]);
+                    expect(imapClientStub.search.calledOnce).to.be.true;
+
+                    done();
+                });
+            });
+
+            it('should fail when disconnected', function(done) {
+                dao._account.online = false;
+
+                dao._imapSearch({}).catch(function(err) {
+                    expect(err.code).to.equal(42);
+                    done();
+                });
+            });
+        });
+
         describe('#_imapUploadMessage', function() {
             it('should upload a message', function(done) {
                 var msg = 'wow. such message. much rfc2822.';
@@ -2627,6 +4426,33 @@ describe('Email DAO unit tests', function() {
 
         });
 
+        describe('#_localMoveMessages', function() {
+            it('should move the messages to the new path', function(done) {
+                var folder = {
+                        path: 'NEW',
+                        messages: [{
+                            uid: 5
+                        }]
+                    },
+                    stored = {
+                        uid: 5,
+                        body: 'asdf'
+                    };
+
+                devicestorageStub.listItems.withArgs('email_OLD_5', 0, null).returns(resolves([stored, {
+                    uid: 50
+                }]));
+                devicestorageStub.storeList.withArgs([stored], 'email_NEW').returns(resolves());
+                devicestorageStub.removeList.withArgs('email_OLD_5').returns(resolves());
+
+                dao._localMoveMessages(folder, 'OLD').then(function() {
+                    expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                    expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                    done();
+                });
+            });
+        });
+
         describe('#_uploadToSent', function() {
             it('should upload', function(done) {
                 var msg = 'wow. such message. much rfc2822.';
@@ -2646,6 +4472,71 @@ describe('Email DAO unit tests', function() {
         });
 
 
+        describe('#_getBuilder', function() {
+            it('should use the pgpbuilder', function() {
+                expect(dao._getBuilder({
+                    mail: {}
+                })).to.equal(pgpBuilderStub);
+            });
+
+            it('should sign with the key of the identity', function() {
+                var key = {},
+                    builder;
+                pgpStub.getSigningKey.withArgs('SUPPORTKEY').returns(key);
+
+                builder = dao._getBuilder({
+                    mail: {
+                        signingKeyId: 'SUPPORTKEY'
+                    }
+                });
+
+                expect(builder._privateKey).to.equal(key);
+                expect(pgpBuilderStub._privateKey).to.not.equal(key);
+                expect(builder.buildSigned).to.equal(pgpBuilderStub.buildSigned);
+            });
+
+            it('should fail if the key of the identity is not available', function() {
+                expect(function() {
+                    dao._getBuilder({
+                        mail: {
+                            from: [{
+                                address: 'support@foo.com'
+                            }],
+                            signingKeyId: 'SUPPORTKEY'
+                        }
+                    });
+                }).to.throw(/support@foo\.com/);
+            });
+
+            it('should only deliver to mail.deliverTo', function(done) {
+                var builder = dao._getBuilder({
+                    mail: {
+                        deliverTo: ['bcc@dafool']
+                    },
+                    encrypt: true
+                });
+
+                pgpBuilderStub.buildEncrypted.returns(resolves({
+                    rfcMessage: 'asdf',
+                    smtpInfo: {
+                        from: 'me@dafool',
+                        to: ['pity@dafool', 'bcc@dafool']
+                    }
+                }));
+
+                builder.buildEncrypted({}).then(function(built) {
+                    expect(built.rfcMessage).to.equal('asdf');
+                    expect(built.smtpInfo).to.deep.equal({
+                        from: 'me@dafool',
+                        to: ['bcc@dafool']
+                    });
+                    expect(pgpBuilderStub.buildEncrypted.calledOnce).to.be.true;
+                    done();
+                });
+            });
+        });
+
+
         describe('#checkIgnoreUploadOnSent', function() {
             it('should ignore upload on gmail', function() {
                 expect(dao.checkIgnoreUploadOnSent('bla.gmail.com')).to.be.true;
@@ -0,0 +1,80 @@
+'use strict';
+
+var html = require('../../../src/js/email/html');
+
+describe('Html unit tests', function() {
+
+    describe('sanitize', function() {
+        it('should remove scripts and event handlers', function() {
+            var sanitized = html.sanitize('<p onclick="alert(1)">hi</p><script>alert(2)</script>');
+
+            expect(sanitized).to.contain('<p>hi</p>');
+            expect(sanitized).to.not.contain('alert');
+        });
+    });
+
+    describe('sanitizeEditable', function() {
+        it('should remove styles and remote content', function() {
+            var sanitized = html.sanitizeEditable('<style>body { display: none; }</style>' +
+                '<p style="background: url(https://tracker.example/bg.gif)">hi</p>' +
+                '<video poster="https://tracker.example/poster.gif"></video><img src="data:image/png;base64,AAAA">');
+
+            expect(sanitized).to.not.contain('<style');
+            expect(sanitized).to.not.contain('style=');
+            expect(sanitized).to.not.contain('tracker.example');
+            expect(sanitized).to.contain('<p>hi</p>');
+            expect(sanitized).to.contain('data:image/png;base64,AAAA');
+        });
+    });
+
+    describe('toText', function() {
+        it('should generate the plaintext alternative', function() {
+            var text = html.toText('<p>Hello <b>Fred</b>,</p><ul><li>one</li><li>two</li></ul>' +
+                'see <a href="https://whiteout.io">our site</a><br>bye<blockquote>quoted<br>text</blockquote>');
+
+            expect(text).to.equal('Hello Fred,\n\n- one\n- two\n\nsee our site <https://whiteout.io>\nbye\n> quoted\n> text');
+        });
+
+        it('should not repeat links that are their own text', function() {
+            expect(html.toText('<a href="https://whiteout.io">https://whiteout.io</a>')).to.equal('https://whiteout.io');
+        });
+    });
+
+    describe('fromText', function() {
+        it('should escape the text and keep the line breaks', function() {
+            expect(html.fromText('a < b\nc & d')).to.equal('a &lt; b<br>c &amp; d');
+        });
+    });
+
+    describe('quote', function() {
+        it('should quote html without loading remote images', function() {
+            var quoted = html.quote('Fred wrote:', {
+                html: '<style>p { color: red; }</style><p>hi<img src="https://tracker.example/pixel.gif"><img src="data:image/png;base64,AAAA"></p>'
+            });
+
+            expect(quoted).to.match(/^<br><br>Fred wrote:<blockquote type="cite">/);
+            expect(quoted).to.not.contain('tracker.example');
+            expect(quoted).to.not.contain('color: red');
+            expect(quoted).to.contain('data:image/png;base64,AAAA');
+        });
+
+        it('should quote a plaintext message', function() {
+            expect(html.quote('Fred wrote:', {
+                body: 'a\nb'
+            })).to.equal('<br><br>Fred wrote:<blockquote type="cite">a<br>b</blockquote>');
+        });
+    });
+
+    describe('extractInlineImages', function() {
+        it('should replace data uris with cid references', function() {
+            var extracted = html.extractInlineImages('<p><img alt="a" src="data:image/png;base64,YWJj"></p>', 'foo.com');
+
+            expect(extracted.images.length).to.equal(1);
+            expect(extracted.images[0].id).to.match(/@foo\.com$/);
+            expect(extracted.images[0].filename).to.equal('image1.png');
+            expect(extracted.images[0].mimeType).to.equal('image/png');
+            expect(extracted.images[0].content).to.deep.equal(new Uint8Array([97, 98, 99]));
+            expect(extracted.html).to.equal('<p><img alt="a" src="cid:' + extracted.images[0].id + '"></p>');
+        });
+    });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+var Identities = require('../../../src/js/email/identities'),
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
+    PGP = require('../../../src/js/crypto/pgp'),
+    Auth = require('../../../src/js/service/auth');
+
+describe('Identities unit test', function() {
+    var identities, devicestorageStub, pgpStub, authStub, support;
+
+    beforeEach(function() {
+        devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
+        devicestorageStub.storeList.returns(resolves());
+        pgpStub = sinon.createStubInstance(PGP);
+        authStub = sinon.createStubInstance(Auth);
+        authStub.realname = 'Fred Foo';
+        authStub.emailAddress = 'fred@foo.com';
+        identities = new Identities(devicestorageStub, pgpStub, authStub);
+        support = {
+            id: 'support',
+            name: 'Support',
+            address: 'support@foo.com'
+        };
+    });
+
+    describe('load', function() {
+        it('should list the stored identities after the account', function(done) {
+            devicestorageStub.listItems.withArgs('identities', 0, null).returns(resolves([
+                [support]
+            ]));
+
+            identities.load().then(function() {
+                expect(identities.list()).to.deep.equal([{
+                    id: 'primary',
+                    name: 'Fred Foo',
+                    address: 'fred@foo.com',
+                    primary: true
+                }, support]);
+                done();
+            });
+        });
+    });
+
+    describe('unlockKeys', function() {
+        it('should decrypt and unlock the keys', function(done) {
+            devicestorageStub.listItems.withArgs('identitykeys', 0, null).returns(resolves(['CIPHERTEXT']));
+            pgpStub.decrypt.withArgs('CIPHERTEXT', undefined).returns(resolves({
+                decrypted: JSON.stringify({
+                    SUPPORTKEY: 'PRIVATE KEY'
+                }),
+                signaturesValid: true
+            }));
+            pgpStub.importSigningKey.withArgs({
+                privateKeyArmored: 'PRIVATE KEY'
+            }).returns(resolves());
+
+            identities.unlockKeys().then(function() {
+                expect(pgpStub.importSigningKey.calledOnce).to.be.true;
+                expect(identities._keys).to.deep.equal({
+                    SUPPORTKEY: 'PRIVATE KEY'
+                });
+                done();
+            });
+        });
+
+        it('should not fail if the keys can not be verified', function(done) {
+            devicestorageStub.listItems.returns(resolves(['CIPHERTEXT']));
+            pgpStub.decrypt.returns(resolves({
+                decrypted: '{}',
+                signaturesValid: false
+            }));
+
+            identities.unlockKeys().then(function() {
+                expect(pgpStub.importSigningKey.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('forMessage', function() {
+        beforeEach(function() {
+            identities._identities = [support];
+        });
+
+        it('should pick the identity the message was addressed to', function() {
+            expect(identities.forMessage({
+                to: [{
+                    address: 'pity@dafool'
+                }],
+                cc: [{
+                    address: 'SUPPORT@foo.com'
+                }]
+            })).to.equal(support);
+        });
+
+        it('should default to the account', function() {
+            expect(identities.forMessage({
+                to: [{
+                    address: 'pity@dafool'
+                }]
+            }).primary).to.be.true;
+        });
+    });
+
+    describe('save', function() {
+        it('should add an identity', function(done) {
+            identities.save({
+                name: 'Billing',
+                address: 'billing@foo.com',
+                replyTo: ''
+            }).then(function(identity) {
+                expect(identity.id).to.exist;
+                expect(identity.replyTo).to.be.undefined;
+                expect(identities.list()[1]).to.equal(identity);
+                expect(devicestorageStub.storeList.calledWith([
+                    [identity]
+                ], 'identities')).to.be.true;
+                done();
+            });
+        });
+
+        it('should update an identity', function(done) {
+            identities._identities = [support];
+
+            identities.save({
+                id: 'support',
+                name: 'Customer Support',
+                address: 'support@foo.com'
+            }).then(function() {
+                expect(identities.list().length).to.equal(2);
+                expect(identities.list()[1].name).to.equal('Customer Support');
+                done();
+            });
+        });
+
+        it('should not add a second identity for an address', function(done) {
+            identities.save({
+                name: 'Fred',
+                address: 'fred@foo.com'
+            }).catch(function(err) {
+                expect(err.message).to.match(/already/);
+                expect(devicestorageStub.storeList.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail for an invalid address', function(done) {
+            identities.save({
+                name: 'Support',
+                address: 'support'
+            }).catch(function(err) {
+                expect(err.message).to.match(/invalid/);
+                done();
+            });
+        });
+
+        it('should fail for a key that has not been imported', function(done) {
+            support.keyId = 'SUPPORTKEY';
+
+            identities.save(support).catch(function(err) {
+                expect(err.message).to.match(/not been imported/);
+                done();
+            });
+        });
+    });
+
+    describe('remove', function() {
+        it('should remove an identity', function(done) {
+            identities._identities = [support];
+
+            identities.remove('support').then(function() {
+                expect(identities.list().length).to.equal(1);
+                expect(devicestorageStub.storeList.calledWith([
+                    []
+                ], 'identities')).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('importKey', function() {
+        it('should unlock the key and store it encrypted', function(done) {
+            pgpStub.importSigningKey.withArgs({
+                privateKeyArmored: 'PROTECTED KEY',
+                passphrase: 'asdf'
+            }).returns(resolves({
+                keyId: 'SUPPORTKEY',
+                privateKeyArmored: 'PRIVATE KEY'
+            }));
+            pgpStub.encrypt.withArgs(JSON.stringify({
+                SUPPORTKEY: 'PRIVATE KEY'
+            }), undefined).returns(resolves('CIPHERTEXT'));
+
+            identities.importKey({
+                privateKeyArmored: 'PROTECTED KEY',
+                passphrase: 'asdf'
+            }).then(function(keyId) {
+                expect(keyId).to.equal('SUPPORTKEY');
+                expect(devicestorageStub.storeList.calledWith(['CIPHERTEXT'], 'identitykeys')).to.be.true;
+                done();
+            });
+        });
+    });
+});
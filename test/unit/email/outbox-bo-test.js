@@ -3,10 +3,11 @@
 var OutboxBO = require('../../../src/js/email/outbox'),
     KeychainDAO = require('../../../src/js/service/keychain'),
     EmailDAO = require('../../../src/js/email/email'),
-    DeviceStorageDAO = require('../../../src/js/service/devicestorage');
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
+    Identities = require('../../../src/js/email/identities');
 
 describe('Outbox unit test', function() {
-    var outbox, emailDaoStub, devicestorageStub, keychainStub,
+    var outbox, emailDaoStub, devicestorageStub, keychainStub, identitiesStub,
         dummyUser = 'spiderpig@springfield.com';
 
     chai.config.includeStack = true;
@@ -22,7 +23,11 @@ describe('Outbox unit test', function() {
         };
         devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
         keychainStub = sinon.createStubInstance(KeychainDAO);
-        outbox = new OutboxBO(emailDaoStub, keychainStub, devicestorageStub);
+        identitiesStub = sinon.createStubInstance(Identities);
+        identitiesStub.getPrimary.returns({
+            address: 'member@whiteout.io'
+        });
+        outbox = new OutboxBO(emailDaoStub, keychainStub, devicestorageStub, identitiesStub);
     });
 
     afterEach(function() {});
@@ -39,6 +44,20 @@ describe('Outbox unit test', function() {
             outbox.stopChecking();
             expect(outbox._intervalId).to.not.exist;
         });
+
+        it('should restart checking with a new callback', function() {
+            var intervalId;
+
+            function onOutboxUpdate() {}
+
+            outbox.startChecking(function() {});
+            intervalId = outbox._intervalId;
+            outbox.startChecking(onOutboxUpdate);
+            expect(outbox._intervalId).to.not.equal(intervalId);
+            expect(outbox._onUpdate).to.equal(onOutboxUpdate);
+
+            outbox.stopChecking();
+        });
     });
 
     describe('put', function() {
@@ -107,9 +126,18 @@ describe('Outbox unit test', function() {
             });
         });
 
-        it('should not encrypt a mail with bcc and store a mail', function(done) {
-            var mail;
+        it('should encrypt a separate copy for every bcc recipient', function(done) {
+            var mail, senderKey, receiverKey, bccKey;
 
+            senderKey = {
+                publicKey: 'SENDER PUBLIC KEY'
+            };
+            receiverKey = {
+                publicKey: 'RECEIVER PUBLIC KEY'
+            };
+            bccKey = {
+                publicKey: 'BCC PUBLIC KEY'
+            };
             mail = {
                 from: [{
                     name: 'member',
@@ -117,23 +145,78 @@ describe('Outbox unit test', function() {
                 }],
                 to: [{
                     name: 'member',
-                    address: 'member@whiteout.io'
+                    address: 'member'
                 }],
                 cc: [],
                 bcc: [{
-                    name: 'member',
+                    name: 'bcc',
+                    address: 'bcc'
+                }],
+                hideKeyIds: true
+            };
+
+            keychainStub.getReceiverPublicKey.withArgs(mail.from[0].address).returns(resolves(senderKey));
+            keychainStub.getReceiverPublicKey.withArgs(mail.to[0].address).returns(resolves(receiverKey));
+            keychainStub.getReceiverPublicKey.withArgs(mail.bcc[0].address).returns(resolves(bccKey));
+            emailDaoStub.encrypt.returns(resolves());
+            devicestorageStub.storeList.returns(resolves());
+
+            outbox.put(mail).then(function() {
+                var storedMails = devicestorageStub.storeList.firstCall.args[0],
+                    secureCopy = storedMails[0],
+                    bccCopy = storedMails[1];
+
+                expect(storedMails.length).to.equal(2);
+                expect(emailDaoStub.encrypt.calledTwice).to.be.true;
+
+                expect(secureCopy.uid).to.equal(mail.uid + '-encrypted');
+                expect(secureCopy.to).to.deep.equal(mail.to);
+                expect(secureCopy.bcc).to.be.empty;
+                expect(secureCopy.publicKeysArmored).to.deep.equal([senderKey.publicKey, receiverKey.publicKey]);
+                expect(secureCopy.uploadToSent).to.not.exist;
+
+                expect(bccCopy.uid).to.equal(mail.uid + '-bcc0');
+                expect(bccCopy.to).to.deep.equal(mail.to);
+                expect(bccCopy.bcc).to.deep.equal(mail.bcc);
+                expect(bccCopy.deliverTo).to.deep.equal(['bcc']);
+                expect(bccCopy.publicKeysArmored).to.deep.equal([bccKey.publicKey]);
+                expect(bccCopy.uploadToSent).to.be.false;
+                expect(emailDaoStub.encrypt.calledWith({
+                    mail: bccCopy,
+                    publicKeysArmored: [bccKey.publicKey],
+                    hideKeyIds: true
+                })).to.be.true;
+
+                done();
+            });
+        });
+
+        it('should send a mail with bcc in the plain if the bcc recipient has no key', function(done) {
+            var mail = {
+                from: [{
                     address: 'member@whiteout.io'
+                }],
+                to: [{
+                    address: 'member'
+                }],
+                cc: [],
+                bcc: [{
+                    address: 'notamember'
                 }]
             };
 
+            keychainStub.getReceiverPublicKey.withArgs(mail.from[0].address).returns(resolves({
+                publicKey: 'SENDER PUBLIC KEY'
+            }));
+            keychainStub.getReceiverPublicKey.withArgs(mail.to[0].address).returns(resolves({
+                publicKey: 'RECEIVER PUBLIC KEY'
+            }));
+            keychainStub.getReceiverPublicKey.withArgs(mail.bcc[0].address).returns(resolves());
             devicestorageStub.storeList.withArgs([mail]).returns(resolves());
 
             outbox.put(mail).then(function() {
-                expect(mail.publicKeysArmored.length).to.equal(0);
-                expect(keychainStub.getReceiverPublicKey.called).to.be.false;
                 expect(emailDaoStub.encrypt.called).to.be.false;
                 expect(devicestorageStub.storeList.calledOnce).to.be.true;
-
                 done();
             });
         });
@@ -169,7 +252,8 @@ describe('Outbox unit test', function() {
 
             emailDaoStub.encrypt.withArgs({
                 mail: mail,
-                publicKeysArmored: [senderKey.publicKey, receiverKey.publicKey, receiverKey.publicKey]
+                publicKeysArmored: [senderKey.publicKey, receiverKey.publicKey, receiverKey.publicKey],
+                hideKeyIds: false
             }).returns(resolves());
 
             devicestorageStub.storeList.withArgs([mail]).returns(resolves());
@@ -182,6 +266,133 @@ describe('Outbox unit test', function() {
                 done();
             });
         });
+
+        it('should sign with the key of the identity and encrypt for the account', function(done) {
+            var mail = {
+                from: [{
+                    name: 'Support',
+                    address: 'support@whiteout.io'
+                }],
+                to: [{
+                    address: 'member'
+                }],
+                cc: [],
+                bcc: []
+            };
+
+            identitiesStub.getByAddress.withArgs('support@whiteout.io').returns({
+                address: 'support@whiteout.io',
+                keyId: 'SUPPORTKEY'
+            });
+            keychainStub.getReceiverPublicKey.withArgs('member@whiteout.io').returns(resolves({
+                publicKey: 'SENDER PUBLIC KEY'
+            }));
+            keychainStub.getReceiverPublicKey.withArgs('member').returns(resolves({
+                publicKey: 'RECEIVER PUBLIC KEY'
+            }));
+            emailDaoStub.encrypt.returns(resolves());
+            devicestorageStub.storeList.returns(resolves());
+
+            outbox.put(mail).then(function() {
+                expect(mail.signingKeyId).to.equal('SUPPORTKEY');
+                expect(keychainStub.getReceiverPublicKey.calledWith('support@whiteout.io')).to.be.false;
+                expect(emailDaoStub.encrypt.calledWith({
+                    mail: mail,
+                    publicKeysArmored: ['SENDER PUBLIC KEY', 'RECEIVER PUBLIC KEY'],
+                    hideKeyIds: false
+                })).to.be.true;
+                done();
+            });
+        });
+
+        it('should split a mail into an encrypted and a plaintext copy', function(done) {
+            var mail, senderKey, receiverKey, attachments;
+
+            senderKey = {
+                publicKey: 'SENDER PUBLIC KEY'
+            };
+            receiverKey = {
+                publicKey: 'RECEIVER PUBLIC KEY'
+            };
+            attachments = [{
+                filename: 'a.txt'
+            }];
+            mail = {
+                from: [{
+                    name: 'member',
+                    address: 'member@whiteout.io'
+                }],
+                to: [{
+                    name: 'member',
+                    address: 'member'
+                }],
+                cc: [{
+                    name: 'notamember',
+                    address: 'notamember'
+                }],
+                bcc: [],
+                attachments: attachments,
+                encryptWherePossible: true
+            };
+
+            keychainStub.getReceiverPublicKey.withArgs(mail.from[0].address).returns(resolves(senderKey));
+            keychainStub.getReceiverPublicKey.withArgs(mail.to[0].address).returns(resolves(receiverKey));
+            keychainStub.getReceiverPublicKey.withArgs(mail.cc[0].address).returns(resolves());
+            emailDaoStub.encrypt.returns(resolves());
+            devicestorageStub.storeList.returns(resolves());
+
+            outbox.put(mail).then(function() {
+                var secureCopy = emailDaoStub.encrypt.firstCall.args[0].mail,
+                    storedMails = devicestorageStub.storeList.firstCall.args[0],
+                    plainCopy = storedMails[1];
+
+                expect(emailDaoStub.encrypt.firstCall.args[0].publicKeysArmored).to.deep.equal([senderKey.publicKey, receiverKey.publicKey]);
+                expect(storedMails[0]).to.equal(secureCopy);
+                expect(secureCopy.uid).to.equal(mail.uid + '-encrypted');
+                expect(secureCopy.to).to.deep.equal(mail.to);
+                expect(secureCopy.cc).to.be.empty;
+                expect(secureCopy.attachments).to.not.equal(attachments);
+                expect(secureCopy.uploadToSent).to.be.false;
+
+                expect(plainCopy.uid).to.equal(mail.uid + '-plain');
+                expect(plainCopy.to).to.be.empty;
+                expect(plainCopy.cc).to.deep.equal(mail.cc);
+                expect(plainCopy.attachments).to.deep.equal(attachments);
+                expect(plainCopy.sentRecord).to.deep.equal({
+                    to: mail.to,
+                    cc: mail.cc,
+                    bcc: []
+                });
+
+                done();
+            });
+        });
+
+        it('should not split a mail if nobody has a key', function(done) {
+            var mail = {
+                from: [{
+                    address: 'member@whiteout.io'
+                }],
+                to: [{
+                    address: 'notamember'
+                }],
+                cc: [],
+                bcc: [],
+                encryptWherePossible: true
+            };
+
+            keychainStub.getReceiverPublicKey.withArgs(mail.from[0].address).returns(resolves({
+                publicKey: 'SENDER PUBLIC KEY'
+            }));
+            keychainStub.getReceiverPublicKey.withArgs(mail.to[0].address).returns(resolves());
+            devicestorageStub.storeList.withArgs([mail]).returns(resolves());
+
+            outbox.put(mail).then(function() {
+                expect(emailDaoStub.encrypt.called).to.be.false;
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                done();
+            });
+        });
     });
 
     describe('process outbox', function() {
@@ -280,6 +491,122 @@ describe('Outbox unit test', function() {
             outbox._processOutbox(onOutboxUpdate);
         });
 
+        it('should hold scheduled mails until they are due', function(done) {
+            var due = {
+                    uid: '12',
+                    sendAt: new Date(Date.now() - 1000)
+                },
+                scheduled = {
+                    uid: '34',
+                    sendAt: new Date(Date.now() + 60000)
+                };
+
+            devicestorageStub.listItems.returns(resolves([due, scheduled]));
+            emailDaoStub.sendPlaintext.returns(resolves());
+            devicestorageStub.removeList.returns(resolves());
+
+            outbox._processOutbox(function(err, count) {
+                expect(err).to.not.exist;
+                expect(count).to.equal(1);
+                expect(emailDaoStub.sendPlaintext.withArgs({
+                    email: due
+                }).calledOnce).to.be.true;
+                expect(emailDaoStub.sendPlaintext.calledOnce).to.be.true;
+                expect(devicestorageStub.removeList.withArgs('email_OUTBOX_12').calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should hold mails until sending can not be undone anymore', function(done) {
+            var held = {
+                uid: '12',
+                holdUntil: new Date(Date.now() + 10000)
+            };
+
+            devicestorageStub.listItems.returns(resolves([held]));
+
+            outbox._processOutbox(function(err, count) {
+                expect(err).to.not.exist;
+                expect(count).to.equal(1);
+                expect(emailDaoStub.sendPlaintext.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should back off exponentially when sending fails', function(done) {
+            var mail = {
+                    uid: '12',
+                    delivery: {
+                        attempts: 2,
+                        error: 'Socket timed out!',
+                        nextAttempt: new Date(Date.now() - 1000)
+                    }
+                },
+                storedMail = _.clone(mail);
+
+            devicestorageStub.listItems.withArgs('email_OUTBOX', 0, null).returns(resolves([mail]));
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([storedMail]));
+            devicestorageStub.storeList.withArgs([storedMail], 'email_OUTBOX').returns(resolves());
+            emailDaoStub.sendPlaintext.returns(rejects(new Error('Socket timed out!')));
+
+            outbox._processOutbox(function(err, count) {
+                var delay;
+
+                expect(err).to.not.exist;
+                expect(count).to.equal(0);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(storedMail.delivery.attempts).to.equal(3);
+                expect(storedMail.delivery.error).to.equal('Socket timed out!');
+                expect(storedMail.delivery.failed).to.be.false;
+                delay = storedMail.delivery.nextAttempt.getTime() - Date.now();
+                expect(delay).to.be.above(3 * 30000);
+                expect(delay).to.be.at.most(4 * 30000);
+                done();
+            });
+        });
+
+        it('should mark mails as failed for permanent errors', function(done) {
+            var mail = {
+                uid: '12'
+            };
+
+            devicestorageStub.listItems.withArgs('email_OUTBOX', 0, null).returns(resolves([mail]));
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([mail]));
+            devicestorageStub.storeList.returns(resolves());
+            emailDaoStub.sendPlaintext.returns(rejects(new Error('Failed recipients: ["a@b.com"]')));
+
+            outbox._processOutbox(function(err) {
+                expect(err).to.not.exist;
+                expect(mail.delivery.attempts).to.equal(1);
+                expect(mail.delivery.failed).to.be.true;
+                expect(mail.delivery.nextAttempt).to.not.exist;
+                done();
+            });
+        });
+
+        it('should not send mails that are waiting for a retry or have failed', function(done) {
+            devicestorageStub.listItems.returns(resolves([{
+                uid: '12',
+                delivery: {
+                    attempts: 1,
+                    nextAttempt: new Date(Date.now() + 10000)
+                }
+            }, {
+                uid: '34',
+                delivery: {
+                    attempts: 1,
+                    failed: true
+                }
+            }]));
+
+            outbox._processOutbox(function(err, count) {
+                expect(err).to.not.exist;
+                expect(count).to.equal(2);
+                expect(emailDaoStub.sendPlaintext.called).to.be.false;
+                done();
+            });
+        });
+
         it('should not process outbox in offline mode', function(done) {
             emailDaoStub._account.online = false;
             devicestorageStub.listItems.returns(resolves([{}]));
@@ -293,4 +620,173 @@ describe('Outbox unit test', function() {
             });
         });
     });
+
+    describe('withdraw', function() {
+        var mail;
+
+        beforeEach(function() {
+            sinon.stub(outbox, '_processOutbox');
+            mail = {
+                uid: '12',
+                holdUntil: new Date(Date.now() + 10000)
+            };
+        });
+
+        afterEach(function() {
+            outbox._processOutbox.restore();
+        });
+
+        it('should remove a held mail', function(done) {
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([mail]));
+            devicestorageStub.removeList.withArgs('email_OUTBOX_12').returns(resolves());
+
+            outbox.withdraw(mail).then(function() {
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                expect(outbox._processOutbox.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should remove both copies of a split mail', function(done) {
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([_.extend({}, mail, {
+                uid: '12-encrypted'
+            }), _.extend({}, mail, {
+                uid: '12-plain'
+            })]));
+            devicestorageStub.removeList.withArgs('email_OUTBOX_12').returns(resolves());
+
+            outbox.withdraw(mail).then(function() {
+                expect(devicestorageStub.removeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should fail for mails that are due', function(done) {
+            mail.holdUntil = new Date(Date.now() - 1000);
+            devicestorageStub.listItems.returns(resolves([mail]));
+
+            outbox.withdraw(mail).catch(function(err) {
+                expect(err.message).to.match(/sent/);
+                expect(devicestorageStub.removeList.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail for mails that have been sent', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            outbox.withdraw(mail).catch(function(err) {
+                expect(err.message).to.match(/sent/);
+                done();
+            });
+        });
+    });
+
+    describe('retry', function() {
+        var mail, storedMail;
+
+        beforeEach(function() {
+            sinon.stub(outbox, '_processOutbox');
+            mail = {
+                uid: '12',
+                $$hashKey: 'object:1'
+            };
+            storedMail = {
+                uid: '12',
+                delivery: {
+                    attempts: 3,
+                    error: '550 Mailbox unavailable',
+                    failed: true
+                }
+            };
+        });
+
+        afterEach(function() {
+            outbox._processOutbox.restore();
+        });
+
+        it('should make the mail due', function(done) {
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([storedMail]));
+            devicestorageStub.storeList.withArgs([storedMail], 'email_OUTBOX').returns(resolves());
+
+            outbox.retry(mail).then(function() {
+                expect(storedMail.delivery.attempts).to.equal(3);
+                expect(storedMail.delivery.failed).to.not.exist;
+                expect(mail.delivery).to.deep.equal(storedMail.delivery);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(outbox._processOutbox.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should fail while the outbox is busy', function(done) {
+            outbox._outboxBusy = true;
+
+            outbox.retry(mail).catch(function(err) {
+                expect(err.message).to.match(/busy/);
+                expect(devicestorageStub.listItems.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('reschedule', function() {
+        var mail, storedMail, sendAt;
+
+        beforeEach(function() {
+            sinon.stub(outbox, '_processOutbox');
+            mail = {
+                uid: '12',
+                $$hashKey: 'object:1'
+            };
+            storedMail = {
+                uid: '12'
+            };
+            sendAt = new Date();
+        });
+
+        afterEach(function() {
+            outbox._processOutbox.restore();
+        });
+
+        it('should persist the new time', function(done) {
+            devicestorageStub.listItems.withArgs('email_OUTBOX_12', 0, null).returns(resolves([storedMail]));
+            devicestorageStub.storeList.withArgs([storedMail], 'email_OUTBOX').returns(resolves());
+
+            outbox.reschedule({
+                mail: mail,
+                sendAt: sendAt
+            }).then(function() {
+                expect(storedMail.sendAt).to.equal(sendAt);
+                expect(mail.sendAt).to.equal(sendAt);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                expect(outbox._processOutbox.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should fail if the mail has been sent', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            outbox.reschedule({
+                mail: mail
+            }).catch(function(err) {
+                expect(err.message).to.match(/sent/);
+                expect(devicestorageStub.storeList.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should fail while the outbox is busy', function(done) {
+            outbox._outboxBusy = true;
+
+            outbox.reschedule({
+                mail: mail
+            }).catch(function(err) {
+                expect(err.message).to.match(/busy/);
+                expect(devicestorageStub.listItems.called).to.be.false;
+                done();
+            });
+        });
+    });
 });
\ No newline at end of file
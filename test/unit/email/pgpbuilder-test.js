@@ -0,0 +1,65 @@
+'use strict';
+
+var createPgpBuilder = require('../../../src/js/email/pgpbuilder');
+
+describe('PGP Builder unit test', function() {
+    var builder, mail;
+
+    beforeEach(function() {
+        builder = createPgpBuilder();
+        builder._privateKey = {};
+        builder._pgp = {
+            signClearMessage: sinon.stub().returns(resolves('-----BEGIN PGP SIGNED MESSAGE-----\r\n\r\nasdf\r\n-----BEGIN PGP SIGNATURE-----\r\n\r\nqwer\r\n-----END PGP SIGNATURE-----'))
+        };
+        mail = {
+            from: [{
+                address: 'fred@foo.com'
+            }],
+            to: [{
+                address: 'pity@dafool'
+            }],
+            subject: 'Ermahgerd!',
+            body: 'so much body!',
+            html: '<p>so much <b>body</b>!</p><script>alert(1)</script>'
+        };
+    });
+
+    afterEach(function() {});
+
+    describe('buildSigned', function() {
+        it('should sign an html message with a plaintext alternative', function(done) {
+            builder.buildSigned({
+                mail: mail
+            }).then(function(obj) {
+                var cleartext = builder._pgp.signClearMessage.firstCall.args[1];
+
+                expect(cleartext).to.match(/Content-Type: multipart\/alternative/);
+                expect(cleartext).to.contain('so much body!');
+                expect(cleartext).to.match(/<b>body<\/b>/);
+                expect(cleartext).to.not.contain('alert');
+                expect(obj.rfcMessage).to.match(/Content-Type: multipart\/signed/);
+                expect(obj.rfcMessage).to.contain(cleartext);
+                expect(obj.rfcMessage).to.contain('-----BEGIN PGP SIGNATURE-----');
+                expect(mail.bodyParts[0].content[1]).to.deep.equal({
+                    type: 'html',
+                    content: '<p>so much <b>body</b>!</p>'
+                });
+                done();
+            });
+        });
+
+        it('should sign a plaintext message with the pgpbuilder', function(done) {
+            delete mail.html;
+
+            builder.buildSigned({
+                mail: mail
+            }).then(function() {
+                var cleartext = builder._pgp.signClearMessage.firstCall.args[1];
+
+                expect(cleartext).to.match(/Content-Type: text\/plain/);
+                expect(cleartext).to.not.match(/multipart\/alternative/);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+var PlainBuilder = require('../../../src/js/email/plainbuilder');
+
+describe('Plain Builder unit test', function() {
+    var builder, mail;
+
+    beforeEach(function() {
+        builder = new PlainBuilder();
+        mail = {
+            from: [{
+                name: 'Fred',
+                address: 'fred@foo.com'
+            }],
+            to: [{
+                address: 'pity@dafool'
+            }],
+            cc: [],
+            bcc: [{
+                address: 'bcc@dafool'
+            }],
+            subject: 'Ermahgerd!',
+            body: 'so much body!',
+            headers: {
+                'in-reply-to': '<abc>'
+            }
+        };
+    });
+
+    afterEach(function() {});
+
+    describe('buildSigned', function() {
+        it('should build an unsigned text message', function(done) {
+            builder.buildSigned({
+                mail: mail
+            }).then(function(obj) {
+                expect(obj.rfcMessage).to.match(/Content-Type: text\/plain/);
+                expect(obj.rfcMessage).to.match(/Subject: Ermahgerd!/);
+                expect(obj.rfcMessage).to.match(/In-Reply-To: <abc>/);
+                expect(obj.rfcMessage).to.contain('so much body!');
+                expect(obj.rfcMessage).to.not.match(/pgp-signature/);
+                expect(obj.smtpInfo).to.deep.equal({
+                    from: 'fred@foo.com',
+                    to: ['pity@dafool', 'bcc@dafool']
+                });
+                done();
+            });
+        });
+
+        it('should build an unsigned message with attachments', function(done) {
+            mail.attachments = [{
+                filename: 'a.txt',
+                mimeType: 'text/plain',
+                content: new Uint8Array([97, 98, 99])
+            }];
+
+            builder.buildSigned({
+                mail: mail
+            }).then(function(obj) {
+                expect(obj.rfcMessage).to.match(/Content-Type: multipart\/mixed/);
+                expect(obj.rfcMessage).to.match(/filename=a\.txt/);
+                expect(obj.rfcMessage).to.contain('YWJj');
+                expect(obj.rfcMessage).to.not.match(/pgp-signature/);
+                done();
+            });
+        });
+
+        it('should build an html message with a plaintext alternative and inline images', function(done) {
+            mail.html = '<p>so much <b>body</b>!<img src="data:image/png;base64,YWJj"></p><script>alert(1)</script>';
+
+            builder.buildSigned({
+                mail: mail
+            }).then(function(obj) {
+                expect(obj.rfcMessage).to.match(/Content-Type: multipart\/alternative/);
+                expect(obj.rfcMessage).to.match(/Content-Type: text\/plain/);
+                expect(obj.rfcMessage).to.match(/Content-Type: multipart\/related/);
+                expect(obj.rfcMessage).to.match(/Content-Type: text\/html/);
+                expect(obj.rfcMessage).to.match(/Content-Id: <[^>]+@foo\.com>/i);
+                expect(obj.rfcMessage).to.contain('YWJj');
+                expect(obj.rfcMessage).to.contain('src=3D=22cid:');
+                expect(obj.rfcMessage).to.not.contain('alert');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+var SearchIndex = require('../../../src/js/email/search-index'),
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
+    PGP = require('../../../src/js/crypto/pgp');
+
+describe('Search Index unit test', function() {
+    var index, devicestorageStub, pgpStub, message1, message2;
+
+    beforeEach(function() {
+        devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
+        pgpStub = sinon.createStubInstance(PGP);
+        index = new SearchIndex(devicestorageStub, pgpStub);
+        sinon.stub(index, '_scheduleStore');
+
+        message1 = {
+            id: 'a@example.com',
+            body: 'Meet me at the Café tomorrow.',
+            html: '<p>Meet me at the <b>Café</b> tomorrow.</p>'
+        };
+        message2 = {
+            id: 'b@example.com',
+            body: 'The meeting is cancelled.'
+        };
+    });
+
+    afterEach(function() {});
+
+    describe('add', function() {
+        it('should index the body', function() {
+            index.add(message1);
+
+            expect(index.isIndexed(message1)).to.be.true;
+            expect(index.isIndexed(message2)).to.be.false;
+            expect(index._terms['café']).to.deep.equal([0]);
+            expect(index._terms.b).to.not.exist;
+            expect(index._scheduleStore.calledOnce).to.be.true;
+        });
+
+        it('should ignore messages that are indexed or have no message id', function() {
+            index.add(message1);
+            index.add(message1);
+            index.add({
+                body: 'no id'
+            });
+
+            expect(index._ids).to.deep.equal(['a@example.com']);
+            expect(index._scheduleStore.calledOnce).to.be.true;
+        });
+    });
+
+    describe('query', function() {
+        beforeEach(function() {
+            index.add(message1);
+            index.add(message2);
+        });
+
+        it('should match words by prefix', function() {
+            expect(index.query('mee')).to.deep.equal({
+                'a@example.com': true,
+                'b@example.com': true
+            });
+        });
+
+        it('should match all words', function() {
+            expect(index.query('meet café')).to.deep.equal({
+                'a@example.com': true
+            });
+            expect(index.query('cancelled tomorrow')).to.deep.equal({});
+        });
+
+        it('should not match on queries without words', function() {
+            expect(index.query('a')).to.not.exist;
+            expect(index.query()).to.not.exist;
+        });
+    });
+
+    describe('store', function() {
+        it('should persist the encrypted index', function(done) {
+            index.add(message2);
+            pgpStub.encrypt.returns(resolves('ciphertext'));
+            devicestorageStub.storeList.withArgs(['ciphertext'], 'searchindex').returns(resolves());
+
+            index.store().then(function() {
+                expect(JSON.parse(pgpStub.encrypt.args[0][0]).ids).to.deep.equal(['b@example.com']);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('load', function() {
+        it('should decrypt the stored index', function(done) {
+            devicestorageStub.listItems.withArgs('searchindex', 0, null).returns(resolves(['ciphertext']));
+            pgpStub.decrypt.withArgs('ciphertext', undefined).returns(resolves({
+                decrypted: JSON.stringify({
+                    ids: ['b@example.com'],
+                    terms: {
+                        meeting: [0]
+                    }
+                }),
+                signaturesValid: true
+            }));
+
+            index.load().then(function() {
+                expect(index.isIndexed(message2)).to.be.true;
+                expect(index.query('meeting')).to.deep.equal({
+                    'b@example.com': true
+                });
+                done();
+            });
+        });
+
+        it('should start over with an empty index on error', function(done) {
+            index.add(message1);
+            devicestorageStub.listItems.returns(resolves(['ciphertext']));
+            pgpStub.decrypt.returns(resolves({
+                decrypted: '{}',
+                signaturesValid: false
+            }));
+
+            index.load().then(function() {
+                expect(index.isIndexed(message1)).to.be.false;
+                expect(index._ids).to.deep.equal([]);
+                done();
+            });
+        });
+
+        it('should work without a stored index', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            index.load().then(function() {
+                expect(pgpStub.decrypt.called).to.be.false;
+                done();
+            });
+        });
+    });
+});
@@ -1,18 +1,84 @@
 'use strict';
 
 describe('Search Service unit test', function() {
-    var search;
+    var search, searchIndex;
 
     beforeEach(function() {
         angular.module('search-test', ['woEmail']);
         angular.mock.module('search-test');
         angular.mock.inject(function($injector) {
             search = $injector.get('search');
+            searchIndex = $injector.get('searchIndex');
+            sinon.stub(searchIndex, '_scheduleStore');
         });
     });
 
     afterEach(function() {});
 
+    describe('parse', function() {
+        it('should parse text, phrases and operators', function() {
+            var terms = search.parse('hello "good morning" -from:bob to:"Jane Doe" subject:report');
+
+            expect(terms).to.deep.equal([{
+                field: undefined,
+                value: 'hello',
+                negated: false
+            }, {
+                field: undefined,
+                value: 'good morning',
+                negated: false
+            }, {
+                field: 'from',
+                value: 'bob',
+                negated: true
+            }, {
+                field: 'to',
+                value: 'Jane Doe',
+                negated: false
+            }, {
+                field: 'subject',
+                value: 'report',
+                negated: false
+            }]);
+        });
+
+        it('should parse flags and dates', function() {
+            var terms = search.parse('has:attachment IS:Unread -is:flagged after:2014-12-24 before:2015/1/2');
+
+            expect(terms[0]).to.deep.equal({
+                field: 'has',
+                value: 'attachment',
+                negated: false
+            });
+            expect(terms[1].value).to.equal('unread');
+            expect(terms[2].negated).to.be.true;
+            expect(terms[3].value.getTime()).to.equal(new Date(2014, 11, 24).getTime());
+            expect(terms[4].value.getTime()).to.equal(new Date(2015, 0, 2).getTime());
+        });
+
+        it('should treat unknown operators and invalid values as text', function() {
+            var terms = search.parse('http://example.com is:foo before:yesterday');
+
+            expect(_.pluck(terms, 'field')).to.deep.equal([undefined, undefined, undefined]);
+            expect(_.pluck(terms, 'value')).to.deep.equal(['http://example.com', 'is:foo', 'before:yesterday']);
+        });
+
+        it('should ignore empty phrases', function() {
+            expect(search.parse('"" ')).to.deep.equal([]);
+            expect(search.parse()).to.deep.equal([]);
+        });
+    });
+
+    describe('serverQuery', function() {
+        it('should pick the longest text', function() {
+            expect(search.serverQuery('is:unread from:alice -report quarterly')).to.equal('quarterly');
+        });
+
+        it('should return nothing without text', function() {
+            expect(search.serverQuery('is:unread has:attachment')).to.not.exist;
+        });
+    });
+
     describe('filter', function() {
         var message1 = {
                 to: [{
@@ -91,6 +157,79 @@ describe('Search Service unit test', function() {
             expect(result[0]).to.equal(message1);
             expect(result[1]).to.equal(message4);
         });
+
+        it('return messages matching all terms', function() {
+            expect(search.filter(testMessages, 'subject1 body1')).to.deep.equal([message1]);
+            expect(search.filter(testMessages, 'subject1 body2')).to.deep.equal([]);
+        });
+
+        it('return messages not matching negated terms', function() {
+            expect(search.filter(testMessages, 'body1 -is:encrypted')).to.deep.equal([message1]);
+            expect(search.filter(testMessages, '-html1')).to.deep.equal([message2, message3]);
+        });
+
+        it('return messages matching a phrase', function() {
+            var message = {
+                subject: 'quarterly report'
+            };
+
+            expect(search.filter([message], '"quarterly report"')).to.deep.equal([message]);
+            expect(search.filter([message], '"report quarterly"')).to.deep.equal([]);
+        });
+
+        it('return messages matching header operators', function() {
+            expect(search.filter(testMessages, 'to:name2')).to.deep.equal([message2]);
+            expect(search.filter(testMessages, 'from:name2')).to.deep.equal([]);
+            expect(search.filter(testMessages, 'subject:subject3')).to.deep.equal([message3]);
+            expect(search.filter(testMessages, 'subject:body1')).to.deep.equal([]);
+        });
+
+        it('return messages matching flags', function() {
+            var unread = {
+                    unread: true,
+                    flagged: true,
+                    attachments: [{}]
+                },
+                signed = {
+                    signed: true,
+                    attachments: []
+                };
+
+            expect(search.filter([unread, signed], 'is:unread')).to.deep.equal([unread]);
+            expect(search.filter([unread, signed], 'is:flagged')).to.deep.equal([unread]);
+            expect(search.filter([unread, signed], 'is:signed')).to.deep.equal([signed]);
+            expect(search.filter([unread, signed], 'has:attachment')).to.deep.equal([unread]);
+            expect(search.filter([unread, signed], '-has:attachment')).to.deep.equal([signed]);
+        });
+
+        it('return messages matching dates', function() {
+            var old = {
+                    sentDate: new Date(2014, 11, 23, 12)
+                },
+                recent = {
+                    sentDate: new Date(2014, 11, 24, 12).toString()
+                };
+
+            expect(search.filter([old, recent], 'after:2014-12-24')).to.deep.equal([recent]);
+            expect(search.filter([old, recent], 'before:2014-12-24')).to.deep.equal([old]);
+        });
+
+        it('return messages whose body has been indexed before', function() {
+            var indexed = {
+                id: 'indexed@example.com',
+                subject: 'subject5',
+                body: '-----BEGIN PGP MESSAGE-----',
+                encrypted: true
+            };
+            searchIndex.add({
+                id: 'indexed@example.com',
+                body: 'decrypted secret'
+            });
+
+            var result = search.filter(testMessages.concat(indexed), 'secret');
+            expect(result.length).to.equal(1);
+            expect(result[0]).to.equal(indexed);
+        });
     });
 
 });
\ No newline at end of file
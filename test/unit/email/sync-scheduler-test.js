@@ -0,0 +1,178 @@
+'use strict';
+
+var SyncScheduler = require('../../../src/js/email/sync-scheduler'),
+    Email = require('../../../src/js/email/email'),
+    config = require('../../../src/js/app-config').config;
+
+describe('Sync Scheduler unit test', function() {
+    var scheduler, emailDaoStub, inbox, sent, junk, custom, outbox,
+        budget = config.syncFolderBudget;
+
+    beforeEach(function() {
+        inbox = {
+            type: 'Inbox',
+            path: 'INBOX'
+        };
+        sent = {
+            type: 'Sent',
+            path: 'Sent'
+        };
+        junk = {
+            type: 'Junk',
+            path: 'Junk'
+        };
+        custom = {
+            type: 'Other',
+            path: 'Projects'
+        };
+        outbox = {
+            type: 'Outbox',
+            path: config.outboxMailboxPath
+        };
+
+        emailDaoStub = sinon.createStubInstance(Email);
+        emailDaoStub._account = {
+            online: true,
+            folders: [inbox, sent, junk, custom, outbox]
+        };
+        emailDaoStub.openFolder.returns(resolves());
+        scheduler = new SyncScheduler(emailDaoStub);
+    });
+
+    afterEach(function() {
+        scheduler.stop();
+        config.syncFolderBudget = budget;
+    });
+
+    describe('start/stop', function() {
+        it('should work', function() {
+            scheduler.start();
+            expect(scheduler._intervalId).to.exist;
+
+            scheduler.stop();
+            expect(scheduler._intervalId).to.not.exist;
+        });
+
+        it('should restart polling', function() {
+            var intervalId;
+
+            scheduler.start();
+            intervalId = scheduler._intervalId;
+            scheduler.start();
+            expect(scheduler._intervalId).to.not.equal(intervalId);
+        });
+    });
+
+    describe('_sync', function() {
+        it('should sync the folders except for the inbox and the outbox', function(done) {
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(3);
+                expect(emailDaoStub.openFolder.calledWith({
+                    folder: sent,
+                    background: true
+                })).to.be.true;
+                expect(emailDaoStub.openFolder.calledWith({
+                    folder: junk,
+                    background: true
+                })).to.be.true;
+                expect(emailDaoStub.openFolder.calledWith({
+                    folder: custom,
+                    background: true
+                })).to.be.true;
+                expect(scheduler._syncBusy).to.be.false;
+                done();
+            });
+        });
+
+        it('should sync the folders round robin within the budget', function(done) {
+            config.syncFolderBudget = 2;
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(2);
+                expect(emailDaoStub.openFolder.getCall(0).args[0].folder).to.equal(sent);
+                expect(emailDaoStub.openFolder.getCall(1).args[0].folder).to.equal(junk);
+
+                return scheduler._sync();
+            }).then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(4);
+                expect(emailDaoStub.openFolder.getCall(2).args[0].folder).to.equal(custom);
+                expect(emailDaoStub.openFolder.getCall(3).args[0].folder).to.equal(sent);
+                done();
+            });
+        });
+
+        it('should sync one folder after the other', function(done) {
+            var onOpened;
+
+            emailDaoStub.openFolder.returns(new Promise(function(resolve) {
+                onOpened = resolve;
+            }));
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(3);
+                done();
+            });
+
+            setTimeout(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(1);
+                onOpened();
+            }, 0);
+        });
+
+        it('should skip the opened folder and open it again afterwards', function(done) {
+            emailDaoStub._openedFolder = junk;
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(3);
+                expect(emailDaoStub.openFolder.getCall(0).args[0].folder).to.equal(sent);
+                expect(emailDaoStub.openFolder.getCall(1).args[0].folder).to.equal(custom);
+                expect(emailDaoStub.openFolder.getCall(2).args[0]).to.deep.equal({
+                    folder: junk
+                });
+                done();
+            });
+        });
+
+        it('should open the inbox again after syncing the other folders', function(done) {
+            emailDaoStub._openedFolder = inbox;
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(4);
+                expect(emailDaoStub.openFolder.lastCall.args[0]).to.deep.equal({
+                    folder: inbox
+                });
+                done();
+            });
+        });
+
+        it('should continue if a folder can not be synced', function(done) {
+            emailDaoStub.openFolder.withArgs({
+                folder: sent
+            }).returns(rejects(new Error('asdf')));
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.callCount).to.equal(3);
+                expect(scheduler._syncBusy).to.be.false;
+                done();
+            });
+        });
+
+        it('should not sync while offline', function(done) {
+            emailDaoStub._account.online = false;
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should not sync while the previous sync is running', function(done) {
+            scheduler._syncBusy = true;
+
+            scheduler._sync().then(function() {
+                expect(emailDaoStub.openFolder.called).to.be.false;
+                done();
+            });
+        });
+    });
+});
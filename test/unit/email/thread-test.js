@@ -0,0 +1,179 @@
+'use strict';
+
+describe('Thread Service unit test', function() {
+    var thread;
+
+    beforeEach(function() {
+        angular.module('thread-test', ['woEmail']);
+        angular.mock.module('thread-test');
+        angular.mock.inject(function($injector) {
+            thread = $injector.get('thread');
+        });
+    });
+
+    afterEach(function() {});
+
+    describe('build', function() {
+        var original, reply, replyToReply, unrelated, subjectReply, sameSubject;
+
+        beforeEach(function() {
+            original = {
+                uid: 1,
+                id: 'a@example.com',
+                subject: 'Review',
+                references: [],
+                sentDate: new Date(1000),
+                unread: false
+            };
+            reply = {
+                uid: 3,
+                id: 'b@example.com',
+                subject: 'Re: Review',
+                inReplyTo: 'a@example.com',
+                references: ['a@example.com'],
+                sentDate: new Date(3000),
+                unread: true
+            };
+            replyToReply = {
+                uid: 4,
+                id: 'c@example.com',
+                subject: 'Re: Re: Review',
+                inReplyTo: 'b@example.com',
+                references: ['a@example.com', 'b@example.com'],
+                sentDate: new Date(4000),
+                unread: true
+            };
+            unrelated = {
+                uid: 2,
+                id: 'd@example.com',
+                subject: 'Lunch?',
+                references: [],
+                sentDate: new Date(2000)
+            };
+            subjectReply = {
+                uid: 5,
+                id: 'e@example.com',
+                subject: 'AW: Lunch?',
+                references: [],
+                sentDate: new Date(5000)
+            };
+            sameSubject = {
+                uid: 6,
+                id: 'f@example.com',
+                subject: 'Hello',
+                references: [],
+                sentDate: new Date(6000)
+            };
+        });
+
+        it('should return an empty list for no messages', function() {
+            expect(thread.build([])).to.deep.equal([]);
+        });
+
+        it('should group messages via references and in-reply-to', function() {
+            var threads = thread.build([replyToReply, unrelated, reply, original]);
+
+            expect(threads.length).to.equal(2);
+            expect(threads[0].messages).to.deep.equal([original, reply, replyToReply]);
+            expect(threads[0].latest).to.equal(replyToReply);
+            expect(threads[0].unread).to.equal(2);
+            expect(threads[0].id).to.equal('a@example.com');
+            expect(threads[1].messages).to.deep.equal([unrelated]);
+        });
+
+        it('should group replies whose parent is not available locally', function() {
+            var threads = thread.build([replyToReply, reply]);
+
+            expect(threads.length).to.equal(1);
+            expect(threads[0].messages).to.deep.equal([reply, replyToReply]);
+        });
+
+        it('should fall back to the normalized subject', function() {
+            var threads = thread.build([unrelated, subjectReply]);
+
+            expect(threads.length).to.equal(1);
+            expect(threads[0].messages).to.deep.equal([unrelated, subjectReply]);
+            expect(threads[0].subject).to.equal('Lunch?');
+        });
+
+        it('should not merge messages with the same subject if none is a reply', function() {
+            var otherHello = {
+                uid: 7,
+                id: 'g@example.com',
+                subject: 'Hello',
+                sentDate: new Date(7000)
+            };
+
+            var threads = thread.build([sameSubject, otherHello]);
+
+            expect(threads.length).to.equal(2);
+            expect(threads[0].messages).to.deep.equal([otherHello]);
+            expect(threads[1].messages).to.deep.equal([sameSubject]);
+        });
+
+        it('should not break on reference loops and missing message ids', function() {
+            var loopA = {
+                    uid: 8,
+                    id: 'x@example.com',
+                    references: ['y@example.com']
+                },
+                loopB = {
+                    uid: 9,
+                    id: 'y@example.com',
+                    references: ['x@example.com']
+                },
+                noId = {
+                    uid: 10
+                };
+
+            var threads = thread.build([loopA, loopB, noId]);
+
+            expect(threads.length).to.equal(2);
+            expect(threads[0].messages).to.deep.equal([noId]);
+            expect(threads[1].messages.length).to.equal(2);
+        });
+
+        it('should keep duplicate message ids apart', function() {
+            var duplicate = _.extend({}, original, {
+                uid: 11
+            });
+
+            var threads = thread.build([original, duplicate]);
+
+            expect(threads.length).to.equal(2);
+        });
+    });
+
+    describe('find', function() {
+        it('should find the thread of a message', function() {
+            var a = {
+                    uid: 1,
+                    id: 'a',
+                    subject: 'foo'
+                },
+                b = {
+                    uid: 2,
+                    id: 'b',
+                    subject: 'Re: foo',
+                    references: ['a']
+                },
+                c = {
+                    uid: 3,
+                    id: 'c',
+                    subject: 'bar'
+                };
+
+            expect(thread.find([a, b, c], a).messages).to.deep.equal([a, b]);
+            expect(thread.find([a, b, c], c).messages).to.deep.equal([c]);
+            expect(thread.find([a, b, c], {})).to.not.exist;
+        });
+    });
+
+    describe('normalizeSubject', function() {
+        it('should strip reply and forward prefixes', function() {
+            expect(thread.normalizeSubject('Re: Fwd: AW: Hello World ')).to.equal('hello world');
+            expect(thread.normalizeSubject('RE[2]: Hello')).to.equal('hello');
+            expect(thread.normalizeSubject(undefined)).to.equal('');
+        });
+    });
+});
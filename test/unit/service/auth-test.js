@@ -13,6 +13,7 @@ describe('Auth unit tests', function() {
     var PASSWD_DB_KEY = 'password';
     var IMAP_DB_KEY = 'imap';
     var SMTP_DB_KEY = 'smtp';
+    var CREDENTIALS_DB_TYPE = 'credentials';
     var APP_CONFIG_DB_NAME = 'app-config';
 
     // SUT
@@ -40,6 +41,23 @@ describe('Auth unit tests', function() {
         secure: true,
         ca: 'PEMPEMPEMPEMPEMPEMPEMPEMPEMPEM'
     };
+    var credentials = {
+        id: emailAddress,
+        emailAddress: emailAddress,
+        username: username,
+        realname: realname,
+        password: encryptedPassword,
+        imap: imap,
+        smtp: smtp
+    };
+    var otherCredentials = {
+        id: 'other@blubb.com',
+        emailAddress: 'other@blubb.com',
+        username: 'other',
+        realname: 'Other Blubb',
+        imap: imap,
+        smtp: smtp
+    };
 
     beforeEach(function() {
         storageStub = sinon.createStubInstance(DeviceStorageDAO);
@@ -51,8 +69,10 @@ describe('Auth unit tests', function() {
     describe('#init', function() {
         it('should initialize a user db', function(done) {
             storageStub.init.withArgs(APP_CONFIG_DB_NAME).returns(resolves());
+            storageStub.listItems.returns(resolves([]));
             auth.init().then(function() {
                 expect(auth._initialized).to.be.true;
+                expect(storageStub.storeList.called).to.be.false;
                 done();
             });
         });
@@ -68,12 +88,7 @@ describe('Auth unit tests', function() {
 
     describe('#getCredentials', function() {
         it('should load credentials and retrieve credentials from cfg', function(done) {
-            storageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY, 0, null).returns(resolves([emailAddress]));
-            storageStub.listItems.withArgs(PASSWD_DB_KEY, 0, null).returns(resolves([encryptedPassword]));
-            storageStub.listItems.withArgs(USERNAME_DB_KEY, 0, null).returns(resolves([username]));
-            storageStub.listItems.withArgs(REALNAME_DB_KEY, 0, null).returns(resolves([realname]));
-            storageStub.listItems.withArgs(IMAP_DB_KEY, 0, null).returns(resolves([imap]));
-            storageStub.listItems.withArgs(SMTP_DB_KEY, 0, null).returns(resolves([smtp]));
+            storageStub.listItems.withArgs(CREDENTIALS_DB_TYPE, 0, null).returns(resolves([credentials]));
             pgpStub.decrypt.withArgs(encryptedPassword, undefined).returns(resolves({
                 decrypted: password,
                 signaturesValid: true
@@ -97,7 +112,7 @@ describe('Auth unit tests', function() {
                 expect(cred.smtp.auth.user).to.equal(username);
                 expect(cred.smtp.auth.pass).to.equal(password);
 
-                expect(storageStub.listItems.callCount).to.equal(6);
+                expect(storageStub.listItems.calledOnce).to.be.true;
                 expect(pgpStub.decrypt.calledOnce).to.be.true;
 
                 done();
@@ -136,17 +151,51 @@ describe('Auth unit tests', function() {
             auth.smtp = smtp;
             auth.imap = imap;
 
-            storageStub.storeList.withArgs([encryptedPassword], PASSWD_DB_KEY).returns(resolves());
-            storageStub.storeList.withArgs([emailAddress], EMAIL_ADDR_DB_KEY).returns(resolves());
-            storageStub.storeList.withArgs([username], USERNAME_DB_KEY).returns(resolves());
-            storageStub.storeList.withArgs([realname], REALNAME_DB_KEY).returns(resolves());
-            storageStub.storeList.withArgs([imap], IMAP_DB_KEY).returns(resolves());
-            storageStub.storeList.withArgs([smtp], SMTP_DB_KEY).returns(resolves());
+            storageStub.storeList.withArgs([credentials], CREDENTIALS_DB_TYPE).returns(resolves());
             pgpStub.encrypt.withArgs(password).returns(resolves(encryptedPassword));
 
             auth.storeCredentials().then(function() {
-                expect(storageStub.storeList.callCount).to.equal(6);
+                expect(storageStub.storeList.calledOnce).to.be.true;
                 expect(pgpStub.encrypt.calledOnce).to.be.true;
+                expect(auth.credentialsDirty).to.be.false;
+
+                done();
+            });
+        });
+
+        it('should not encrypt an encrypted password again', function(done) {
+            auth.credentialsDirty = true;
+            auth.passwordNeedsDecryption = true;
+            auth.emailAddress = emailAddress;
+            auth.username = username;
+            auth.realname = realname;
+            auth.password = encryptedPassword;
+            auth.smtp = smtp;
+            auth.imap = imap;
+
+            storageStub.storeList.withArgs([credentials], CREDENTIALS_DB_TYPE).returns(resolves());
+
+            auth.storeCredentials().then(function() {
+                expect(storageStub.storeList.calledOnce).to.be.true;
+                expect(pgpStub.encrypt.called).to.be.false;
+
+                done();
+            });
+        });
+    });
+
+    describe('#listAccounts', function() {
+        it('should list the stored accounts', function(done) {
+            storageStub.listItems.withArgs(CREDENTIALS_DB_TYPE, 0, null).returns(resolves([credentials, otherCredentials]));
+
+            auth.listAccounts().then(function(accounts) {
+                expect(accounts).to.deep.equal([{
+                    emailAddress: emailAddress,
+                    realname: realname
+                }, {
+                    emailAddress: 'other@blubb.com',
+                    realname: 'Other Blubb'
+                }]);
 
                 done();
             });
@@ -236,12 +285,7 @@ describe('Auth unit tests', function() {
 
     describe('#_loadCredentials', function() {
         it('should work', function(done) {
-            storageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY, 0, null).returns(resolves([emailAddress]));
-            storageStub.listItems.withArgs(PASSWD_DB_KEY, 0, null).returns(resolves([encryptedPassword]));
-            storageStub.listItems.withArgs(USERNAME_DB_KEY, 0, null).returns(resolves([username]));
-            storageStub.listItems.withArgs(REALNAME_DB_KEY, 0, null).returns(resolves([realname]));
-            storageStub.listItems.withArgs(IMAP_DB_KEY, 0, null).returns(resolves([imap]));
-            storageStub.listItems.withArgs(SMTP_DB_KEY, 0, null).returns(resolves([smtp]));
+            storageStub.listItems.withArgs(CREDENTIALS_DB_TYPE, 0, null).returns(resolves([credentials, otherCredentials]));
 
             auth._loadCredentials().then(function() {
                 expect(auth.emailAddress).to.equal(emailAddress);
@@ -253,7 +297,20 @@ describe('Auth unit tests', function() {
 
                 expect(auth.passwordNeedsDecryption).to.be.true;
 
-                expect(storageStub.listItems.callCount).to.equal(6);
+                expect(storageStub.listItems.calledOnce).to.be.true;
+
+                done();
+            });
+        });
+
+        it('should load the credentials of an account', function(done) {
+            storageStub.listItems.withArgs(CREDENTIALS_DB_TYPE, 0, null).returns(resolves([credentials, otherCredentials]));
+
+            auth._loadCredentials('other@blubb.com').then(function() {
+                expect(auth.emailAddress).to.equal('other@blubb.com');
+                expect(auth.username).to.equal('other');
+                expect(auth.password).to.be.undefined;
+                expect(auth.passwordNeedsDecryption).to.be.false;
 
                 done();
             });
@@ -278,6 +335,39 @@ describe('Auth unit tests', function() {
         });
     });
 
+    describe('#_migrateCredentials', function() {
+        it('should move the credentials of the single account versions', function(done) {
+            storageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY, 0, null).returns(resolves([emailAddress]));
+            storageStub.listItems.withArgs(PASSWD_DB_KEY, 0, null).returns(resolves([encryptedPassword]));
+            storageStub.listItems.withArgs(USERNAME_DB_KEY, 0, null).returns(resolves([username]));
+            storageStub.listItems.withArgs(REALNAME_DB_KEY, 0, null).returns(resolves([realname]));
+            storageStub.listItems.withArgs(IMAP_DB_KEY, 0, null).returns(resolves([imap]));
+            storageStub.listItems.withArgs(SMTP_DB_KEY, 0, null).returns(resolves([smtp]));
+            storageStub.storeList.withArgs([credentials], CREDENTIALS_DB_TYPE).returns(resolves());
+            storageStub.removeList.returns(resolves());
+
+            auth._migrateCredentials().then(function() {
+                expect(storageStub.storeList.calledOnce).to.be.true;
+                expect(storageStub.removeList.callCount).to.equal(6);
+                expect(storageStub.removeList.calledWith(PASSWD_DB_KEY)).to.be.true;
+
+                done();
+            });
+        });
+
+        it('should do nothing without an account', function(done) {
+            storageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY, 0, null).returns(resolves([]));
+
+            auth._migrateCredentials().then(function() {
+                expect(storageStub.listItems.calledOnce).to.be.true;
+                expect(storageStub.storeList.called).to.be.false;
+                expect(storageStub.removeList.called).to.be.false;
+
+                done();
+            });
+        });
+    });
+
     describe('#handleCertificateUpdate', function() {
         var storeCredentialsStub;
         var dummyCert = 'cert';
@@ -357,8 +447,12 @@ describe('Auth unit tests', function() {
     });
 
     describe('#logout', function() {
-        it('should fail to to error in calling db clear', function(done) {
-            storageStub.clear.returns(rejects(new Error()));
+        beforeEach(function() {
+            auth.emailAddress = emailAddress;
+        });
+
+        it('should fail to to error in removing the credentials', function(done) {
+            storageStub.removeItem.returns(rejects(new Error()));
 
             auth.logout().catch(function(err) {
                 expect(err).to.exist;
@@ -367,9 +461,11 @@ describe('Auth unit tests', function() {
         });
 
         it('should work', function(done) {
-            storageStub.clear.returns(resolves());
+            storageStub.removeItem.withArgs(CREDENTIALS_DB_TYPE + '_' + emailAddress).returns(resolves());
 
             auth.logout().then(function() {
+                expect(storageStub.clear.called).to.be.false;
+                expect(auth.emailAddress).to.be.undefined;
                 expect(auth.password).to.be.undefined;
                 expect(auth.initialized).to.be.undefined;
                 expect(auth.credentialsDirty).to.be.undefined;
@@ -377,5 +473,29 @@ describe('Auth unit tests', function() {
                 done();
             });
         });
+
+        it('should keep the credentials of addresses that start with the address', function(done) {
+            var stored = {};
+            stored[CREDENTIALS_DB_TYPE + '_bob@example.co'] = {};
+            stored[CREDENTIALS_DB_TYPE + '_bob@example.com'] = {};
+            storageStub.removeItem = function(key) {
+                delete stored[key];
+                return resolves();
+            };
+            storageStub.removeList = function(type) {
+                Object.keys(stored).forEach(function(key) {
+                    if (key.indexOf(type) === 0) {
+                        delete stored[key];
+                    }
+                });
+                return resolves();
+            };
+            auth.emailAddress = 'bob@example.co';
+
+            auth.logout().then(function() {
+                expect(Object.keys(stored)).to.deep.equal([CREDENTIALS_DB_TYPE + '_bob@example.com']);
+                done();
+            });
+        });
     });
 });
\ No newline at end of file
@@ -78,6 +78,18 @@ describe('Device Storage DAO unit tests', function() {
         });
     });
 
+    describe('remove item', function() {
+        it('should work', function(done) {
+            lawnchairDaoStub.remove.withArgs('credentials_' + testUser).returns(resolves());
+
+            storageDao.removeItem('credentials_' + testUser).then(function() {
+                expect(lawnchairDaoStub.remove.calledOnce).to.be.true;
+                expect(lawnchairDaoStub.removeList.called).to.be.false;
+                done();
+            });
+        });
+    });
+
     describe('list items', function() {
         it('should work', function(done) {
             lawnchairDaoStub.list.returns(resolves());
@@ -0,0 +1,57 @@
+'use strict';
+
+var Settings = require('../../../src/js/service/settings'),
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage');
+
+describe('Settings unit tests', function() {
+    var settings, devicestorageStub;
+
+    beforeEach(function() {
+        devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
+        settings = new Settings(devicestorageStub);
+    });
+
+    afterEach(function() {});
+
+    describe('get', function() {
+        it('should return the defaults before loading', function() {
+            expect(settings.get('signPlaintext')).to.be.true;
+        });
+    });
+
+    describe('load', function() {
+        it('should load the stored settings', function(done) {
+            devicestorageStub.listItems.withArgs('settings', 0, null).returns(resolves([{
+                signPlaintext: false
+            }]));
+
+            settings.load().then(function() {
+                expect(settings.get('signPlaintext')).to.be.false;
+                done();
+            });
+        });
+
+        it('should use the defaults if nothing has been stored', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            settings.load().then(function() {
+                expect(settings.get('signPlaintext')).to.be.true;
+                done();
+            });
+        });
+    });
+
+    describe('set', function() {
+        it('should persist the settings', function(done) {
+            devicestorageStub.storeList.withArgs([{
+                signPlaintext: false
+            }], 'settings').returns(resolves());
+
+            settings.set('signPlaintext', false).then(function() {
+                expect(settings.get('signPlaintext')).to.be.false;
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+    });
+});
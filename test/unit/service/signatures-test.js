@@ -0,0 +1,167 @@
+'use strict';
+
+var Signatures = require('../../../src/js/service/signatures'),
+    DeviceStorageDAO = require('../../../src/js/service/devicestorage'),
+    appConfig = require('../../../src/js/app-config');
+
+describe('Signatures unit tests', function() {
+    var signatures, devicestorageStub, signature;
+
+    beforeEach(function() {
+        devicestorageStub = sinon.createStubInstance(DeviceStorageDAO);
+        devicestorageStub.storeList.returns(resolves());
+        signatures = new Signatures(devicestorageStub, appConfig);
+        signature = {
+            id: 'sig',
+            name: 'Work',
+            text: 'Fred Foo\nACME Corp.',
+            html: ''
+        };
+    });
+
+    afterEach(function() {});
+
+    describe('load', function() {
+        it('should load the stored signatures', function(done) {
+            devicestorageStub.listItems.withArgs('signatures', 0, null).returns(resolves([{
+                signatures: [signature],
+                defaults: {
+                    'fred@foo.com': 'sig'
+                },
+                placement: 'above'
+            }]));
+
+            signatures.load('fred@foo.com').then(function() {
+                expect(signatures.list()).to.deep.equal([signature]);
+                expect(signatures.getDefault('fred@foo.com')).to.deep.equal(signature);
+                expect(signatures.getPlacement()).to.equal('above');
+                expect(devicestorageStub.storeList.called).to.be.false;
+                done();
+            });
+        });
+
+        it('should create the whiteout signature if nothing has been stored', function(done) {
+            devicestorageStub.listItems.returns(resolves([]));
+
+            signatures.load('fred@foo.com').then(function() {
+                var created = signatures.getDefault('fred@foo.com');
+                expect(signatures.list()).to.deep.equal([created]);
+                expect(created.text).to.contain(appConfig.string.signature);
+                expect(created.text).to.contain(appConfig.config.keyServerUrl + '/fred@foo.com');
+                expect(signatures.getPlacement()).to.equal('below');
+                expect(devicestorageStub.storeList.calledWith(sinon.match.array, 'signatures')).to.be.true;
+                done();
+            });
+        });
+        it('should create the whiteout signature for an account that is added later', function(done) {
+            devicestorageStub.listItems.returns(resolves([{
+                signatures: [signature],
+                defaults: {
+                    'fred@foo.com': 'sig'
+                },
+                placement: 'above'
+            }]));
+
+            signatures.load('barney@foo.com').then(function() {
+                var created = signatures.getDefault('barney@foo.com');
+                expect(created.text).to.contain(appConfig.config.keyServerUrl + '/barney@foo.com');
+                expect(signatures.getDefault('fred@foo.com')).to.deep.equal(signature);
+                expect(signatures.list().length).to.equal(2);
+                done();
+            });
+        });
+
+        it('should not create the whiteout signature again if the account has chosen none', function(done) {
+            devicestorageStub.listItems.returns(resolves([{
+                signatures: [signature],
+                defaults: {
+                    'fred@foo.com': null
+                },
+                placement: 'below'
+            }]));
+
+            signatures.load('fred@foo.com').then(function() {
+                expect(signatures.getDefault('fred@foo.com')).to.be.undefined;
+                expect(signatures.list()).to.deep.equal([signature]);
+                expect(devicestorageStub.storeList.called).to.be.false;
+                done();
+            });
+        });
+    });
+
+    describe('save', function() {
+        it('should add a new signature with a sanitized html variant', function(done) {
+            signatures.save({
+                name: 'Private',
+                text: 'Fred',
+                html: '<b>Fred</b><script>alert(1)</script>'
+            }).then(function(saved) {
+                expect(saved.id).to.exist;
+                expect(saved.html).to.equal('<b>Fred</b>');
+                expect(signatures.list()).to.deep.equal([saved]);
+                expect(devicestorageStub.storeList.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should update an existing signature', function(done) {
+            signatures.save(signature).then(function() {
+                return signatures.save({
+                    id: 'sig',
+                    name: 'Work',
+                    text: 'Fred'
+                });
+            }).then(function() {
+                expect(signatures.list().length).to.equal(1);
+                expect(signatures.list()[0].text).to.equal('Fred');
+                done();
+            });
+        });
+    });
+
+    describe('remove', function() {
+        it('should remove the signature and the defaults that use it', function(done) {
+            signatures.save(signature).then(function() {
+                return signatures.setDefault('fred@foo.com', 'sig');
+            }).then(function() {
+                return signatures.remove('sig');
+            }).then(function() {
+                expect(signatures.list()).to.be.empty;
+                expect(signatures.getDefault('fred@foo.com')).to.be.undefined;
+                done();
+            });
+        });
+    });
+
+    describe('setDefault', function() {
+        it('should unset the default', function(done) {
+            signatures.save(signature).then(function() {
+                return signatures.setDefault('fred@foo.com', 'sig');
+            }).then(function() {
+                return signatures.setDefault('fred@foo.com', undefined);
+            }).then(function() {
+                expect(signatures.getDefault('fred@foo.com')).to.be.undefined;
+                done();
+            });
+        });
+    });
+
+    describe('toText', function() {
+        it('should add the delimiter', function() {
+            expect(signatures.toText(signature)).to.equal('-- \nFred Foo\nACME Corp.');
+        });
+
+        it('should generate the text from the html', function() {
+            expect(signatures.toText({
+                text: '',
+                html: '<p>Fred Foo</p>'
+            })).to.equal('-- \nFred Foo');
+        });
+    });
+
+    describe('toHtml', function() {
+        it('should generate the html from the text', function() {
+            expect(signatures.toHtml(signature)).to.equal('<div class="signature">-- <br>Fred Foo<br>ACME Corp.</div>');
+        });
+    });
+});
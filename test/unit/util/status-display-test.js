@@ -30,6 +30,18 @@ describe('Status Service unit test', function() {
         });
     });
 
+    describe('offerUndo', function() {
+        it('should work', function() {
+            var message = 'Sending...',
+                action = function() {};
+
+            status.offerUndo(message, action, 1000);
+
+            expect(broadcastSpy.withArgs('undo', message, action, 1000).calledOnce).to.be.true;
+            expect(logInfoStub.withArgs('status display', message).calledOnce).to.be.true;
+        });
+    });
+
     describe('setSearching', function() {
         it('should work', function() {
             status.setSearching(true);
@@ -264,12 +264,7 @@ describe('UpdateHandler', function() {
             });
         });
         describe('v3 -> v4', function() {
-            var EMAIL_ADDR_DB_KEY = 'emailaddress';
-            var USERNAME_DB_KEY = 'username';
             var PROVIDER_DB_KEY = 'provider';
-            var IMAP_DB_KEY = 'imap';
-            var SMTP_DB_KEY = 'smtp';
-            var REALNAME_DB_KEY = 'realname';
             var emailaddress = 'bla@blubb.io';
 
             var imap = {
@@ -289,53 +284,55 @@ describe('UpdateHandler', function() {
             });
 
             it('should add gmail as mail service provider with email address and no provider present in db', function(done) {
-                appConfigStorageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY).returns(resolves([emailaddress]));
+                authStub.emailAddress = emailaddress;
                 appConfigStorageStub.listItems.withArgs(PROVIDER_DB_KEY).returns(resolves([]));
                 appConfigStorageStub.storeList.withArgs([4], versionDbType).returns(resolves());
                 appConfigStorageStub.storeList.withArgs(['gmail'], PROVIDER_DB_KEY).returns(resolves());
-                appConfigStorageStub.storeList.withArgs([emailaddress], USERNAME_DB_KEY).returns(resolves());
-                appConfigStorageStub.storeList.withArgs([imap], IMAP_DB_KEY).returns(resolves());
-                appConfigStorageStub.storeList.withArgs([smtp], SMTP_DB_KEY).returns(resolves());
-                appConfigStorageStub.storeList.withArgs([''], REALNAME_DB_KEY).returns(resolves());
-                authStub._loadCredentials.returns(resolves());
+                authStub.storeCredentials.returns(resolves());
 
                 updateHandler.update().then(function() {
-                    expect(appConfigStorageStub.storeList.callCount).to.equal(6);
-                    expect(appConfigStorageStub.listItems.calledThrice).to.be.true;
-                    expect(authStub._loadCredentials.calledOnce).to.be.true;
+                    expect(appConfigStorageStub.storeList.callCount).to.equal(2);
+                    expect(appConfigStorageStub.listItems.calledTwice).to.be.true;
+                    expect(authStub.username).to.equal(emailaddress);
+                    expect(authStub.realname).to.equal('');
+                    expect(authStub.imap).to.deep.equal(imap);
+                    expect(authStub.smtp).to.deep.equal(smtp);
+                    expect(authStub.storeCredentials.calledOnce).to.be.true;
 
                     done();
                 });
             });
 
             it('should not add a provider when no email adress is in db', function(done) {
-                appConfigStorageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY).returns(resolves([]));
                 appConfigStorageStub.listItems.withArgs(PROVIDER_DB_KEY).returns(resolves([]));
                 appConfigStorageStub.storeList.withArgs([4], versionDbType).returns(resolves());
 
                 updateHandler.update().then(function() {
                     expect(appConfigStorageStub.storeList.calledOnce).to.be.true;
-                    expect(appConfigStorageStub.listItems.calledThrice).to.be.true;
+                    expect(appConfigStorageStub.listItems.calledTwice).to.be.true;
+                    expect(authStub.storeCredentials.called).to.be.false;
 
                     done();
                 });
             });
 
             it('should fail when appConfigStore write fails', function(done) {
+                authStub.emailAddress = emailaddress;
                 appConfigStorageStub.listItems.returns(resolves([]));
                 appConfigStorageStub.storeList.returns(rejects(new Error()));
 
                 updateHandler.update().catch(function(error) {
                     expect(error).to.exist;
-                    expect(appConfigStorageStub.listItems.calledThrice).to.be.true;
+                    expect(appConfigStorageStub.listItems.calledTwice).to.be.true;
                     expect(appConfigStorageStub.storeList.calledOnce).to.be.true;
+                    expect(authStub.storeCredentials.called).to.be.false;
 
                     done();
                 });
             });
 
             it('should fail when appConfigStore read fails', function(done) {
-                appConfigStorageStub.listItems.withArgs(EMAIL_ADDR_DB_KEY).returns(rejects(new Error()));
+                appConfigStorageStub.listItems.withArgs(PROVIDER_DB_KEY).returns(rejects(new Error()));
                 appConfigStorageStub.storeList.returns(rejects(new Error()));
 
                 updateHandler.update().catch(function(error) {